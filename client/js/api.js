@@ -0,0 +1,98 @@
+/**
+ * API Client - Thin wrapper around the server's REST API (/api)
+ */
+class ApiClient {
+  /**
+   * GET a JSON resource
+   * @param {string} path - Path below /api, e.g. '/matches/123'
+   * @param {Object} [query] - Query string parameters
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async get(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, value);
+    });
+    const search = params.toString();
+
+    const response = await fetch(`/api${path}${search ? `?${search}` : ''}`);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * POST JSON to a resource
+   * @param {string} path - Path below /api
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Parsed response body (errors carry it as error.body)
+   */
+  async post(path, data) {
+    const response = await fetch(`/api${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(body.error || `HTTP ${response.status}`);
+      error.body = body;
+      throw error;
+    }
+    return body;
+  }
+
+  /**
+   * A player's finished games, newest first
+   * @returns {Promise<Object>} { matches, total, limit, offset }
+   */
+  getPlayerMatches(playerId, { limit, offset } = {}) {
+    return this.get(`/players/${encodeURIComponent(playerId)}/matches`, { limit, offset });
+  }
+
+  /**
+   * Statistics over a player's finished games
+   * @returns {Promise<Object>} { stats }
+   */
+  getPlayerStats(playerId) {
+    return this.get(`/players/${encodeURIComponent(playerId)}/stats`);
+  }
+
+  /**
+   * Ranked players
+   * @param {Object} query - { ruleSet, window, minGames, limit, offset, playerId }
+   * @returns {Promise<Object>} { players, total, limit, offset, filters, you }
+   */
+  getLeaderboard(query) {
+    return this.get('/leaderboard', query);
+  }
+
+  /**
+   * Full record of one game
+   * @returns {Promise<Object>} { match }
+   */
+  getMatch(matchId) {
+    return this.get(`/matches/${encodeURIComponent(matchId)}`);
+  }
+
+  /**
+   * One game in text notation
+   * @returns {Promise<Object>} { notation }
+   */
+  getMatchNotation(matchId) {
+    return this.get(`/matches/${encodeURIComponent(matchId)}/notation`);
+  }
+
+  /**
+   * Check an exported game (notation or JSON) and get it back as a replayable record
+   * @returns {Promise<Object>} { match, errors }
+   */
+  importMatch(text) {
+    return this.post('/matches/import', { text });
+  }
+}
+
+// Global API client
+window.api = new ApiClient();
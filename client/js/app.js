@@ -14,6 +14,9 @@
     
     // Initialize game manager
     game.init();
+    spectator.init();
+    replay.init();
+    fairness.init();
     
     // Bind UI events
     bindEvents();
@@ -27,6 +30,12 @@
       }
       // Check URL for room code after connection
       game.checkUrlForRoom();
+      // Or for a shared replay
+      if (game.state.phase === 'lobby') {
+        replay.checkUrl();
+      }
+      // (Re)subscribe to the public lobby list - subscriptions don't survive reconnects
+      socketHandler.subscribePublicLobbies();
     });
     
     // Load and display saved user ID
@@ -51,6 +60,72 @@
       game.joinLobby();
     });
 
+    ui.elements.createBotLobbyBtn.addEventListener('click', () => {
+      game.createBotLobby();
+    });
+
+    ui.elements.spectateLobbyBtn.addEventListener('click', () => {
+      spectator.spectate();
+    });
+
+    ui.elements.stopSpectatingBtn.addEventListener('click', () => {
+      spectator.stop();
+    });
+
+    ui.elements.findMatchBtn.addEventListener('click', () => {
+      game.findMatch();
+    });
+
+    ui.elements.cancelMatchBtn.addEventListener('click', () => {
+      game.cancelMatch();
+    });
+
+    // Match history
+    ui.elements.historyLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      matchHistory.open();
+    });
+
+    ui.elements.historyMoreBtn.addEventListener('click', () => {
+      matchHistory.loadMore();
+    });
+
+    ui.elements.historyBackBtn.addEventListener('click', () => {
+      matchHistory.close();
+    });
+
+    // Leaderboard
+    ui.elements.leaderboardLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      leaderboard.open();
+    });
+
+    [ui.elements.leaderboardRuleSet, ui.elements.leaderboardWindow, ui.elements.leaderboardMinGames].forEach(control => {
+      control.addEventListener('change', () => leaderboard.onFiltersChanged());
+    });
+
+    ui.elements.leaderboardPrevBtn.addEventListener('click', () => {
+      leaderboard.changePage(-1);
+    });
+
+    ui.elements.leaderboardNextBtn.addEventListener('click', () => {
+      leaderboard.changePage(1);
+    });
+
+    ui.elements.leaderboardBackBtn.addEventListener('click', () => {
+      leaderboard.close();
+    });
+
+    // Profile (statistics)
+    ui.elements.profileLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      profile.open();
+    });
+
+    ui.elements.profileBackBtn.addEventListener('click', () => {
+      profile.close();
+    });
+
     // Click on lobby code to copy
     ui.elements.lobbyCodeCopy.addEventListener('click', () => {
       ui.copyLobbyCode();
@@ -84,6 +159,11 @@
       e.target.value = e.target.value.toUpperCase();
     });
 
+    // Constructed hand confirmation
+    ui.elements.constructConfirmBtn.addEventListener('click', () => {
+      game.confirmHand();
+    });
+
     // Preview ready button
     ui.elements.previewReadyBtn.addEventListener('click', () => {
       game.previewReady();
@@ -108,11 +188,69 @@
       game.continueRound();
     });
 
-    // Play again
+    // Rematch vote
     ui.elements.playAgainBtn.addEventListener('click', () => {
       game.playAgain();
     });
 
+    // Back to lobby screen after the game
+    ui.elements.exitToMenuBtn.addEventListener('click', () => {
+      game.exitToMenu();
+    });
+
+    // Replay of the game that just ended
+    ui.elements.replayBtn.addEventListener('click', () => {
+      replay.openLast();
+    });
+
+    // Replay controls
+    ui.elements.replayPrevBtn.addEventListener('click', () => {
+      replay.go(-1);
+    });
+
+    ui.elements.replayNextBtn.addEventListener('click', () => {
+      replay.go(1);
+    });
+
+    ui.elements.replayShareBtn.addEventListener('click', () => {
+      replay.share();
+    });
+
+    ui.elements.replayCloseBtn.addEventListener('click', () => {
+      replay.close();
+    });
+
+    // Export of the game that just ended
+    ui.elements.copyNotationBtn.addEventListener('click', () => {
+      transfer.copyNotation();
+    });
+
+    ui.elements.downloadJsonBtn.addEventListener('click', () => {
+      transfer.downloadJson();
+    });
+
+    // Import screen
+    ui.elements.importLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      transfer.open();
+    });
+
+    ui.elements.importFile.addEventListener('change', () => {
+      transfer.loadFile(ui.elements.importFile.files[0]);
+    });
+
+    ui.elements.importSubmitBtn.addEventListener('click', () => {
+      transfer.submit();
+    });
+
+    ui.elements.importOpenBtn.addEventListener('click', () => {
+      transfer.openImported();
+    });
+
+    ui.elements.importBackBtn.addEventListener('click', () => {
+      transfer.close();
+    });
+
     // Theme toggle
     ui.elements.themeToggle.addEventListener('click', () => {
       ui.toggleTheme();
@@ -0,0 +1,163 @@
+/**
+ * Charts - Small DOM/SVG charts for the profile screen
+ * Each function returns a detached element; colors come from the theme's
+ * CSS variables so charts follow the light/dark theme.
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class ChartRenderer {
+  /**
+   * CSS color for a rule set card color name
+   */
+  cardColor(color) {
+    const vars = {
+      red: '--card-rock',
+      green: '--card-scissors',
+      blue: '--card-paper',
+      yellow: '--card-yellow',
+      purple: '--card-purple',
+      orange: '--card-orange',
+      teal: '--card-teal'
+    };
+    return vars[color] ? `var(${vars[color]})` : 'var(--text-muted)';
+  }
+
+  /**
+   * Create an SVG element with attributes
+   */
+  svg(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  }
+
+  /**
+   * Horizontal bars, one per row
+   * @param {Array} rows - { label, value (0..max), text, color }
+   * @param {number} max - Value of a full-width bar
+   * @returns {HTMLElement} Chart
+   */
+  barChart(rows, max) {
+    const chart = document.createElement('div');
+    chart.className = 'chart-bars';
+
+    rows.forEach(row => {
+      const label = document.createElement('span');
+      label.className = 'chart-bar-label';
+      label.textContent = row.label;
+
+      const track = document.createElement('div');
+      track.className = 'chart-bar-track';
+      const bar = document.createElement('div');
+      bar.className = 'chart-bar';
+      bar.style.width = `${max > 0 ? Math.min(100, (row.value / max) * 100) : 0}%`;
+      bar.style.background = row.color || 'var(--accent-primary)';
+      track.appendChild(bar);
+
+      const value = document.createElement('span');
+      value.className = 'chart-bar-value';
+      value.textContent = row.text;
+
+      chart.append(label, track, value);
+    });
+
+    return chart;
+  }
+
+  /**
+   * One bar split into colored segments (e.g. helped / neutral / hurt)
+   * @param {Array} segments - { label, value, color }
+   * @returns {HTMLElement} Chart with a legend
+   */
+  stackedBar(segments) {
+    const total = segments.reduce((sum, s) => sum + s.value, 0);
+    const chart = document.createElement('div');
+
+    const width = 300;
+    const height = 24;
+    const svg = this.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-stacked' });
+    let x = 0;
+    segments.forEach(segment => {
+      if (total === 0 || segment.value === 0) return;
+      const segmentWidth = (segment.value / total) * width;
+      const rect = this.svg('rect', { x, y: 0, width: segmentWidth, height, rx: 4 });
+      rect.style.fill = segment.color;
+      const title = this.svg('title');
+      title.textContent = `${segment.label}: ${segment.value}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+      x += segmentWidth;
+    });
+    if (total === 0) {
+      const rect = this.svg('rect', { x: 0, y: 0, width, height, rx: 4 });
+      rect.style.fill = 'var(--bg-dark)';
+      svg.appendChild(rect);
+    }
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    segments.forEach(segment => {
+      const item = document.createElement('span');
+      const swatch = document.createElement('i');
+      swatch.style.background = segment.color;
+      item.append(swatch, `${segment.label}: ${segment.value}`);
+      legend.appendChild(item);
+    });
+
+    chart.append(svg, legend);
+    return chart;
+  }
+
+  /**
+   * Grid of cells shaded by value (rows x columns)
+   * @param {Array} rows - { label, color, values: [number per column] }
+   * @param {Array<string>} columns - Column labels
+   * @returns {SVGElement} Heatmap; shading is relative to each column's total
+   */
+  heatmap(rows, columns) {
+    const labelWidth = 40;
+    const cell = 36;
+    const gap = 4;
+    const headerHeight = 18;
+    const width = labelWidth + columns.length * (cell + gap);
+    const height = headerHeight + rows.length * (cell + gap);
+    const svg = this.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-heatmap' });
+
+    const columnTotals = columns.map((c, col) => rows.reduce((sum, row) => sum + (row.values[col] || 0), 0));
+
+    columns.forEach((column, col) => {
+      const text = this.svg('text', {
+        x: labelWidth + col * (cell + gap) + cell / 2,
+        y: headerHeight - 5,
+        'text-anchor': 'middle',
+        class: 'chart-heatmap-text'
+      });
+      text.textContent = column;
+      svg.appendChild(text);
+    });
+
+    rows.forEach((row, rowIndex) => {
+      const y = headerHeight + rowIndex * (cell + gap);
+      const label = this.svg('text', { x: labelWidth / 2, y: y + cell / 2 + 6, 'text-anchor': 'middle', 'font-size': 18 });
+      label.textContent = row.label;
+      svg.appendChild(label);
+
+      columns.forEach((column, col) => {
+        const value = row.values[col] || 0;
+        const share = columnTotals[col] > 0 ? value / columnTotals[col] : 0;
+        const rect = this.svg('rect', { x: labelWidth + col * (cell + gap), y, width: cell, height: cell, rx: 6 });
+        rect.style.fill = row.color;
+        rect.style.opacity = 0.1 + share * 0.9;
+        const title = this.svg('title');
+        title.textContent = `${column}: ${value} (${Math.round(share * 100)}%)`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+      });
+    });
+
+    return svg;
+  }
+}
+
+// Global chart renderer
+window.charts = new ChartRenderer();
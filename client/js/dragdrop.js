@@ -15,7 +15,7 @@ class DragDropManager {
    * Initialize drag and drop for sequence setup
    */
   init(cards, onSequenceChange) {
-    this.sequence = new Array(6).fill(null);
+    this.sequence = new Array(cards.length).fill(null);
     this.onSequenceChange = onSequenceChange;
     
     this.setupSlots();
@@ -284,7 +284,7 @@ class DragDropManager {
    * Clear the sequence
    */
   clear() {
-    this.sequence = new Array(6).fill(null);
+    this.sequence = new Array(this.sequence.length).fill(null);
     this.slots.forEach(slot => {
       slot.classList.remove('filled');
       const card = slot.querySelector('.card');
@@ -0,0 +1,223 @@
+/**
+ * Fairness Verifier
+ * Checks every deal this client plays (see server/game/fairDeal.js for the
+ * algorithm). Before the deal the server publishes the hash of its secret
+ * seed and this client answers with a random seed of its own; at gameEnd
+ * the server seed is revealed, and both hands are dealt again here and
+ * compared with what the preview showed (all of the opponent's hand, part
+ * of it or nothing, depending on the lobby's preview visibility).
+ */
+class FairnessVerifier {
+  constructor() {
+    this.commitment = null;
+    this.seed = null; // Seed this client sent for the current deal
+    this.settings = null;
+    this.hands = null; // { mine, opponent, opponentCounts } as shown in the preview
+  }
+
+  /**
+   * Initialize fairness verifier
+   */
+  init() {
+    socketHandler
+      .on('dealCommitment', (data) => this.onDealCommitment(data))
+      .on('cardsPreview', (data) => this.onCardsPreview(data))
+      .on('gameEnd', (data) => this.onGameEnd(data));
+  }
+
+  /**
+   * Remember the commitment and contribute a seed
+   */
+  onDealCommitment(data) {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+
+    this.commitment = data.commitment;
+    this.seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    this.hands = null;
+    socketHandler.sendClientSeed(this.seed);
+  }
+
+  /**
+   * Remember the dealt hands
+   */
+  onCardsPreview(data) {
+    this.settings = game.state.settings;
+    this.hands = { mine: data.yourCards, opponent: data.opponentCards, opponentCounts: data.opponentCounts };
+  }
+
+  /**
+   * Check the revealed seeds against the commitment and the preview
+   */
+  async onGameEnd(data) {
+    const { fairness } = data;
+    if (!fairness || !this.hands || fairness.commitment !== this.commitment) return;
+
+    const hands = this.hands;
+    const ownSeed = this.seed;
+    this.hands = null;
+
+    if (!window.crypto || !crypto.subtle) {
+      ui.showDealCheck('🔒 Проверка раздачи недоступна без HTTPS', null);
+      return;
+    }
+
+    try {
+      const verdict = await this.verify(fairness, hands, ownSeed);
+      ui.showDealCheck(verdict.message, verdict.ok);
+    } catch (error) {
+      ui.showDealCheck('Не удалось проверить раздачу', null);
+    }
+  }
+
+  /**
+   * Redo the deal from the revealed seeds
+   * @returns {Promise<Object>} { ok, message }
+   */
+  async verify(fairness, hands, ownSeed) {
+    const { serverSeed, playerOrder, clientSeeds } = fairness;
+    const myIndex = playerOrder.indexOf(game.state.playerId);
+
+    if (await this.sha256Hex(serverSeed) !== fairness.commitment) {
+      return { ok: false, message: '⚠ Сид сервера не совпадает с обещанным до раздачи' };
+    }
+    if (myIndex === -1) {
+      return { ok: false, message: '⚠ Раздача не сходится' };
+    }
+
+    const seeds = playerOrder.map(id => clientSeeds[id] || '');
+    const dealSeed = await this.sha256Hex([serverSeed, ...seeds].join(':'));
+    const dealt = await this.dealHands(dealSeed, this.settings, playerOrder.length);
+
+    if (!this.sameCards(dealt[myIndex], hands.mine) || !this.matchesPreview(dealt[1 - myIndex], hands)) {
+      return { ok: false, message: '⚠ Раздача не сходится с сидами' };
+    }
+    if (seeds[myIndex] !== ownSeed) {
+      return { ok: true, message: '🔒 Раздача проверена, но ваш сид не успел к ней' };
+    }
+    return { ok: true, message: '🔒 Раздача проверена' };
+  }
+
+  /**
+   * Same cards in the same order
+   */
+  sameCards(a, b) {
+    return a.length === b.length && a.every((card, i) => card.id === b[i].id && card.type === b[i].type);
+  }
+
+  /**
+   * Check the opponent's dealt hand against whatever part of it the preview showed
+   */
+  matchesPreview(hand, { opponent, opponentCounts }) {
+    if (opponent && opponent.length === hand.length) {
+      return this.sameCards(hand, opponent);
+    }
+    if (opponent) {
+      return opponent.every(shown => hand.some(card => card.id === shown.id && card.type === shown.type));
+    }
+    if (opponentCounts) {
+      const types = new Set([...hand.map(card => card.type), ...Object.keys(opponentCounts)]);
+      return [...types].every(type => hand.filter(card => card.type === type).length === (opponentCounts[type] || 0));
+    }
+    return true;
+  }
+
+  // ==================== Deal ====================
+
+  /**
+   * SHA-256 of a string as hex
+   */
+  async sha256Hex(text) {
+    const digest = await this.sha256(text);
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * SHA-256 of a string as bytes
+   */
+  async sha256(text) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return new Uint8Array(buffer);
+  }
+
+  /**
+   * Deal every hand the way the server does
+   * @param {string} dealSeed - Combined seed
+   * @param {Object} settings - Game settings (cardsPerPlayer, ruleSet, specialCards)
+   * @param {number} count - Number of players
+   * @returns {Promise<Array<Array>>} Hands in player order
+   */
+  async dealHands(dealSeed, settings, count) {
+    const { ruleSet } = settings;
+    const stream = this.createStream(dealSeed);
+
+    const hands = [];
+    for (let p = 0; p < count; p++) {
+      const deck = this.createFullDeck(ruleSet, settings.specialCards || {});
+
+      for (let i = deck.length - 1; i > 0; i--) {
+        const j = await stream.nextInt(i + 1);
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+      }
+      hands.push(deck.slice(0, settings.cardsPerPlayer));
+    }
+    return hands;
+  }
+
+  /**
+   * Full deck of a rule set, special cards after the regular ones (as Deck.createFullDeck)
+   */
+  createFullDeck(ruleSet, specialCards) {
+    const deck = [];
+    let cardId = 0;
+    ruleSet.types.forEach(({ type, color }) => {
+      for (let i = 0; i < ruleSet.cardsPerType; i++) {
+        deck.push({ id: `${type}-${cardId++}`, type, color, index: i });
+      }
+    });
+
+    ['joker', 'mirror', 'double', 'shield'].forEach(special => {
+      for (let i = 0; i < (specialCards[special] || 0); i++) {
+        const base = ui.specialCards[special].ownType
+          ? { type: special, color: 'special' }
+          : ruleSet.types[i % ruleSet.types.length];
+        deck.push({ id: `${base.type}-${cardId++}`, type: base.type, color: base.color, index: i, special });
+      }
+    });
+    return deck;
+  }
+
+  /**
+   * Random integers from sha256(seed + ':' + block), eight words per block
+   */
+  createStream(seed) {
+    const range = 0x100000000;
+    let block = 0;
+    const words = [];
+
+    const nextUint32 = async () => {
+      if (words.length === 0) {
+        const bytes = await this.sha256(`${seed}:${block++}`);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < 8; i++) {
+          words.push(view.getUint32(i * 4));
+        }
+      }
+      return words.shift();
+    };
+
+    return {
+      async nextInt(max) {
+        const limit = range - (range % max);
+        let value;
+        do {
+          value = await nextUint32();
+        } while (value >= limit);
+        return value % max;
+      }
+    };
+  }
+}
+
+// Global fairness verifier
+window.fairness = new FairnessVerifier();
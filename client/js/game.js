@@ -10,6 +10,12 @@ class GameManager {
       playerName: '',
       opponentName: '',
       lobbyId: null,
+      settings: null,
+      series: null,
+      draft: null, // { pool, picks, picker, picksPerPlayer } during a draft
+      construct: null, // { deck, selected: Set of card IDs, confirmed, opponentChosen } while choosing a hand
+      tiebreak: null, // { hand, picked } during a sudden-death round
+      roundModifier: null, // { id, type } of the current round (see server/game/roundModifiers.js)
       hand: [],
       sequence: [],
       currentRound: 0,
@@ -23,8 +29,12 @@ class GameManager {
       selectedCardIndex: null
     };
     
+    this.maxDraftTime = 15;
+    this.maxConstructTime = 45;
     this.maxSequenceTime = 60;
     this.maxSwapTime = 20;
+    this.maxTiebreakTime = 10;
+    this.publicLobbies = new Map(); // lobbyId -> public list entry
   }
 
   /**
@@ -32,6 +42,9 @@ class GameManager {
    */
   init() {
     this.bindSocketEvents();
+    
+    // Keep "N min ago" in the public lobby list current
+    setInterval(() => this.renderPublicLobbies(), 30000);
   }
 
   /**
@@ -42,6 +55,13 @@ class GameManager {
       .on('lobbyCreated', (data) => this.onLobbyCreated(data))
       .on('lobbyJoined', (data) => this.onLobbyJoined(data))
       .on('playerJoined', (data) => this.onPlayerJoined(data))
+      .on('draftStart', (data) => this.onDraftStart(data))
+      .on('draftPick', (data) => this.onDraftPick(data))
+      .on('draftTimerUpdate', (data) => ui.updateTimer('draft-timer', data.remaining, this.maxDraftTime))
+      .on('constructStart', (data) => this.onConstructStart(data))
+      .on('handConfirmed', (data) => this.onHandConfirmed(data))
+      .on('opponentHandChosen', () => this.onOpponentHandChosen())
+      .on('constructTimerUpdate', (data) => ui.updateTimer('construct-timer', data.remaining, this.maxConstructTime))
       .on('cardsPreview', (data) => this.onCardsPreview(data))
       .on('previewTimerUpdate', (data) => this.onPreviewTimerUpdate(data))
       .on('opponentPreviewReady', () => this.onOpponentPreviewReady())
@@ -53,6 +73,9 @@ class GameManager {
       .on('swapError', (data) => this.onSwapError(data))
       .on('skipConfirmed', () => this.onSkipConfirmed())
       .on('opponentSwapped', () => this.onOpponentSwapped())
+      .on('tiebreakStart', (data) => this.onTiebreakStart(data))
+      .on('tiebreakPicked', (data) => this.onTiebreakPicked(data))
+      .on('opponentTiebreakPicked', () => ui.showToast('Соперник выбрал карту'))
       .on('roundResult', (data) => this.onRoundResult(data))
       .on('continueCountdown', (data) => this.onContinueCountdown(data))
       .on('opponentContinued', () => this.onOpponentContinued())
@@ -62,6 +85,23 @@ class GameManager {
       .on('opponentLeft', (data) => this.onOpponentLeft(data))
       .on('reconnected', (data) => this.onReconnected(data))
       .on('gameResumed', (data) => this.onGameResumed(data))
+      .on('opponentAutopilot', (data) => this.onOpponentAutopilot(data))
+      .on('autopilotSummary', (data) => this.onAutopilotSummary(data))
+      .on('rematchState', (data) => this.onRematchState(data))
+      .on('rematchStart', () => this.onRematchStart())
+      .on('rematchExpired', (data) => this.onRematchClosed(data))
+      .on('rematchDeclined', (data) => this.onRematchClosed(data))
+      .on('seriesState', (data) => this.onSeriesState(data))
+      .on('matchQueueUpdate', (data) => this.onMatchQueueUpdate(data))
+      .on('matchCancelled', () => this.onMatchCancelled())
+      .on('spectatorCount', (data) => ui.updateSpectatorCount(data.count))
+      .on('publicLobbies', (data) => this.onPublicLobbies(data))
+      .on('publicLobbyAdded', (data) => this.onPublicLobbyAdded(data))
+      .on('publicLobbyRemoved', (data) => this.onPublicLobbyRemoved(data))
+      .on('seriesGameEnd', (data) => this.onSeriesGameEnd(data))
+      .on('seriesEnd', (data) => this.onSeriesEnd(data))
+      .on('seriesAborted', (data) => this.onSeriesAborted(data))
+      .on('ratingUpdate', (data) => this.onRatingUpdate(data))
       .on('error', (data) => this.onError(data));
   }
 
@@ -72,7 +112,107 @@ class GameManager {
     if (!ui.validatePlayerName()) return;
     
     this.state.playerName = ui.getPlayerName();
-    socketHandler.createLobby(this.state.playerName);
+    socketHandler.createLobby(this.state.playerName, ui.getGameSettings(), ui.getCreatePublicLobby());
+  }
+
+  /**
+   * Start a single-player game against the server bot
+   */
+  createBotLobby() {
+    if (!ui.validatePlayerName()) return;
+    
+    this.state.playerName = ui.getPlayerName();
+    socketHandler.createBotLobby(this.state.playerName, ui.getGameSettings(), ui.getBotDifficulty());
+  }
+
+  /**
+   * Look for a random opponent (quick match)
+   */
+  findMatch() {
+    if (!ui.validatePlayerName()) return;
+    
+    this.state.playerName = ui.getPlayerName();
+    socketHandler.findMatch(this.state.playerName, ui.getGameSettings(), ui.getMatchStrictSettings());
+    ui.showMatchmaking();
+  }
+
+  /**
+   * Stop looking for an opponent
+   */
+  cancelMatch() {
+    socketHandler.cancelMatch();
+  }
+
+  /**
+   * Handle queue position / estimated wait update
+   */
+  onMatchQueueUpdate(data) {
+    ui.updateMatchQueueStatus(data);
+  }
+
+  /**
+   * Handle leaving the queue
+   */
+  onMatchCancelled() {
+    ui.hideMatchmaking();
+  }
+
+  // ==================== Public Lobbies ====================
+
+  /**
+   * Handle the full public lobby list (sent on subscribe)
+   */
+  onPublicLobbies(data) {
+    this.publicLobbies.clear();
+    data.lobbies.forEach(lobby => this.storePublicLobby(lobby));
+    this.renderPublicLobbies();
+  }
+
+  /**
+   * Handle a lobby appearing in (or changing in) the public list
+   */
+  onPublicLobbyAdded(lobby) {
+    this.storePublicLobby(lobby);
+    this.renderPublicLobbies();
+  }
+
+  /**
+   * Handle a lobby leaving the public list (filled, started or closed)
+   */
+  onPublicLobbyRemoved(data) {
+    this.publicLobbies.delete(data.lobbyId);
+    this.renderPublicLobbies();
+  }
+
+  /**
+   * Keep a public lobby, converting its age to a local creation time
+   * so the client clock doesn't have to match the server's
+   */
+  storePublicLobby(lobby) {
+    this.publicLobbies.set(lobby.lobbyId, {
+      ...lobby,
+      createdAt: Date.now() - lobby.age * 1000
+    });
+  }
+
+  /**
+   * Show public lobbies, newest first, without our own waiting lobby
+   */
+  renderPublicLobbies() {
+    const lobbies = Array.from(this.publicLobbies.values())
+      .filter(lobby => lobby.lobbyId !== this.state.lobbyId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    ui.renderPublicLobbies(lobbies, (lobbyId) => this.joinPublicLobby(lobbyId));
+  }
+
+  /**
+   * Join a lobby from the public list
+   */
+  joinPublicLobby(lobbyId) {
+    if (!ui.validatePlayerName()) return;
+    
+    this.state.playerName = ui.getPlayerName();
+    socketHandler.joinLobby(lobbyId, this.state.playerName);
   }
 
   /**
@@ -97,6 +237,7 @@ class GameManager {
   onLobbyCreated(data) {
     this.state.lobbyId = data.lobbyId;
     this.state.playerId = data.playerId;
+    this.applySettings(data.settings);
     this.joinedFromUrl = false;
     
     // Add room ID to URL for sharing
@@ -111,9 +252,11 @@ class GameManager {
    * Handle lobby joined event
    */
   onLobbyJoined(data) {
+    ui.hideMatchmaking();
     this.state.lobbyId = data.lobbyId;
     this.state.playerId = data.playerId;
     this.state.opponentName = data.opponentName;
+    this.applySettings(data.settings);
     this.joinedFromUrl = false;
     
     // Add room ID to URL
@@ -122,7 +265,39 @@ class GameManager {
     ui.showUserId(data.playerId);
     ui.showRoomId(data.lobbyId);
     
-    ui.showToast(`Подключились к игре против ${data.opponentName}`);
+    const settingsText = data.settings ? ` (${ui.formatGameSettings(data.settings)})` : '';
+    const opponent = ui.formatPlayerName(data.opponentName, data.opponentRating);
+    ui.showToast(`Подключились к игре против ${opponent}${settingsText}`, 5000);
+  }
+
+  /**
+   * Store lobby settings and apply them to the UI
+   */
+  applySettings(settings) {
+    if (!settings) return;
+    this.state.settings = settings;
+    ui.applyGameSettings(settings);
+  }
+
+  /**
+   * Number of cards each player holds in the current lobby
+   */
+  getCardsPerPlayer() {
+    return this.state.settings ? this.state.settings.cardsPerPlayer : 6;
+  }
+
+  /**
+   * Number of rounds in the current lobby
+   */
+  getTotalRounds() {
+    return this.state.settings ? this.state.settings.totalRounds : 6;
+  }
+
+  /**
+   * Check whether the current round's modifier allows swaps
+   */
+  canSwapThisRound() {
+    return !this.state.roundModifier || this.state.roundModifier.id !== 'noSwaps';
   }
 
   /**
@@ -131,11 +306,139 @@ class GameManager {
   onPlayerJoined(data) {
     this.state.opponentName = data.opponentName;
     ui.hideWaiting();
-    ui.showToast(`${data.opponentName} присоединился!`);
+    ui.showToast(`${ui.formatPlayerName(data.opponentName, data.opponentRating)} присоединился!`);
+  }
+
+  /**
+   * Handle the start of a draft (draft mode replaces the deal and preview)
+   */
+  onDraftStart(data) {
+    const { pool, picks, picker, picksPerPlayer, timeLimit } = data;
+    this.state.phase = 'draft';
+    this.state.draft = { pool, picks, picker, picksPerPlayer };
+    this.state.hand = [];
+    this.maxDraftTime = timeLimit;
+    
+    ui.setupDraftScreen(this.state.playerName, this.state.opponentName);
+    this.renderDraft();
+    ui.updateTimer('draft-timer', timeLimit, this.maxDraftTime);
+    ui.showScreen('draft');
+  }
+
+  /**
+   * Handle a card taken from the pool by either player
+   */
+  onDraftPick(data) {
+    const draft = this.state.draft;
+    if (!draft) return;
+    
+    draft.pool = draft.pool.filter(card => card.id !== data.card.id);
+    draft.picks[data.playerId].push(data.card);
+    draft.picker = data.picker;
+    this.renderDraft();
+    
+    if (data.picker) {
+      ui.updateTimer('draft-timer', data.timeLimit, this.maxDraftTime);
+    }
+    if (data.auto && data.playerId === this.state.playerId) {
+      ui.showToast('Время вышло — карта взята автоматически');
+    }
+  }
+
+  /**
+   * Draw the draft from state
+   */
+  renderDraft() {
+    ui.renderDraft(this.state.draft, this.state.playerId, this.state.opponentName, (cardId) => this.pickDraftCard(cardId));
+  }
+
+  /**
+   * Take a card from the pool
+   */
+  pickDraftCard(cardId) {
+    if (!this.state.draft || this.state.draft.picker !== this.state.playerId) return;
+    socketHandler.draftPick(cardId);
+  }
+
+  /**
+   * Handle the start of hand construction (constructed mode replaces the deal)
+   */
+  onConstructStart(data) {
+    this.state.phase = 'construct';
+    this.state.construct = { deck: data.deck, selected: new Set(), confirmed: false, opponentChosen: false };
+    this.state.hand = [];
+    this.maxConstructTime = data.timeLimit;
+    
+    this.renderConstruct();
+    ui.updateTimer('construct-timer', data.timeLimit, this.maxConstructTime);
+    ui.showScreen('construct');
+  }
+
+  /**
+   * Handle the server locking in this player's hand
+   */
+  onHandConfirmed(data) {
+    const construct = this.state.construct;
+    if (!construct) return;
+    
+    // On a timeout the server picks the hand, so take its word for the cards
+    if (!construct.confirmed) {
+      ui.showToast('Время вышло — рука собрана автоматически');
+    }
+    construct.selected = new Set(data.hand.map(card => card.id));
+    construct.confirmed = true;
+    this.state.hand = data.hand;
+    this.renderConstruct();
+  }
+
+  /**
+   * Handle the opponent locking in their hand
+   */
+  onOpponentHandChosen() {
+    if (!this.state.construct) return;
+    this.state.construct.opponentChosen = true;
+    this.renderConstruct();
+  }
+
+  /**
+   * Draw hand construction from state
+   */
+  renderConstruct() {
+    ui.renderConstruct(this.state.construct, (cardId) => this.toggleConstructCard(cardId));
+  }
+
+  /**
+   * Add a card to the hand being built, or take it back out
+   */
+  toggleConstructCard(cardId) {
+    const construct = this.state.construct;
+    if (!construct || construct.confirmed) return;
+    
+    if (construct.selected.has(cardId)) {
+      construct.selected.delete(cardId);
+    } else if (construct.selected.size < this.getCardsPerPlayer()) {
+      construct.selected.add(cardId);
+    }
+    this.renderConstruct();
+  }
+
+  /**
+   * Send the chosen hand
+   */
+  confirmHand() {
+    const construct = this.state.construct;
+    if (!construct || construct.confirmed) return;
+    
+    // Keep deck order so the hand reads the same way it was shown
+    const cardIds = construct.deck.filter(card => construct.selected.has(card.id)).map(card => card.id);
+    construct.confirmed = true;
+    socketHandler.constructHand(cardIds);
+    this.renderConstruct();
   }
 
   /**
-   * Handle cards preview event (both players see each other's cards)
+   * Handle cards preview event (own hand, and as much of the opponent's
+   * as the lobby's preview visibility allows)
    */
   onCardsPreview(data) {
     this.state.phase = 'preview';
@@ -152,7 +455,7 @@ class GameManager {
       this.state.playerName, 
       this.state.opponentName, 
       data.yourCards, 
-      data.opponentCards
+      { cards: data.opponentCards, counts: data.opponentCounts, count: data.opponentCardCount }
     );
     ui.updateTimer('preview-timer', data.timeLimit, this.maxPreviewTime);
     ui.showScreen('preview');
@@ -185,6 +488,8 @@ class GameManager {
    */
   onGameStart(data) {
     this.state.phase = 'sequence';
+    this.state.draft = null;
+    this.state.construct = null;
     // Use hand from preview if available, otherwise from this event
     const hand = this.state.hand && this.state.hand.length > 0 ? this.state.hand : data.hand;
     this.state.hand = hand;
@@ -194,15 +499,16 @@ class GameManager {
     this.state.sequenceTimer = data.timeLimit;
     this.maxSequenceTime = data.timeLimit;
     // Reset swaps for new game
-    this.state.swapsRemaining = 3;
-    this.state.opponentSwapsRemaining = 3;
+    const maxSwaps = this.state.settings ? this.state.settings.maxSwapsPerGame : 3;
+    this.state.swapsRemaining = maxSwaps;
+    this.state.opponentSwapsRemaining = maxSwaps;
     
     // Clear played cards for new game
     ui.clearOpponentPlayedCards();
     ui.clearPlayerPlayedCards();
     
     // Set up sequence screen
-    ui.createSequenceSlots(6);
+    ui.createSequenceSlots(hand.length);
     ui.renderHandCards(hand);
     ui.updateTimer('sequence-timer', data.timeLimit, this.maxSequenceTime);
     ui.showScreen('sequence');
@@ -230,13 +536,13 @@ class GameManager {
     
     const sequence = dragDrop.getSequence();
     
-    // Convert to full card objects
+    // Keep full card objects locally; the server only needs the order of IDs
     const fullSequence = sequence.map(card => {
       return this.state.hand.find(h => h.id === card.id);
     });
     
     this.state.sequence = fullSequence;
-    socketHandler.setSequence(fullSequence);
+    socketHandler.setSequence(fullSequence.map(card => card.id));
   }
 
   /**
@@ -254,6 +560,7 @@ class GameManager {
   onRoundStart(data) {
     this.state.phase = 'swap';
     this.state.currentRound = data.round;
+    this.state.roundModifier = data.modifier || null;
     this.maxSwapTime = data.swapTimeLimit;
     
     // Hide the round result overlay if visible
@@ -268,13 +575,20 @@ class GameManager {
     ui.updateRound(data.round);
     // Show all remaining cards (including current round's card at index 0)
     ui.renderPlayerCards(this.state.sequence, 0);
-    ui.renderOpponentCards(6, data.round - 1);
+    ui.renderOpponentCards(this.getCardsPerPlayer(), data.round - 1);
     // Show current round's card in battle area
     const currentCard = this.state.sequence[0];
     ui.resetBattleCards(currentCard);
     ui.setActionsEnabled(this.state.swapsRemaining > 0);
     ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
-    ui.updateSwapButtonState(this.state.swapsRemaining);
+    ui.updateSwapButtonState(this.canSwapThisRound() ? this.state.swapsRemaining : 0);
+    
+    // Announce the modifier before anyone swaps
+    ui.showRoundModifier(this.state.roundModifier);
+    if (this.state.roundModifier) {
+      const { description } = ui.roundModifiers[this.state.roundModifier.id];
+      ui.showToast(`${ui.formatModifier(this.state.roundModifier)} — ${description}`);
+    }
     
     this.state.swapMode = false;
     this.state.selectedCardIndex = null;
@@ -288,6 +602,8 @@ class GameManager {
       ui.updateTimer('sequence-timer', data.remaining, this.maxSequenceTime);
     } else if (this.state.phase === 'swap') {
       ui.updateTimer('game-timer', data.remaining, this.maxSwapTime);
+    } else if (this.state.phase === 'tiebreak') {
+      ui.updateTimer('game-timer', data.remaining, this.maxTiebreakTime);
     }
   }
 
@@ -299,6 +615,10 @@ class GameManager {
       ui.showToast('Свапы закончились');
       return;
     }
+    if (!this.canSwapThisRound()) {
+      ui.showToast('В этом раунде свапы запрещены');
+      return;
+    }
     
     this.state.swapMode = true;
     ui.showToast('Выберите карту для обмена');
@@ -397,13 +717,14 @@ class GameManager {
     this.state.sequence = data.sequence;
     this.state.swapsRemaining = data.swapsRemaining;
     
-    // Render cards - all are remaining so no used cards
-    ui.renderPlayerCards(this.state.sequence, 0);
+    // Render remaining cards, keeping already played ones visible
+    ui.renderPlayerCards(this.state.sequence, 0, true);
     // Update battle card to show new current card
     ui.updatePlayerBattleCard(this.state.sequence[0]);
     ui.updateSwaps(this.state.swapsRemaining);
-    ui.updateSwapButtonState(this.state.swapsRemaining);
-    ui.setActionsEnabled(false);
+    // Per-round limit may allow another swap before the round resolves
+    ui.setActionsEnabled(data.canSwapAgain);
+    ui.updateSwapButtonState(data.canSwapAgain ? this.state.swapsRemaining : 0);
     ui.showToast('Свап выполнен!');
   }
 
@@ -431,6 +752,62 @@ class GameManager {
     ui.showToast('Соперник сделал свап');
   }
 
+  // ==================== Tiebreak ====================
+
+  /**
+   * Handle the start of a sudden-death round
+   */
+  onTiebreakStart(data) {
+    this.state.phase = 'tiebreak';
+    this.state.currentRound = data.round;
+    this.state.tiebreak = { hand: data.hand, picked: null };
+    this.state.roundModifier = null;
+    this.maxTiebreakTime = data.timeLimit;
+    
+    ui.hideRoundResult();
+    if (ui.currentScreen !== 'game') {
+      ui.setupGameScreen(this.state.playerName, this.state.opponentName);
+      ui.showScreen('game');
+    }
+    
+    ui.updateRound(data.round);
+    ui.showRoundModifier(null);
+    ui.resetBattleCards();
+    ui.setActionsEnabled(false);
+    this.renderTiebreak();
+    ui.showToast('Ничья! Тай-брейк: выберите одну карту');
+  }
+
+  /**
+   * Handle the server confirming this player's tiebreak card
+   */
+  onTiebreakPicked(data) {
+    if (!this.state.tiebreak) return;
+    
+    this.state.tiebreak.picked = data.card;
+    this.renderTiebreak();
+    ui.updatePlayerBattleCard(data.card);
+    if (data.auto) {
+      ui.showToast('Время вышло - карта выбрана случайно');
+    }
+  }
+
+  /**
+   * Draw the tiebreak hand, clickable until a card is picked
+   */
+  renderTiebreak() {
+    const { hand, picked } = this.state.tiebreak;
+    ui.renderTiebreakHand(hand, picked, picked ? null : (cardId) => this.pickTiebreakCard(cardId));
+  }
+
+  /**
+   * Pick a tiebreak card
+   */
+  pickTiebreakCard(cardId) {
+    if (this.state.phase !== 'tiebreak') return;
+    socketHandler.tiebreakPick(cardId);
+  }
+
   /**
    * Handle round result
    */
@@ -445,9 +822,14 @@ class GameManager {
     // Update swap displays for both players
     ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
     
-    // Track played cards
-    ui.addOpponentPlayedCard(data.opponentCard);
-    ui.addPlayerPlayedCard(data.yourCard);
+    // Track played cards (tiebreak cards come from a separate hand)
+    if (data.tiebreak) {
+      const hand = this.state.tiebreak ? this.state.tiebreak.hand : [];
+      this.state.tiebreak = { hand: hand.filter(card => card.id !== data.yourCard.id), picked: null };
+    } else {
+      ui.addOpponentPlayedCard(data.opponentCard);
+      ui.addPlayerPlayedCard(data.yourCard);
+    }
     
     // Determine winner type
     let winner = null;
@@ -460,8 +842,12 @@ class GameManager {
     ui.updateScores(data.yourScore, data.opponentScore);
     
     // Update cards display to show revealed/played cards
-    ui.renderOpponentCards(6, data.round);
-    ui.renderPlayerCards(this.state.sequence, 0, true);
+    ui.renderOpponentCards(this.getCardsPerPlayer(), data.round);
+    if (data.tiebreak) {
+      ui.renderTiebreakHand(this.state.tiebreak.hand, null, null);
+    } else {
+      ui.renderPlayerCards(this.state.sequence, 0, true);
+    }
     
     // Show result overlay
     let title, type;
@@ -477,6 +863,7 @@ class GameManager {
     }
     
     ui.showRoundResult(title, data.explanation, type, data.yourCard, data.opponentCard, this.state.playerName, this.state.opponentName);
+    ui.showRoundPoints(data.pointsReason);
   }
 
   /**
@@ -501,6 +888,98 @@ class GameManager {
     ui.showGameOver(data);
   }
 
+  /**
+   * Handle rating changes after a rated game
+   */
+  onRatingUpdate(data) {
+    const change = data.changes[this.state.playerId];
+    if (change) {
+      ui.showRatingChange(change);
+    }
+  }
+
+  /**
+   * Handle rematch votes/countdown update
+   */
+  onRematchState(data) {
+    ui.showRematchState(data, this.state.playerId);
+  }
+
+  /**
+   * Both players agreed - a new game (and series) follows
+   */
+  onRematchStart() {
+    this.state.series = null;
+    ui.hideSeriesIndicator();
+    ui.hideRematch();
+    this.resetForNextGame();
+  }
+
+  /**
+   * Handle series progress (sent before every game of a series)
+   */
+  onSeriesState(data) {
+    // Next game of the series - clear last game's board
+    if (this.state.phase === 'gameover') {
+      this.resetForNextGame();
+    }
+    this.state.series = data;
+    ui.updateSeriesIndicator(data, this.state.playerId);
+  }
+
+  /**
+   * Handle end of a game that doesn't decide the series yet
+   */
+  onSeriesGameEnd(data) {
+    this.state.series = data;
+    ui.showSeriesGameEnd(data, this.state.playerId);
+  }
+
+  /**
+   * Handle final series result
+   */
+  onSeriesEnd(data) {
+    this.state.series = data;
+    ui.showSeriesResult(data, this.state.playerId);
+  }
+
+  /**
+   * Handle series stopped because the opponent left
+   */
+  onSeriesAborted(data) {
+    ui.closeSeries(data.message);
+  }
+
+  /**
+   * Clear last game's state before a new game in the same lobby;
+   * cardsPreview (or draftStart / constructStart) follows
+   */
+  resetForNextGame() {
+    Object.assign(this.state, {
+      hand: [],
+      sequence: [],
+      currentRound: 0,
+      playerScore: 0,
+      opponentScore: 0,
+      tiebreak: null,
+      swapMode: false,
+      selectedCardIndex: null
+    });
+    
+    ui.hideSeriesStatus();
+    ui.hideRoundResult();
+    ui.resetBattleCards();
+    ui.updateScores(0, 0);
+    ui.updateRound(1);
+  }
+
+  /**
+   * Handle rematch offer ending without a new game
+   */
+  onRematchClosed(data) {
+    ui.closeRematch(data.message);
+  }
+
   /**
    * Handle opponent disconnected
    */
@@ -516,6 +995,21 @@ class GameManager {
     ui.showToast('Соперник переподключился');
   }
 
+  /**
+   * Handle autopilot taking over for the disconnected opponent
+   */
+  onOpponentAutopilot(data) {
+    ui.hideDisconnectOverlay();
+    ui.showToast(`${data.opponentName} отключился — за него играет компьютер`, 5000);
+  }
+
+  /**
+   * Handle summary of autopilot moves after reconnecting
+   */
+  onAutopilotSummary(data) {
+    ui.showToast(ui.formatAutopilotSummary(data, this.state.playerId), 10000);
+  }
+
   /**
    * Handle opponent left before game started
    */
@@ -542,6 +1036,12 @@ class GameManager {
         ui.updateTimer('sequence-timer', data.timeRemaining, this.maxSequenceTime);
       } else if (this.state.phase === 'preview') {
         ui.updateTimer('preview-timer', data.timeRemaining, this.maxPreviewTime || 10);
+      } else if (this.state.phase === 'draft') {
+        ui.updateTimer('draft-timer', data.timeRemaining, this.maxDraftTime);
+      } else if (this.state.phase === 'construct') {
+        ui.updateTimer('construct-timer', data.timeRemaining, this.maxConstructTime);
+      } else if (this.state.phase === 'tiebreak') {
+        ui.updateTimer('game-timer', data.timeRemaining, this.maxTiebreakTime);
       }
     }
     
@@ -549,6 +1049,13 @@ class GameManager {
     if (this.state.phase === 'swap') {
       ui.setActionsEnabled(this.state.swapsRemaining > 0);
     }
+    
+    // A hand sent during the pause was ignored - let the player send it again
+    const construct = this.state.construct;
+    if (this.state.phase === 'construct' && construct && construct.confirmed && this.state.hand.length === 0) {
+      construct.confirmed = false;
+      this.renderConstruct();
+    }
   }
 
   /**
@@ -571,17 +1078,29 @@ class GameManager {
     this.state.playerName = data.playerName || this.state.playerName;
     this.state.lobbyId = data.lobbyId || this.state.lobbyId;
     this.state.hand = data.hand || this.state.hand;
+    this.state.roundModifier = data.roundModifier || null;
+    this.applySettings(data.settings);
+    ui.showRoundModifier(this.state.roundModifier);
+    
+    const cardsPerPlayer = this.getCardsPerPlayer();
+    const timers = this.state.settings ? this.state.settings.timers : null;
+    this.maxPreviewTime = timers ? timers.preview : 30;
+    this.maxDraftTime = timers ? timers.draftPick : 15;
+    this.maxConstructTime = timers ? timers.construct : 45;
+    this.maxSequenceTime = timers ? timers.sequence : 60;
+    this.maxSwapTime = timers ? timers.swap : 20;
+    this.maxTiebreakTime = timers ? timers.tiebreak : 10;
     
     // Show IDs
     ui.showUserId(this.state.playerId);
     ui.showRoomId(this.state.lobbyId);
     
-    // Restore played cards from history
+    // Restore played cards from history (tiebreak cards aren't part of the sequence)
     ui.clearOpponentPlayedCards();
     ui.clearPlayerPlayedCards();
     if (data.roundHistory && data.roundHistory.length > 0) {
       const myPlayerId = this.state.playerId;
-      data.roundHistory.forEach(round => {
+      data.roundHistory.filter(round => !round.tiebreak).forEach(round => {
         // Find opponent's and player's cards
         Object.entries(round.cards).forEach(([playerId, card]) => {
           if (playerId === myPlayerId) {
@@ -594,15 +1113,33 @@ class GameManager {
     }
     
     // Restore appropriate screen based on phase
-    if (data.phase === 'preview') {
+    if (data.phase === 'draft' && data.draft) {
+      this.state.draft = data.draft;
+      this.state.hand = [];
+      ui.setupDraftScreen(this.state.playerName, this.state.opponentName);
+      this.renderDraft();
+      ui.updateTimer('draft-timer', data.timeRemaining, this.maxDraftTime);
+      ui.showScreen('draft');
+    } else if (data.phase === 'construct' && data.construct) {
+      const chosen = data.hand || [];
+      this.state.construct = {
+        deck: data.construct.deck,
+        selected: new Set(chosen.map(card => card.id)),
+        confirmed: data.isReady,
+        opponentChosen: data.opponentReady
+      };
+      this.renderConstruct();
+      ui.updateTimer('construct-timer', data.timeRemaining, this.maxConstructTime);
+      ui.showScreen('construct');
+    } else if (data.phase === 'preview') {
       // Restore preview screen
       this.state.opponentCards = data.opponentCards;
-      if (data.hand && data.opponentCards) {
+      if (data.hand) {
         ui.setupPreviewScreen(
           this.state.playerName, 
           this.state.opponentName, 
           data.hand, 
-          data.opponentCards
+          { cards: data.opponentCards, counts: data.opponentCounts, count: cardsPerPlayer }
         );
       }
       if (data.isReady) {
@@ -611,16 +1148,16 @@ class GameManager {
       if (data.opponentReady) {
         ui.showPreviewOpponentReady();
       }
-      ui.updateTimer('preview-timer', data.timeRemaining, 10);
+      ui.updateTimer('preview-timer', data.timeRemaining, this.maxPreviewTime);
       ui.showScreen('preview');
     } else if (data.phase === 'sequence') {
       // Restore sequence screen
-      ui.createSequenceSlots(6);
+      ui.createSequenceSlots(cardsPerPlayer);
       if (data.hand) {
         this.state.hand = data.hand;
       }
       
-      if (data.sequenceSet && data.yourSequence && data.yourSequence.length === 6) {
+      if (data.sequenceSet && data.yourSequence && data.yourSequence.length === cardsPerPlayer) {
         // Player already set their sequence - restore it and show waiting state
         this.state.sequence = data.yourSequence;
         
@@ -652,35 +1189,49 @@ class GameManager {
           dragDrop.init(data.hand, (sequence) => this.onSequenceChange(sequence));
         }
       }
-      ui.updateTimer('sequence-timer', data.timeRemaining, 60);
+      ui.updateTimer('sequence-timer', data.timeRemaining, this.maxSequenceTime);
       ui.showScreen('sequence');
     } else if (data.phase === 'swap' || data.phase === 'round_start') {
       ui.setupGameScreen(this.state.playerName, this.state.opponentName);
       // Round display should be currentRound + 1 since currentRound is 0-indexed
-      const displayRound = data.currentRound < 6 ? data.currentRound + 1 : data.currentRound;
+      const displayRound = data.currentRound < this.getTotalRounds() ? data.currentRound + 1 : data.currentRound;
       ui.updateRound(displayRound);
       ui.updateScores(data.yourScore, data.opponentScore);
       ui.renderPlayerCards(this.state.sequence, 0, true);
-      ui.renderOpponentCards(6, data.currentRound);
+      ui.renderOpponentCards(cardsPerPlayer, data.currentRound);
       ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
       // Enable actions only if in swap phase and not ready and has swaps
       const canSwap = this.state.swapsRemaining > 0 && data.phase === 'swap' && !data.isReady;
       ui.setActionsEnabled(canSwap);
       if (data.isReady) {
         ui.setActionsEnabled(false);
+      } else if (!this.canSwapThisRound()) {
+        ui.updateSwapButtonState(0);
       }
       // Reset battle cards for current round
       if (this.state.sequence && this.state.sequence.length > 0) {
         ui.resetBattleCards(this.state.sequence[0]);
       }
-      ui.updateTimer('game-timer', data.timeRemaining, 20);
+      ui.updateTimer('game-timer', data.timeRemaining, this.maxSwapTime);
+      ui.showScreen('game');
+    } else if (data.phase === 'tiebreak' && data.tiebreak) {
+      this.state.tiebreak = { hand: data.tiebreak.hand, picked: data.tiebreak.picked };
+      ui.setupGameScreen(this.state.playerName, this.state.opponentName);
+      ui.updateRound(data.currentRound + 1);
+      ui.updateScores(data.yourScore, data.opponentScore);
+      ui.renderOpponentCards(cardsPerPlayer, data.currentRound);
+      ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
+      ui.setActionsEnabled(false);
+      ui.resetBattleCards(data.tiebreak.picked);
+      this.renderTiebreak();
+      ui.updateTimer('game-timer', data.timeRemaining, this.maxTiebreakTime);
       ui.showScreen('game');
     } else if (data.phase === 'reveal') {
       ui.setupGameScreen(this.state.playerName, this.state.opponentName);
       ui.updateRound(data.currentRound);
       ui.updateScores(data.yourScore, data.opponentScore);
       ui.renderPlayerCards(this.state.sequence, 0, true);
-      ui.renderOpponentCards(6, data.currentRound);
+      ui.renderOpponentCards(cardsPerPlayer, data.currentRound);
       ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
       ui.setActionsEnabled(false);
       
@@ -719,6 +1270,7 @@ class GameManager {
         }
         
         ui.showRoundResult(title, lastRound.explanation, type, myCard, opponentCard, this.state.playerName, this.state.opponentName);
+        ui.showRoundPoints(lastRound.pointsReason);
         
         // Set continue button state
         if (data.isReady) {
@@ -736,7 +1288,7 @@ class GameManager {
       ui.updateRound(data.currentRound + 1);
       ui.updateScores(data.yourScore, data.opponentScore);
       ui.renderPlayerCards(this.state.sequence, 0, true);
-      ui.renderOpponentCards(6, data.currentRound);
+      ui.renderOpponentCards(cardsPerPlayer, data.currentRound);
       ui.updateSwaps(this.state.swapsRemaining, this.state.opponentSwapsRemaining);
       ui.setActionsEnabled(false);
       ui.showScreen('game');
@@ -751,6 +1303,9 @@ class GameManager {
   onError(data) {
     ui.showToast(data.message);
     
+    // A rejected quick match request leaves nothing to wait for
+    ui.hideMatchmaking();
+    
     // If we tried to join from URL and it failed, clear the URL
     if (this.joinedFromUrl) {
       ui.clearRoomFromUrl();
@@ -759,6 +1314,7 @@ class GameManager {
     
     // If reconnection failed or lobby invalid, show lobby
     if (data.message === 'Invalid reconnection attempt' || 
+        data.message === 'Invalid session token' || 
         data.message === 'Lobby no longer exists' ||
         data.message === 'Player not found' ||
         data.message === 'Lobby is full' ||
@@ -774,11 +1330,18 @@ class GameManager {
   }
 
   /**
-   * Play again - reset and return to lobby
+   * Vote for a rematch in the same lobby (server answers with rematchState)
    */
   playAgain() {
-    // Notify server to clear session data
     socketHandler.socket.emit('playAgain');
+  }
+
+  /**
+   * Leave the finished game and go back to the lobby screen
+   */
+  exitToMenu() {
+    // Notify server to clear session data (declines a pending rematch)
+    socketHandler.socket.emit('leaveLobby');
     
     this.state = {
       phase: 'lobby',
@@ -786,6 +1349,11 @@ class GameManager {
       playerName: '',
       opponentName: '',
       lobbyId: null,
+      settings: null,
+      series: null,
+      draft: null,
+      construct: null,
+      roundModifier: null,
       hand: [],
       sequence: [],
       currentRound: 0,
@@ -0,0 +1,83 @@
+/**
+ * History Manager
+ * "My games" screen: finished games of this browser's persistent player ID,
+ * loaded page by page from the REST API.
+ */
+class HistoryManager {
+  constructor() {
+    this.matches = []; // Summaries loaded so far, newest first
+    this.total = 0;
+    this.loading = false;
+    this.pageSize = 20;
+  }
+
+  /**
+   * Open the history screen and load the first page
+   */
+  open() {
+    this.matches = [];
+    this.total = 0;
+    ui.hideMatchDetail();
+    ui.showScreen('history');
+    this.loadMore();
+  }
+
+  /**
+   * Go back to the lobby screen
+   */
+  close() {
+    ui.showScreen('lobby');
+  }
+
+  /**
+   * Load the next page of games
+   */
+  async loadMore() {
+    if (this.loading) return;
+    this.loading = true;
+
+    try {
+      const page = await api.getPlayerMatches(this.getPlayerId(), {
+        limit: this.pageSize,
+        offset: this.matches.length
+      });
+      this.matches.push(...page.matches);
+      this.total = page.total;
+      this.render();
+    } catch (error) {
+      ui.showToast('Не удалось загрузить историю игр');
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  /**
+   * Show rounds and swaps of one game
+   */
+  async showMatch(matchId) {
+    try {
+      const { match } = await api.getMatch(matchId);
+      ui.renderMatchDetail(match, this.getPlayerId(), (id) => replay.open(id));
+    } catch (error) {
+      ui.showToast('Не удалось загрузить игру');
+    }
+  }
+
+  /**
+   * Redraw the list
+   */
+  render() {
+    ui.renderMatchHistory(this.matches, this.getPlayerId(), (matchId) => this.showMatch(matchId));
+    ui.setHistoryMoreVisible(this.matches.length < this.total);
+  }
+
+  /**
+   * Games are stored under the persistent player ID
+   */
+  getPlayerId() {
+    return socketHandler.getOrCreatePlayerId();
+  }
+}
+
+// Global history manager (window.history is taken by the browser)
+window.matchHistory = new HistoryManager();
@@ -0,0 +1,75 @@
+/**
+ * Leaderboard Manager
+ * Ranked players from the REST API with rule set / period / minimum games
+ * filters. The current player's row is highlighted and their place is shown
+ * even when it is on another page.
+ */
+class LeaderboardManager {
+  constructor() {
+    this.offset = 0;
+    this.pageSize = 50;
+    this.total = 0;
+    this.requestId = 0; // Ignore responses to outdated requests
+  }
+
+  /**
+   * Open the leaderboard on its first page
+   */
+  open() {
+    this.offset = 0;
+    ui.showScreen('leaderboard');
+    this.load();
+  }
+
+  /**
+   * Go back to the lobby screen
+   */
+  close() {
+    ui.showScreen('lobby');
+  }
+
+  /**
+   * Filters changed - start again from the first page
+   */
+  onFiltersChanged() {
+    this.offset = 0;
+    this.load();
+  }
+
+  /**
+   * Move by a number of pages
+   */
+  changePage(delta) {
+    const offset = this.offset + delta * this.pageSize;
+    if (offset < 0 || offset >= Math.max(this.total, 1)) return;
+    this.offset = offset;
+    this.load();
+  }
+
+  /**
+   * Fetch and render the current page
+   */
+  async load() {
+    const requestId = ++this.requestId;
+
+    try {
+      const page = await api.getLeaderboard({
+        ...ui.getLeaderboardFilters(),
+        limit: this.pageSize,
+        offset: this.offset,
+        playerId: socketHandler.getOrCreatePlayerId()
+      });
+      if (requestId !== this.requestId) return;
+
+      this.total = page.total;
+      ui.renderLeaderboard(page);
+    } catch (error) {
+      if (requestId === this.requestId) {
+        ui.showToast('Не удалось загрузить рейтинг');
+      }
+    }
+  }
+}
+
+// Global leaderboard manager
+window.leaderboard = new LeaderboardManager();
@@ -0,0 +1,30 @@
+/**
+ * Profile Manager
+ * Statistics of this browser's persistent player: card type win rates,
+ * card placement per round, swap usefulness, timeouts and head-to-head records.
+ */
+class ProfileManager {
+  /**
+   * Open the profile screen and load statistics
+   */
+  async open() {
+    ui.showScreen('profile');
+
+    try {
+      const { stats } = await api.getPlayerStats(socketHandler.getOrCreatePlayerId());
+      ui.renderProfile(stats);
+    } catch (error) {
+      ui.showToast('Не удалось загрузить статистику');
+    }
+  }
+
+  /**
+   * Go back to the lobby screen
+   */
+  close() {
+    ui.showScreen('lobby');
+  }
+}
+
+// Global profile manager
+window.profile = new ProfileManager();
@@ -0,0 +1,373 @@
+/**
+ * Replay Manager
+ * Steps through a recorded game on the game screen. The server keeps an
+ * ordered event log per match (deal, sequences, swaps, skips, reveals,
+ * pauses, end); here it is folded into one snapshot per step, and every
+ * step is drawn with the same render functions as the live game, except
+ * that both sequences are face up.
+ */
+class ReplayManager {
+  constructor() {
+    this.match = null;
+    this.me = null; // Player shown at the bottom (this browser's player if they played)
+    this.opponent = null;
+    this.steps = [];
+    this.index = 0;
+    this.returnScreen = 'lobby';
+    this.savedSettings = null; // ui.gameSettings to restore on close
+    this.lastMatchId = null; // Most recent game of this client, for the game over screen
+    this.urlChecked = false;
+  }
+
+  /**
+   * Initialize replay manager
+   */
+  init() {
+    socketHandler
+      .on('matchRecorded', (data) => this.onMatchRecorded(data))
+      // A new live game takes over the game screen
+      .on('cardsPreview', () => this.reset())
+      .on('draftStart', () => this.reset())
+      .on('constructStart', () => this.reset());
+  }
+
+  /**
+   * Remember the game that just ended so it can be replayed
+   */
+  onMatchRecorded(data) {
+    this.lastMatchId = data.matchId;
+    ui.setMatchActionsVisible(true);
+  }
+
+  /**
+   * Open the replay from the URL once, on the first connection
+   */
+  checkUrl() {
+    if (this.urlChecked) return;
+    this.urlChecked = true;
+
+    const matchId = ui.getReplayFromUrl();
+    if (matchId) {
+      this.open(matchId);
+    }
+  }
+
+  /**
+   * Open the replay of the game that just ended
+   */
+  openLast() {
+    if (this.lastMatchId) {
+      this.open(this.lastMatchId);
+    }
+  }
+
+  /**
+   * Load a match and show its first step
+   * @param {string} matchId - Match ID
+   */
+  async open(matchId) {
+    let match;
+    try {
+      ({ match } = await api.getMatch(matchId));
+    } catch (error) {
+      ui.clearReplayFromUrl();
+      ui.showToast('Не удалось загрузить повтор');
+      return;
+    }
+
+    if (!match.events) {
+      ui.clearReplayFromUrl();
+      ui.showToast('Для этой игры повтор недоступен');
+      return;
+    }
+
+    this.show(match, true);
+  }
+
+  /**
+   * Show a match record from its first step
+   * @param {Object} match - Full match record with events
+   * @param {boolean} shareable - Stored on the server (imported games aren't)
+   */
+  show(match, shareable) {
+    const playerId = socketHandler.getOrCreatePlayerId();
+    this.match = match;
+    this.me = match.players.find(p => p.id === playerId) || match.players[0];
+    this.opponent = match.players.find(p => p !== this.me);
+    this.steps = this.buildSteps(match);
+    this.index = 0;
+
+    if (ui.currentScreen !== 'game') {
+      this.returnScreen = ui.currentScreen === 'loading' ? 'lobby' : ui.currentScreen;
+      this.savedSettings = ui.gameSettings;
+    }
+
+    ui.setupReplayScreen(this.me.name, this.opponent.name, match.settings, shareable);
+    if (shareable) {
+      ui.updateUrlWithReplay(match.id);
+    }
+    this.render();
+    ui.showScreen('game');
+  }
+
+  /**
+   * Leave the replay and go back to where it was opened from
+   */
+  close() {
+    const screen = this.returnScreen;
+    this.reset();
+    ui.gameSettings = this.savedSettings;
+    ui.showScreen(screen);
+  }
+
+  /**
+   * Forget the replay without changing screens
+   */
+  reset() {
+    if (!this.match) return;
+
+    this.match = null;
+    this.steps = [];
+    ui.setReplayMode(false);
+    ui.clearReplayFromUrl();
+    ui.clearPlayerPlayedCards();
+    ui.clearOpponentPlayedCards();
+    ui.showRoundModifier(null);
+  }
+
+  /**
+   * Move to the previous (-1) or next (1) step
+   */
+  go(direction) {
+    const index = this.index + direction;
+    if (!this.match || index < 0 || index >= this.steps.length) return;
+
+    this.index = index;
+    this.render();
+  }
+
+  /**
+   * Copy the replay link
+   */
+  async share() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      ui.showToast('Ссылка на повтор скопирована!');
+    } catch (err) {
+      ui.showToast('Не удалось скопировать');
+    }
+  }
+
+  // ==================== Steps ====================
+
+  /**
+   * Fold the event log into snapshots: the sequences as set, then for every
+   * round the state after swaps and the state after the reveal, then the end
+   * @param {Object} match - Full match record
+   * @returns {Array<Object>} Steps
+   */
+  buildSteps(match) {
+    const ids = match.players.map(p => p.id);
+    const sequences = {};
+    const played = {};
+    const scores = {};
+    const swapsUsed = {};
+    ids.forEach(id => {
+      sequences[id] = [];
+      played[id] = [];
+      scores[id] = 0;
+      swapsUsed[id] = 0;
+    });
+
+    const steps = [];
+    let round = 0;
+    let modifier = null;
+    let notes = [];
+    let swappedThisRound = new Set();
+
+    const snapshot = (type, extra = {}) => {
+      const copy = (map) => {
+        const result = {};
+        ids.forEach(id => {
+          result[id] = Array.isArray(map[id]) ? [...map[id]] : map[id];
+        });
+        return result;
+      };
+      steps.push({
+        type,
+        round,
+        modifier,
+        sequences: copy(sequences),
+        played: copy(played),
+        scores: copy(scores),
+        swapsUsed: copy(swapsUsed),
+        notes,
+        ...extra
+      });
+      notes = [];
+    };
+
+    match.events.forEach(event => {
+      const name = event.playerId ? this.getPlayerName(event.playerId) : '';
+
+      switch (event.type) {
+        case 'deal':
+          ids.forEach(id => {
+            sequences[id] = [...(event.hands[id] || [])];
+          });
+          notes.push(event.drafted ? 'Драфт завершён' : event.constructed ? 'Руки собраны' : 'Карты розданы');
+          break;
+        case 'sequenceSet':
+          sequences[event.playerId] = [...event.sequence];
+          notes.push(event.auto ? `${name}: время вышло, карты перемешаны` : `${name} расставляет карты`);
+          break;
+        case 'roundStart':
+          if (round === 0) snapshot('start');
+          round = event.round;
+          modifier = event.modifier || null;
+          swappedThisRound = new Set();
+          if (modifier) {
+            notes.push(`Модификатор раунда: ${ui.formatModifier(modifier)}`);
+          }
+          break;
+        case 'swap': {
+          const sequence = sequences[event.playerId];
+          [sequence[event.pos1], sequence[event.pos2]] = [sequence[event.pos2], sequence[event.pos1]];
+          swapsUsed[event.playerId]++;
+          swappedThisRound.add(event.playerId);
+          notes.push(`${name} меняет местами карты ${event.pos1 + 1} и ${event.pos2 + 1}`);
+          break;
+        }
+        case 'skip':
+          if (event.timeout) {
+            notes.push(`${name}: время на ход вышло`);
+          } else if (!swappedThisRound.has(event.playerId)) {
+            notes.push(`${name} не меняет карты`);
+          }
+          break;
+        case 'tiebreakStart':
+          round = event.round;
+          modifier = null;
+          notes.push('Тай-брейк: каждый выбирает по одной карте');
+          break;
+        case 'tiebreakPick':
+          if (event.auto) {
+            notes.push(`${name}: время вышло, карта выбрана случайно`);
+          }
+          break;
+        case 'pause':
+          notes.push('Пауза: игрок отключился');
+          break;
+        case 'resume':
+          notes.push('Игра продолжается');
+          break;
+        case 'reveal':
+          // Tiebreak cards come from a separate hand, not the sequences
+          if (!event.tiebreak) snapshot('swaps');
+          ids.forEach(id => {
+            if (!event.tiebreak) played[id].push(event.cards[id]);
+            scores[id] = event.scores[id];
+          });
+          snapshot('reveal', { reveal: event });
+          break;
+        case 'end':
+          snapshot('end', { end: event });
+          break;
+        default:
+          break;
+      }
+    });
+
+    return steps;
+  }
+
+  // ==================== Rendering ====================
+
+  /**
+   * Draw the current step on the game screen
+   */
+  render() {
+    const step = this.steps[this.index];
+    if (!step) return;
+
+    const me = this.me.id;
+    const opponent = this.opponent.id;
+    const sequence = step.sequences[me];
+    const playedCount = step.played[me].length;
+    const maxSwaps = this.match.settings.maxSwapsPerGame;
+
+    ui.clearPlayerPlayedCards();
+    step.played[me].forEach(card => ui.addPlayerPlayedCard(card));
+    ui.renderPlayerCards(sequence.slice(playedCount), playedCount, true);
+
+    ui.clearOpponentPlayedCards();
+    ui.renderOpponentCards(step.sequences[opponent].length, playedCount, step.played[opponent], step.sequences[opponent]);
+
+    if (step.reveal) {
+      const { cards, winner } = step.reveal;
+      let side = null;
+      if (winner) side = winner === me ? 'player' : 'opponent';
+      ui.showBattleCards(cards[me], cards[opponent], side);
+    } else {
+      ui.resetBattleCards(step.type === 'end' ? null : sequence[playedCount]);
+    }
+
+    ui.updateScores(step.scores[me], step.scores[opponent]);
+    ui.updateRound(Math.max(step.round, 1));
+    ui.showRoundModifier(step.modifier);
+    ui.updateSwaps(maxSwaps - step.swapsUsed[me], maxSwaps - step.swapsUsed[opponent]);
+
+    const text = [`${this.index + 1}/${this.steps.length} · ${this.getStepTitle(step)}`, ...step.notes].join('\n');
+    ui.setReplayStatus(text, this.index > 0, this.index < this.steps.length - 1);
+  }
+
+  /**
+   * One-line description of a step
+   */
+  getStepTitle(step) {
+    switch (step.type) {
+      case 'start':
+        return 'Карты расставлены';
+      case 'swaps':
+        return `Раунд ${step.round}: свапы`;
+      case 'reveal': {
+        const label = step.reveal.tiebreak ? `Тай-брейк (раунд ${step.round})` : `Раунд ${step.round}`;
+        return step.reveal.isDraw
+          ? `${label}: ничья`
+          : `${label}: ${this.getPlayerName(step.reveal.winner)} получает ${ui.formatPoints(step.reveal.points || 1)}`;
+      }
+      case 'end':
+        return this.getEndTitle(step.end);
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Describe how the game ended
+   */
+  getEndTitle(end) {
+    const score = `${end.scores[this.me.id]}:${end.scores[this.opponent.id]}`;
+    if (end.reason === 'normal') {
+      return end.isDraw
+        ? `Игра окончена: ничья ${score}`
+        : `Игра окончена: ${this.getPlayerName(end.winner)} побеждает ${score}`;
+    }
+    if (!end.winner) {
+      return 'Игра прервана: оба игрока вышли';
+    }
+    const cause = end.reason === 'leave' ? 'соперник покинул игру' : 'соперник отключился';
+    return `Игра окончена: ${this.getPlayerName(end.winner)} побеждает (${cause})`;
+  }
+
+  /**
+   * Name of a recorded player
+   */
+  getPlayerName(playerId) {
+    const player = this.match.players.find(p => p.id === playerId);
+    return player ? player.name : '';
+  }
+}
+
+// Global replay manager
+window.replay = new ReplayManager();
@@ -55,9 +55,25 @@ class SocketHandler {
     });
 
     // Game events
-    this.socket.on('lobbyCreated', (data) => this.emit('lobbyCreated', data));
-    this.socket.on('lobbyJoined', (data) => this.emit('lobbyJoined', data));
+    this.socket.on('lobbyCreated', (data) => {
+      this.saveIdentity(data);
+      this.saveSessionToken(data);
+      this.emit('lobbyCreated', data);
+    });
+    this.socket.on('lobbyJoined', (data) => {
+      this.saveIdentity(data);
+      this.saveSessionToken(data);
+      this.emit('lobbyJoined', data);
+    });
     this.socket.on('playerJoined', (data) => this.emit('playerJoined', data));
+    this.socket.on('dealCommitment', (data) => this.emit('dealCommitment', data));
+    this.socket.on('draftStart', (data) => this.emit('draftStart', data));
+    this.socket.on('draftPick', (data) => this.emit('draftPick', data));
+    this.socket.on('draftTimerUpdate', (data) => this.emit('draftTimerUpdate', data));
+    this.socket.on('constructStart', (data) => this.emit('constructStart', data));
+    this.socket.on('handConfirmed', (data) => this.emit('handConfirmed', data));
+    this.socket.on('opponentHandChosen', (data) => this.emit('opponentHandChosen', data));
+    this.socket.on('constructTimerUpdate', (data) => this.emit('constructTimerUpdate', data));
     this.socket.on('cardsPreview', (data) => this.emit('cardsPreview', data));
     this.socket.on('previewTimerUpdate', (data) => this.emit('previewTimerUpdate', data));
     this.socket.on('opponentPreviewReady', () => this.emit('opponentPreviewReady'));
@@ -69,6 +85,9 @@ class SocketHandler {
     this.socket.on('swapError', (data) => this.emit('swapError', data));
     this.socket.on('skipConfirmed', () => this.emit('skipConfirmed'));
     this.socket.on('opponentSwapped', () => this.emit('opponentSwapped'));
+    this.socket.on('tiebreakStart', (data) => this.emit('tiebreakStart', data));
+    this.socket.on('tiebreakPicked', (data) => this.emit('tiebreakPicked', data));
+    this.socket.on('opponentTiebreakPicked', () => this.emit('opponentTiebreakPicked'));
     this.socket.on('roundResult', (data) => this.emit('roundResult', data));
     this.socket.on('continueCountdown', (data) => this.emit('continueCountdown', data));
     this.socket.on('opponentContinued', () => this.emit('opponentContinued'));
@@ -78,6 +97,26 @@ class SocketHandler {
     this.socket.on('opponentLeft', (data) => this.emit('opponentLeft', data));
     this.socket.on('reconnected', (data) => this.emit('reconnected', data));
     this.socket.on('gameResumed', (data) => this.emit('gameResumed', data));
+    this.socket.on('opponentAutopilot', (data) => this.emit('opponentAutopilot', data));
+    this.socket.on('autopilotSummary', (data) => this.emit('autopilotSummary', data));
+    this.socket.on('rematchState', (data) => this.emit('rematchState', data));
+    this.socket.on('rematchStart', (data) => this.emit('rematchStart', data));
+    this.socket.on('rematchExpired', (data) => this.emit('rematchExpired', data));
+    this.socket.on('rematchDeclined', (data) => this.emit('rematchDeclined', data));
+    this.socket.on('seriesState', (data) => this.emit('seriesState', data));
+    this.socket.on('matchQueueUpdate', (data) => this.emit('matchQueueUpdate', data));
+    this.socket.on('matchCancelled', () => this.emit('matchCancelled'));
+    this.socket.on('publicLobbies', (data) => this.emit('publicLobbies', data));
+    this.socket.on('publicLobbyAdded', (data) => this.emit('publicLobbyAdded', data));
+    this.socket.on('publicLobbyRemoved', (data) => this.emit('publicLobbyRemoved', data));
+    this.socket.on('spectatorCount', (data) => this.emit('spectatorCount', data));
+    this.socket.on('spectating', (data) => this.emit('spectating', data));
+    this.socket.on('spectatorEvent', (data) => this.emit('spectatorEvent', data));
+    this.socket.on('seriesGameEnd', (data) => this.emit('seriesGameEnd', data));
+    this.socket.on('seriesEnd', (data) => this.emit('seriesEnd', data));
+    this.socket.on('seriesAborted', (data) => this.emit('seriesAborted', data));
+    this.socket.on('ratingUpdate', (data) => this.emit('ratingUpdate', data));
+    this.socket.on('matchRecorded', (data) => this.emit('matchRecorded', data));
   }
 
   /**
@@ -92,6 +131,46 @@ class SocketHandler {
     return playerId;
   }
 
+  /**
+   * Remember the player ID the server issued and the token proving it
+   * (a locally generated ID is only a placeholder until then)
+   */
+  saveIdentity(data) {
+    if (!data.identityToken) return;
+    localStorage.setItem('persistentPlayerId', data.playerId);
+    localStorage.setItem('identityToken', data.identityToken);
+  }
+
+  /**
+   * Get the stored identity token (sent whenever we enter a lobby or the queue)
+   */
+  getIdentityToken() {
+    return localStorage.getItem('identityToken');
+  }
+
+  /**
+   * Remember the session token the server issued for our seat in a lobby
+   */
+  saveSessionToken(data) {
+    if (!data.sessionToken) return;
+    localStorage.setItem('sessionToken', JSON.stringify({
+      lobbyId: data.lobbyId,
+      token: data.sessionToken
+    }));
+  }
+
+  /**
+   * Get the stored session token for a lobby (needed to rejoin it)
+   */
+  getSessionToken(lobbyId) {
+    try {
+      const saved = JSON.parse(localStorage.getItem('sessionToken'));
+      return saved && saved.lobbyId === lobbyId ? saved.token : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Generate a unique player ID
    */
@@ -102,9 +181,53 @@ class SocketHandler {
   /**
    * Create a new lobby
    */
-  createLobby(playerName) {
-    const playerId = this.getOrCreatePlayerId();
-    this.socket.emit('createLobby', { playerName, playerId });
+  createLobby(playerName, settings, isPublic = false) {
+    const identityToken = this.getIdentityToken();
+    this.socket.emit('createLobby', { playerName, identityToken, settings, isPublic });
+  }
+
+  /**
+   * Receive the public lobby list and its live updates
+   */
+  subscribePublicLobbies() {
+    this.socket.emit('subscribePublicLobbies');
+  }
+
+  /**
+   * Create a single-player lobby against a server bot
+   */
+  createBotLobby(playerName, settings, difficulty) {
+    const identityToken = this.getIdentityToken();
+    this.socket.emit('createBotLobby', { playerName, identityToken, settings, difficulty });
+  }
+
+  /**
+   * Join the quick match queue
+   */
+  findMatch(playerName, settings, strictSettings) {
+    const identityToken = this.getIdentityToken();
+    this.socket.emit('findMatch', { playerName, identityToken, settings, strictSettings });
+  }
+
+  /**
+   * Leave the quick match queue
+   */
+  cancelMatch() {
+    this.socket.emit('cancelMatch');
+  }
+
+  /**
+   * Watch a lobby's game as a spectator
+   */
+  spectateLobby(lobbyId) {
+    this.socket.emit('spectateLobby', { lobbyId: lobbyId.toUpperCase() });
+  }
+
+  /**
+   * Stop watching
+   */
+  stopSpectating() {
+    this.socket.emit('stopSpectating');
   }
 
   /**
@@ -112,11 +235,41 @@ class SocketHandler {
    */
   joinLobby(lobbyId, playerName) {
     const playerId = this.getOrCreatePlayerId();
-    this.socket.emit('joinLobby', { lobbyId: lobbyId.toUpperCase(), playerName, playerId });
+    const code = lobbyId.toUpperCase();
+    this.socket.emit('joinLobby', {
+      lobbyId: code,
+      playerName,
+      playerId,
+      sessionToken: this.getSessionToken(code),
+      identityToken: this.getIdentityToken()
+    });
+  }
+
+  /**
+   * Contribute a seed to the upcoming deal
+   */
+  sendClientSeed(seed) {
+    this.socket.emit('clientSeed', { seed });
+  }
+
+  /**
+   * Take a card from the draft pool
+   */
+  draftPick(cardId) {
+    this.socket.emit('draftPick', { cardId });
+  }
+
+  /**
+   * Lock in a constructed hand
+   * @param {Array<string>} cardIds - Card IDs chosen from the deck
+   */
+  constructHand(cardIds) {
+    this.socket.emit('constructHand', { cardIds });
   }
 
   /**
    * Set player's card sequence
+   * @param {Array<string>} sequence - Card IDs in play order
    */
   setSequence(sequence) {
     this.socket.emit('setSequence', sequence);
@@ -136,6 +289,13 @@ class SocketHandler {
     this.socket.emit('skipSwap');
   }
 
+  /**
+   * Pick a card in a sudden-death round
+   */
+  tiebreakPick(cardId) {
+    this.socket.emit('tiebreakPick', { cardId });
+  }
+
   /**
    * Register event callback
    */
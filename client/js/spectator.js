@@ -0,0 +1,404 @@
+/**
+ * Spectator Manager
+ * Read-only view of someone else's game. The server only sends spectators
+ * public information (wrapped in 'spectatorEvent'), so there is nothing to
+ * hide here - played cards, scores, swaps left and timers.
+ */
+class SpectatorManager {
+  constructor() {
+    this.view = null; // { lobbyId, settings, phase, round, roundModifier, players, roundHistory, maxTime }
+  }
+
+  /**
+   * Initialize spectator manager
+   */
+  init() {
+    socketHandler
+      .on('spectating', (data) => this.onSpectating(data))
+      .on('spectatorEvent', ({ event, data }) => this.onEvent(event, data));
+  }
+
+  /**
+   * Start watching the lobby whose code is in the code input
+   */
+  spectate() {
+    const code = ui.getLobbyCode();
+    if (!code || code.length !== 6) {
+      ui.showToast('Введите 6-значный код комнаты');
+      return;
+    }
+
+    socketHandler.spectateLobby(code);
+  }
+
+  /**
+   * Stop watching and go back to the lobby screen
+   */
+  stop() {
+    socketHandler.stopSpectating();
+    this.view = null;
+    ui.gameSettings = null;
+    ui.showScreen('lobby');
+  }
+
+  /**
+   * Handle the initial view after joining as a spectator
+   */
+  onSpectating(data) {
+    this.view = {
+      lobbyId: data.lobbyId,
+      settings: null,
+      phase: 'waiting',
+      round: 0,
+      roundModifier: null,
+      players: data.playerNames.map(name => ({ id: null, name, score: 0, swapsRemaining: 0, disconnected: false })),
+      roundHistory: [],
+      maxTime: 0
+    };
+
+    if (data.state) {
+      this.applyState(data.state);
+    } else {
+      this.render();
+      ui.setSpectatorStatus('Ожидание второго игрока...');
+    }
+
+    if (data.series) {
+      this.onSeriesState(data.series);
+    } else {
+      ui.updateSpectatorSeries(null);
+    }
+
+    ui.showScreen('spectator');
+  }
+
+  /**
+   * Dispatch a spectator event
+   */
+  onEvent(event, data) {
+    if (!this.view) return;
+
+    switch (event) {
+      case 'state':
+        this.applyState(data);
+        break;
+      case 'draftStart':
+      case 'draftPick':
+        this.onDraftPick(data);
+        break;
+      case 'constructStart':
+        this.view.phase = 'construct';
+        this.view.constructChosen = [];
+        this.view.maxTime = data.timeLimit;
+        ui.setSpectatorStatus(this.getPhaseStatus('construct'));
+        break;
+      case 'handChosen':
+        this.onHandChosen(data);
+        break;
+      case 'sequencePhase':
+        this.view.phase = 'sequence';
+        this.view.maxTime = data.timeLimit;
+        ui.setSpectatorStatus('Игроки расставляют карты');
+        break;
+      case 'roundStart':
+        this.onRoundStart(data);
+        break;
+      case 'tiebreakStart':
+        this.onTiebreakStart(data);
+        break;
+      case 'tiebreakPicked':
+        this.onTiebreakPicked(data);
+        break;
+      case 'draftTimerUpdate':
+      case 'constructTimerUpdate':
+      case 'previewTimerUpdate':
+      case 'timerUpdate':
+      case 'continueCountdown':
+        ui.updateTimer('spectator-timer', data.remaining, this.view.maxTime || data.remaining);
+        break;
+      case 'playerSwapped':
+        this.onPlayerSwapped(data);
+        break;
+      case 'roundResult':
+        this.onRoundResult(data);
+        break;
+      case 'gameResumed':
+        this.view.players.forEach(p => { p.disconnected = false; });
+        this.render();
+        ui.setSpectatorStatus(this.getPhaseStatus(data.phase));
+        break;
+      case 'playerDisconnected':
+        this.onPlayerDisconnected(data);
+        break;
+      case 'gameEnd':
+        this.onGameEnd(data);
+        break;
+      case 'seriesState':
+        this.onSeriesState(data);
+        break;
+      case 'spectatorCount':
+        ui.updateSpectatorWatchers(data.count);
+        break;
+      case 'lobbyClosed':
+        ui.setSpectatorStatus(`${ui.elements.spectatorStatus.textContent}\nКомната закрыта`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Replace the view with a full snapshot from the server
+   */
+  applyState(state) {
+    let round = Math.min(state.currentRound + 1, state.settings.totalRounds);
+    if (state.phase === 'reveal') {
+      round = state.currentRound;
+    } else if (state.phase === 'tiebreak') {
+      round = state.currentRound + 1;
+    }
+
+    Object.assign(this.view, {
+      settings: state.settings,
+      phase: state.phase,
+      round,
+      roundModifier: state.roundModifier || null,
+      players: state.players.map(p => ({ ...p })),
+      roundHistory: [...state.roundHistory],
+      draftPicker: state.draft ? state.draft.picker : null,
+      constructChosen: state.construct ? [...state.construct.chosen] : [],
+      tiebreakPicked: state.tiebreak ? [...state.tiebreak.picked] : [],
+      maxTime: this.getPhaseTime(state.phase, state.settings) || state.timeRemaining
+    });
+    ui.gameSettings = state.settings;
+
+    this.render();
+    ui.updateTimer('spectator-timer', state.timeRemaining, this.view.maxTime);
+
+    const last = state.roundHistory[state.roundHistory.length - 1];
+    if (state.phase === 'reveal' && last) {
+      this.showRound(last);
+    } else {
+      ui.showSpectatorCards(null);
+    }
+
+    const away = this.view.players.find(p => p.disconnected);
+    if (state.paused && away) {
+      ui.setSpectatorStatus(`Пауза: ${away.name} отключился`);
+    } else if (state.phase !== 'reveal') {
+      ui.setSpectatorStatus(this.getPhaseStatus(state.phase));
+    }
+  }
+
+  /**
+   * Handle the draft opening or a card being taken
+   */
+  onDraftPick(data) {
+    this.view.phase = 'draft';
+    this.view.draftPicker = data.picker;
+    this.view.maxTime = data.timeLimit;
+
+    const player = data.card ? this.findPlayer(data.playerId) : null;
+    const detail = player ? `${player.name} берёт ${ui.getCardLabel(data.card.type)}` : '';
+    ui.setSpectatorStatus(this.getPhaseStatus('draft'), detail);
+  }
+
+  /**
+   * Handle a player locking in a constructed hand (the cards stay hidden)
+   */
+  onHandChosen(data) {
+    this.view.constructChosen.push(data.playerId);
+
+    const player = this.findPlayer(data.playerId);
+    ui.setSpectatorStatus(this.getPhaseStatus('construct'), player ? `${player.name} собрал руку` : '');
+  }
+
+  /**
+   * Handle a new round
+   */
+  onRoundStart(data) {
+    this.view.phase = 'swap';
+    this.view.round = data.round;
+    this.view.roundModifier = data.modifier || null;
+    this.view.maxTime = data.swapTimeLimit;
+    this.render();
+    ui.showSpectatorCards(null);
+    ui.setSpectatorStatus(this.getPhaseStatus('swap'));
+  }
+
+  /**
+   * Handle a sudden-death round (the tiebreak hands stay hidden)
+   */
+  onTiebreakStart(data) {
+    this.view.phase = 'tiebreak';
+    this.view.round = data.round;
+    this.view.roundModifier = null;
+    this.view.tiebreakPicked = [];
+    this.view.maxTime = data.timeLimit;
+    this.render();
+    ui.showSpectatorCards(null);
+    ui.setSpectatorStatus(this.getPhaseStatus('tiebreak'));
+  }
+
+  /**
+   * Handle a player picking a tiebreak card (not which one)
+   */
+  onTiebreakPicked(data) {
+    this.view.tiebreakPicked.push(data.playerId);
+
+    const player = this.findPlayer(data.playerId);
+    ui.setSpectatorStatus(this.getPhaseStatus('tiebreak'), player ? `${player.name} выбрал карту` : '');
+  }
+
+  /**
+   * Handle a player spending a swap
+   */
+  onPlayerSwapped(data) {
+    const player = this.findPlayer(data.playerId);
+    if (!player) return;
+
+    player.swapsRemaining = data.swapsRemaining;
+    this.render();
+    ui.setSpectatorStatus(this.getPhaseStatus(this.view.phase), `${player.name} меняет карты местами`);
+  }
+
+  /**
+   * Handle revealed cards
+   */
+  onRoundResult(data) {
+    this.view.phase = 'reveal';
+    this.view.round = data.round;
+    this.view.maxTime = this.view.settings ? this.view.settings.timers.continue : 0;
+    this.view.roundHistory.push(data);
+    this.view.players.forEach(p => {
+      p.score = data.scores[p.id];
+      p.swapsRemaining = data.swapsRemaining[p.id];
+    });
+
+    this.render();
+    this.showRound(data);
+  }
+
+  /**
+   * Show the cards and outcome of a revealed round
+   */
+  showRound(round) {
+    const cards = this.view.players.map(p => round.cards[p.id]);
+    const winnerIndex = round.isDraw ? -1 : this.view.players.findIndex(p => p.id === round.winner);
+    ui.showSpectatorCards(cards, winnerIndex);
+
+    const label = round.tiebreak ? `Тай-брейк (раунд ${round.round})` : `Раунд ${round.round}`;
+    const title = round.isDraw
+      ? `${label}: ничья`
+      : `${label}: ${this.view.players[winnerIndex].name} получает ${ui.formatPoints(round.points || 1)}`;
+    ui.setSpectatorStatus(title, round.explanation);
+  }
+
+  /**
+   * Handle a player dropping out mid-game
+   */
+  onPlayerDisconnected(data) {
+    const player = this.findPlayer(data.playerId);
+    if (!player) return;
+
+    player.disconnected = true;
+    this.render();
+    ui.setSpectatorStatus(`Пауза: ${player.name} отключился`);
+  }
+
+  /**
+   * Handle the end of the game
+   */
+  onGameEnd(data) {
+    this.view.phase = 'game_over';
+
+    let status;
+    if (data.byDisconnect) {
+      status = `Игра окончена: ${data.winnerName} побеждает (соперник отключился)`;
+    } else if (data.isDraw) {
+      status = `Игра окончена: ничья ${data.score}`;
+    } else {
+      status = `Игра окончена: ${data.winnerName} побеждает ${data.score}`;
+    }
+
+    ui.setSpectatorStatus(status);
+  }
+
+  /**
+   * Show series progress from the first player's point of view
+   */
+  onSeriesState(series) {
+    const first = this.view.players[0];
+    const text = first && first.id
+      ? `Игра ${series.gameNumber} · серия ${ui.formatSeriesScore(series, first.id)}`
+      : `Игра ${series.gameNumber}`;
+    ui.updateSpectatorSeries(text);
+  }
+
+  /**
+   * Redraw header and round history
+   */
+  render() {
+    ui.renderSpectatorHeader(this.view);
+    const first = this.view.players[0];
+    ui.renderSpectatorHistory(this.view.roundHistory, first ? first.id : null);
+  }
+
+  /**
+   * Find a watched player by ID
+   */
+  findPlayer(playerId) {
+    return this.view.players.find(p => p.id === playerId) || null;
+  }
+
+  /**
+   * Full timer length for a phase (for the progress circle)
+   */
+  getPhaseTime(phase, settings) {
+    const { timers } = settings;
+    switch (phase) {
+      case 'draft': return timers.draftPick;
+      case 'construct': return timers.construct;
+      case 'preview': return timers.preview;
+      case 'sequence': return timers.sequence;
+      case 'round_start':
+      case 'swap': return timers.swap;
+      case 'tiebreak': return timers.tiebreak;
+      case 'reveal': return timers.continue;
+      default: return 0;
+    }
+  }
+
+  /**
+   * What the players are doing in a phase
+   */
+  getPhaseStatus(phase) {
+    switch (phase) {
+      case 'draft': {
+        const picker = this.view.draftPicker ? this.findPlayer(this.view.draftPicker) : null;
+        return picker ? `Драфт: выбирает ${picker.name}` : 'Драфт';
+      }
+      case 'construct': {
+        const chosen = this.view.constructChosen || [];
+        return `Игроки собирают руки (готово: ${chosen.length} из ${this.view.players.length})`;
+      }
+      case 'preview': return 'Игроки изучают карты';
+      case 'sequence': return 'Игроки расставляют карты';
+      case 'round_start':
+      case 'swap': {
+        const modifier = this.view.roundModifier ? ` (${ui.formatModifier(this.view.roundModifier)})` : '';
+        return `Раунд ${this.view.round}: игроки решают, менять ли карты${modifier}`;
+      }
+      case 'tiebreak': {
+        const picked = this.view.tiebreakPicked || [];
+        return `Тай-брейк: игроки выбирают по карте (готово: ${picked.length} из ${this.view.players.length})`;
+      }
+      case 'reveal': return 'Вскрытие карт';
+      case 'game_over': return 'Игра окончена';
+      default: return 'Ожидание игроков...';
+    }
+  }
+}
+
+// Global spectator manager
+window.spectator = new SpectatorManager();
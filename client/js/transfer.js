@@ -0,0 +1,120 @@
+/**
+ * Transfer Manager
+ * Export of a finished game (text notation to the clipboard, full record as
+ * a JSON file) and the import screen, which has the server check a pasted or
+ * loaded game and opens it in the replay viewer.
+ */
+class TransferManager {
+  constructor() {
+    this.imported = null; // Last checked game, kept for "open anyway"
+  }
+
+  // ==================== Export ====================
+
+  /**
+   * Copy the notation of the game that just ended
+   */
+  async copyNotation() {
+    if (!replay.lastMatchId) return;
+
+    try {
+      const { notation } = await api.getMatchNotation(replay.lastMatchId);
+      await navigator.clipboard.writeText(notation);
+      ui.showToast('Запись игры скопирована!');
+    } catch (error) {
+      ui.showToast('Не удалось скопировать запись');
+    }
+  }
+
+  /**
+   * Download the full record of the game that just ended
+   */
+  async downloadJson() {
+    if (!replay.lastMatchId) return;
+
+    try {
+      const { match } = await api.getMatch(replay.lastMatchId);
+      const blob = new Blob([JSON.stringify(match, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `game-${match.id}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      ui.showToast('Не удалось скачать игру');
+    }
+  }
+
+  // ==================== Import ====================
+
+  /**
+   * Open the import screen
+   */
+  open() {
+    this.imported = null;
+    ui.resetImport();
+    ui.showScreen('import');
+  }
+
+  /**
+   * Go back to the lobby screen
+   */
+  close() {
+    ui.showScreen('lobby');
+  }
+
+  /**
+   * Load a chosen file into the text field
+   * @param {File} file - Notation or JSON file
+   */
+  async loadFile(file) {
+    if (!file) return;
+
+    try {
+      ui.setImportText(await file.text());
+    } catch (error) {
+      ui.showToast('Не удалось прочитать файл');
+    }
+  }
+
+  /**
+   * Have the server check the game; open it right away if nothing is wrong
+   */
+  async submit() {
+    const text = ui.getImportText();
+    if (!text.trim()) {
+      ui.showToast('Вставьте запись игры или выберите файл');
+      return;
+    }
+
+    this.imported = null;
+    try {
+      const { match, errors } = await api.importMatch(text);
+      this.imported = match;
+      if (errors.length === 0) {
+        this.openImported();
+      } else {
+        ui.showImportErrors(errors, true);
+      }
+    } catch (error) {
+      const errors = error.body && error.body.errors;
+      if (errors && errors.length > 0) {
+        ui.showImportErrors(errors, false);
+      } else {
+        ui.showToast('Не удалось загрузить игру');
+      }
+    }
+  }
+
+  /**
+   * Show the checked game in the replay viewer
+   */
+  openImported() {
+    if (this.imported) {
+      replay.show(this.imported, false);
+    }
+  }
+}
+
+// Global transfer manager
+window.transfer = new TransferManager();
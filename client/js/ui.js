@@ -5,10 +5,17 @@ class UIManager {
   constructor() {
     this.screens = {
       lobby: document.getElementById('lobby-screen'),
+      draft: document.getElementById('draft-screen'),
+      construct: document.getElementById('construct-screen'),
       preview: document.getElementById('preview-screen'),
       sequence: document.getElementById('sequence-screen'),
       game: document.getElementById('game-screen'),
-      gameover: document.getElementById('gameover-screen')
+      gameover: document.getElementById('gameover-screen'),
+      spectator: document.getElementById('spectator-screen'),
+      history: document.getElementById('history-screen'),
+      leaderboard: document.getElementById('leaderboard-screen'),
+      profile: document.getElementById('profile-screen'),
+      import: document.getElementById('import-screen')
     };
     
     this.elements = {
@@ -20,9 +27,144 @@ class UIManager {
       createLobbyBtn: document.getElementById('create-lobby-btn'),
       lobbyCodeInput: document.getElementById('lobby-code'),
       joinLobbyBtn: document.getElementById('join-lobby-btn'),
+      createBotLobbyBtn: document.getElementById('create-bot-lobby-btn'),
+      findMatchBtn: document.getElementById('find-match-btn'),
+      matchStrictSettings: document.getElementById('match-strict-settings'),
+      createPublicLobby: document.getElementById('create-public-lobby'),
+      spectateLobbyBtn: document.getElementById('spectate-lobby-btn'),
+      spectatorCount: document.getElementById('spectator-count'),
+      
+      // Spectator screen
+      spectatorNames: [document.getElementById('spectator-name-1'), document.getElementById('spectator-name-2')],
+      spectatorScores: [document.getElementById('spectator-score-1'), document.getElementById('spectator-score-2')],
+      spectatorSwaps: [document.getElementById('spectator-swaps-1'), document.getElementById('spectator-swaps-2')],
+      spectatorCards: [document.getElementById('spectator-card-1'), document.getElementById('spectator-card-2')],
+      spectatorRound: document.getElementById('spectator-round'),
+      spectatorTotalRounds: document.getElementById('spectator-total-rounds'),
+      spectatorRoundLabel: document.getElementById('spectator-round-label'),
+      spectatorTiebreakLabel: document.getElementById('spectator-tiebreak-label'),
+      spectatorSeries: document.getElementById('spectator-series'),
+      spectatorStatus: document.getElementById('spectator-status'),
+      spectatorExplanation: document.getElementById('spectator-explanation'),
+      spectatorHistory: document.getElementById('spectator-history'),
+      spectatorWatchers: document.getElementById('spectator-watchers'),
+      stopSpectatingBtn: document.getElementById('stop-spectating-btn'),
+      
+      // Match history
+      historyLink: document.getElementById('history-link'),
+      historyList: document.getElementById('history-list'),
+      historyEmpty: document.getElementById('history-empty'),
+      historyDetail: document.getElementById('history-detail'),
+      historyMoreBtn: document.getElementById('history-more-btn'),
+      historyBackBtn: document.getElementById('history-back-btn'),
+      
+      // Leaderboard
+      leaderboardLink: document.getElementById('leaderboard-link'),
+      leaderboardRuleSet: document.getElementById('leaderboard-rule-set'),
+      leaderboardWindow: document.getElementById('leaderboard-window'),
+      leaderboardMinGames: document.getElementById('leaderboard-min-games'),
+      leaderboardYou: document.getElementById('leaderboard-you'),
+      leaderboardEmpty: document.getElementById('leaderboard-empty'),
+      leaderboardRows: document.getElementById('leaderboard-rows'),
+      leaderboardPage: document.getElementById('leaderboard-page'),
+      leaderboardPrevBtn: document.getElementById('leaderboard-prev-btn'),
+      leaderboardNextBtn: document.getElementById('leaderboard-next-btn'),
+      leaderboardBackBtn: document.getElementById('leaderboard-back-btn'),
+      
+      // Profile
+      profileLink: document.getElementById('profile-link'),
+      profileTitle: document.getElementById('profile-title'),
+      profileSummary: document.getElementById('profile-summary'),
+      profileEmpty: document.getElementById('profile-empty'),
+      profileSections: document.getElementById('profile-sections'),
+      profileCardTypes: document.getElementById('profile-card-types'),
+      profileSlots: document.getElementById('profile-slots'),
+      profileSwaps: document.getElementById('profile-swaps'),
+      profileTimeouts: document.getElementById('profile-timeouts'),
+      profileOpponents: document.getElementById('profile-opponents'),
+      profileBackBtn: document.getElementById('profile-back-btn'),
+      
+      // Replay, export and import
+      gameoverMatchActions: document.getElementById('gameover-match-actions'),
+      replayBtn: document.getElementById('replay-btn'),
+      copyNotationBtn: document.getElementById('copy-notation-btn'),
+      downloadJsonBtn: document.getElementById('download-json-btn'),
+      replayControls: document.getElementById('replay-controls'),
+      replayStatus: document.getElementById('replay-status'),
+      replayPrevBtn: document.getElementById('replay-prev-btn'),
+      replayNextBtn: document.getElementById('replay-next-btn'),
+      replayShareBtn: document.getElementById('replay-share-btn'),
+      replayCloseBtn: document.getElementById('replay-close-btn'),
+      importLink: document.getElementById('import-link'),
+      importText: document.getElementById('import-text'),
+      importFile: document.getElementById('import-file'),
+      importSubmitBtn: document.getElementById('import-submit-btn'),
+      importErrors: document.getElementById('import-errors'),
+      importOpenBtn: document.getElementById('import-open-btn'),
+      importBackBtn: document.getElementById('import-back-btn'),
+      
+      publicLobbiesList: document.getElementById('public-lobbies-list'),
+      publicLobbiesEmpty: document.getElementById('public-lobbies-empty'),
+      matchmakingSection: document.getElementById('matchmaking-section'),
+      matchQueueStatus: document.getElementById('match-queue-status'),
+      cancelMatchBtn: document.getElementById('cancel-match-btn'),
+      botDifficulty: document.getElementById('bot-difficulty'),
       waitingSection: document.getElementById('waiting-section'),
       displayLobbyCode: document.getElementById('display-lobby-code'),
       lobbyCodeCopy: document.getElementById('lobby-code-copy'),
+      waitingSettingsSummary: document.getElementById('waiting-settings-summary'),
+      
+      // Game settings
+      settingRuleSet: document.getElementById('setting-rule-set'),
+      settingDealMode: document.getElementById('setting-deal-mode'),
+      settingSeriesLength: document.getElementById('setting-series-length'),
+      settingTotalRounds: document.getElementById('setting-total-rounds'),
+      settingCardsPerPlayer: document.getElementById('setting-cards-per-player'),
+      settingSwapsPerGame: document.getElementById('setting-swaps-per-game'),
+      settingSwapsPerRound: document.getElementById('setting-swaps-per-round'),
+      settingTimerPreview: document.getElementById('setting-timer-preview'),
+      settingTimerDraftPick: document.getElementById('setting-timer-draft-pick'),
+      settingTimerConstruct: document.getElementById('setting-timer-construct'),
+      settingMinCardsPerType: document.getElementById('setting-min-cards-per-type'),
+      settingPreviewVisibility: document.getElementById('setting-preview-visibility'),
+      settingRevealedCards: document.getElementById('setting-revealed-cards'),
+      settingTiebreak: document.getElementById('setting-tiebreak'),
+      settingScoring: document.getElementById('setting-scoring'),
+      settingScoringTarget: document.getElementById('setting-scoring-target'),
+      settingSpecialCards: {
+        joker: document.getElementById('setting-special-joker'),
+        mirror: document.getElementById('setting-special-mirror'),
+        double: document.getElementById('setting-special-double'),
+        shield: document.getElementById('setting-special-shield')
+      },
+      settingRoundModifiers: {
+        reversed: document.getElementById('setting-modifier-reversed'),
+        wild: document.getElementById('setting-modifier-wild'),
+        doublePoints: document.getElementById('setting-modifier-double-points'),
+        noSwaps: document.getElementById('setting-modifier-no-swaps')
+      },
+      settingTimerSequence: document.getElementById('setting-timer-sequence'),
+      settingTimerSwap: document.getElementById('setting-timer-swap'),
+      settingTimerTiebreak: document.getElementById('setting-timer-tiebreak'),
+      settingTimerContinue: document.getElementById('setting-timer-continue'),
+      settingTimerReconnect: document.getElementById('setting-timer-reconnect'),
+      settingRated: document.getElementById('setting-rated'),
+      settingAutopilot: document.getElementById('setting-autopilot'),
+      settingTimerAutopilot: document.getElementById('setting-timer-autopilot'),
+      
+      // Draft
+      draftStatus: document.getElementById('draft-status'),
+      draftPool: document.getElementById('draft-pool'),
+      draftPlayerCards: document.getElementById('draft-player-cards'),
+      draftOpponentCards: document.getElementById('draft-opponent-cards'),
+      draftPlayerLabel: document.getElementById('draft-player-label'),
+      draftOpponentLabel: document.getElementById('draft-opponent-label'),
+      
+      // Constructed hands
+      constructInstruction: document.getElementById('construct-instruction'),
+      constructDeck: document.getElementById('construct-deck'),
+      constructConfirmBtn: document.getElementById('construct-confirm-btn'),
+      constructStatus: document.getElementById('construct-status'),
       
       // Preview
       previewTimer: document.getElementById('preview-timer'),
@@ -47,6 +189,11 @@ class UIManager {
       playerScore: document.getElementById('player-score'),
       playerSwaps: document.getElementById('player-swaps'),
       currentRound: document.getElementById('current-round'),
+      roundLabel: document.getElementById('round-label'),
+      tiebreakLabel: document.getElementById('tiebreak-label'),
+      scoringLabel: document.getElementById('scoring-label'),
+      modifierLabel: document.getElementById('modifier-label'),
+      totalRounds: document.getElementById('total-rounds'),
       gameTimer: document.getElementById('game-timer'),
       opponentCards: document.getElementById('opponent-cards'),
       playerCards: document.getElementById('player-cards'),
@@ -57,6 +204,7 @@ class UIManager {
       roundResult: document.getElementById('round-result'),
       resultTitle: document.getElementById('result-title'),
       resultMessage: document.getElementById('result-message'),
+      resultPoints: document.getElementById('result-points'),
       resultWaitText: document.getElementById('result-wait-text'),
       resultCountdown: document.getElementById('result-countdown'),
       continueBtn: document.getElementById('continue-btn'),
@@ -66,8 +214,19 @@ class UIManager {
       gameoverTitle: document.getElementById('gameover-title'),
       gameoverScore: document.getElementById('gameover-score'),
       gameoverMessage: document.getElementById('gameover-message'),
+      gameoverRating: document.getElementById('gameover-rating'),
+      gameoverDealCheck: document.getElementById('gameover-deal-check'),
       roundHistory: document.getElementById('round-history'),
+      seriesStatus: document.getElementById('series-status'),
+      seriesHistory: document.getElementById('series-history'),
+      seriesIndicator: document.getElementById('series-indicator'),
       playAgainBtn: document.getElementById('play-again-btn'),
+      exitToMenuBtn: document.getElementById('exit-to-menu-btn'),
+      rematchPanel: document.getElementById('rematch-panel'),
+      rematchTally: document.getElementById('rematch-tally'),
+      rematchStatus: document.getElementById('rematch-status'),
+      rematchCountdown: document.getElementById('rematch-countdown'),
+      rematchTimer: document.getElementById('rematch-timer'),
       
       // Overlay
       disconnectOverlay: document.getElementById('disconnect-overlay'),
@@ -92,6 +251,9 @@ class UIManager {
       resultPlayerCard: document.getElementById('result-player-card'),
       resultOpponentCard: document.getElementById('result-opponent-card'),
       
+      // Rules popup
+      rulesBeatsList: document.getElementById('rules-beats-list'),
+      
       // Room and User ID
       roomIdDisplay: document.getElementById('room-id-display'),
       userIdDisplay: document.getElementById('user-id-display')
@@ -103,6 +265,31 @@ class UIManager {
     this.playerPlayedCards = []; // Track player's played cards
     this.currentUserId = null; // Current user ID for display
     this.currentRoomId = null; // Current room ID for display
+    this.gameSettings = null; // Settings of the current lobby
+    
+    // Card types used until the lobby's rule set is known
+    this.defaultCardTypes = {
+      rock: { type: 'rock', color: 'red', label: 'Камень', icon: '🪨' },
+      scissors: { type: 'scissors', color: 'green', label: 'Ножницы', icon: '✂️' },
+      paper: { type: 'paper', color: 'blue', label: 'Бумага', icon: '📄' }
+    };
+    
+    // Special cards (see server/game/specialCards.js); Joker and Mirror are
+    // types of their own, Double and Shield mark a card of a regular type
+    this.specialCards = {
+      joker: { label: 'Джокер', icon: '🃏', ownType: true, description: 'ничья с любой картой' },
+      mirror: { label: 'Зеркало', icon: '🪞', ownType: true, description: 'отражает карту соперника и бьёт её' },
+      double: { label: 'Двойная', icon: '✖2', ownType: false, description: 'победа приносит 2 очка' },
+      shield: { label: 'Щит', icon: '🛡️', ownType: false, description: 'поражение превращается в ничью' }
+    };
+    
+    // Round modifiers (see server/game/roundModifiers.js)
+    this.roundModifiers = {
+      reversed: { label: 'Реверс', icon: '🔄', description: 'побеждает карта, которая проиграла бы' },
+      wild: { label: 'Дикая карта', icon: '🌟', description: 'один тип карт бьёт все остальные' },
+      doublePoints: { label: 'Двойные очки', icon: '💰', description: 'раунд стоит вдвое больше очков' },
+      noSwaps: { label: 'Без свапов', icon: '🚫', description: 'в этом раунде менять карты нельзя' }
+    };
     
     // Initialize theme
     this.initTheme();
@@ -267,12 +454,18 @@ class UIManager {
   }
 
   /**
-   * Setup preview screen with both players' cards
+   * Setup preview screen with the player's cards and what may be seen of the opponent's
+   * @param {Object} opponentView - { cards, counts, count }: cards shown face up and
+   *   counts per type (each null if hidden), count of cards in the opponent's hand
    */
-  setupPreviewScreen(playerName, opponentName, playerCards, opponentCards) {
+  setupPreviewScreen(playerName, opponentName, playerCards, opponentView) {
+    const { cards, counts, count } = opponentView;
+    const hidden = cards ? count - cards.length : count;
+    
     // Set labels
     this.elements.previewPlayerLabel.textContent = `Ваши карты (${playerName})`;
-    this.elements.previewOpponentLabel.textContent = `Карты соперника (${opponentName})`;
+    this.elements.previewOpponentLabel.textContent = `Карты соперника (${opponentName})` +
+      (counts ? ' — только число по типам' : hidden === count ? ' — скрыты' : hidden > 0 ? ` — видно ${cards.length} из ${count}` : '');
     
     // Render player cards
     this.elements.previewPlayerCards.innerHTML = '';
@@ -281,12 +474,28 @@ class UIManager {
       this.elements.previewPlayerCards.appendChild(cardEl);
     });
     
-    // Render opponent cards
+    // Render opponent cards: counts as one card per type, the rest face down
     this.elements.previewOpponentCards.innerHTML = '';
-    opponentCards.forEach(card => {
-      const cardEl = this.createCardElement(card, { simple: true });
-      this.elements.previewOpponentCards.appendChild(cardEl);
-    });
+    if (counts) {
+      Object.entries(counts).forEach(([type, typeCount]) => {
+        const cardEl = this.createCardElement({ type }, { simple: true });
+        const badge = document.createElement('span');
+        badge.className = 'card-count';
+        badge.textContent = `×${typeCount}`;
+        cardEl.appendChild(badge);
+        this.elements.previewOpponentCards.appendChild(cardEl);
+      });
+    } else {
+      (cards || []).forEach(card => {
+        const cardEl = this.createCardElement(card, { simple: true });
+        this.elements.previewOpponentCards.appendChild(cardEl);
+      });
+      for (let i = 0; i < hidden; i++) {
+        const cardEl = document.createElement('div');
+        cardEl.className = 'card card-back';
+        this.elements.previewOpponentCards.appendChild(cardEl);
+      }
+    }
     
     // Reset ready button
     this.elements.previewReadyBtn.disabled = false;
@@ -322,8 +531,7 @@ class UIManager {
   showWaiting(lobbyCode) {
     this.elements.waitingSection.classList.remove('hidden');
     this.elements.displayLobbyCode.textContent = lobbyCode;
-    this.elements.createLobbyBtn.disabled = true;
-    this.elements.joinLobbyBtn.disabled = true;
+    this.setLobbyActionsEnabled(false);
   }
 
   /**
@@ -352,13 +560,174 @@ class UIManager {
     window.history.replaceState({}, '', url);
   }
 
+  /**
+   * Put a replay's match ID in the URL for sharing
+   */
+  updateUrlWithReplay(matchId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('replay', matchId);
+    window.history.replaceState({}, '', url);
+  }
+
+  /**
+   * Get replay match ID from URL
+   */
+  getReplayFromUrl() {
+    const url = new URL(window.location.href);
+    return url.searchParams.get('replay');
+  }
+
+  /**
+   * Clear replay from URL
+   */
+  clearReplayFromUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('replay');
+    window.history.replaceState({}, '', url);
+  }
+
   /**
    * Hide waiting section
    */
   hideWaiting() {
     this.elements.waitingSection.classList.add('hidden');
-    this.elements.createLobbyBtn.disabled = false;
-    this.elements.joinLobbyBtn.disabled = false;
+    this.setLobbyActionsEnabled(true);
+  }
+
+  /**
+   * Enable/disable the ways to start a game on the lobby screen
+   */
+  setLobbyActionsEnabled(enabled) {
+    this.lobbyActionsEnabled = enabled;
+    this.elements.publicLobbiesList.querySelectorAll('button').forEach(btn => {
+      btn.disabled = !enabled;
+    });
+    this.elements.findMatchBtn.disabled = !enabled;
+    this.elements.createLobbyBtn.disabled = !enabled;
+    this.elements.joinLobbyBtn.disabled = !enabled;
+    this.elements.spectateLobbyBtn.disabled = !enabled;
+    this.elements.createBotLobbyBtn.disabled = !enabled;
+  }
+
+  /**
+   * Show quick match searching state
+   */
+  showMatchmaking() {
+    this.elements.matchmakingSection.classList.remove('hidden');
+    this.elements.matchQueueStatus.textContent = '';
+    this.setLobbyActionsEnabled(false);
+  }
+
+  /**
+   * Hide quick match searching state
+   */
+  hideMatchmaking() {
+    this.elements.matchmakingSection.classList.add('hidden');
+    this.setLobbyActionsEnabled(true);
+    if (this.matchWaitInterval) {
+      clearInterval(this.matchWaitInterval);
+      this.matchWaitInterval = null;
+    }
+  }
+
+  /**
+   * Show queue position, estimated wait and time spent searching
+   */
+  updateMatchQueueStatus(status) {
+    let waited = status.waited;
+    const estimate = status.estimatedWait !== null
+      ? `Примерное ожидание: ~${status.estimatedWait}с`
+      : 'Примерное ожидание: неизвестно';
+    
+    const render = () => {
+      this.elements.matchQueueStatus.textContent =
+        `Место в очереди: ${status.position} из ${status.queueSize}\n${estimate}\nИщем уже ${waited}с`;
+    };
+    
+    if (this.matchWaitInterval) {
+      clearInterval(this.matchWaitInterval);
+    }
+    render();
+    this.matchWaitInterval = setInterval(() => {
+      waited++;
+      render();
+    }, 1000);
+  }
+
+  /**
+   * Check if the lobby should be created as public
+   */
+  getCreatePublicLobby() {
+    return this.elements.createPublicLobby.checked;
+  }
+
+  /**
+   * Render the public lobby list
+   * @param {Array} lobbies - Entries with lobbyId, hostName, settings and
+   *   createdAt (local clock)
+   * @param {Function} onJoin - Called with a lobbyId when Join is clicked
+   */
+  renderPublicLobbies(lobbies, onJoin) {
+    const list = this.elements.publicLobbiesList;
+    list.innerHTML = '';
+    this.elements.publicLobbiesEmpty.classList.toggle('hidden', lobbies.length > 0);
+    
+    lobbies.forEach(lobby => {
+      const item = document.createElement('li');
+      item.className = 'public-lobby-item';
+      
+      const info = document.createElement('div');
+      info.className = 'public-lobby-info';
+      
+      const header = document.createElement('div');
+      const host = document.createElement('span');
+      host.className = 'public-lobby-host';
+      host.textContent = lobby.hostName;
+      const age = document.createElement('span');
+      age.className = 'public-lobby-age';
+      age.textContent = this.formatLobbyAge(Date.now() - lobby.createdAt);
+      header.append(host, age);
+      
+      const settings = document.createElement('div');
+      settings.className = 'public-lobby-settings';
+      settings.textContent = this.formatGameSettings(lobby.settings);
+      
+      info.append(header, settings);
+      
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn btn-primary btn-small';
+      joinBtn.textContent = 'Играть';
+      joinBtn.disabled = this.lobbyActionsEnabled === false;
+      joinBtn.addEventListener('click', () => onJoin(lobby.lobbyId));
+      
+      item.append(info, joinBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * How long ago a lobby was created
+   * @param {number} ms - Age in milliseconds
+   */
+  formatLobbyAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'только что';
+    if (minutes < 60) return `${minutes} мин назад`;
+    return `${Math.floor(minutes / 60)} ч назад`;
+  }
+
+  /**
+   * Check if "only my settings" is ticked for quick match
+   */
+  getMatchStrictSettings() {
+    return this.elements.matchStrictSettings.checked;
+  }
+
+  /**
+   * Get selected bot difficulty
+   */
+  getBotDifficulty() {
+    return this.elements.botDifficulty.value;
   }
 
   /**
@@ -368,6 +737,222 @@ class UIManager {
     return this.elements.playerNameInput.value.trim() || 'Player';
   }
 
+  /**
+   * Read game settings from the lobby settings panel
+   */
+  getGameSettings() {
+    const readInt = (input) => parseInt(input.value, 10);
+    const preview = this.elements.settingPreviewVisibility.value;
+    return {
+      ruleSet: this.elements.settingRuleSet.value,
+      dealMode: this.elements.settingDealMode.value,
+      minCardsPerType: readInt(this.elements.settingMinCardsPerType),
+      // The panel offers both kinds of partial preview as separate choices
+      previewVisibility: ['counts', 'cards'].includes(preview) ? 'partial' : preview,
+      partialPreview: preview === 'cards' ? 'cards' : 'counts',
+      revealedCards: readInt(this.elements.settingRevealedCards),
+      tiebreak: this.elements.settingTiebreak.value,
+      scoring: this.elements.settingScoring.value,
+      scoringTarget: readInt(this.elements.settingScoringTarget),
+      specialCards: Object.fromEntries(Object.entries(this.elements.settingSpecialCards)
+        .map(([special, input]) => [special, readInt(input)])),
+      roundModifiers: Object.entries(this.elements.settingRoundModifiers)
+        .filter(([, input]) => input.checked)
+        .map(([id]) => id),
+      seriesLength: readInt(this.elements.settingSeriesLength),
+      totalRounds: readInt(this.elements.settingTotalRounds),
+      cardsPerPlayer: readInt(this.elements.settingCardsPerPlayer),
+      maxSwapsPerGame: readInt(this.elements.settingSwapsPerGame),
+      maxSwapsPerRound: readInt(this.elements.settingSwapsPerRound),
+      autopilot: this.elements.settingAutopilot.checked,
+      rated: this.elements.settingRated.checked,
+      timers: {
+        preview: readInt(this.elements.settingTimerPreview),
+        draftPick: readInt(this.elements.settingTimerDraftPick),
+        construct: readInt(this.elements.settingTimerConstruct),
+        sequence: readInt(this.elements.settingTimerSequence),
+        swap: readInt(this.elements.settingTimerSwap),
+        tiebreak: readInt(this.elements.settingTimerTiebreak),
+        continue: readInt(this.elements.settingTimerContinue),
+        reconnect: readInt(this.elements.settingTimerReconnect),
+        autopilot: readInt(this.elements.settingTimerAutopilot)
+      }
+    };
+  }
+
+  /**
+   * Apply lobby settings to game screen labels
+   */
+  applyGameSettings(settings) {
+    if (!settings) return;
+    this.gameSettings = settings;
+    this.elements.totalRounds.textContent = settings.totalRounds;
+    const scoringLabel = this.getScoringLabel(settings);
+    this.elements.scoringLabel.textContent = scoringLabel || '';
+    this.elements.scoringLabel.classList.toggle('hidden', !scoringLabel);
+    this.elements.waitingSettingsSummary.textContent = this.formatGameSettings(settings);
+    this.renderRuleSetRules(settings.ruleSet);
+  }
+
+  /**
+   * List what beats what for a rule set in the rules popup
+   */
+  renderRuleSetRules(ruleSet) {
+    if (!ruleSet) return;
+    
+    const typeInfo = (type) => ruleSet.types.find(t => t.type === type);
+    this.elements.rulesBeatsList.innerHTML = '';
+    
+    Object.entries(ruleSet.beats).forEach(([winnerType, losers]) => {
+      const winner = typeInfo(winnerType);
+      Object.entries(losers).forEach(([loserType, verb]) => {
+        const loser = typeInfo(loserType);
+        const item = document.createElement('li');
+        item.textContent = `${winner.icon} ${winner.label} ${verb} ${loser.icon} ${loser.accusative}`;
+        this.elements.rulesBeatsList.appendChild(item);
+      });
+    });
+  }
+
+  /**
+   * Short human-readable description of lobby settings
+   */
+  formatGameSettings(settings) {
+    const ruleSetName = settings.ruleSet ? `${settings.ruleSet.name}. ` : '';
+    return `${ruleSetName}Раундов: ${settings.totalRounds}, карт: ${settings.cardsPerPlayer}, ` +
+      `свапов: ${settings.maxSwapsPerGame} (до ${settings.maxSwapsPerRound} за раунд), ` +
+      `ход: ${settings.timers.swap}с` +
+      (settings.dealMode === 'draft' ? ', драфт' : '') +
+      (settings.dealMode === 'constructed' ? ', своя рука' : '') +
+      this.formatPreviewVisibility(settings) +
+      (settings.tiebreak === 'fresh' ? ', тай-брейк новой мини-рукой' : '') +
+      (settings.tiebreak === 'leftover' ? ', тай-брейк остатком колоды' : '') +
+      this.formatSpecialCards(settings.specialCards) +
+      this.formatRoundModifiers(settings.roundModifiers) +
+      (this.getScoringLabel(settings) ? `, ${this.getScoringLabel(settings).toLowerCase()}` : '') +
+      (settings.seriesLength > 1 ? `, серия до ${Math.floor(settings.seriesLength / 2) + 1} побед` : '') +
+      (settings.autopilot ? `, автопилот через ${settings.timers.autopilot}с` : '') +
+      (settings.rated === false ? ', без рейтинга' : '');
+  }
+
+  /**
+   * Short name of the lobby's scoring (null for classic scoring)
+   */
+  getScoringLabel(settings) {
+    if (settings.scoring === 'streak') return 'Серии побед';
+    if (settings.scoring === 'lateRounds') return 'Поздние раунды дороже';
+    if (settings.scoring === 'firstTo') return `До ${this.formatTarget(settings.scoringTarget)}`;
+    return null;
+  }
+
+  /**
+   * "2 очка", "5 очков"
+   */
+  formatPoints(points) {
+    const mod10 = points % 10;
+    const mod100 = points % 100;
+    if (mod10 === 1 && mod100 !== 11) return `${points} очко`;
+    if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${points} очка`;
+    return `${points} очков`;
+  }
+
+  /**
+   * Target score after "до": "1 очка", "4 очков"
+   */
+  formatTarget(points) {
+    return `${points} ${points % 10 === 1 && points % 100 !== 11 ? 'очка' : 'очков'}`;
+  }
+
+  /**
+   * Describe the special cards for the settings summary (empty when there are none)
+   */
+  formatSpecialCards(specialCards) {
+    const entries = Object.entries(specialCards || {})
+      .filter(([, count]) => count > 0)
+      .map(([special, count]) => `${this.specialCards[special].label} ×${count}`);
+    return entries.length > 0 ? `, особые карты: ${entries.join(', ')}` : '';
+  }
+
+  /**
+   * Describe the modifier pool for the settings summary (empty when there is none)
+   */
+  formatRoundModifiers(roundModifiers) {
+    const labels = (roundModifiers || []).map(id => this.roundModifiers[id].label);
+    return labels.length > 0 ? `, модификаторы: ${labels.join(', ')}` : '';
+  }
+
+  /**
+   * Name of a drawn round modifier, with the wild type for "Дикая карта"
+   * @param {Object} modifier - { id, type }
+   */
+  formatModifier(modifier) {
+    const info = this.roundModifiers[modifier.id];
+    const wild = modifier.type ? `: ${this.getCardLabel(modifier.type)}` : '';
+    return `${info.icon} ${info.label}${wild}`;
+  }
+
+  /**
+   * Show the current round's modifier in the game header (hidden for null)
+   * @param {Object|null} modifier - { id, type }
+   */
+  showRoundModifier(modifier) {
+    this.elements.modifierLabel.textContent = modifier ? this.formatModifier(modifier) : '';
+    this.elements.modifierLabel.title = modifier ? this.roundModifiers[modifier.id].description : '';
+    this.elements.modifierLabel.classList.toggle('hidden', !modifier);
+  }
+
+  /**
+   * Describe the preview visibility for the settings summary (empty when the whole hand is shown)
+   */
+  formatPreviewVisibility(settings) {
+    if (settings.dealMode === 'draft' || !settings.previewVisibility || settings.previewVisibility === 'full') {
+      return '';
+    }
+    if (settings.previewVisibility === 'blind') {
+      return ', карты соперника скрыты';
+    }
+    return settings.partialPreview === 'cards'
+      ? `, видно ${settings.revealedCards} карт соперника`
+      : ', видно число карт соперника по типам';
+  }
+
+  /**
+   * Describe what the autopilot did while the player was away
+   * @param {Object} summary - { actions, rounds } from the server
+   * @param {string} playerId - This player's ID
+   */
+  formatAutopilotSummary(summary, playerId) {
+    const lines = ['Пока вас не было, за вас играл компьютер:'];
+    const cardLabel = (card) => this.getCardLabel(card.type);
+    
+    summary.actions.forEach(action => {
+      if (action.type === 'draftPick') {
+        lines.push(`• взял в драфте: ${cardLabel(action.card)}`);
+      } else if (action.type === 'constructHand') {
+        lines.push(`• собрал руку: ${action.cards.map(cardLabel).join(', ')}`);
+      } else if (action.type === 'previewReady') {
+        lines.push('• подтвердил просмотр карт');
+      } else if (action.type === 'sequence') {
+        lines.push(`• расставил карты: ${action.cards.map(cardLabel).join(', ')}`);
+      } else if (action.type === 'swap') {
+        lines.push(`• раунд ${action.round}: поменял ${action.cards.map(cardLabel).join(' и ')}`);
+      } else if (action.type === 'skip') {
+        lines.push(`• раунд ${action.round}: без свапа`);
+      } else if (action.type === 'tiebreakPick') {
+        lines.push(`• раунд ${action.round} (тай-брейк): сыграл ${cardLabel(action.card)}`);
+      }
+    });
+    
+    if (summary.rounds.length > 0) {
+      const wins = summary.rounds.filter(r => r.winner === playerId).length;
+      const draws = summary.rounds.filter(r => r.isDraw).length;
+      const losses = summary.rounds.length - wins - draws;
+      lines.push(`Раундов сыграно: ${summary.rounds.length} (побед: ${wins}, ничьих: ${draws}, поражений: ${losses})`);
+    }
+    
+    return lines.join('\n');
+  }
+
   /**
    * Get lobby code from input
    */
@@ -393,31 +978,46 @@ class UIManager {
    * Create card element
    */
   createCardElement(card, options = {}) {
+    const info = this.getCardTypeInfo(card.type);
+    const colorClass = `card-color-${card.color || info.color}`;
+    const special = card.special ? this.specialCards[card.special] : null;
+    // Double and Shield keep their type's look and carry a badge
+    const badge = special && !special.ownType
+      ? `<span class="card-badge">${special.icon}</span>`
+      : '';
+    
     const cardEl = document.createElement('div');
-    cardEl.className = `card ${card.type}`;
+    cardEl.className = `card ${card.type} ${colorClass}`;
     cardEl.dataset.cardId = card.id;
     cardEl.dataset.type = card.type;
+    if (special) {
+      cardEl.classList.add('card-special', `special-${card.special}`);
+      cardEl.title = `${special.label}: ${special.description}`;
+    }
     
     if (options.simple) {
       cardEl.classList.add('card-simple');
       cardEl.innerHTML = `
-        <span class="card-icon"></span>
-        <span class="card-label">${this.getCardLabel(card.type)}</span>
+        <span class="card-icon">${info.icon}</span>
+        <span class="card-label">${info.label}</span>
+        ${badge}
       `;
     } else if (options.flippable) {
       cardEl.innerHTML = `
         <div class="card-inner">
           <div class="card-face back"></div>
-          <div class="card-face card-front ${card.type}">
-            <span class="card-icon"></span>
-            <span class="card-label">${this.getCardLabel(card.type)}</span>
+          <div class="card-face card-front ${card.type} ${colorClass}">
+            <span class="card-icon">${info.icon}</span>
+            <span class="card-label">${info.label}</span>
+            ${badge}
           </div>
         </div>
       `;
     } else {
       cardEl.innerHTML = `
-        <span class="card-icon"></span>
-        <span class="card-label">${this.getCardLabel(card.type)}</span>
+        <span class="card-icon">${info.icon}</span>
+        <span class="card-label">${info.label}</span>
+        ${badge}
       `;
       cardEl.classList.add('card-simple');
     }
@@ -434,16 +1034,54 @@ class UIManager {
     return cardEl;
   }
 
+  /**
+   * Get type definition (label, icon, color) from the lobby's rule set
+   */
+  getCardTypeInfo(type) {
+    const ruleSet = this.gameSettings && this.gameSettings.ruleSet;
+    const info = ruleSet ? ruleSet.types.find(t => t.type === type) : null;
+    return info || this.getSpecialTypeInfo(type) || this.defaultCardTypes[type] || { type, color: 'none', label: type, icon: '?' };
+  }
+
+  /**
+   * Type definition of Joker and Mirror, which aren't part of any rule set
+   */
+  getSpecialTypeInfo(type) {
+    const special = this.specialCards[type];
+    return special && special.ownType ? { type, color: 'special', label: special.label, icon: special.icon } : null;
+  }
+
+  /**
+   * Cards with the same key are interchangeable (server: specialCards.cardToken)
+   */
+  getCardKey(card) {
+    return card.special && card.special !== card.type ? `${card.type}+${card.special}` : card.type;
+  }
+
+  /**
+   * Copies of a card one full deck holds (see Deck.createFullDeck)
+   */
+  countInDeck(card, settings) {
+    const { ruleSet, specialCards = {} } = settings;
+    if (!card.special) return ruleSet.cardsPerType;
+    
+    const count = specialCards[card.special] || 0;
+    if (this.specialCards[card.special].ownType) return count;
+    
+    // Double and Shield take the rule set's types in turn
+    const typeIndex = ruleSet.types.findIndex(t => t.type === card.type);
+    let copies = 0;
+    for (let i = 0; i < count; i++) {
+      if (i % ruleSet.types.length === typeIndex) copies++;
+    }
+    return copies;
+  }
+
   /**
    * Get localized card label
    */
   getCardLabel(type) {
-    const labels = {
-      rock: 'Камень',
-      scissors: 'Ножницы',
-      paper: 'Бумага'
-    };
-    return labels[type] || type;
+    return this.getCardTypeInfo(type).label;
   }
 
   /**
@@ -497,6 +1135,7 @@ class UIManager {
    * Set up game screen with player info
    */
   setupGameScreen(playerName, opponentName) {
+    this.setReplayMode(false);
     this.elements.playerNameDisplay.textContent = playerName;
     this.elements.opponentName.textContent = opponentName;
     this.elements.playerScore.textContent = '0';
@@ -558,6 +1197,37 @@ class UIManager {
     });
   }
 
+  /**
+   * Render the sudden-death hand after the cards played in regular rounds
+   * @param {Array} cards - Tiebreak hand
+   * @param {Object|null} picked - Card picked this round
+   * @param {Function|null} onPick - Called with a card ID when a card is clicked (null once picked)
+   */
+  renderTiebreakHand(cards, picked, onPick) {
+    this.renderPlayerCards([], 0, true);
+    
+    cards.forEach(card => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'card-wrapper';
+      
+      const cardEl = this.createCardElement(card, { simple: true });
+      if (picked && picked.id === card.id) {
+        cardEl.classList.add('selected');
+      } else if (onPick) {
+        cardEl.classList.add('pickable');
+        cardEl.onclick = () => onPick(card.id);
+      }
+      
+      const label = document.createElement('span');
+      label.className = 'round-label current';
+      label.textContent = 'Тай-брейк';
+      
+      wrapper.appendChild(cardEl);
+      wrapper.appendChild(label);
+      this.elements.playerCards.appendChild(wrapper);
+    });
+  }
+
   /**
    * Add player's played card
    */
@@ -574,8 +1244,9 @@ class UIManager {
 
   /**
    * Render opponent cards (face down, with revealed cards showing)
+   * @param {Array} [upcomingCards] - Full opponent sequence to show unplayed cards face up (replays)
    */
-  renderOpponentCards(count, currentRound = 0, playedCards = []) {
+  renderOpponentCards(count, currentRound = 0, playedCards = [], upcomingCards = null) {
     this.elements.opponentCards.innerHTML = '';
     
     // Use stored played cards if not provided
@@ -588,6 +1259,9 @@ class UIManager {
         // Show revealed card
         cardEl = this.createCardElement(revealedCards[i], { simple: true });
         cardEl.classList.add('revealed', 'used');
+      } else if (upcomingCards && upcomingCards[i]) {
+        cardEl = this.createCardElement(upcomingCards[i], { simple: true });
+        cardEl.classList.add('revealed');
       } else {
         // Show card back
         cardEl = document.createElement('div');
@@ -632,21 +1306,25 @@ class UIManager {
   }
 
   /**
-   * Update round display
+   * Update round display (rounds past the last one are tiebreak rounds)
    */
   updateRound(round) {
+    const isTiebreak = Boolean(this.gameSettings) && round > this.gameSettings.totalRounds;
     this.elements.currentRound.textContent = round;
+    this.elements.roundLabel.classList.toggle('hidden', isTiebreak);
+    this.elements.tiebreakLabel.classList.toggle('hidden', !isTiebreak);
   }
 
   /**
    * Update swaps remaining
    */
   updateSwaps(playerSwaps, opponentSwaps = null) {
-    const swapIcons = '⚡'.repeat(playerSwaps) + '○'.repeat(3 - playerSwaps);
+    const maxSwaps = this.gameSettings ? this.gameSettings.maxSwapsPerGame : 3;
+    const swapIcons = '⚡'.repeat(playerSwaps) + '○'.repeat(maxSwaps - playerSwaps);
     this.elements.playerSwaps.textContent = swapIcons;
     
     if (opponentSwaps !== null) {
-      const oppSwapIcons = '⚡'.repeat(opponentSwaps) + '○'.repeat(3 - opponentSwaps);
+      const oppSwapIcons = '⚡'.repeat(opponentSwaps) + '○'.repeat(maxSwaps - opponentSwaps);
       this.elements.opponentSwaps.textContent = oppSwapIcons;
     }
   }
@@ -726,10 +1404,12 @@ class UIManager {
     this.elements.resultTitle.textContent = title;
     this.elements.resultTitle.className = `result-${type}`;
     this.elements.resultMessage.textContent = message;
-    this.elements.resultCountdown.textContent = '5';
+    this.elements.resultPoints.textContent = '';
+    const continueTime = this.gameSettings ? this.gameSettings.timers.continue : 5;
+    this.elements.resultCountdown.textContent = continueTime;
     this.elements.continueBtn.classList.remove('waiting');
     this.elements.continueBtn.textContent = 'Продолжить';
-    this.elements.resultWaitText.textContent = 'Ожидание соперника... 5с';
+    this.elements.resultWaitText.textContent = `Ожидание соперника... ${continueTime}с`;
     
     // Show player names
     this.elements.resultPlayerName.textContent = playerName;
@@ -757,6 +1437,14 @@ class UIManager {
     // Don't auto-hide - server will trigger next round
   }
 
+  /**
+   * Show the points a round was worth under the lobby's scoring
+   * @param {string} reason - pointsReason of the round result
+   */
+  showRoundPoints(reason) {
+    this.elements.resultPoints.textContent = reason || '';
+  }
+
   /**
    * Hide round result overlay
    */
@@ -820,6 +1508,9 @@ class UIManager {
     
     if (data.byDisconnect) {
       this.elements.gameoverMessage.textContent = data.message;
+    } else if (data.reachedTarget && this.gameSettings) {
+      this.elements.gameoverMessage.textContent =
+        `Игра до ${this.formatTarget(this.gameSettings.scoringTarget)} окончена досрочно`;
     } else {
       this.elements.gameoverMessage.textContent = data.youWon 
         ? 'Поздравляем с победой!' 
@@ -831,40 +1522,947 @@ class UIManager {
     // Render round history with explicit player ID
     this.renderRoundHistory(data.roundHistory, data, game.state.playerId);
     
+    // Series, rating and rematch details arrive in separate events
+    this.elements.gameoverRating.classList.add('hidden');
+    this.elements.gameoverDealCheck.classList.add('hidden');
+    this.hideSeriesStatus();
+    this.elements.roundHistory.classList.remove('hidden');
+    this.hideRematch();
+    this.setMatchActionsVisible(false);
+    
     this.showScreen('gameover');
   }
 
   /**
-   * Render round history in game over screen
+   * Show this player's rating change on the game over screen
+   * @param {Object} change - { before, after, delta }
    */
-  renderRoundHistory(history, gameData, playerId) {
-    this.elements.roundHistory.innerHTML = '';
+  showRatingChange(change) {
+    const sign = change.delta > 0 ? '+' : '';
+    this.elements.gameoverRating.textContent = `Рейтинг: ${change.after} (${sign}${change.delta})`;
+    this.elements.gameoverRating.classList.remove('hidden');
+  }
+
+  /**
+   * Show the result of checking the deal on the game over screen
+   * @param {string} text - Verdict
+   * @param {boolean|null} ok - Passed, failed, or couldn't be checked
+   */
+  showDealCheck(text, ok) {
+    const el = this.elements.gameoverDealCheck;
+    el.textContent = text;
+    el.classList.toggle('ok', ok === true);
+    el.classList.toggle('failed', ok === false);
+    el.classList.remove('hidden');
+  }
+
+  /**
+   * Player name with rating, e.g. "Анна (1532)"
+   */
+  formatPlayerName(name, rating) {
+    return rating === null || rating === undefined ? name : `${name} (${rating})`;
+  }
+
+  /**
+   * Series score from this player's side, e.g. "2 : 1"
+   */
+  formatSeriesScore(series, playerId) {
+    const wins = series.wins[playerId] || 0;
+    const opponentWins = Object.entries(series.wins)
+      .filter(([id]) => id !== playerId)
+      .reduce((sum, [, count]) => sum + count, 0);
+    return `${wins} : ${opponentWins}`;
+  }
+
+  /**
+   * Show series progress next to the round counter
+   */
+  updateSeriesIndicator(series, playerId) {
+    this.elements.seriesIndicator.textContent =
+      `Игра ${series.gameNumber} · серия ${this.formatSeriesScore(series, playerId)}`;
+    this.elements.seriesIndicator.classList.remove('hidden');
+  }
+
+  /**
+   * Hide series indicator (single game)
+   */
+  hideSeriesIndicator() {
+    this.elements.seriesIndicator.classList.add('hidden');
+  }
+
+  /**
+   * Game over screen between games of a series
+   */
+  showSeriesGameEnd(data, playerId) {
+    const status = `Игра ${data.gameNumber} серии (до ${data.winsNeeded} побед). ` +
+      `Счёт серии: ${this.formatSeriesScore(data, playerId)}`;
+    let seconds = data.nextGameIn;
     
-    if (!history) return;
+    const render = () => {
+      this.elements.seriesStatus.textContent = `${status}\nСледующая игра через ${Math.max(0, seconds)}с`;
+    };
     
-    // Use the passed playerId or fallback to game state
-    const myPlayerId = playerId || game.state.playerId || socketHandler.playerId;
+    this.stopSeriesTimer();
+    render();
+    this.elements.seriesStatus.classList.remove('hidden');
     
-    history.forEach((round, index) => {
-      const item = document.createElement('div');
-      item.className = 'round-history-item';
-      
-      const myCard = round.cards[myPlayerId];
-      if (round.isDraw) {
-        item.classList.add('draw');
-        item.textContent = '=';
-      } else if (round.winner === myPlayerId) {
-        item.classList.add('win');
-        item.textContent = '✓';
-      } else {
-        item.classList.add('lose');
-        item.textContent = '✗';
+    this.seriesInterval = setInterval(() => {
+      seconds--;
+      render();
+      if (seconds <= 0) {
+        this.stopSeriesTimer();
       }
-      
-      item.title = `Раунд ${index + 1}: ${this.getCardLabel(myCard?.type || 'unknown')}`;
-      
-      this.elements.roundHistory.appendChild(item);
-    });
+    }, 1000);
+  }
+
+  /**
+   * Final series result with every game's round history
+   */
+  showSeriesResult(data, playerId) {
+    this.stopSeriesTimer();
+    
+    if (data.isDraw) {
+      this.elements.gameoverIcon.textContent = '🤝';
+      this.elements.gameoverTitle.textContent = 'Серия вничью';
+      this.elements.gameoverTitle.style.color = 'var(--accent-warning)';
+    } else if (data.winner === playerId) {
+      this.elements.gameoverIcon.textContent = '🏆';
+      this.elements.gameoverTitle.textContent = 'Серия за вами!';
+      this.elements.gameoverTitle.style.color = 'var(--accent-secondary)';
+    } else {
+      this.elements.gameoverIcon.textContent = '😢';
+      this.elements.gameoverTitle.textContent = 'Серия проиграна';
+      this.elements.gameoverTitle.style.color = 'var(--card-rock)';
+    }
+    
+    this.elements.gameoverScore.textContent = this.formatSeriesScore(data, playerId);
+    this.elements.gameoverMessage.textContent = data.draws > 0
+      ? `Сыграно игр: ${data.games.length}, ничьих: ${data.draws}`
+      : `Сыграно игр: ${data.games.length}`;
+    this.elements.seriesStatus.classList.add('hidden');
+    
+    this.elements.roundHistory.classList.add('hidden');
+    this.elements.seriesHistory.innerHTML = '';
+    data.games.forEach(gameData => {
+      const row = document.createElement('div');
+      row.className = 'series-game-row';
+      
+      const label = document.createElement('span');
+      label.className = 'series-game-label';
+      const opponentScore = Object.entries(gameData.scores)
+        .filter(([id]) => id !== playerId)
+        .reduce((sum, [, score]) => sum + score, 0);
+      label.textContent = `Игра ${gameData.gameNumber}: ${gameData.scores[playerId] || 0} : ${opponentScore}`;
+      row.appendChild(label);
+      
+      gameData.roundHistory.forEach((round, index) => {
+        row.appendChild(this.createRoundHistoryItem(round, index, playerId));
+      });
+      
+      this.elements.seriesHistory.appendChild(row);
+    });
+    this.elements.seriesHistory.classList.remove('hidden');
+  }
+
+  /**
+   * Series stopped early (opponent left)
+   */
+  closeSeries(message) {
+    this.stopSeriesTimer();
+    this.elements.seriesStatus.textContent = message;
+    this.elements.seriesStatus.classList.remove('hidden');
+  }
+
+  /**
+   * Hide series blocks on the game over screen
+   */
+  hideSeriesStatus() {
+    this.stopSeriesTimer();
+    this.elements.seriesStatus.classList.add('hidden');
+    this.elements.seriesHistory.classList.add('hidden');
+  }
+
+  /**
+   * Stop next-game countdown
+   */
+  stopSeriesTimer() {
+    if (this.seriesInterval) {
+      clearInterval(this.seriesInterval);
+      this.seriesInterval = null;
+    }
+  }
+
+  /**
+   * Show rematch votes, time left and the head-to-head tally
+   */
+  showRematchState(data, playerId) {
+    const youVoted = data.votes.includes(playerId);
+    const opponentVoted = data.votes.some(id => id !== playerId);
+    
+    this.elements.rematchPanel.classList.remove('hidden');
+    this.elements.rematchCountdown.classList.remove('hidden');
+    this.elements.rematchTally.textContent = this.formatHeadToHead(data.headToHead, playerId);
+    
+    let status = 'Сыграть ещё раз с тем же соперником?';
+    if (youVoted) {
+      status = 'Ждём ответа соперника...';
+    } else if (opponentVoted) {
+      status = 'Соперник хочет реванш!';
+    }
+    this.elements.rematchStatus.textContent = status;
+    this.elements.rematchStatus.classList.toggle('opponent-voted', opponentVoted && !youVoted);
+    
+    this.elements.playAgainBtn.classList.remove('hidden');
+    this.elements.playAgainBtn.disabled = youVoted;
+    
+    this.startRematchTimer(data.expiresIn);
+  }
+
+  /**
+   * Rematch is off (expired or declined) - keep the tally, drop the button
+   */
+  closeRematch(message) {
+    this.stopRematchTimer();
+    this.elements.rematchStatus.textContent = message;
+    this.elements.rematchStatus.classList.remove('opponent-voted');
+    this.elements.rematchCountdown.classList.add('hidden');
+    this.elements.playAgainBtn.classList.add('hidden');
+  }
+
+  /**
+   * Hide rematch controls
+   */
+  hideRematch() {
+    this.stopRematchTimer();
+    this.elements.rematchPanel.classList.add('hidden');
+    this.elements.playAgainBtn.classList.add('hidden');
+    this.elements.playAgainBtn.disabled = false;
+  }
+
+  /**
+   * Head-to-head score for the lobby from this player's side
+   */
+  formatHeadToHead(headToHead, playerId) {
+    const wins = headToHead.wins[playerId] || 0;
+    const losses = headToHead.games - headToHead.draws - wins;
+    const draws = headToHead.draws > 0 ? ` (ничьих: ${headToHead.draws})` : '';
+    return `Счёт встреч: ${wins} : ${losses}${draws}`;
+  }
+
+  /**
+   * Start rematch offer countdown
+   */
+  startRematchTimer(seconds) {
+    this.stopRematchTimer();
+    this.elements.rematchTimer.textContent = seconds;
+    
+    this.rematchInterval = setInterval(() => {
+      seconds--;
+      this.elements.rematchTimer.textContent = Math.max(0, seconds);
+      if (seconds <= 0) {
+        this.stopRematchTimer();
+      }
+    }, 1000);
+  }
+
+  /**
+   * Stop rematch offer countdown
+   */
+  stopRematchTimer() {
+    if (this.rematchInterval) {
+      clearInterval(this.rematchInterval);
+      this.rematchInterval = null;
+    }
+  }
+
+  /**
+   * Render round history in game over screen
+   */
+  renderRoundHistory(history, gameData, playerId) {
+    this.elements.roundHistory.innerHTML = '';
+    
+    if (!history) return;
+    
+    // Use the passed playerId or fallback to game state
+    const myPlayerId = playerId || game.state.playerId || socketHandler.playerId;
+    
+    history.forEach((round, index) => {
+      this.elements.roundHistory.appendChild(this.createRoundHistoryItem(round, index, myPlayerId));
+    });
+  }
+
+  /**
+   * Create a win/draw/lose marker for one round
+   */
+  createRoundHistoryItem(round, index, playerId) {
+    const item = document.createElement('div');
+    item.className = 'round-history-item';
+    
+    const myCard = round.cards[playerId];
+    if (round.isDraw) {
+      item.classList.add('draw');
+      item.textContent = '=';
+    } else if (round.winner === playerId) {
+      item.classList.add('win');
+      item.textContent = round.points > 1 ? `+${round.points}` : '✓';
+    } else {
+      item.classList.add('lose');
+      item.textContent = round.points > 1 ? `−${round.points}` : '✗';
+    }
+    
+    if (round.tiebreak) {
+      item.classList.add('tiebreak');
+    }
+    
+    const roundTitle = round.tiebreak ? `Тай-брейк (раунд ${index + 1})` : `Раунд ${index + 1}`;
+    item.title = `${roundTitle}: ${this.getCardLabel(myCard?.type || 'unknown')}` +
+      (round.modifier ? ` (${this.formatModifier(round.modifier)})` : '') +
+      (round.pointsReason ? `. ${round.pointsReason}` : '');
+    
+    return item;
+  }
+
+  // ==================== Draft ====================
+
+  /**
+   * Set up the draft screen labels
+   */
+  setupDraftScreen(playerName, opponentName) {
+    this.elements.draftPlayerLabel.textContent = `Ваши карты (${playerName})`;
+    this.elements.draftOpponentLabel.textContent = `Карты соперника (${opponentName})`;
+  }
+
+  /**
+   * Draw the pool and both players' picks
+   * @param {Object} draft - { pool, picks, picker, picksPerPlayer } (picker null once done)
+   * @param {string} playerId - This player's ID
+   * @param {string} opponentName - Opponent's name for the status line
+   * @param {Function} onPick - Called with a card ID when an allowed card is clicked
+   */
+  renderDraft(draft, playerId, opponentName, onPick) {
+    const opponentId = Object.keys(draft.picks).find(id => id !== playerId);
+    const mine = draft.picks[playerId] || [];
+    const myTurn = draft.picker === playerId;
+    const inDeck = (card) => (this.gameSettings ? this.countInDeck(card, this.gameSettings) : Infinity);
+    const canTake = (card) => myTurn &&
+      mine.filter(c => this.getCardKey(c) === this.getCardKey(card)).length < inDeck(card);
+    
+    const fill = (container, cards) => {
+      container.replaceChildren(...cards.map(card => this.createCardElement(card, { simple: true })));
+    };
+    fill(this.elements.draftPlayerCards, mine);
+    fill(this.elements.draftOpponentCards, draft.picks[opponentId] || []);
+    
+    this.elements.draftPool.replaceChildren(...draft.pool.map(card => {
+      const cardEl = this.createCardElement(card, { simple: true, disabled: !canTake(card) });
+      if (canTake(card)) {
+        cardEl.classList.add('pickable');
+        cardEl.addEventListener('click', () => onPick(card.id));
+      }
+      return cardEl;
+    }));
+    
+    if (!draft.picker) {
+      this.elements.draftStatus.textContent = 'Драфт завершён';
+    } else if (myTurn) {
+      this.elements.draftStatus.textContent =
+        `Ваш ход: возьмите карту ${mine.length + 1} из ${draft.picksPerPlayer} ` +
+        `(не больше ${perType} одного типа)`;
+    } else {
+      this.elements.draftStatus.textContent = `Выбирает ${opponentName}...`;
+    }
+  }
+
+  // ==================== Constructed Hands ====================
+
+  /**
+   * Draw the deck with the cards chosen so far
+   * @param {Object} construct - { deck, selected: Set of card IDs, confirmed, opponentChosen }
+   * @param {Function} onToggle - Called with a card ID when a card is clicked
+   */
+  renderConstruct(construct, onToggle) {
+    const { cardsPerPlayer, minCardsPerType, ruleSet } = this.gameSettings;
+    const { deck, selected, confirmed } = construct;
+    const full = selected.size >= cardsPerPlayer;
+    
+    this.elements.constructDeck.replaceChildren(...deck.map(card => {
+      const isSelected = selected.has(card.id);
+      const cardEl = this.createCardElement(card, { simple: true, disabled: confirmed || (full && !isSelected) });
+      if (isSelected) {
+        cardEl.classList.add('selected');
+      }
+      if (!confirmed) {
+        cardEl.classList.add('pickable');
+        cardEl.addEventListener('click', () => onToggle(card.id));
+      }
+      return cardEl;
+    }));
+    
+    const chosenTypes = deck.filter(card => selected.has(card.id)).map(card => card.type);
+    const missing = ruleSet.types.filter(({ type }) => chosenTypes.filter(t => t === type).length < minCardsPerType);
+    
+    this.elements.constructInstruction.textContent = confirmed
+      ? 'Рука собрана'
+      : `Выберите ${cardsPerPlayer} карт: выбрано ${selected.size}` +
+        (minCardsPerType > 0 ? ` (не меньше ${minCardsPerType} каждого типа)` : '');
+    
+    this.elements.constructConfirmBtn.disabled = confirmed || !full || missing.length > 0;
+    this.elements.constructConfirmBtn.textContent = confirmed ? 'Ожидание...' : '✓ Готово';
+    
+    if (confirmed) {
+      this.elements.constructStatus.textContent = construct.opponentChosen ? 'Соперник готов!' : 'Ожидание соперника...';
+    } else if (full && missing.length > 0) {
+      this.elements.constructStatus.textContent = `Не хватает: ${missing.map(({ type }) => this.getCardLabel(type)).join(', ')}`;
+    } else {
+      this.elements.constructStatus.textContent = construct.opponentChosen ? 'Соперник уже собрал руку' : '';
+    }
+  }
+
+  // ==================== Match History ====================
+
+  /**
+   * Render the list of finished games
+   * @param {Array} matches - Match summaries, newest first
+   * @param {string} playerId - This player's persistent ID
+   * @param {Function} onOpen - Called with a match ID when an entry is clicked
+   */
+  renderMatchHistory(matches, playerId, onOpen) {
+    const list = this.elements.historyList;
+    list.innerHTML = '';
+    this.elements.historyEmpty.classList.toggle('hidden', matches.length > 0);
+    
+    matches.forEach(match => {
+      const me = match.players.find(p => p.id === playerId) || match.players[0];
+      const opponent = match.players.find(p => p !== me);
+      
+      const item = document.createElement('li');
+      item.className = `history-item ${this.getMatchOutcome(match, me.id)}`;
+      
+      const info = document.createElement('div');
+      info.className = 'history-item-info';
+      const name = document.createElement('div');
+      name.className = 'history-item-opponent';
+      name.textContent = `${this.formatMatchOutcome(match, me.id)} · ${opponent.name}${opponent.isBot ? ' 🤖' : ''}`;
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      meta.textContent = [
+        this.formatMatchDate(match.endedAt),
+        this.formatEndReason(match, me.id),
+        this.formatMatchRating(match, me.id)
+      ].filter(Boolean).join(' · ');
+      info.append(name, meta);
+      
+      const score = document.createElement('span');
+      score.className = 'history-item-score';
+      score.textContent = `${me.score}:${opponent.score}`;
+      
+      item.append(info, score);
+      item.addEventListener('click', () => onOpen(match.id));
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show or hide the "load more" button
+   */
+  setHistoryMoreVisible(visible) {
+    this.elements.historyMoreBtn.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Show one game in full: dealt hands, rounds and swaps
+   * @param {Object} match - Full match record
+   * @param {string} playerId - This player's persistent ID
+   * @param {Function} [onReplay] - Called with the match ID to open its replay
+   */
+  renderMatchDetail(match, playerId, onReplay = null) {
+    const detail = this.elements.historyDetail;
+    const me = match.players.find(p => p.id === playerId) || match.players[0];
+    const opponent = match.players.find(p => p !== me);
+    const ruleSet = match.settings.ruleSet;
+    const nameOf = (id) => (id === me.id ? me.name : opponent.name);
+    
+    detail.innerHTML = '';
+    
+    const title = document.createElement('h3');
+    title.textContent = `${me.name} ${me.score}:${opponent.score} ${opponent.name}`;
+    const meta = document.createElement('p');
+    meta.className = 'history-item-meta';
+    meta.textContent = [
+      this.formatMatchDate(match.endedAt),
+      ruleSet.name,
+      this.formatMatchOutcome(match, me.id),
+      this.formatEndReason(match, me.id),
+      this.formatMatchRating(match, me.id)
+    ].filter(Boolean).join(' · ');
+    detail.append(title, meta);
+    
+    // Games recorded before the event log existed can't be replayed
+    if (onReplay && match.events) {
+      const replayBtn = document.createElement('button');
+      replayBtn.className = 'btn btn-secondary btn-small';
+      replayBtn.textContent = '▶ Повтор';
+      replayBtn.addEventListener('click', () => onReplay(match.id));
+      detail.appendChild(replayBtn);
+    }
+    
+    // Dealt hands
+    [me, opponent].forEach(player => {
+      const row = document.createElement('div');
+      row.className = 'history-round';
+      row.append(`${player.name}:`);
+      (match.dealtHands[player.id] || []).forEach(card => {
+        row.appendChild(this.createMiniCard(card, ruleSet));
+      });
+      detail.appendChild(row);
+    });
+    
+    // Rounds from this player's point of view
+    const rounds = document.createElement('ol');
+    rounds.className = 'history-rounds';
+    match.rounds.forEach(round => {
+      const row = document.createElement('li');
+      row.className = 'history-round';
+      
+      let outcome = 'ничья';
+      if (!round.isDraw) {
+        outcome = round.winner === me.id ? 'победа' : 'поражение';
+      }
+      
+      row.append(
+        `${round.round}.`,
+        this.createMiniCard(round.cards[me.id], ruleSet),
+        'vs',
+        this.createMiniCard(round.cards[opponent.id], ruleSet),
+        outcome
+      );
+      rounds.appendChild(row);
+    });
+    detail.appendChild(rounds);
+    
+    match.swaps.forEach(swap => {
+      const line = document.createElement('p');
+      line.className = 'history-item-meta';
+      line.textContent = `Раунд ${swap.round}: ${nameOf(swap.playerId)} меняет местами карты ${swap.pos1 + 1} и ${swap.pos2 + 1}`;
+      detail.appendChild(line);
+    });
+    
+    detail.classList.remove('hidden');
+    detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Hide the game detail panel
+   */
+  hideMatchDetail() {
+    this.elements.historyDetail.classList.add('hidden');
+    this.elements.historyDetail.innerHTML = '';
+  }
+
+  /**
+   * Small card icon drawn with a stored game's rule set
+   * (the history screen isn't tied to the current lobby's settings)
+   */
+  createMiniCard(card, ruleSet) {
+    const info = (card && ruleSet.types.find(t => t.type === card.type)) || this.getCardTypeInfo(card ? card.type : 'unknown');
+    const special = card && card.special ? this.specialCards[card.special] : null;
+    const cardEl = document.createElement('span');
+    cardEl.className = `card-mini card-color-${info.color}`;
+    cardEl.textContent = info.icon;
+    cardEl.title = info.label;
+    if (special && !special.ownType) {
+      cardEl.classList.add('card-mini-special');
+      cardEl.dataset.badge = special.icon;
+      cardEl.title = `${info.label} (${special.label})`;
+    }
+    return cardEl;
+  }
+
+  /**
+   * 'win', 'lose' or 'draw' for a player
+   */
+  getMatchOutcome(match, playerId) {
+    if (match.result.isDraw) return 'draw';
+    return match.result.winner === playerId ? 'win' : 'lose';
+  }
+
+  /**
+   * Localized game outcome for a player
+   */
+  formatMatchOutcome(match, playerId) {
+    const labels = { win: 'Победа', lose: 'Поражение', draw: 'Ничья' };
+    return labels[this.getMatchOutcome(match, playerId)];
+  }
+
+  /**
+   * Explain an early end ('' for a game played to the last round)
+   */
+  formatEndReason(match, playerId) {
+    if (match.endReason === 'normal') return '';
+    
+    const leaver = match.players.find(p => p.id !== match.result.winner);
+    const who = leaver && leaver.id === playerId ? 'вы' : 'соперник';
+    return match.endReason === 'leave' ? `${who} покинул игру` : `${who} отключился`;
+  }
+
+  /**
+   * Rating change of a stored game ('без рейтинга' for unrated games)
+   */
+  formatMatchRating(match, playerId) {
+    if (!match.rated) return 'без рейтинга';
+    const change = match.ratingChanges && match.ratingChanges[playerId];
+    if (!change) return '';
+    return `рейтинг ${change.delta > 0 ? '+' : ''}${change.delta}`;
+  }
+
+  /**
+   * Date and time a game finished
+   */
+  formatMatchDate(timestamp) {
+    return new Date(timestamp).toLocaleString('ru-RU', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  // ==================== Leaderboard ====================
+
+  /**
+   * Read the leaderboard filter controls
+   * @returns {Object} { ruleSet, window, minGames }
+   */
+  getLeaderboardFilters() {
+    const minGames = parseInt(this.elements.leaderboardMinGames.value, 10);
+    return {
+      ruleSet: this.elements.leaderboardRuleSet.value || undefined,
+      window: this.elements.leaderboardWindow.value,
+      minGames: Number.isInteger(minGames) && minGames > 0 ? minGames : 1
+    };
+  }
+
+  /**
+   * Render one page of the leaderboard
+   * @param {Object} page - API response { players, total, limit, offset, you }
+   *   (this player's row is marked with isCurrentUser and highlighted)
+   */
+  renderLeaderboard(page) {
+    const rows = this.elements.leaderboardRows;
+    rows.innerHTML = '';
+    this.elements.leaderboardEmpty.classList.toggle('hidden', page.total > 0);
+    
+    page.players.forEach(player => {
+      const row = document.createElement('tr');
+      if (player.isCurrentUser) {
+        row.classList.add('current');
+      }
+      
+      [
+        player.rank,
+        player.name,
+        player.rating,
+        `${player.wins}/${player.losses}/${player.draws}`,
+        this.formatStreak(player.streak)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      
+      rows.appendChild(row);
+    });
+    
+    this.elements.leaderboardYou.textContent = page.you
+      ? `Ваше место: ${page.you.rank} из ${page.total} (рейтинг ${page.you.rating})`
+      : 'Вас пока нет в этой таблице';
+    
+    const pageCount = Math.max(1, Math.ceil(page.total / page.limit));
+    const pageNumber = Math.floor(page.offset / page.limit) + 1;
+    this.elements.leaderboardPage.textContent = `${pageNumber} / ${pageCount}`;
+    this.elements.leaderboardPrevBtn.disabled = page.offset === 0;
+    this.elements.leaderboardNextBtn.disabled = page.offset + page.limit >= page.total;
+  }
+
+  /**
+   * Current streak with the round history markers, e.g. "✓×3" for three wins in a row
+   */
+  formatStreak(streak) {
+    if (!streak) return '';
+    const markers = { W: '✓', L: '✗', D: '=' };
+    return `${markers[streak.type]}×${streak.count}`;
+  }
+
+  // ==================== Profile ====================
+
+  /**
+   * Render player statistics with simple charts
+   * @param {Object} stats - Statistics from the API
+   */
+  renderProfile(stats) {
+    const { totals, rating } = stats;
+    const hasGames = totals.games > 0;
+    
+    this.elements.profileTitle.textContent = `📊 ${stats.name || 'Профиль'}`;
+    this.elements.profileEmpty.classList.toggle('hidden', hasGames);
+    this.elements.profileSections.classList.toggle('hidden', !hasGames);
+    this.elements.profileSummary.textContent =
+      `Рейтинг ${rating.rating}${rating.provisional ? ' (предварительный)' : ''} · ` +
+      `игр: ${totals.games}, побед: ${totals.wins}, поражений: ${totals.losses}, ничьих: ${totals.draws}`;
+    if (!hasGames) return;
+    
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    
+    // Round win rate per card type
+    this.elements.profileCardTypes.replaceChildren(charts.barChart(
+      stats.cardTypes.map(type => ({
+        label: `${type.icon} ${type.label}`,
+        value: type.winRate || 0,
+        text: type.played > 0 ? `${percent(type.winRate)} (${type.wins}/${type.played})` : '—',
+        color: charts.cardColor(type.color)
+      })),
+      1
+    ));
+    
+    // Card types per round slot
+    const typeInfo = new Map(stats.cardTypes.map(type => [type.type, type]));
+    const columns = Array.from({ length: stats.slots.count }, (v, i) => `Р${i + 1}`);
+    this.elements.profileSlots.replaceChildren(charts.heatmap(
+      stats.slots.byType.map(row => ({
+        label: typeInfo.get(row.type).icon,
+        color: charts.cardColor(typeInfo.get(row.type).color),
+        values: row.counts
+      })),
+      columns
+    ));
+    
+    // Swaps judged against the un-swapped order
+    const { swaps } = stats;
+    const swapChart = charts.stackedBar([
+      { label: 'помогли', value: swaps.helped, color: 'var(--accent-secondary)' },
+      { label: 'без разницы', value: swaps.neutral, color: 'var(--text-muted)' },
+      { label: 'навредили', value: swaps.hurt, color: 'var(--card-rock)' }
+    ]);
+    const net = document.createElement('p');
+    net.className = 'profile-hint';
+    net.textContent = swaps.total > 0
+      ? `Всего свапов: ${swaps.total}, итог: ${swaps.netRounds > 0 ? '+' : ''}${swaps.netRounds} раунд(ов)`
+      : 'Вы ещё не делали свапов';
+    this.elements.profileSwaps.replaceChildren(swapChart, net);
+    
+    // Average timeouts per game
+    const phases = [
+      ['draft', 'Выбор в драфте'],
+      ['construct', 'Сбор руки'],
+      ['preview', 'Просмотр карт'],
+      ['sequence', 'Расстановка'],
+      ['swap', 'Свап'],
+      ['tiebreak', 'Тай-брейк'],
+      ['continue', 'Продолжение']
+    ];
+    const perGame = stats.timeouts.perGame;
+    const maxTimeouts = Math.max(1, ...phases.map(([phase]) => perGame[phase]));
+    this.elements.profileTimeouts.replaceChildren(charts.barChart(
+      phases.map(([phase, label]) => ({
+        label,
+        value: perGame[phase],
+        text: perGame[phase].toFixed(2),
+        color: 'var(--accent-warning)'
+      })),
+      maxTimeouts
+    ));
+    
+    // Head-to-head records
+    const rows = this.elements.profileOpponents;
+    rows.innerHTML = '';
+    stats.opponents.forEach(opponent => {
+      const row = document.createElement('tr');
+      [
+        `${opponent.name}${opponent.isBot ? ' 🤖' : ''}`,
+        opponent.games,
+        `${opponent.wins}/${opponent.losses}/${opponent.draws}`
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      rows.appendChild(row);
+    });
+  }
+
+  // ==================== Replay ====================
+
+  /**
+   * Switch the game screen between live play and replay controls
+   */
+  setReplayMode(enabled) {
+    this.screens.game.classList.toggle('replay-mode', enabled);
+    this.elements.replayControls.classList.toggle('hidden', !enabled);
+  }
+
+  /**
+   * Label the game screen for a recorded game
+   * @param {Object} settings - The recorded game's settings
+   * @param {boolean} shareable - Stored game (imported ones have no link)
+   */
+  setupReplayScreen(playerName, opponentName, settings, shareable) {
+    this.setupGameScreen(playerName, opponentName);
+    this.gameSettings = settings;
+    this.elements.totalRounds.textContent = settings.totalRounds;
+    this.elements.replayShareBtn.classList.toggle('hidden', !shareable);
+    this.hideRoundResult();
+    this.setReplayMode(true);
+  }
+
+  /**
+   * Show what happened in the current replay step
+   */
+  setReplayStatus(text, canGoBack, canGoForward) {
+    this.elements.replayStatus.textContent = text;
+    this.elements.replayPrevBtn.disabled = !canGoBack;
+    this.elements.replayNextBtn.disabled = !canGoForward;
+  }
+
+  /**
+   * Show/hide replay and export buttons on the game over screen
+   * (they need the stored game's ID)
+   */
+  setMatchActionsVisible(visible) {
+    this.elements.gameoverMatchActions.classList.toggle('hidden', !visible);
+  }
+
+  // ==================== Import ====================
+
+  /**
+   * Reset the import form
+   */
+  resetImport() {
+    this.elements.importText.value = '';
+    this.elements.importFile.value = '';
+    this.showImportErrors([], false);
+  }
+
+  /**
+   * Text to import
+   */
+  getImportText() {
+    return this.elements.importText.value;
+  }
+
+  /**
+   * Put a loaded file's contents in the import field
+   */
+  setImportText(text) {
+    this.elements.importText.value = text;
+  }
+
+  /**
+   * List problems found in an imported game
+   * @param {Array} errors - { line, message }
+   * @param {boolean} canOpen - The game could still be played through
+   */
+  showImportErrors(errors, canOpen) {
+    const list = this.elements.importErrors;
+    list.innerHTML = '';
+    
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error.line ? `Строка ${error.line}: ${error.message}` : error.message;
+      list.appendChild(item);
+    });
+    
+    list.classList.toggle('hidden', errors.length === 0);
+    this.elements.importOpenBtn.classList.toggle('hidden', !canOpen);
+  }
+
+  // ==================== Spectator ====================
+
+  /**
+   * Show how many people watch the game (players' header)
+   */
+  updateSpectatorCount(count) {
+    this.elements.spectatorCount.textContent = `👁 ${count}`;
+    this.elements.spectatorCount.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * Render the players, scores and round counter on the spectator screen
+   * @param {Object} view - Spectator state kept by SpectatorManager
+   */
+  renderSpectatorHeader(view) {
+    const maxSwaps = view.settings ? view.settings.maxSwapsPerGame : 0;
+    
+    view.players.forEach((player, index) => {
+      const status = player.disconnected ? ' (отключился)' : '';
+      this.elements.spectatorNames[index].textContent = `${player.name}${status}`;
+      this.elements.spectatorScores[index].textContent = player.score;
+      this.elements.spectatorSwaps[index].textContent =
+        '⚡'.repeat(player.swapsRemaining) + '○'.repeat(Math.max(0, maxSwaps - player.swapsRemaining));
+    });
+    
+    const isTiebreak = Boolean(view.settings) && view.round > view.settings.totalRounds;
+    if (view.settings) {
+      this.elements.spectatorTotalRounds.textContent = view.settings.totalRounds;
+    }
+    this.elements.spectatorRound.textContent = view.round;
+    this.elements.spectatorRoundLabel.classList.toggle('hidden', isTiebreak);
+    this.elements.spectatorTiebreakLabel.classList.toggle('hidden', !isTiebreak);
+  }
+
+  /**
+   * Show the two cards revealed in a round (or card backs)
+   * @param {Array|null} cards - [player 1 card, player 2 card]
+   * @param {number} [winnerIndex] - Index of the round winner, -1 for a draw
+   */
+  showSpectatorCards(cards, winnerIndex = -1) {
+    this.elements.spectatorCards.forEach((slot, index) => {
+      slot.innerHTML = '';
+      if (cards && cards[index]) {
+        const cardEl = this.createCardElement(cards[index], { simple: true });
+        cardEl.classList.add('battle-card');
+        if (winnerIndex !== -1) {
+          cardEl.classList.add(index === winnerIndex ? 'winner' : 'loser');
+        }
+        slot.appendChild(cardEl);
+      } else {
+        const back = document.createElement('div');
+        back.className = 'card card-back';
+        slot.appendChild(back);
+      }
+    });
+  }
+
+  /**
+   * Set the spectator status line and round explanation
+   */
+  setSpectatorStatus(status, explanation = '') {
+    this.elements.spectatorStatus.textContent = status;
+    this.elements.spectatorExplanation.textContent = explanation;
+  }
+
+  /**
+   * Render revealed rounds from the first player's point of view
+   */
+  renderSpectatorHistory(history, firstPlayerId) {
+    this.elements.spectatorHistory.innerHTML = '';
+    history.forEach((round, index) => {
+      this.elements.spectatorHistory.appendChild(this.createRoundHistoryItem(round, index, firstPlayerId));
+    });
+  }
+
+  /**
+   * Show series score on the spectator screen
+   */
+  updateSpectatorSeries(text) {
+    this.elements.spectatorSeries.textContent = text || '';
+    this.elements.spectatorSeries.classList.toggle('hidden', !text);
+  }
+
+  /**
+   * Show the number of spectators on the spectator screen
+   */
+  updateSpectatorWatchers(count) {
+    this.elements.spectatorWatchers.textContent = `👁 Зрителей: ${count}`;
   }
 
   /**
@@ -931,6 +2529,11 @@ class UIManager {
    */
   reset() {
     this.hideWaiting();
+    this.hideMatchmaking();
+    this.hideRematch();
+    this.hideSeriesStatus();
+    this.hideSeriesIndicator();
+    this.updateSpectatorCount(0);
     // Don't clear player name - it should persist
     this.elements.lobbyCodeInput.value = '';
     this.elements.sequenceSlots.innerHTML = '';
@@ -938,7 +2541,10 @@ class UIManager {
     this.resetBattleCards();
     this.clearOpponentPlayedCards();
     this.clearPlayerPlayedCards();
+    this.showRoundModifier(null);
     this.currentRoomId = null;
+    this.gameSettings = null;
+    this.elements.waitingSettingsSummary.textContent = '';
     this.updateIdDisplay();
     this.showScreen('lobby');
   }
@@ -0,0 +1,180 @@
+const express = require('express');
+const InputValidator = require('../utils/InputValidator');
+const { buildLeaderboard } = require('../rating/leaderboard');
+const { buildPlayerStats } = require('../stats/playerStats');
+const { formatNotation } = require('../notation/notation');
+const { importMatch } = require('../notation/importMatch');
+const { MATCH_HISTORY_CONFIG, LEADERBOARD_CONFIG, IMPORT_CONFIG } = require('../game/constants');
+
+/**
+ * Short form of a match for history lists
+ * @param {Object} match - Match record
+ * @returns {Object} Summary without hands, sequences and rounds
+ */
+function summarizeMatch(match) {
+  return {
+    id: match.id,
+    startedAt: match.startedAt,
+    endedAt: match.endedAt,
+    endReason: match.endReason,
+    players: match.players,
+    result: match.result,
+    rated: Boolean(match.rated),
+    ratingChanges: match.ratingChanges || null,
+    ruleSet: match.settings.ruleSet.id,
+    totalRounds: match.settings.totalRounds
+  };
+}
+
+/**
+ * Wrap an async route handler so a rejected promise (e.g. a failing match
+ * store) reaches the router's error handler instead of leaving the request open
+ * @param {Function} handler - async (req, res) => {}
+ * @returns {Function} Express handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Create the REST API router (mounted at /api)
+ * @param {Object} deps - { lobbyManager, matchStore, ratings }
+ * @returns {Object} Express router
+ */
+function createApiRouter({ lobbyManager, matchStore, ratings }) {
+  const router = express.Router();
+
+  // Public lobbies waiting for an opponent
+  router.get('/lobbies', (req, res) => {
+    res.status(200).json({ lobbies: lobbyManager.getPublicLobbies() });
+  });
+
+  // A player's rating and rated game record
+  router.get('/players/:playerId/rating', (req, res) => {
+    const playerId = InputValidator.playerId(req.params.playerId);
+    if (!playerId) {
+      res.status(400).json({ error: 'Invalid player ID' });
+      return;
+    }
+
+    res.status(200).json({ rating: ratings.get(playerId) });
+  });
+
+  // Players ranked by rating, optionally within a rule set and time window
+  router.get('/leaderboard', asyncHandler(async (req, res) => {
+    const filters = InputValidator.leaderboardFilters(req.query);
+    if (!filters) {
+      res.status(400).json({ error: 'Invalid leaderboard filters' });
+      return;
+    }
+
+    const { limit, offset } = InputValidator.pagination(req.query, LEADERBOARD_CONFIG);
+    const windowSeconds = LEADERBOARD_CONFIG.WINDOWS[filters.window];
+    const rows = buildLeaderboard(await matchStore.all(), {
+      ruleSet: filters.ruleSet,
+      since: windowSeconds ? Date.now() - windowSeconds * 1000 : null,
+      minGames: filters.minGames,
+      currentPlayerId: req.query.playerId ? InputValidator.playerId(req.query.playerId) : null
+    });
+
+    // The requesting player's own row, even if it is on another page
+    const you = rows.find(row => row.isCurrentUser) || null;
+
+    res.status(200).json({
+      players: rows.slice(offset, offset + limit),
+      total: rows.length,
+      limit,
+      offset,
+      filters,
+      you
+    });
+  }));
+
+  // Statistics over all of a player's finished games
+  router.get('/players/:playerId/stats', asyncHandler(async (req, res) => {
+    const playerId = InputValidator.playerId(req.params.playerId);
+    if (!playerId) {
+      res.status(400).json({ error: 'Invalid player ID' });
+      return;
+    }
+
+    const { matches } = await matchStore.findByPlayer(playerId, { limit: Infinity });
+    res.status(200).json({
+      stats: {
+        ...buildPlayerStats(matches, playerId),
+        rating: ratings.get(playerId)
+      }
+    });
+  }));
+
+  // A player's finished games, newest first
+  router.get('/players/:playerId/matches', asyncHandler(async (req, res) => {
+    const playerId = InputValidator.playerId(req.params.playerId);
+    if (!playerId) {
+      res.status(400).json({ error: 'Invalid player ID' });
+      return;
+    }
+
+    const { limit, offset } = InputValidator.pagination(req.query, MATCH_HISTORY_CONFIG);
+    const { matches, total } = await matchStore.findByPlayer(playerId, { limit, offset });
+    res.status(200).json({ matches: matches.map(summarizeMatch), total, limit, offset });
+  }));
+
+  // Full record of one game
+  router.get('/matches/:matchId', asyncHandler(async (req, res) => {
+    const match = await matchStore.get(req.params.matchId);
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    res.status(200).json({ match });
+  }));
+
+  // One game in text notation
+  router.get('/matches/:matchId/notation', asyncHandler(async (req, res) => {
+    const match = await matchStore.get(req.params.matchId);
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    res.status(200).json({ notation: formatNotation(match) });
+  }));
+
+  // Check an exported game (notation or JSON) and return it as a replayable
+  // record; imported games are not stored
+  router.post('/matches/import', express.json({ limit: IMPORT_CONFIG.MAX_BODY_SIZE }), (req, res) => {
+    const text = req.body && req.body.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      res.status(400).json({ error: 'Missing game text' });
+      return;
+    }
+
+    const { match, errors } = importMatch(text);
+    if (!match) {
+      res.status(422).json({ error: 'Game could not be read', errors });
+      return;
+    }
+
+    res.status(200).json({ match, errors });
+  });
+
+  // Errors passed on by asyncHandler; client errors (e.g. a malformed JSON
+  // body) keep Express' own handling
+  router.use((error, req, res, next) => {
+    if (error.status && error.status < 500) {
+      next(error);
+      return;
+    }
+
+    console.log(`API ${req.method} ${req.originalUrl} failed: ${error.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, summarizeMatch };
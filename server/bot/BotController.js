@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Player = require('../game/Player');
+const { getStrategy } = require('./strategies');
+const { BOT_CONFIG, GamePhase } = require('../game/constants');
+
+/**
+ * Address prefix for bot players. Bots have no socket; GameNotifier delivers
+ * anything addressed to them to the controller instead of Socket.IO.
+ */
+const BOT_ADDRESS_PREFIX = 'bot:';
+
+/**
+ * BotController - Plays a server-side Player through the same GameSession
+ * entry points a human client uses (handleDraftPick, handleConstructHand, handlePreviewReady,
+ * setPlayerSequence, handleSwap, handleSkipSwap, handleTiebreakPick, handleContinue), with
+ * human-like delays.
+ * Also used as autopilot for a disconnected human: it is attached mid-game
+ * via takeOver() and keeps a log of what it did for the returning player.
+ */
+class BotController {
+  constructor(player, session, difficulty) {
+    this.player = player;
+    this.session = session;
+    this.difficulty = difficulty;
+    this.strategy = getStrategy(difficulty);
+    this.pendingTimeout = null;
+    this.opponentRemaining = this.getKnownOpponentCards(); // Opponent's unplayed cards, in preview order
+    this.actions = []; // Decisions made, reported back when autopilot hands over
+    this.disposed = false;
+
+    session.notifier.attachLocalPlayer(player.socketId, (event, data) => this.onEvent(event, data));
+  }
+
+  /**
+   * Create a bot Player for a lobby
+   * @param {Object} settings - Lobby game settings
+   * @param {string} difficulty - Bot difficulty
+   * @returns {Player} Bot player
+   */
+  static createPlayer(settings, difficulty) {
+    const id = `bot-${uuidv4()}`;
+    const player = new Player(id, `${BOT_ADDRESS_PREFIX}${id}`, BOT_CONFIG.NAMES[difficulty], settings);
+    player.isBot = true;
+    return player;
+  }
+
+  // ==================== Events ====================
+
+  /**
+   * Handle an event the notifier would have sent to this player's client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  onEvent(event, data) {
+    if (this.disposed) return;
+
+    switch (event) {
+      case 'dealCommitment':
+        this.session.handleClientSeed(this.player.id, crypto.randomBytes(16).toString('hex'));
+        break;
+      case 'draftStart':
+      case 'draftPick':
+        if (data.picker === this.player.id) {
+          this.schedule(() => this.draftPick(), BOT_CONFIG.DELAYS.DRAFT_PICK);
+        }
+        break;
+      case 'constructStart':
+        this.schedule(() => this.constructHand(), BOT_CONFIG.DELAYS.CONSTRUCT);
+        break;
+      case 'cardsPreview':
+        this.opponentRemaining = BotController.cardsFromView({ cards: data.opponentCards, counts: data.opponentCounts });
+        this.schedule(() => this.previewReady(), BOT_CONFIG.DELAYS.PREVIEW);
+        break;
+      case 'gameStart':
+        // After a draft there was no preview; the drafted hands are public
+        // (and a skipped blind preview showed nothing, see getKnownOpponentCards)
+        this.opponentRemaining = this.getKnownOpponentCards();
+        this.schedule(() => this.setSequence(), BOT_CONFIG.DELAYS.SEQUENCE);
+        break;
+      case 'roundStart':
+        this.schedule(() => this.decideSwap(), BOT_CONFIG.DELAYS.SWAP);
+        break;
+      case 'swapConfirmed':
+        // At most one planned swap per round, even if settings allow more
+        if (data.canSwapAgain) {
+          this.schedule(() => this.skipSwap(), BOT_CONFIG.DELAYS.CONTINUE);
+        }
+        break;
+      case 'tiebreakStart':
+        this.schedule(() => this.tiebreakPick(), BOT_CONFIG.DELAYS.TIEBREAK);
+        break;
+      case 'roundResult':
+        if (!data.tiebreak) {
+          this.recordOpponentCard(data.opponentCard);
+        }
+        this.schedule(() => this.session.handleContinue(this.player.id), BOT_CONFIG.DELAYS.CONTINUE);
+        break;
+      case 'gameResumed':
+        this.resumePhase(data.phase);
+        break;
+      case 'gameEnd':
+        this.dispose();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Start playing for a player in the middle of a game
+   */
+  takeOver() {
+    this.resumePhase(this.session.stateMachine.getActualPhase());
+  }
+
+  /**
+   * Re-schedule the action for the current phase after a pause
+   * (actions attempted while paused are ignored by GameSession)
+   * @param {string} phase - Phase the game resumed into
+   */
+  resumePhase(phase) {
+    const id = this.player.id;
+
+    const draft = this.session.getDraftState();
+    const construct = this.session.getConstructState();
+    const tiebreak = this.session.getTiebreakState(id);
+
+    if (phase === GamePhase.DRAFT && draft && draft.picker === id) {
+      this.schedule(() => this.draftPick(), BOT_CONFIG.DELAYS.DRAFT_PICK);
+    } else if (phase === GamePhase.CONSTRUCT && construct && !construct.chosen.includes(id)) {
+      this.schedule(() => this.constructHand(), BOT_CONFIG.DELAYS.CONSTRUCT);
+    } else if (phase === GamePhase.PREVIEW && !this.session.previewReady.has(id)) {
+      this.schedule(() => this.previewReady(), BOT_CONFIG.DELAYS.PREVIEW);
+    } else if (phase === GamePhase.SEQUENCE && !this.player.sequenceSet) {
+      this.schedule(() => this.setSequence(), BOT_CONFIG.DELAYS.SEQUENCE);
+    } else if (phase === GamePhase.SWAP && !this.player.ready) {
+      this.schedule(() => this.decideSwap(), BOT_CONFIG.DELAYS.SWAP);
+    } else if (phase === GamePhase.TIEBREAK && tiebreak && !tiebreak.picked) {
+      this.schedule(() => this.tiebreakPick(), BOT_CONFIG.DELAYS.TIEBREAK);
+    } else if (phase === GamePhase.REVEAL && !this.session.continueReady.has(id)) {
+      this.schedule(() => this.session.handleContinue(id), BOT_CONFIG.DELAYS.CONTINUE);
+    }
+  }
+
+  // ==================== Decisions ====================
+
+  /**
+   * Build the strategy view for the current round
+   */
+  getView() {
+    const round = this.session.currentRound;
+    return {
+      remaining: this.player.sequence.slice(round),
+      roundsLeft: this.session.settings.totalRounds - round,
+      opponentRemaining: this.opponentRemaining.map(c => c.type),
+      swapsRemaining: this.player.getSwapsRemaining(),
+      ruleSet: this.session.settings.ruleSet
+    };
+  }
+
+  /**
+   * Opponent cards the player has seen in preview and not yet seen played
+   * (only what the preview showed, see GameSession.getOpponentView)
+   * @returns {Array} Cards in preview order
+   */
+  getKnownOpponentCards() {
+    const opponent = this.session.getOpponent(this.player.id);
+    if (!opponent) return [];
+
+    const known = BotController.cardsFromView(this.session.getOpponentView(this.player.id));
+    this.session.roundHistory.forEach(r => BotController.removeCard(known, r.cards[opponent.id]));
+    return known;
+  }
+
+  /**
+   * Turn what a preview showed of a hand into a card list; counts per type
+   * become cards with a type but no ID
+   * @param {Object} view - { cards, counts }, each null if not shown
+   * @returns {Array} Cards
+   */
+  static cardsFromView({ cards, counts }) {
+    if (Array.isArray(cards)) return [...cards];
+    if (!counts) return [];
+
+    return Object.entries(counts).flatMap(([type, count]) => Array.from({ length: count }, () => ({ type })));
+  }
+
+  /**
+   * Remove a played card from a known card list (by ID, or an ID-less card of its type)
+   * @param {Array} cards - Known cards
+   * @param {Object} card - Played card
+   */
+  static removeCard(cards, card) {
+    if (!card) return;
+    let index = cards.findIndex(c => c.id === card.id);
+    if (index === -1) {
+      index = cards.findIndex(c => !c.id && c.type === card.type);
+    }
+    if (index !== -1) {
+      cards.splice(index, 1);
+    }
+  }
+
+  /**
+   * Take a card from the draft pool
+   */
+  draftPick() {
+    const draft = this.session.getDraftState();
+    if (!draft || draft.picker !== this.player.id) return;
+
+    const opponent = this.session.getOpponent(this.player.id);
+    const card = this.strategy.chooseDraftPick({
+      options: draft.pool.filter(c => this.session.canDraft(this.player.id, c)),
+      pool: draft.pool.map(c => c.type),
+      opponentPicks: draft.picks[opponent.id].map(c => c.type),
+      ruleSet: this.session.settings.ruleSet
+    });
+    this.actions.push({ type: 'draftPick', card });
+    this.session.handleDraftPick(this.player.id, card.id);
+  }
+
+  /**
+   * Choose a hand from the full deck (any hand that meets the minimums;
+   * nothing is known about the opponent's yet)
+   */
+  constructHand() {
+    const construct = this.session.getConstructState();
+    if (!construct || construct.chosen.includes(this.player.id)) return;
+
+    const cardIds = this.session.getRandomConstructedHand();
+    this.actions.push({ type: 'constructHand', cards: cardIds.map(id => construct.deck.find(c => c.id === id)) });
+    this.session.handleConstructHand(this.player.id, cardIds);
+  }
+
+  /**
+   * Confirm the preview
+   */
+  previewReady() {
+    this.actions.push({ type: 'previewReady' });
+    this.session.handlePreviewReady(this.player.id);
+  }
+
+  /**
+   * Choose and submit the card sequence
+   */
+  setSequence() {
+    const view = {
+      ...this.getView(),
+      roundsLeft: this.session.settings.totalRounds
+    };
+    const sequence = this.strategy.chooseSequence([...this.player.hand], view);
+    this.actions.push({ type: 'sequence', cards: sequence });
+    this.session.setPlayerSequence(this.player.id, sequence.map(card => card.id));
+  }
+
+  /**
+   * Swap or skip for the current round
+   */
+  decideSwap() {
+    const view = this.getView();
+    const swap = this.player.canSwap() ? this.strategy.chooseSwap(view) : null;
+
+    if (swap) {
+      this.actions.push({
+        type: 'swap',
+        round: this.session.currentRound + 1,
+        cards: [view.remaining[swap.pos1], view.remaining[swap.pos2]]
+      });
+      this.session.handleSwap(this.player.id, swap);
+    } else {
+      this.skipSwap();
+    }
+  }
+
+  /**
+   * Skip the swap for the current round
+   */
+  skipSwap() {
+    // A second skip after a swap in the same round isn't worth reporting
+    const last = this.actions[this.actions.length - 1];
+    const round = this.session.currentRound + 1;
+    if (!last || last.type !== 'swap' || last.round !== round) {
+      this.actions.push({ type: 'skip', round });
+    }
+    this.session.handleSkipSwap(this.player.id);
+  }
+
+  /**
+   * Pick a sudden-death card (at random: nothing is known about the
+   * opponent's tiebreak hand)
+   */
+  tiebreakPick() {
+    const tiebreak = this.session.getTiebreakState(this.player.id);
+    if (!tiebreak || tiebreak.picked) return;
+
+    const card = tiebreak.hand[Math.floor(Math.random() * tiebreak.hand.length)];
+    this.actions.push({ type: 'tiebreakPick', round: this.session.currentRound + 1, card });
+    this.session.handleTiebreakPick(this.player.id, card.id);
+  }
+
+  /**
+   * Remove a revealed opponent card from the predicted remaining order
+   * @param {Object} card - Card the opponent just played
+   */
+  recordOpponentCard(card) {
+    BotController.removeCard(this.opponentRemaining, card);
+  }
+
+  // ==================== Timing ====================
+
+  /**
+   * Run an action after a random "thinking" delay
+   * @param {Function} action - Action to run
+   * @param {Array<number>} range - [min, max] delay in milliseconds
+   */
+  schedule(action, [min, max]) {
+    this.cancelPending();
+    const delay = min + Math.random() * (max - min);
+    this.pendingTimeout = setTimeout(() => {
+      this.pendingTimeout = null;
+      if (!this.disposed) action();
+    }, delay);
+  }
+
+  /**
+   * Cancel a scheduled action
+   */
+  cancelPending() {
+    if (this.pendingTimeout) {
+      clearTimeout(this.pendingTimeout);
+      this.pendingTimeout = null;
+    }
+  }
+
+  /**
+   * Stop acting (game over or lobby cleaned up)
+   */
+  dispose() {
+    this.disposed = true;
+    this.cancelPending();
+    this.session.notifier.detachLocalPlayer(this.player.socketId);
+  }
+}
+
+module.exports = BotController;
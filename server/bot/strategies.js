@@ -0,0 +1,350 @@
+const { Deck } = require('../game/Deck');
+const { determineWinner } = require('../game/rules');
+const { BOT_CONFIG } = require('../game/constants');
+
+/**
+ * Bot strategies
+ * Each strategy decides a card sequence and per-round swaps using only what a
+ * human client would know: its own cards, the opponent's hand from the
+ * cardsPreview payload and the opponent cards revealed so far.
+ *
+ * View passed to chooseSwap:
+ *   remaining          - Bot's unplayed cards, current round first
+ *   roundsLeft         - Rounds left including the current one
+ *   opponentRemaining  - Opponent's unplayed card types in preview order (only those
+ *                        the preview showed; empty after a blind preview)
+ *   swapsRemaining     - Swaps left this game
+ *   ruleSet            - Lobby rule set
+ *
+ * View passed to chooseDraftPick (draft mode):
+ *   options            - Pool cards the bot is allowed to take
+ *   pool               - Types of every card left in the pool
+ *   opponentPicks      - Types the opponent has drafted so far
+ *   ruleSet            - Lobby rule set
+ */
+
+/**
+ * Score a single matchup from the bot's point of view
+ * @returns {number} 1 for a win, 0 for a draw, -1 for a loss
+ */
+function outcome(myType, opponentType, ruleSet) {
+  const result = determineWinner({ type: myType }, { type: opponentType }, ruleSet);
+  if (result === 1) return 1;
+  if (result === 2) return -1;
+  return 0;
+}
+
+/**
+ * Generate all distinct orderings of a list (duplicates by key collapse)
+ * @param {Array} items - Items to permute
+ * @param {Function} keyFn - Key used to detect duplicates
+ * @returns {Array<Array>} Distinct permutations
+ */
+function distinctPermutations(items, keyFn = (item) => item) {
+  const results = [];
+  const used = new Array(items.length).fill(false);
+  const current = [];
+
+  const walk = () => {
+    if (current.length === items.length) {
+      results.push([...current]);
+      return;
+    }
+    const seen = new Set();
+    for (let i = 0; i < items.length; i++) {
+      const key = keyFn(items[i]);
+      if (used[i] || seen.has(key)) continue;
+      seen.add(key);
+      used[i] = true;
+      current.push(items[i]);
+      walk();
+      current.pop();
+      used[i] = false;
+    }
+  };
+
+  walk();
+  return results;
+}
+
+/**
+ * Count how many pairs in `order` appear in the opposite order in `reference`
+ * Both arrays must hold the same multiset of values
+ */
+function countInversions(order, reference) {
+  const positions = new Map();
+  reference.forEach((value, index) => {
+    if (!positions.has(value)) positions.set(value, []);
+    positions.get(value).push(index);
+  });
+
+  const taken = new Map();
+  const indices = order.map(value => {
+    const next = taken.get(value) || 0;
+    taken.set(value, next + 1);
+    return positions.get(value)[next];
+  });
+
+  let inversions = 0;
+  for (let i = 0; i < indices.length; i++) {
+    for (let j = i + 1; j < indices.length; j++) {
+      if (indices[i] > indices[j]) inversions++;
+    }
+  }
+  return inversions;
+}
+
+/**
+ * Build a weighted belief over the opponent's remaining order
+ * Orders close to the preview order are considered more likely
+ * @param {Array<string>} predicted - Opponent's remaining types in preview order
+ * @param {number} decay - Weight multiplier per inversion (0 = trust preview order fully)
+ * @returns {Array<{order: Array<string>, weight: number}>} Belief
+ */
+function buildBelief(predicted, decay) {
+  if (decay === 0) {
+    return [{ order: predicted, weight: 1 }];
+  }
+  return distinctPermutations(predicted).map(order => ({
+    order,
+    weight: Math.pow(decay, countInversions(order, predicted))
+  }));
+}
+
+/**
+ * Per-position probability of each opponent card type under a belief
+ * @returns {Array<Map<string, number>>} One map per position
+ */
+function marginals(belief, length) {
+  const total = belief.reduce((sum, b) => sum + b.weight, 0);
+  const result = Array.from({ length }, () => new Map());
+
+  belief.forEach(({ order, weight }) => {
+    for (let i = 0; i < length && i < order.length; i++) {
+      const map = result[i];
+      map.set(order[i], (map.get(order[i]) || 0) + weight / total);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Expected score of a fixed sequence against per-position marginals
+ */
+function staticValue(myTypes, positionMarginals, roundsLeft, ruleSet) {
+  let value = 0;
+  for (let i = 0; i < roundsLeft && i < myTypes.length; i++) {
+    positionMarginals[i].forEach((probability, opponentType) => {
+      value += probability * outcome(myTypes[i], opponentType, ruleSet);
+    });
+  }
+  return value;
+}
+
+/**
+ * Arrange a hand to maximize expected score against per-position marginals
+ * @returns {Array} Hand cards in the chosen order
+ */
+function bestArrangement(hand, positionMarginals, roundsLeft, ruleSet) {
+  let best = hand;
+  let bestValue = -Infinity;
+
+  distinctPermutations(hand, card => card.type).forEach(order => {
+    const value = staticValue(order.map(c => c.type), positionMarginals, roundsLeft, ruleSet);
+    if (value > bestValue) {
+      bestValue = value;
+      best = order;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Apply an adjacent swap to a copy of a sequence
+ */
+function applySwap(sequence, swap) {
+  if (!swap) return sequence;
+  const copy = [...sequence];
+  [copy[swap.pos1], copy[swap.pos2]] = [copy[swap.pos2], copy[swap.pos1]];
+  return copy;
+}
+
+/**
+ * Depth-limited expectimax over the bot's own swap decisions
+ * Opponent cards are drawn from the belief; after the horizon the rest of
+ * the sequence is scored statically
+ * @returns {{value: number, action: Object|null}} Best value and first action
+ */
+function expectimax(myTypes, belief, swapsLeft, roundsLeft, depth, ruleSet) {
+  if (roundsLeft === 0 || myTypes.length === 0 || belief.length === 0) {
+    return { value: 0, action: null };
+  }
+  if (depth === 0) {
+    return {
+      value: staticValue(myTypes, marginals(belief, roundsLeft), roundsLeft, ruleSet),
+      action: null
+    };
+  }
+
+  // Only swaps touching the next two cards matter within the horizon;
+  // later swaps can still be made in later rounds
+  const actions = [null];
+  if (swapsLeft > 0) {
+    if (myTypes.length > 1) actions.push({ pos1: 0, pos2: 1 });
+    if (myTypes.length > 2) actions.push({ pos1: 1, pos2: 2 });
+  }
+
+  // Group possible opponent orders by the card they play this round
+  const total = belief.reduce((sum, b) => sum + b.weight, 0);
+  const groups = new Map();
+  belief.forEach(({ order, weight }) => {
+    const [first, ...rest] = order;
+    if (!groups.has(first)) groups.set(first, { weight: 0, rest: [] });
+    const group = groups.get(first);
+    group.weight += weight;
+    group.rest.push({ order: rest, weight });
+  });
+
+  let best = { value: -Infinity, action: null };
+
+  actions.forEach(action => {
+    const sequence = applySwap(myTypes, action);
+    const nextSwaps = action ? swapsLeft - 1 : swapsLeft;
+    let value = 0;
+
+    groups.forEach(({ weight, rest }, opponentType) => {
+      const future = expectimax(sequence.slice(1), rest, nextSwaps, roundsLeft - 1, depth - 1, ruleSet);
+      value += (weight / total) * (outcome(sequence[0], opponentType, ruleSet) + future.value);
+    });
+
+    // Prefer not spending a swap unless it strictly helps
+    if (value > best.value + 1e-9) {
+      best = { value, action };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Pick the allowed card that does best against the opponent's drafted
+ * cards (before their first pick: against what is left in the pool)
+ */
+function bestDraftPick(view) {
+  const targets = view.opponentPicks.length > 0 ? view.opponentPicks : view.pool;
+  let best = null;
+  let bestScore = -Infinity;
+
+  view.options.forEach(card => {
+    const score = targets.reduce((sum, type) => sum + outcome(card.type, type, view.ruleSet), 0);
+    if (score > bestScore) {
+      best = card;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Random: shuffles its hand and occasionally swaps a random adjacent pair
+ */
+const random = {
+  chooseSequence(hand) {
+    return Deck.shuffle(hand);
+  },
+
+  chooseDraftPick(view) {
+    return view.options[Math.floor(Math.random() * view.options.length)];
+  },
+
+  chooseSwap(view) {
+    if (view.swapsRemaining <= 0 || view.remaining.length < 2) return null;
+    if (Math.random() >= 0.25) return null;
+
+    const pos1 = Math.floor(Math.random() * (view.remaining.length - 1));
+    return { pos1, pos2: pos1 + 1 };
+  }
+};
+
+/**
+ * Greedy: assumes the opponent plays in the order shown in preview,
+ * arranges its hand against that order and swaps whenever the next card
+ * does better against the predicted card this round
+ */
+const greedy = {
+  chooseSequence(hand, view) {
+    if (view.opponentRemaining.length === 0) return Deck.shuffle(hand);
+    const belief = buildBelief(view.opponentRemaining, 0);
+    return bestArrangement(hand, marginals(belief, view.roundsLeft), view.roundsLeft, view.ruleSet);
+  },
+
+  chooseDraftPick(view) {
+    return bestDraftPick(view);
+  },
+
+  chooseSwap(view) {
+    const [current, next] = view.remaining;
+    const predicted = view.opponentRemaining[0];
+    if (view.swapsRemaining <= 0 || !next || !predicted) return null;
+
+    const keep = outcome(current.type, predicted, view.ruleSet);
+    const swap = outcome(next.type, predicted, view.ruleSet);
+    return swap > keep ? { pos1: 0, pos2: 1 } : null;
+  }
+};
+
+/**
+ * Lookahead: keeps a weighted belief over the opponent's real order
+ * (closer to the preview order = more likely, narrowed by every reveal) and
+ * plans swaps with a depth-limited expectimax over the coming rounds
+ */
+const lookahead = {
+  chooseSequence(hand, view) {
+    if (view.opponentRemaining.length === 0) return Deck.shuffle(hand);
+    const belief = buildBelief(view.opponentRemaining, BOT_CONFIG.ORDER_BELIEF_DECAY);
+    return bestArrangement(hand, marginals(belief, view.roundsLeft), view.roundsLeft, view.ruleSet);
+  },
+
+  chooseDraftPick(view) {
+    return bestDraftPick(view);
+  },
+
+  chooseSwap(view) {
+    if (view.swapsRemaining <= 0 || view.remaining.length < 2) return null;
+    if (view.opponentRemaining.length === 0) return null;
+
+    const belief = buildBelief(view.opponentRemaining, BOT_CONFIG.ORDER_BELIEF_DECAY);
+    const { action } = expectimax(
+      view.remaining.map(c => c.type),
+      belief,
+      view.swapsRemaining,
+      view.roundsLeft,
+      BOT_CONFIG.LOOKAHEAD_DEPTH,
+      view.ruleSet
+    );
+    return action;
+  }
+};
+
+const STRATEGIES = { random, greedy, lookahead };
+
+/**
+ * Get strategy for a difficulty level
+ * @param {string} difficulty - One of BOT_CONFIG.DIFFICULTIES
+ * @returns {Object} Strategy with chooseSequence/chooseSwap/chooseDraftPick
+ */
+function getStrategy(difficulty) {
+  return STRATEGIES[difficulty] || STRATEGIES[BOT_CONFIG.DEFAULT_DIFFICULTY];
+}
+
+module.exports = {
+  getStrategy,
+  outcome,
+  distinctPermutations,
+  countInversions,
+  buildBelief,
+  marginals,
+  expectimax
+};
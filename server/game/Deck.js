@@ -1,5 +1,9 @@
+const { GAME_CONFIG, SpecialCard } = require('./constants');
+const { RULE_SETS, DEFAULT_RULE_SET_ID } = require('./ruleSets');
+const { createSpecialCard } = require('./specialCards');
+
 /**
- * Card types representing Rock, Paper, Scissors
+ * Card types representing Rock, Paper, Scissors (classic rule set)
  */
 const CardType = {
   ROCK: 'rock',      // Red
@@ -13,47 +17,87 @@ const CardColors = {
   [CardType.PAPER]: 'blue'
 };
 
+/**
+ * Default random source: an integer in [0, max)
+ */
+function randomIntBelow(max) {
+  return Math.floor(Math.random() * max);
+}
+
 class Deck {
   /**
-   * Create a full deck of 9 cards (3 of each type)
+   * Create a full deck for a rule set (classic: 9 cards, 3 of each type)
+   * Special cards go after the regular ones, so the regular cards keep their IDs
+   * @param {Object} ruleSet - Rule set definition
+   * @param {Object} [specialCards] - Copies of each special card (settings.specialCards)
    */
-  static createFullDeck() {
+  static createFullDeck(ruleSet = RULE_SETS[DEFAULT_RULE_SET_ID], specialCards = {}) {
     const deck = [];
     let cardId = 0;
     
-    for (const type of Object.values(CardType)) {
-      for (let i = 0; i < 3; i++) {
+    for (const { type, color } of ruleSet.types) {
+      for (let i = 0; i < ruleSet.cardsPerType; i++) {
         deck.push({
           id: `${type}-${cardId++}`,
           type: type,
-          color: CardColors[type],
+          color: color,
           index: i
         });
       }
     }
     
+    for (const special of Object.values(SpecialCard)) {
+      for (let i = 0; i < (specialCards[special] || 0); i++) {
+        const card = createSpecialCard(ruleSet, special, i);
+        deck.push({ id: `${card.type}-${cardId++}`, ...card });
+      }
+    }
+    
     return deck;
   }
 
+  /**
+   * Create a shared pool of several full decks (draft mode)
+   * Card IDs run on across the decks, so the first deck keeps its usual IDs
+   * @param {Object} ruleSet - Rule set definition
+   * @param {number} copies - Number of full decks
+   * @param {Object} [specialCards] - Copies of each special card per deck
+   */
+  static createPool(ruleSet, copies, specialCards = {}) {
+    const pool = [];
+    for (let copy = 0; copy < copies; copy++) {
+      this.createFullDeck(ruleSet, specialCards).forEach(card => {
+        pool.push({ ...card, id: `${card.type}-${pool.length}` });
+      });
+    }
+    return pool;
+  }
+
   /**
    * Shuffle an array using Fisher-Yates algorithm
+   * @param {Array} array - Items to shuffle (not modified)
+   * @param {Function} [randomInt] - Returns an integer in [0, max) for a max (see fairDeal.SeededRandom)
    */
-  static shuffle(array) {
+  static shuffle(array, randomInt = randomIntBelow) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = randomInt(i + 1);
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
 
   /**
-   * Deal 6 random cards from a deck of 9
+   * Deal random cards from a full deck
+   * @param {number} count - Number of cards to deal
+   * @param {Object} ruleSet - Rule set definition
+   * @param {Object} [specialCards] - Copies of each special card in the deck
+   * @param {Function} [randomInt] - Random source for the shuffle
    */
-  static deal() {
-    const fullDeck = this.createFullDeck();
-    const shuffled = this.shuffle(fullDeck);
-    return shuffled.slice(0, 6);
+  static deal(count = GAME_CONFIG.CARDS_PER_PLAYER, ruleSet = RULE_SETS[DEFAULT_RULE_SET_ID], specialCards = {}, randomInt = randomIntBelow) {
+    const fullDeck = this.createFullDeck(ruleSet, specialCards);
+    const shuffled = this.shuffle(fullDeck, randomInt);
+    return shuffled.slice(0, count);
   }
 }
 
@@ -1,11 +1,54 @@
 /**
  * GameNotifier - Abstraction layer for Socket.IO communication
  * Separates transport concerns from game logic for better testability
+ *
+ * Spectators sit in a separate room and receive a filtered feed wrapped in a
+ * single 'spectatorEvent' envelope: anything public (round starts, timers,
+ * reveals, scores) but never a player's hand or upcoming sequence.
  */
 class GameNotifier {
   constructor(io, lobbyId) {
     this.io = io;
     this.lobbyId = lobbyId;
+    this.localPlayers = new Map(); // address -> handler, for players without a socket (bots)
+  }
+
+  /**
+   * Socket.IO room for a lobby's spectators
+   * @param {string} lobbyId - Lobby ID
+   * @returns {string} Room name
+   */
+  static getSpectatorRoom(lobbyId) {
+    return `${lobbyId}:spectators`;
+  }
+
+  /**
+   * Send an event to a lobby's spectators
+   * (also used by LobbyManager for lobby-level events)
+   * @param {Object} io - Socket.IO server
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} event - Spectator event name
+   * @param {Object} data - Event data (must not contain hidden cards)
+   */
+  static emitToSpectators(io, lobbyId, event, data) {
+    io.to(GameNotifier.getSpectatorRoom(lobbyId)).emit('spectatorEvent', { event, data });
+  }
+
+  /**
+   * Deliver events for a socket-less player to a local handler
+   * @param {string} address - Player's socketId field (not a real socket)
+   * @param {Function} handler - Called with (event, data)
+   */
+  attachLocalPlayer(address, handler) {
+    this.localPlayers.set(address, handler);
+  }
+
+  /**
+   * Stop delivering events to a local handler
+   * @param {string} address - Player's socketId field
+   */
+  detachLocalPlayer(address) {
+    this.localPlayers.delete(address);
   }
 
   /**
@@ -15,29 +58,115 @@ class GameNotifier {
    * @param {Object} data - Event data
    */
   toPlayer(socketId, event, data) {
+    const localHandler = this.localPlayers.get(socketId);
+    if (localHandler) {
+      localHandler(event, data);
+      return;
+    }
+    
     this.io.to(socketId).emit(event, data);
   }
 
   /**
-   * Broadcast event to all players in lobby
+   * Broadcast event to all players in lobby (and its spectators)
+   * Only for payloads that are safe for everyone to see
    * @param {string} event - Event name
    * @param {Object} data - Event data
    */
   toAll(event, data) {
     this.io.to(this.lobbyId).emit(event, data);
+    this.localPlayers.forEach(handler => handler(event, data));
+    this.toSpectators(event, data);
+  }
+
+  /**
+   * Send event to spectators only
+   * @param {string} event - Spectator event name
+   * @param {Object} data - Event data
+   */
+  toSpectators(event, data) {
+    GameNotifier.emitToSpectators(this.io, this.lobbyId, event, data);
+  }
+
+  /**
+   * Send the spectator view of the game (see GameSession.getSpectatorState)
+   * @param {Object} state - Spectator state
+   */
+  sendSpectatorState(state) {
+    this.toSpectators('state', state);
+  }
+
+  /**
+   * Publish the hash of the server seed before the deal (players answer
+   * with their own seeds; see fairDeal)
+   * @param {string} commitment - sha256 of the server seed
+   */
+  sendDealCommitment(commitment) {
+    this.toAll('dealCommitment', { commitment });
+  }
+
+  /**
+   * Open the draft (the pool is public, so spectators get it too)
+   * @param {Object} draft - Draft state (see GameSession.getDraftState)
+   * @param {number} timeLimit - Time for each pick
+   */
+  sendDraftStart(draft, timeLimit) {
+    this.toAll('draftStart', { ...draft, timeLimit });
+  }
+
+  /**
+   * Announce a draft pick
+   * @param {Object} pick - { playerId, card, auto, picker } with picker null after the last pick
+   * @param {number} timeLimit - Time for the next pick
+   */
+  sendDraftPick(pick, timeLimit) {
+    this.toAll('draftPick', { ...pick, timeLimit });
+  }
+
+  /**
+   * Open hand construction (the full deck is no secret)
+   * @param {Array} deck - Full deck to choose from
+   * @param {number} timeLimit - Time to choose
+   */
+  sendConstructStart(deck, timeLimit) {
+    this.toAll('constructStart', { deck, timeLimit });
+  }
+
+  /**
+   * Confirm a player's chosen hand back to them
+   * @param {string} socketId - Player's socket ID
+   * @param {Array} hand - Chosen cards
+   */
+  sendHandConfirmed(socketId, hand) {
+    this.toPlayer(socketId, 'handConfirmed', { hand });
+  }
+
+  /**
+   * Tell the opponent and spectators that a player has chosen (not what)
+   * @param {string} socketId - Opponent's socket ID
+   * @param {string} playerId - Player who chose
+   */
+  sendOpponentHandChosen(socketId, playerId) {
+    this.toPlayer(socketId, 'opponentHandChosen', {});
+    this.toSpectators('handChosen', { playerId });
   }
 
   /**
    * Send cards preview to players
    * @param {Array} players - Array of player objects
+   * @param {Object} opponentViews - playerId -> { cards, counts } of the opponent's
+   *   hand that player may see (see GameSession.buildOpponentViews)
    * @param {number} timeLimit - Time limit for preview phase
    */
-  sendCardsPreview(players, timeLimit) {
+  sendCardsPreview(players, opponentViews, timeLimit) {
     players.forEach(player => {
       const opponent = players.find(p => p.id !== player.id);
+      const view = opponentViews[player.id];
       this.toPlayer(player.socketId, 'cardsPreview', {
         yourCards: player.hand,
-        opponentCards: opponent.hand,
+        opponentCards: view.cards,
+        opponentCounts: view.counts,
+        opponentCardCount: opponent.hand.length,
         opponentName: opponent.name,
         timeLimit
       });
@@ -58,6 +187,8 @@ class GameNotifier {
         timeLimit
       });
     });
+    
+    this.toSpectators('sequencePhase', { timeLimit });
   }
 
   /**
@@ -73,12 +204,14 @@ class GameNotifier {
    * @param {number} round - Current round (1-based)
    * @param {number} totalRounds - Total number of rounds
    * @param {number} swapTimeLimit - Time limit for swap phase
+   * @param {Object|null} modifier - Round modifier ({ id, type }), announced before the swaps
    */
-  sendRoundStart(round, totalRounds, swapTimeLimit) {
+  sendRoundStart(round, totalRounds, swapTimeLimit, modifier = null) {
     this.toAll('roundStart', {
       round,
       totalRounds,
-      swapTimeLimit
+      swapTimeLimit,
+      modifier
     });
   }
 
@@ -95,11 +228,13 @@ class GameNotifier {
    * @param {string} socketId - Player's socket ID
    * @param {Array} sequence - Updated sequence (remaining cards)
    * @param {number} swapsRemaining - Number of swaps remaining
+   * @param {boolean} canSwapAgain - Whether another swap is allowed this round
    */
-  sendSwapConfirmed(socketId, sequence, swapsRemaining) {
+  sendSwapConfirmed(socketId, sequence, swapsRemaining, canSwapAgain = false) {
     this.toPlayer(socketId, 'swapConfirmed', {
       sequence,
-      swapsRemaining
+      swapsRemaining,
+      canSwapAgain
     });
   }
 
@@ -111,6 +246,17 @@ class GameNotifier {
     this.toPlayer(socketId, 'opponentSwapped', {});
   }
 
+  /**
+   * Tell spectators that a player swapped (not which cards)
+   * @param {Object} player - Player who swapped
+   */
+  sendSpectatorSwap(player) {
+    this.toSpectators('playerSwapped', {
+      playerId: player.id,
+      swapsRemaining: player.getSwapsRemaining()
+    });
+  }
+
   /**
    * Send swap error to player
    * @param {string} socketId - Player's socket ID
@@ -132,24 +278,62 @@ class GameNotifier {
    * Send round result to all players
    * @param {Array} players - Array of player objects
    * @param {Object} roundResult - Round result data
-   * @param {number} currentRound - Current round index (0-based)
    */
-  sendRoundResult(players, roundResult, currentRound) {
+  sendRoundResult(players, roundResult) {
     players.forEach(player => {
       const opponent = players.find(p => p.id !== player.id);
       this.toPlayer(player.socketId, 'roundResult', {
         ...roundResult,
-        round: currentRound + 1,
-        yourCard: player.getCardForRound(currentRound),
-        opponentCard: opponent.getCardForRound(currentRound),
+        yourCard: roundResult.cards[player.id],
+        opponentCard: roundResult.cards[opponent.id],
         youWon: roundResult.winner === player.id,
         yourScore: player.score,
         opponentScore: opponent.score,
         yourSwapsRemaining: player.getSwapsRemaining(),
         opponentSwapsRemaining: opponent.getSwapsRemaining(),
-        upcomingCards: player.sequence.slice(currentRound + 1)
+        upcomingCards: player.sequence.slice(roundResult.round)
       });
     });
+    
+    // Spectators see the revealed cards only, never what comes next
+    this.toSpectators('roundResult', {
+      ...roundResult,
+      swapsRemaining: Object.fromEntries(players.map(p => [p.id, p.getSwapsRemaining()]))
+    });
+  }
+
+  /**
+   * Start a sudden-death round; each player sees only their own tiebreak hand
+   * @param {Array} players - Array of player objects
+   * @param {Object} hands - playerId -> tiebreak hand
+   * @param {number} round - Round number (past totalRounds)
+   * @param {number} timeLimit - Time limit for picking a card
+   */
+  sendTiebreakStart(players, hands, round, timeLimit) {
+    players.forEach(player => {
+      this.toPlayer(player.socketId, 'tiebreakStart', { round, hand: hands[player.id], timeLimit });
+    });
+    this.toSpectators('tiebreakStart', { round, timeLimit });
+  }
+
+  /**
+   * Confirm a player's tiebreak card back to them
+   * @param {string} socketId - Player's socket ID
+   * @param {Object} card - Picked card
+   * @param {boolean} auto - Picked by the server because the timer ran out
+   */
+  sendTiebreakPicked(socketId, card, auto) {
+    this.toPlayer(socketId, 'tiebreakPicked', { card, auto });
+  }
+
+  /**
+   * Tell the opponent and spectators that a player has picked (not what)
+   * @param {string} socketId - Opponent's socket ID
+   * @param {string} playerId - Player who picked
+   */
+  sendOpponentTiebreakPicked(socketId, playerId) {
+    this.toPlayer(socketId, 'opponentTiebreakPicked', {});
+    this.toSpectators('tiebreakPicked', { playerId });
   }
 
   /**
@@ -165,8 +349,9 @@ class GameNotifier {
    * @param {Array} players - Array of player objects
    * @param {Object} gameResult - Game result data
    * @param {Array} roundHistory - History of all rounds
+   * @param {Object} fairness - Revealed deal seeds (see GameSession.getFairnessReveal)
    */
-  sendGameEnd(players, gameResult, roundHistory) {
+  sendGameEnd(players, gameResult, roundHistory, fairness) {
     players.forEach(player => {
       const opponent = players.find(p => p.id !== player.id);
       this.toPlayer(player.socketId, 'gameEnd', {
@@ -174,23 +359,28 @@ class GameNotifier {
         youWon: gameResult.winner === player.id,
         yourFinalScore: player.score,
         opponentFinalScore: opponent.score,
-        roundHistory
+        roundHistory,
+        fairness
       });
     });
+    
+    this.toSpectators('gameEnd', { ...gameResult, roundHistory, fairness });
   }
 
   /**
    * Send game end by disconnect
    * @param {Object} winner - Winner player object
    * @param {Object} loser - Loser player object
+   * @param {Object} fairness - Revealed deal seeds
    */
-  sendGameEndByDisconnect(winner, loser) {
+  sendGameEndByDisconnect(winner, loser, fairness) {
     this.toPlayer(winner.socketId, 'gameEnd', {
       winner: winner.id,
       winnerName: winner.name,
       youWon: true,
       byDisconnect: true,
-      message: 'Opponent disconnected - you win!'
+      message: 'Opponent disconnected - you win!',
+      fairness
     });
 
     if (!loser.disconnected) {
@@ -199,9 +389,17 @@ class GameNotifier {
         winnerName: winner.name,
         youWon: false,
         byDisconnect: true,
-        message: 'You were disconnected too long - you lose!'
+        message: 'You were disconnected too long - you lose!',
+        fairness
       });
     }
+    
+    this.toSpectators('gameEnd', {
+      winner: winner.id,
+      winnerName: winner.name,
+      byDisconnect: true,
+      fairness
+    });
   }
 
   /**
@@ -213,6 +411,15 @@ class GameNotifier {
     this.toPlayer(socketId, 'opponentDisconnected', { reconnectTimeout });
   }
 
+  /**
+   * Tell spectators the game is paused for a disconnected player
+   * @param {string} playerId - Disconnected player's ID
+   * @param {number} reconnectTimeout - Time allowed for reconnection
+   */
+  sendSpectatorPlayerDisconnected(playerId, reconnectTimeout) {
+    this.toSpectators('playerDisconnected', { playerId, reconnectTimeout });
+  }
+
   /**
    * Send opponent reconnected notification
    * @param {string} socketId - Socket ID of connected player
@@ -1,16 +1,53 @@
 const { Deck } = require('./Deck');
-const { determineWinner, getWinExplanation, determineGameWinner } = require('./rules');
+const { resolveCards, determineGameWinner } = require('./rules');
+const { cardToken } = require('./specialCards');
+const { scoreRound, isDecided } = require('./scoring');
+const { drawModifier } = require('./roundModifiers');
 const Timer = require('../utils/Timer');
 const GameNotifier = require('./GameNotifier');
 const GameStateMachine = require('./GameStateMachine');
-const { GAME_CONFIG, GamePhase } = require('./constants');
+const { createServerSeed, combineSeeds, dealHands, dealDraftPool, dealTiebreakHand } = require('./fairDeal');
+const {
+  GAME_CONFIG,
+  DEFAULT_GAME_SETTINGS,
+  GamePhase,
+  DealMode,
+  PreviewVisibility,
+  PartialPreview,
+  Tiebreak,
+  RoundModifier
+} = require('./constants');
 
 class GameSession {
-  constructor(players, io, lobbyId) {
+  /**
+   * @param {Array} players - Array of 2 Player objects
+   * @param {Object} io - Socket.IO server
+   * @param {string} lobbyId - Lobby ID (Socket.IO room)
+   * @param {Object} settings - Per-lobby game settings
+   * @param {Object} [hooks] - Lobby callbacks
+   * @param {Function} [hooks.onGameEnd] - Called once the game is over with { reason, result, roundHistory }
+   */
+  constructor(players, io, lobbyId, settings = DEFAULT_GAME_SETTINGS, { onGameEnd = null } = {}) {
     this.players = players; // Array of 2 Player objects
     this.lobbyId = lobbyId;
+    this.settings = settings; // Per-lobby game settings
+    this.onGameEnd = onGameEnd;
     this.currentRound = 0;
     this.roundHistory = [];
+    this.swapLog = []; // { playerId, round, pos1, pos2 } with positions in the full sequence
+    this.dealtHands = {}; // playerId -> cards as dealt
+    this.opponentViews = {}; // playerId -> what the preview shows them of the opponent's hand
+    this.initialSequences = null; // playerId -> sequence before the first swap
+    this.timeouts = {}; // playerId -> { draft, construct, preview, sequence, swap, tiebreak, continue } timers run out on
+    this.eventLog = []; // { type, at, ... } in the order things happened, for replays
+    this.startedAt = null;
+    // Provably fair deal: committed server seed, players' seeds, and the seed they combine into
+    this.fairness = { ...createServerSeed(), clientSeeds: {}, dealSeed: null };
+    this.seedTimeout = null;
+    this.draft = null; // { pool, picks: playerId -> cards, pickerIndex } while drafting
+    this.construct = null; // { deck, hands: playerId -> cards or null } while choosing hands
+    this.tiebreak = null; // { hands: playerId -> cards, picks: playerId -> card or null, deals } in sudden death
+    this.roundModifier = null; // { id, type } drawn for the current regular round, see roundModifiers.js
     this.timer = null;
     this.completed = false;
     
@@ -42,10 +79,10 @@ class GameSession {
   }
 
   /**
-   * Check if any player is disconnected
+   * Check if any player is disconnected (and not covered by autopilot)
    */
   hasDisconnectedPlayer() {
-    return this.players.some(p => p.disconnected);
+    return this.players.some(p => p.disconnected && !p.autopilot);
   }
 
   /**
@@ -65,17 +102,125 @@ class GameSession {
   // ==================== Game Flow ====================
 
   /**
-   * Start the game session - first show preview
+   * Start the game session - commit to the server seed and wait for the
+   * players' seeds; cards are dealt once both arrive (or the wait runs out).
+   * Constructed hands are chosen, not dealt, so they start right away
    */
   start() {
-    // Deal cards to both players
-    this.players.forEach(player => {
-      player.hand = Deck.deal();
+    if (this.settings.dealMode === DealMode.CONSTRUCTED) {
+      this.startConstruct();
+      return;
+    }
+    
+    this.notifier.sendDealCommitment(this.fairness.commitment);
+    this.seedTimeout = setTimeout(() => this.deal(), GAME_CONFIG.DELAYS.CLIENT_SEED_WAIT);
+  }
+
+  /**
+   * Handle a player's contribution to the deal
+   * @param {string} playerId - Player ID
+   * @param {string} seed - Validated client seed
+   */
+  handleClientSeed(playerId, seed) {
+    if (this.settings.dealMode === DealMode.CONSTRUCTED) return;
+    if (this.fairness.dealSeed || !this.getPlayer(playerId)) return;
+    if (this.fairness.clientSeeds[playerId]) return;
+    
+    this.fairness.clientSeeds[playerId] = seed;
+    
+    if (this.players.every(p => this.fairness.clientSeeds[p.id])) {
+      this.deal();
+    }
+  }
+
+  /**
+   * Deal both hands from the combined seeds and show the preview
+   * (in draft mode, lay out the shared pool instead)
+   */
+  deal() {
+    if (this.completed || this.fairness.dealSeed) return;
+    clearTimeout(this.seedTimeout);
+    this.seedTimeout = null;
+    
+    // A player dropped while seeds were collected - deal once they are back
+    if (this.stateMachine.isPaused()) {
+      this.stateMachine.setPendingAction('deal');
+      return;
+    }
+    
+    // A player who sent nothing in time contributes an empty seed
+    this.fairness.dealSeed = combineSeeds(
+      this.fairness.serverSeed,
+      this.players.map(p => this.fairness.clientSeeds[p.id] || '')
+    );
+    this.startedAt = Date.now();
+    
+    if (this.settings.dealMode === DealMode.DRAFT) {
+      this.startDraft();
+      return;
+    }
+    
+    const hands = dealHands(this.fairness.dealSeed, this.settings, this.players.length);
+    this.players.forEach((player, index) => {
+      player.hand = hands[index];
+      this.dealtHands[player.id] = [...player.hand];
     });
+    this.logEvent('deal', { hands: this.dealtHands });
     
+    this.startPreview();
+  }
+
+  /**
+   * Show each player their hand and as much of the opponent's as the
+   * lobby's preview visibility allows, and give them time to study it
+   */
+  startPreview() {
+    this.buildOpponentViews();
     this.stateMachine.transition(GamePhase.PREVIEW);
-    this.notifier.sendCardsPreview(this.players, GAME_CONFIG.TIMERS.PREVIEW);
-    this.startTimer(GAME_CONFIG.TIMERS.PREVIEW, () => this.onPreviewTimeout(), 'previewTimerUpdate');
+    this.notifier.sendCardsPreview(this.players, this.opponentViews, this.settings.timers.preview);
+    this.notifier.sendSpectatorState(this.getSpectatorState());
+    this.startTimer(this.settings.timers.preview, () => this.onPreviewTimeout(), 'previewTimerUpdate');
+  }
+
+  /**
+   * Decide what each player sees of the opponent's hand. Random cards are
+   * picked once, so a reconnecting player is shown the same ones; nothing
+   * outside a view is ever sent to the player
+   */
+  buildOpponentViews() {
+    const { previewVisibility, partialPreview, revealedCards } = this.settings;
+    
+    this.players.forEach(player => {
+      const { hand } = this.getOpponent(player.id);
+      const view = { cards: null, counts: null };
+      
+      if (previewVisibility === PreviewVisibility.FULL) {
+        view.cards = hand;
+      } else if (previewVisibility === PreviewVisibility.PARTIAL && partialPreview === PartialPreview.COUNTS) {
+        view.counts = {};
+        hand.forEach(card => {
+          view.counts[card.type] = (view.counts[card.type] || 0) + 1;
+        });
+      } else if (previewVisibility === PreviewVisibility.PARTIAL) {
+        const shown = new Set(Deck.shuffle([...hand]).slice(0, revealedCards));
+        view.cards = hand.filter(card => shown.has(card));
+      }
+      
+      this.opponentViews[player.id] = view;
+    });
+  }
+
+  /**
+   * What a player was shown of the opponent's hand before sequencing
+   * (drafted hands are public)
+   * @param {string} playerId - Player ID
+   * @returns {Object} { cards, counts }: cards shown face up and counts per type, each null if not shown
+   */
+  getOpponentView(playerId) {
+    if (this.settings.dealMode === DealMode.DRAFT) {
+      return { cards: this.getOpponent(playerId).hand, counts: null };
+    }
+    return this.opponentViews[playerId] || { cards: null, counts: null };
   }
 
   /**
@@ -99,6 +244,7 @@ class GameSession {
    * Handle preview timeout - move to sequence phase
    */
   onPreviewTimeout() {
+    this.recordTimeouts('preview', this.players.filter(p => !this.previewReady.has(p.id)));
     this.startSequencePhase();
   }
 
@@ -109,18 +255,20 @@ class GameSession {
     this.stateMachine.transition(GamePhase.SEQUENCE);
     this.previewReady.clear();
     
-    this.notifier.sendGameStart(this.players, GAME_CONFIG.TIMERS.SEQUENCE);
-    this.startTimer(GAME_CONFIG.TIMERS.SEQUENCE, () => this.onSequenceTimeout(), 'timerUpdate');
+    this.notifier.sendGameStart(this.players, this.settings.timers.sequence);
+    this.startTimer(this.settings.timers.sequence, () => this.onSequenceTimeout(), 'timerUpdate');
   }
 
   /**
    * Handle sequence timeout - auto-set random sequence
    */
   onSequenceTimeout() {
+    this.recordTimeouts('sequence', this.players.filter(p => !p.sequenceSet));
     this.players.forEach(player => {
       if (!player.sequenceSet) {
         player.sequence = Deck.shuffle([...player.hand]);
         player.sequenceSet = true;
+        this.logEvent('sequenceSet', { playerId: player.id, sequence: [...player.sequence], auto: true });
       }
     });
     
@@ -129,14 +277,17 @@ class GameSession {
 
   /**
    * Set player's card sequence
+   * @param {string} playerId - Player ID
+   * @param {Array<string>} cardIds - Card IDs in play order
    */
-  setPlayerSequence(playerId, sequence) {
+  setPlayerSequence(playerId, cardIds) {
     if (!this.stateMachine.is(GamePhase.SEQUENCE)) return;
     
     const player = this.getPlayer(playerId);
     if (!player) return;
     
-    if (player.setSequence(sequence)) {
+    if (player.setSequence(cardIds)) {
+      this.logEvent('sequenceSet', { playerId, sequence: [...player.sequence], auto: false });
       this.notifier.sendSequenceConfirmed(player.socketId);
       
       if (this.players.every(p => p.sequenceSet)) {
@@ -150,7 +301,7 @@ class GameSession {
    * Start a new round
    */
   startRound() {
-    if (this.currentRound >= GAME_CONFIG.TOTAL_ROUNDS) {
+    if (this.isDecided() || (this.currentRound >= this.settings.totalRounds && !this.needsTiebreak())) {
       this.endGame();
       return;
     }
@@ -164,26 +315,42 @@ class GameSession {
       return;
     }
     
+    if (this.currentRound >= this.settings.totalRounds) {
+      this.startTiebreakRound();
+      return;
+    }
+    
     this.stateMachine.transition(GamePhase.ROUND_START);
     
-    // Reset round-specific player flags
-    this.players.forEach(p => p.resetRound());
+    if (!this.initialSequences) {
+      this.initialSequences = this.getSequences();
+    }
+    
+    // Draw the round modifier and reset round-specific player flags
+    this.roundModifier = drawModifier(this.settings);
+    this.players.forEach(p => p.resetRound(this.roundModifier));
+    this.logEvent('roundStart', { round: this.currentRound + 1, modifier: this.roundModifier });
     
     this.notifier.sendRoundStart(
       this.currentRound + 1,
-      GAME_CONFIG.TOTAL_ROUNDS,
-      GAME_CONFIG.TIMERS.SWAP
+      this.settings.totalRounds,
+      this.settings.timers.swap,
+      this.roundModifier
     );
     
     this.stateMachine.transition(GamePhase.SWAP);
-    this.startTimer(GAME_CONFIG.TIMERS.SWAP, () => this.onSwapTimeout(), 'timerUpdate');
+    this.startTimer(this.settings.timers.swap, () => this.onSwapTimeout(), 'timerUpdate');
   }
 
   /**
    * Handle swap timeout - reveal cards
    */
   onSwapTimeout() {
+    this.recordTimeouts('swap', this.players.filter(p => !p.ready));
     this.players.forEach(player => {
+      if (!player.ready) {
+        this.logEvent('skip', { playerId: player.id, round: this.currentRound + 1, timeout: true });
+      }
       player.ready = true;
     });
     this.revealCards();
@@ -210,23 +377,35 @@ class GameSession {
       return;
     }
     
+    if (this.roundModifier && this.roundModifier.id === RoundModifier.NO_SWAPS) {
+      this.notifier.sendSwapError(player.socketId, 'В этом раунде свапы запрещены');
+      return;
+    }
+    
     if (player.swapCards(actualPos1, actualPos2)) {
-      player.ready = true;
+      this.swapLog.push({ playerId, round: this.currentRound + 1, pos1: actualPos1, pos2: actualPos2 });
+      this.logEvent('swap', { playerId, round: this.currentRound + 1, pos1: actualPos1, pos2: actualPos2 });
+      
+      // Player stays in the swap phase while the per-round limit allows more swaps
+      const canSwapAgain = player.canSwap();
+      player.ready = !canSwapAgain;
       
       this.notifier.sendSwapConfirmed(
         player.socketId,
         player.sequence.slice(this.currentRound),
-        player.getSwapsRemaining()
+        player.getSwapsRemaining(),
+        canSwapAgain
       );
       
       const opponent = this.getOpponent(playerId);
       this.notifier.sendOpponentSwapped(opponent.socketId);
+      this.notifier.sendSpectatorSwap(player);
       
       this.checkSwapPhaseComplete();
     } else {
       this.notifier.sendSwapError(
         player.socketId,
-        'Некорректный свап (только соседние карты, макс. 3 за игру)'
+        `Некорректный свап (только соседние карты, макс. ${this.settings.maxSwapsPerGame} за игру)`
       );
     }
   }
@@ -241,6 +420,7 @@ class GameSession {
     if (!player || player.ready) return;
     
     player.ready = true;
+    this.logEvent('skip', { playerId, round: this.currentRound + 1, timeout: false });
     this.notifier.sendSkipConfirmed(player.socketId);
     this.checkSwapPhaseComplete();
   }
@@ -259,23 +439,31 @@ class GameSession {
    * Reveal cards and determine round winner
    */
   revealCards() {
+    this.resolveRound(this.players.map(p => p.getCardForRound(this.currentRound)), false);
+  }
+
+  /**
+   * Score a round and show the result
+   * @param {Array<Object>} cards - Card of each player, in player order
+   * @param {boolean} tiebreak - Sudden-death round played after totalRounds
+   */
+  resolveRound([card1, card2], tiebreak) {
     this.stateMachine.transition(GamePhase.REVEAL);
     
     const player1 = this.players[0];
     const player2 = this.players[1];
     
-    const card1 = player1.getCardForRound(this.currentRound);
-    const card2 = player2.getCardForRound(this.currentRound);
-    
-    const result = determineWinner(card1, card2);
-    
-    let roundWinner = null;
-    if (result === 1) {
-      player1.addScore(1);
-      roundWinner = player1.id;
-    } else if (result === 2) {
-      player2.addScore(1);
-      roundWinner = player2.id;
+    const modifier = tiebreak ? null : this.roundModifier;
+    const { result, points: cardPoints, explanation } = resolveCards(card1, card2, this.settings.ruleSet, modifier);
+    const winner = result === 0 ? null : this.players[result - 1];
+    const roundWinner = winner ? winner.id : null;
+    const { points, reason } = scoreRound(
+      this.settings,
+      { round: this.currentRound + 1, winner: roundWinner, basePoints: cardPoints },
+      this.roundHistory
+    );
+    if (winner) {
+      winner.addScore(points);
     }
     
     const roundResult = {
@@ -286,10 +474,11 @@ class GameSession {
       },
       winner: roundWinner,
       isDraw: result === 0,
-      explanation: result !== 0 ? getWinExplanation(
-        result === 1 ? card1.type : card2.type,
-        result === 1 ? card2.type : card1.type
-      ) : 'Ничья',
+      tiebreak,
+      modifier,
+      explanation,
+      points,
+      pointsReason: reason,
       scores: {
         [player1.id]: player1.score,
         [player2.id]: player2.score
@@ -297,12 +486,21 @@ class GameSession {
     };
     
     this.roundHistory.push(roundResult);
-    this.notifier.sendRoundResult(this.players, roundResult, this.currentRound);
+    this.logEvent('reveal', {
+      round: roundResult.round,
+      cards: roundResult.cards,
+      winner: roundWinner,
+      isDraw: roundResult.isDraw,
+      tiebreak,
+      points,
+      scores: roundResult.scores
+    });
+    this.notifier.sendRoundResult(this.players, roundResult);
     
     this.currentRound++;
     this.continueReady.clear();
     
-    this.startTimer(GAME_CONFIG.TIMERS.CONTINUE, () => this.onContinueTimeout(), 'continueCountdown');
+    this.startTimer(this.settings.timers.continue, () => this.onContinueTimeout(), 'continueCountdown');
   }
 
   /**
@@ -310,6 +508,7 @@ class GameSession {
    */
   onContinueTimeout() {
     if (this.stateMachine.is(GamePhase.REVEAL)) {
+      this.recordTimeouts('continue', this.players.filter(p => !this.continueReady.has(p.id)));
       this.startRound();
     }
   }
@@ -331,8 +530,461 @@ class GameSession {
     }
   }
 
+  /**
+   * Count players who let a phase timer run out
+   * @param {string} phase - 'draft', 'construct', 'preview', 'sequence', 'swap', 'tiebreak' or 'continue'
+   * @param {Array} players - Players who hadn't acted
+   */
+  recordTimeouts(phase, players) {
+    players.forEach(player => {
+      if (!this.timeouts[player.id]) {
+        this.timeouts[player.id] = { draft: 0, construct: 0, preview: 0, sequence: 0, swap: 0, tiebreak: 0, continue: 0 };
+      }
+      this.timeouts[player.id][phase]++;
+    });
+  }
+
+  /**
+   * Append to the replay event log
+   * @param {string} type - 'draftPick', 'handChosen', 'deal', 'sequenceSet', 'roundStart', 'swap',
+   *   'skip', 'tiebreakStart', 'tiebreakPick', 'reveal', 'pause', 'resume' or 'end'
+   * @param {Object} [data] - Event details
+   */
+  logEvent(type, data = {}) {
+    this.eventLog.push({ type, at: this.startedAt ? Date.now() - this.startedAt : 0, ...data });
+  }
+
+  /**
+   * Log the end of the game with the final score
+   */
+  logEnd(reason, winnerId) {
+    const scores = {};
+    this.players.forEach(p => {
+      scores[p.id] = p.score;
+    });
+    this.logEvent('end', { reason, winner: winnerId || null, isDraw: !winnerId, scores });
+  }
+
+  // ==================== Draft ====================
+
+  /**
+   * Lay out the shared pool and let the first player pick
+   */
+  startDraft() {
+    const { pool, firstPicker } = dealDraftPool(this.fairness.dealSeed, this.settings, this.players.length);
+    const picks = {};
+    this.players.forEach(p => {
+      picks[p.id] = [];
+    });
+    this.draft = { pool, picks, pickerIndex: firstPicker };
+    
+    this.stateMachine.transition(GamePhase.DRAFT);
+    this.notifier.sendDraftStart(this.getDraftState(), this.settings.timers.draftPick);
+    this.notifier.sendSpectatorState(this.getSpectatorState());
+    this.startTimer(this.settings.timers.draftPick, () => this.onDraftTimeout(), 'draftTimerUpdate');
+  }
+
+  /**
+   * Handle a player taking a card from the pool
+   * @param {string} playerId - Player ID
+   * @param {string} cardId - Validated ID of a card in the pool
+   */
+  handleDraftPick(playerId, cardId) {
+    if (!this.stateMachine.is(GamePhase.DRAFT)) return;
+    
+    const player = this.getPlayer(playerId);
+    if (!player) return;
+    
+    if (this.getDraftPicker() !== player) {
+      this.notifier.sendError(player.socketId, 'Not your turn to pick');
+      return;
+    }
+    
+    const card = this.draft.pool.find(c => c.id === cardId);
+    if (!card || !this.canDraft(playerId, card)) {
+      this.notifier.sendError(player.socketId, 'This card cannot be picked');
+      return;
+    }
+    
+    this.pickDraftCard(player, card, false);
+  }
+
+  /**
+   * Handle pick timeout - take a random allowed card for the player
+   */
+  onDraftTimeout() {
+    const player = this.getDraftPicker();
+    const options = this.draft.pool.filter(card => this.canDraft(player.id, card));
+    
+    this.recordTimeouts('draft', [player]);
+    this.pickDraftCard(player, options[Math.floor(Math.random() * options.length)], true);
+  }
+
+  /**
+   * Move a card from the pool to a player and pass the turn
+   * @param {Object} player - Player picking
+   * @param {Object} card - Card from the pool
+   * @param {boolean} auto - Picked by the server because the timer ran out
+   */
+  pickDraftCard(player, card, auto) {
+    this.draft.pool = this.draft.pool.filter(c => c !== card);
+    this.draft.picks[player.id].push(card);
+    this.logEvent('draftPick', { playerId: player.id, card, auto });
+    
+    const done = this.players.every(p => this.draft.picks[p.id].length >= this.settings.cardsPerPlayer);
+    if (!done) {
+      this.draft.pickerIndex = (this.draft.pickerIndex + 1) % this.players.length;
+    }
+    
+    this.notifier.sendDraftPick(
+      { playerId: player.id, card, auto, picker: done ? null : this.getDraftPicker().id },
+      this.settings.timers.draftPick
+    );
+    
+    if (done) {
+      this.finishDraft();
+    } else {
+      this.startTimer(this.settings.timers.draftPick, () => this.onDraftTimeout(), 'draftTimerUpdate');
+    }
+  }
+
+  /**
+   * Hand out the picks and go on to the sequence phase
+   */
+  finishDraft() {
+    this.clearTimer();
+    this.players.forEach(player => {
+      player.hand = [...this.draft.picks[player.id]];
+      this.dealtHands[player.id] = [...player.hand];
+    });
+    this.draft = null;
+    this.logEvent('deal', { hands: this.dealtHands, drafted: true });
+    
+    this.startSequencePhase();
+    this.notifier.sendSpectatorState(this.getSpectatorState());
+  }
+
+  /**
+   * Player whose turn it is to pick
+   */
+  getDraftPicker() {
+    return this.players[this.draft.pickerIndex];
+  }
+
+  /**
+   * Check a pick against the hand rules: nobody holds more copies of a card
+   * than one deck has (the pool always leaves an allowed card, since it
+   * holds one deck per player)
+   * @param {string} playerId - Player ID
+   * @param {Object} card - Card from the pool
+   * @returns {boolean} True if the player may take the card
+   */
+  canDraft(playerId, card) {
+    const picks = this.draft.picks[playerId];
+    if (picks.length >= this.settings.cardsPerPlayer) return false;
+    
+    const token = cardToken(card);
+    const inDeck = Deck.createFullDeck(this.settings.ruleSet, this.settings.specialCards)
+      .filter(c => cardToken(c) === token).length;
+    return picks.filter(c => cardToken(c) === token).length < inDeck;
+  }
+
+  /**
+   * Public view of the draft (everything in it is visible to everyone)
+   * @returns {Object|null} { pool, picks, picker, picksPerPlayer } or null outside the draft
+   */
+  getDraftState() {
+    if (!this.draft) return null;
+    
+    return {
+      pool: this.draft.pool,
+      picks: this.draft.picks,
+      picker: this.getDraftPicker().id,
+      picksPerPlayer: this.settings.cardsPerPlayer
+    };
+  }
+
+  // ==================== Constructed Hands ====================
+
+  /**
+   * Give both players the full deck to choose their hands from
+   */
+  startConstruct() {
+    const hands = {};
+    this.players.forEach(p => {
+      hands[p.id] = null;
+    });
+    this.construct = { deck: Deck.createFullDeck(this.settings.ruleSet, this.settings.specialCards), hands };
+    this.startedAt = Date.now();
+    
+    this.stateMachine.transition(GamePhase.CONSTRUCT);
+    this.notifier.sendConstructStart(this.construct.deck, this.settings.timers.construct);
+    this.notifier.sendSpectatorState(this.getSpectatorState());
+    this.startTimer(this.settings.timers.construct, () => this.onConstructTimeout(), 'constructTimerUpdate');
+  }
+
+  /**
+   * Handle a player's chosen hand
+   * @param {string} playerId - Player ID
+   * @param {Array<string>} cardIds - Card IDs validated by InputValidator.constructedHand
+   */
+  handleConstructHand(playerId, cardIds) {
+    if (!this.stateMachine.is(GamePhase.CONSTRUCT)) return;
+    
+    const player = this.getPlayer(playerId);
+    if (!player || this.construct.hands[playerId]) return;
+    
+    this.chooseHand(player, cardIds, false);
+  }
+
+  /**
+   * Handle construct timeout - choose a random hand for whoever hasn't
+   */
+  onConstructTimeout() {
+    const waiting = this.players.filter(p => !this.construct.hands[p.id]);
+    
+    this.recordTimeouts('construct', waiting);
+    waiting.forEach(player => this.chooseHand(player, this.getRandomConstructedHand(), true));
+  }
+
+  /**
+   * Lock in a player's hand; once both are in, reveal or go on to sequencing
+   * @param {Object} player - Player choosing
+   * @param {Array<string>} cardIds - Card IDs from the deck
+   * @param {boolean} auto - Chosen by the server because the timer ran out
+   */
+  chooseHand(player, cardIds, auto) {
+    const cardsById = new Map(this.construct.deck.map(c => [c.id, c]));
+    const hand = cardIds.map(id => cardsById.get(id));
+    this.construct.hands[player.id] = hand;
+    
+    // The cards themselves stay secret until the deal event
+    this.logEvent('handChosen', { playerId: player.id, auto });
+    this.notifier.sendHandConfirmed(player.socketId, hand);
+    this.notifier.sendOpponentHandChosen(this.getOpponent(player.id).socketId, player.id);
+    
+    if (this.players.every(p => this.construct.hands[p.id])) {
+      this.finishConstruct();
+    }
+  }
+
+  /**
+   * Hand out the chosen hands, then show them (if the lobby reveals them)
+   * or go straight to sequencing
+   */
+  finishConstruct() {
+    this.clearTimer();
+    this.players.forEach(player => {
+      player.hand = this.construct.hands[player.id];
+      this.dealtHands[player.id] = [...player.hand];
+    });
+    this.construct = null;
+    this.logEvent('deal', { hands: this.dealtHands, constructed: true });
+    
+    // Players know their own hands, so a blind preview would show nothing new
+    if (this.settings.previewVisibility !== PreviewVisibility.BLIND) {
+      this.startPreview();
+      return;
+    }
+    
+    this.buildOpponentViews();
+    this.startSequencePhase();
+    this.notifier.sendSpectatorState(this.getSpectatorState());
+  }
+
+  /**
+   * A random hand that still meets the minimum of every type
+   * (for players who run out of time)
+   * @returns {Array<string>} Card IDs
+   */
+  getRandomConstructedHand() {
+    const { cardsPerPlayer, minCardsPerType, ruleSet } = this.settings;
+    const deck = Deck.shuffle([...this.construct.deck]);
+    
+    const required = [];
+    ruleSet.types.forEach(({ type }) => {
+      required.push(...deck.filter(c => c.type === type).slice(0, minCardsPerType));
+    });
+    const rest = deck.filter(c => !required.includes(c));
+    
+    return [...required, ...rest.slice(0, cardsPerPlayer - required.length)].map(c => c.id);
+  }
+
+  /**
+   * Public view of hand construction: the deck and who has chosen (never what)
+   * @returns {Object|null} { deck, chosen } or null outside the construct phase
+   */
+  getConstructState() {
+    if (!this.construct) return null;
+    
+    return {
+      deck: this.construct.deck,
+      chosen: this.players.filter(p => this.construct.hands[p.id]).map(p => p.id)
+    };
+  }
+
+  // ==================== Sudden Death ====================
+  
+  /**
+   * Whether the regular rounds ended level and the lobby plays them off
+   */
+  needsTiebreak() {
+    if (this.settings.tiebreak === Tiebreak.OFF) return false;
+    return this.players[0].score === this.players[1].score;
+  }
+
+  /**
+   * Start a sudden-death round: both players pick one card from a small
+   * side hand, and the game goes on until someone wins a round
+   */
+  startTiebreakRound() {
+    this.roundModifier = null;
+    this.players.forEach(p => p.resetRound());
+    
+    if (!this.tiebreak) {
+      this.tiebreak = { hands: {}, picks: {}, deals: 0 };
+    }
+    
+    // Hands carry over between tiebreak rounds and are topped up once used up
+    this.players.forEach(player => {
+      const hand = this.tiebreak.hands[player.id];
+      if (!hand || hand.length === 0) {
+        this.tiebreak.hands[player.id] = this.dealTiebreakHand(player);
+      }
+      this.tiebreak.picks[player.id] = null;
+    });
+    
+    const round = this.currentRound + 1;
+    const { timers } = this.settings;
+    
+    this.stateMachine.transition(GamePhase.TIEBREAK);
+    this.logEvent('tiebreakStart', { round, hands: this.getTiebreakHands() });
+    this.notifier.sendTiebreakStart(this.players, this.tiebreak.hands, round, timers.tiebreak);
+    this.startTimer(timers.tiebreak, () => this.onTiebreakTimeout(), 'timerUpdate');
+  }
+
+  /**
+   * Cards for a player's tiebreak hand. The first leftover hand is what the
+   * full deck holds beyond the player's dealt hand; otherwise (and once
+   * that runs out) it is a fresh random mini-hand, drawn from the deal seed
+   * when the game has one (see fairDeal.js).
+   * @param {Object} player - Player to deal to
+   * @returns {Array<Object>} Cards with IDs that can't clash with the dealt hands
+   */
+  dealTiebreakHand(player) {
+    const { ruleSet, specialCards } = this.settings;
+    let cards = [];
+    
+    if (this.settings.tiebreak === Tiebreak.LEFTOVER && !this.tiebreak.hands[player.id]) {
+      // Match by card, not ID: drafted and constructed hands use their own card IDs
+      cards = Deck.createFullDeck(ruleSet, specialCards);
+      (this.dealtHands[player.id] || []).forEach(held => {
+        const index = cards.findIndex(c => cardToken(c) === cardToken(held));
+        if (index !== -1) cards.splice(index, 1);
+      });
+    }
+    if (cards.length === 0) {
+      cards = this.fairness.dealSeed
+        ? dealTiebreakHand(this.fairness.dealSeed, this.settings, GAME_CONFIG.TIEBREAK_HAND_SIZE, this.tiebreak.deals + 1)
+        : Deck.deal(GAME_CONFIG.TIEBREAK_HAND_SIZE, ruleSet, specialCards);
+    }
+    
+    this.tiebreak.deals++;
+    return cards.map(card => ({ ...card, id: `tb${this.tiebreak.deals}-${card.id}` }));
+  }
+
+  /**
+   * Handle a player's tiebreak card
+   * @param {string} playerId - Player ID
+   * @param {string} cardId - Card ID from the player's tiebreak hand
+   */
+  handleTiebreakPick(playerId, cardId) {
+    if (!this.stateMachine.is(GamePhase.TIEBREAK)) return;
+    
+    const player = this.getPlayer(playerId);
+    if (!player || this.tiebreak.picks[playerId]) return;
+    
+    const card = this.tiebreak.hands[playerId].find(c => c.id === cardId);
+    if (!card) return;
+    
+    this.pickTiebreakCard(player, card, false);
+  }
+
+  /**
+   * Handle tiebreak timeout - pick a random card for whoever hasn't
+   */
+  onTiebreakTimeout() {
+    const waiting = this.players.filter(p => !this.tiebreak.picks[p.id]);
+    
+    this.recordTimeouts('tiebreak', waiting);
+    waiting.forEach(player => {
+      const hand = this.tiebreak.hands[player.id];
+      this.pickTiebreakCard(player, hand[Math.floor(Math.random() * hand.length)], true);
+    });
+  }
+
+  /**
+   * Lock in a tiebreak card; once both are in, reveal them
+   * @param {Object} player - Player picking
+   * @param {Object} card - Card from their tiebreak hand
+   * @param {boolean} auto - Picked by the server because the timer ran out
+   */
+  pickTiebreakCard(player, card, auto) {
+    this.tiebreak.picks[player.id] = card;
+    
+    // The card stays secret until the reveal
+    this.logEvent('tiebreakPick', { playerId: player.id, auto });
+    this.notifier.sendTiebreakPicked(player.socketId, card, auto);
+    this.notifier.sendOpponentTiebreakPicked(this.getOpponent(player.id).socketId, player.id);
+    
+    if (this.players.every(p => this.tiebreak.picks[p.id])) {
+      this.clearTimer();
+      
+      const cards = this.players.map(p => this.tiebreak.picks[p.id]);
+      this.players.forEach((p, i) => {
+        this.tiebreak.hands[p.id] = this.tiebreak.hands[p.id].filter(c => c !== cards[i]);
+      });
+      this.resolveRound(cards, true);
+    }
+  }
+
+  /**
+   * Copy of every tiebreak hand
+   * @returns {Object} playerId -> cards
+   */
+  getTiebreakHands() {
+    const hands = {};
+    this.players.forEach(p => {
+      hands[p.id] = [...this.tiebreak.hands[p.id]];
+    });
+    return hands;
+  }
+
+  /**
+   * A player's side of the current tiebreak round
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} { hand, picked, opponentPicked } or null outside sudden death
+   */
+  getTiebreakState(playerId) {
+    if (!this.stateMachine.actuallyIs(GamePhase.TIEBREAK)) return null;
+    
+    const opponent = this.getOpponent(playerId);
+    return {
+      hand: this.tiebreak.hands[playerId],
+      picked: this.tiebreak.picks[playerId],
+      opponentPicked: Boolean(this.tiebreak.picks[opponent.id])
+    };
+  }
+
   // ==================== Game End ====================
 
+  /**
+   * Whether the scores already decide the game before its last round (see scoring.js)
+   */
+  isDecided() {
+    return isDecided(this.settings, this.players.map(p => p.score));
+  }
+
   /**
    * End the game normally
    */
@@ -341,22 +993,45 @@ class GameSession {
     this.completed = true;
     this.clearTimer();
     
-    const gameResult = determineGameWinner(this.players[0], this.players[1]);
-    this.notifier.sendGameEnd(this.players, gameResult, this.roundHistory);
+    const gameResult = determineGameWinner(this.players[0], this.players[1], this.settings);
+    this.logEnd('normal', gameResult.winner);
+    this.notifier.sendGameEnd(this.players, gameResult, this.roundHistory, this.getFairnessReveal());
+    
+    if (this.onGameEnd) {
+      this.onGameEnd({ reason: 'normal', result: gameResult, roundHistory: this.roundHistory });
+    }
   }
 
   /**
-   * End game due to disconnect timeout
+   * End game early because a player disconnected or left
+   * @param {string} winnerId - Player who stayed
+   * @param {string} [reason] - 'disconnect' (reconnect window expired) or 'leave'
    */
-  endGameByDisconnect(winnerId) {
+  endGameByDisconnect(winnerId, reason = 'disconnect') {
     this.stateMachine.endGame();
     this.completed = true;
     this.clearTimer();
     
     const winner = this.getPlayer(winnerId);
     const loser = this.getOpponent(winnerId);
+    this.logEnd(reason, winnerId);
     
-    this.notifier.sendGameEndByDisconnect(winner, loser);
+    this.notifier.sendGameEndByDisconnect(winner, loser, this.getFairnessReveal());
+    
+    if (this.onGameEnd) {
+      this.onGameEnd({ reason, result: { winner: winnerId }, roundHistory: this.roundHistory });
+    }
+  }
+
+  /**
+   * Stop the game without notifying anyone (nobody is left to tell)
+   * @param {string} reason - End reason for the event log
+   * @param {string|null} winnerId - Player awarded the game, if any
+   */
+  abort(reason, winnerId = null) {
+    this.completed = true;
+    this.clearTimer();
+    this.logEnd(reason, winnerId);
   }
 
   // ==================== Pause/Resume ====================
@@ -366,6 +1041,7 @@ class GameSession {
    */
   pause() {
     if (!this.stateMachine.pause()) return;
+    this.logEvent('pause', { disconnected: this.players.filter(p => p.disconnected).map(p => p.id) });
     
     if (this.timer) {
       this.timer.pause();
@@ -377,6 +1053,7 @@ class GameSession {
    */
   resume() {
     if (!this.stateMachine.resume()) return;
+    this.logEvent('resume');
     
     // Check for pending actions
     const pendingAction = this.stateMachine.consumePendingAction();
@@ -385,6 +1062,11 @@ class GameSession {
       setTimeout(() => this.startRound(), GAME_CONFIG.DELAYS.ROUND_START_AFTER_RESUME);
       return;
     }
+    if (pendingAction === 'deal') {
+      this.notifier.sendGameResumed(this.stateMachine.getPhase(), 0);
+      this.deal();
+      return;
+    }
     
     if (this.timer) {
       this.timer.resume();
@@ -401,8 +1083,10 @@ class GameSession {
    */
   notifyDisconnectedState() {
     this.players.forEach(player => {
-      if (!player.disconnected) {
-        this.notifier.sendOpponentDisconnected(player.socketId, GAME_CONFIG.TIMERS.RECONNECT);
+      if (!player.disconnected && !player.autopilot) {
+        this.notifier.sendOpponentDisconnected(player.socketId, this.settings.timers.reconnect);
+      } else if (player.disconnected && !player.autopilot) {
+        this.notifier.sendSpectatorPlayerDisconnected(player.id, this.settings.timers.reconnect);
       }
     });
   }
@@ -426,6 +1110,10 @@ class GameSession {
    * Clear current timer
    */
   clearTimer() {
+    if (this.seedTimeout) {
+      clearTimeout(this.seedTimeout);
+      this.seedTimeout = null;
+    }
     if (this.timer) {
       this.timer.clear();
       this.timer = null;
@@ -453,12 +1141,20 @@ class GameSession {
     } else if (actualPhase === GamePhase.PREVIEW) {
       isReady = this.previewReady.has(playerId);
       opponentReady = this.previewReady.has(opponent.id);
+    } else if (actualPhase === GamePhase.CONSTRUCT) {
+      isReady = Boolean(this.construct.hands[playerId]);
+      opponentReady = Boolean(this.construct.hands[opponent.id]);
+    } else if (actualPhase === GamePhase.TIEBREAK) {
+      isReady = Boolean(this.tiebreak.picks[playerId]);
+      opponentReady = Boolean(this.tiebreak.picks[opponent.id]);
     }
     
     return {
       lobbyId: this.lobbyId,
+      settings: this.settings,
       phase: actualPhase,
       currentRound: this.currentRound,
+      roundModifier: this.roundModifier,
       yourSequence: player.sequence,
       yourScore: player.score,
       opponentScore: opponent.score,
@@ -467,7 +1163,7 @@ class GameSession {
       roundHistory: this.roundHistory,
       timeRemaining: this.timer ? Math.ceil(this.timer.getRemaining()) : 0,
       upcomingCards: player.sequence.slice(this.currentRound),
-      hand: player.hand,
+      hand: this.construct ? this.construct.hands[playerId] || [] : player.hand,
       playerName: player.name,
       opponentName: opponent.name,
       playerId: playerId,
@@ -476,9 +1172,107 @@ class GameSession {
       opponentReady: opponentReady,
       sequenceSet: player.sequenceSet,
       opponentSequenceSet: opponent.sequenceSet,
-      opponentCards: actualPhase === GamePhase.PREVIEW ? opponent.hand : null
+      draft: this.getDraftState(),
+      construct: this.getConstructState(),
+      tiebreak: this.getTiebreakState(playerId),
+      opponentCards: actualPhase === GamePhase.PREVIEW ? this.getOpponentView(playerId).cards : null,
+      opponentCounts: actualPhase === GamePhase.PREVIEW ? this.getOpponentView(playerId).counts : null
     };
   }
+
+  /**
+   * Get game state for a spectator: public information only
+   * (no hands, sequences or upcoming cards - just what has been revealed)
+   */
+  getSpectatorState() {
+    return {
+      lobbyId: this.lobbyId,
+      settings: this.settings,
+      phase: this.stateMachine.getActualPhase(),
+      paused: this.stateMachine.isPaused(),
+      completed: this.isCompleted(),
+      currentRound: this.currentRound,
+      roundModifier: this.roundModifier,
+      timeRemaining: this.timer ? Math.ceil(this.timer.getRemaining()) : 0,
+      players: this.players.map(player => ({
+        id: player.id,
+        name: player.name,
+        score: player.score,
+        swapsRemaining: player.getSwapsRemaining(),
+        disconnected: player.disconnected && !player.autopilot
+      })),
+      draft: this.getDraftState(),
+      construct: this.getConstructState(),
+      tiebreak: this.stateMachine.actuallyIs(GamePhase.TIEBREAK)
+        ? { picked: this.players.filter(p => this.tiebreak.picks[p.id]).map(p => p.id) }
+        : null,
+      roundHistory: this.roundHistory
+    };
+  }
+
+  /**
+   * Everything needed to look back at the game once it is over
+   * @param {string} endReason - 'normal', 'disconnect' or 'leave'
+   * @param {Object} result - Game result passed to onGameEnd
+   * @returns {Object} Match record without an ID
+   */
+  getMatchRecord(endReason, result) {
+    return {
+      lobbyId: this.lobbyId,
+      startedAt: this.startedAt,
+      endedAt: Date.now(),
+      endReason,
+      players: this.players.map(p => ({ id: p.id, name: p.name, isBot: p.isBot, score: p.score })),
+      settings: this.settings,
+      dealtHands: this.dealtHands,
+      initialSequences: this.initialSequences,
+      finalSequences: this.getSequences(),
+      swaps: this.swapLog,
+      timeouts: this.timeouts,
+      rounds: this.roundHistory,
+      events: this.eventLog,
+      fairness: this.fairness.dealSeed ? {
+        commitment: this.fairness.commitment,
+        serverSeed: this.fairness.serverSeed,
+        clientSeeds: this.fairness.clientSeeds,
+        dealSeed: this.fairness.dealSeed
+      } : null,
+      result: {
+        winner: result.winner || null,
+        isDraw: Boolean(result.isDraw),
+        score: this.players.map(p => p.score).join(':')
+      }
+    };
+  }
+
+  /**
+   * What clients need to check the deal once the game is over
+   * (the server seed stays secret until then)
+   * @returns {Object|null} { commitment, serverSeed, playerOrder, clientSeeds },
+   *   or null if nothing was dealt (constructed hands, or the game ended first)
+   */
+  getFairnessReveal() {
+    if (!this.fairness.dealSeed) return null;
+    
+    return {
+      commitment: this.fairness.commitment,
+      serverSeed: this.fairness.serverSeed,
+      playerOrder: this.players.map(p => p.id),
+      clientSeeds: this.fairness.clientSeeds
+    };
+  }
+
+  /**
+   * Current card order of every player
+   * @returns {Object} playerId -> cards
+   */
+  getSequences() {
+    const sequences = {};
+    this.players.forEach(p => {
+      sequences[p.id] = [...p.sequence];
+    });
+    return sequences;
+  }
 }
 
 module.exports = GameSession;
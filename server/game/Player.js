@@ -1,44 +1,57 @@
-const { GAME_CONFIG } = require('./constants');
+const { DEFAULT_GAME_SETTINGS, RoundModifier } = require('./constants');
 
 class Player {
-  constructor(id, socketId, name) {
+  constructor(id, socketId, name, settings = DEFAULT_GAME_SETTINGS) {
     this.id = id;
     this.socketId = socketId;
     this.name = name;
-    this.hand = []; // Cards dealt to player (6 cards)
+    this.isBot = false; // Server-side bot (no socket), see BotController
+    this.autopilot = false; // Disconnected, a BotController plays for them
+    this.settings = settings; // Per-lobby game settings
+    this.hand = []; // Cards dealt to player (settings.cardsPerPlayer cards)
     this.sequence = []; // Player's chosen sequence
     this.sequenceSet = false;
     this.swapsUsed = 0;
-    this.swappedThisRound = false;
+    this.swapsThisRound = 0;
     this.score = 0;
     this.disconnected = false;
     this.disconnectedAt = null;
     this.ready = false; // For swap phase readiness
+    this.roundModifier = null; // Modifier of the current round, see roundModifiers.js
+  }
+
+  /**
+   * Clear per-game state so the same player can start a new game (rematch)
+   */
+  resetForNewGame() {
+    this.hand = [];
+    this.sequence = [];
+    this.sequenceSet = false;
+    this.swapsUsed = 0;
+    this.swapsThisRound = 0;
+    this.score = 0;
+    this.ready = false;
+    this.roundModifier = null;
   }
 
   /**
    * Set the player's card sequence
-   * @param {Array} sequence - Validated sequence from InputValidator
+   * The sequence is rebuilt from the player's own hand, so the stored cards
+   * are always the server's card objects
+   * @param {Array<string>} cardIds - Card IDs in play order (validated by InputValidator)
    * @returns {boolean} True if sequence was set successfully
    */
-  setSequence(sequence) {
+  setSequence(cardIds) {
     if (this.sequenceSet) return false;
     
-    // Filter out null values and validate
-    const validSequence = sequence.filter(c => c !== null && c !== undefined);
-    
-    // Validate that sequence contains exactly the cards in hand
-    if (validSequence.length !== this.hand.length) return false;
+    // Validate that the IDs cover exactly the cards in hand
+    if (cardIds.length !== this.hand.length) return false;
     
-    const handSet = new Set(this.hand.map(c => c.id));
-    const seqSet = new Set(validSequence.map(c => c.id));
-    
-    if (handSet.size !== seqSet.size) return false;
-    for (const id of handSet) {
-      if (!seqSet.has(id)) return false;
-    }
+    const cardsById = new Map(this.hand.map(c => [c.id, c]));
+    if (new Set(cardIds).size !== cardsById.size) return false;
+    if (!cardIds.every(id => cardsById.has(id))) return false;
     
-    this.sequence = validSequence;
+    this.sequence = cardIds.map(id => cardsById.get(id));
     this.sequenceSet = true;
     return true;
   }
@@ -48,7 +61,9 @@ class Player {
    * @returns {boolean} True if player can swap
    */
   canSwap() {
-    return this.swapsUsed < GAME_CONFIG.MAX_SWAPS_PER_GAME && !this.swappedThisRound;
+    if (this.roundModifier && this.roundModifier.id === RoundModifier.NO_SWAPS) return false;
+    return this.swapsUsed < this.settings.maxSwapsPerGame &&
+      this.swapsThisRound < this.settings.maxSwapsPerRound;
   }
 
   /**
@@ -56,7 +71,7 @@ class Player {
    * @returns {number} Number of swaps remaining
    */
   getSwapsRemaining() {
-    return GAME_CONFIG.MAX_SWAPS_PER_GAME - this.swapsUsed;
+    return this.settings.maxSwapsPerGame - this.swapsUsed;
   }
 
   /**
@@ -79,16 +94,18 @@ class Player {
     this.sequence[pos2] = temp;
     
     this.swapsUsed++;
-    this.swappedThisRound = true;
+    this.swapsThisRound++;
     return true;
   }
 
   /**
    * Reset round-specific flags
+   * @param {Object|null} [modifier] - Modifier of the new round
    */
-  resetRound() {
-    this.swappedThisRound = false;
+  resetRound(modifier = null) {
+    this.swapsThisRound = 0;
     this.ready = false;
+    this.roundModifier = modifier;
   }
 
   /**
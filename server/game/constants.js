@@ -1,3 +1,5 @@
+const { RULE_SETS, DEFAULT_RULE_SET_ID } = require('./ruleSets');
+
 /**
  * Game configuration constants
  * Centralized location for all magic numbers and game settings
@@ -12,6 +14,7 @@ const GAME_CONFIG = {
   CARDS_PER_PLAYER: 6,
   CARDS_IN_FULL_DECK: 9,
   CARDS_PER_TYPE: 3,
+  TIEBREAK_HAND_SIZE: 3, // Cards in a fresh sudden-death hand
   
   // Swap limits
   MAX_SWAPS_PER_GAME: 3,
@@ -20,33 +23,313 @@ const GAME_CONFIG = {
   // Timer durations (in seconds)
   TIMERS: {
     PREVIEW: 30,      // Time to view cards before arrangement
+    DRAFT_PICK: 15,   // Time for each pick in a draft
+    CONSTRUCT: 45,    // Time to choose a hand from the full deck
+    TIEBREAK: 10,     // Time to pick a card in a sudden-death round
     SEQUENCE: 60,     // Time to set card sequence
     SWAP: 20,         // Time for swap decision each round
     CONTINUE: 5,      // Time before next round auto-starts
     RECONNECT: 120,   // Time to reconnect after disconnect
+    AUTOPILOT: 15,    // Grace period before autopilot plays for a disconnected player
+    REMATCH: 30,      // Time to agree on a rematch after game end
+    SERIES_NEXT_GAME: 8, // Pause between games of a series
     DISCONNECT_NOTIFY_DELAY: 2  // Delay before notifying opponent of disconnect
   },
   
   // Delays (in milliseconds)
   DELAYS: {
-    ROUND_START_AFTER_RESUME: 100  // Delay before starting round after resume
+    ROUND_START_AFTER_RESUME: 100, // Delay before starting round after resume
+    CLIENT_SEED_WAIT: 2000 // How long the deal waits for players' seeds (ms)
+  }
+};
+
+/**
+ * Default per-lobby game settings
+ * A lobby creator may override any of these; the result is validated
+ * against GAME_SETTINGS_LIMITS before it is stored on the lobby
+ */
+const DEFAULT_GAME_SETTINGS = {
+  totalRounds: GAME_CONFIG.TOTAL_ROUNDS,
+  cardsPerPlayer: GAME_CONFIG.CARDS_PER_PLAYER,
+  maxSwapsPerGame: GAME_CONFIG.MAX_SWAPS_PER_GAME,
+  maxSwapsPerRound: GAME_CONFIG.MAX_SWAPS_PER_ROUND,
+  ruleSet: RULE_SETS[DEFAULT_RULE_SET_ID],
+  dealMode: 'random', // See DealMode
+  minCardsPerType: 0, // Constructed hands: cards of every type a hand must include
+  previewVisibility: 'full', // How much of the opponent's hand the preview shows, see PreviewVisibility
+  partialPreview: 'counts', // What a partial preview shows, see PartialPreview
+  revealedCards: 2, // Cards a partial preview shows face up (partialPreview 'cards')
+  tiebreak: 'off', // Sudden death after a drawn game, see Tiebreak
+  specialCards: { joker: 0, mirror: 0, double: 0, shield: 0 }, // Copies of each special card added to a full deck, see SpecialCard
+  scoring: 'classic', // How won rounds turn into points, see Scoring
+  scoringTarget: 4, // Points that end the game early (scoring 'firstTo')
+  roundModifiers: [], // Pool each regular round draws a modifier from (empty = none), see RoundModifier
+  seriesLength: 1, // Best-of-N games; 1 = single game
+  autopilot: false, // Let a bot play for a disconnected player instead of pausing
+  rated: true, // Result changes both players' ratings (games against bots never do)
+  timers: {
+    preview: GAME_CONFIG.TIMERS.PREVIEW,
+    draftPick: GAME_CONFIG.TIMERS.DRAFT_PICK,
+    construct: GAME_CONFIG.TIMERS.CONSTRUCT,
+    sequence: GAME_CONFIG.TIMERS.SEQUENCE,
+    swap: GAME_CONFIG.TIMERS.SWAP,
+    tiebreak: GAME_CONFIG.TIMERS.TIEBREAK,
+    continue: GAME_CONFIG.TIMERS.CONTINUE,
+    reconnect: GAME_CONFIG.TIMERS.RECONNECT,
+    autopilot: GAME_CONFIG.TIMERS.AUTOPILOT
+  }
+};
+
+/**
+ * Allowed bounds (inclusive) for per-lobby game settings
+ * totalRounds is additionally capped by cardsPerPlayer (one card per round),
+ * and cardsPerPlayer by the rule set's deck size
+ */
+const GAME_SETTINGS_LIMITS = {
+  totalRounds: { min: 1, max: GAME_CONFIG.CARDS_IN_FULL_DECK },
+  cardsPerPlayer: { min: 3, max: GAME_CONFIG.CARDS_IN_FULL_DECK },
+  maxSwapsPerGame: { min: 0, max: 10 },
+  maxSwapsPerRound: { min: 1, max: 3 },
+  minCardsPerType: { min: 0, max: 4 },
+  revealedCards: { min: 1, max: GAME_CONFIG.CARDS_IN_FULL_DECK },
+  specialCards: { min: 0, max: 2 }, // Copies of each special card
+  scoringTarget: { min: 1, max: GAME_CONFIG.CARDS_IN_FULL_DECK },
+  seriesLengths: [1, 3, 5, 7],
+  timers: {
+    preview: { min: 5, max: 120 },
+    draftPick: { min: 5, max: 60 },
+    construct: { min: 10, max: 180 },
+    sequence: { min: 10, max: 300 },
+    swap: { min: 5, max: 120 },
+    tiebreak: { min: 5, max: 60 },
+    continue: { min: 3, max: 30 },
+    reconnect: { min: 30, max: 600 },
+    autopilot: { min: 5, max: 60 }
+  },
+  // Custom rule set definitions
+  ruleSet: {
+    maxTypes: 7,
+    cardsPerType: { min: 1, max: 4 },
+    idLength: 24,
+    nameLength: 40,
+    labelLength: 16,
+    iconLength: 8,
+    verbLength: 24
+  }
+};
+
+/**
+ * Server-side bot opponent settings
+ */
+const BOT_CONFIG = {
+  // Difficulty levels, see server/bot/strategies.js
+  DIFFICULTIES: ['random', 'greedy', 'lookahead'],
+  DEFAULT_DIFFICULTY: 'greedy',
+  
+  NAMES: {
+    random: 'Компьютер (лёгкий)',
+    greedy: 'Компьютер (средний)',
+    lookahead: 'Компьютер (сложный)'
+  },
+  
+  // Thinking delays (in milliseconds, [min, max]) - kept below the
+  // smallest allowed timer for each phase so the bot never times out
+  DELAYS: {
+    PREVIEW: [1500, 4000],
+    DRAFT_PICK: [1000, 3000],
+    CONSTRUCT: [2000, 5000],
+    SEQUENCE: [3000, 7000],
+    SWAP: [1500, 3500],
+    TIEBREAK: [1000, 3000],
+    CONTINUE: [1000, 2500]
+  },
+  
+  // Strategy used when autopilot plays for a disconnected player
+  AUTOPILOT_DIFFICULTY: 'greedy',
+  
+  // Lookahead strategy tuning
+  LOOKAHEAD_DEPTH: 2,
+  // Weight decay per inversion when modelling how far the opponent's real
+  // order is from the order their cards were shown in preview
+  ORDER_BELIEF_DECAY: 0.5
+};
+
+/**
+ * Quick match queue settings
+ */
+const MATCHMAKING_CONFIG = {
+  // Number of recent matches used for the estimated wait
+  WAIT_SAMPLE_SIZE: 20
+};
+
+/**
+ * Session tokens (proof of a seat for rejoin/reconnect)
+ */
+const SESSION_TOKEN_CONFIG = {
+  TTL: 6 * 60 * 60, // seconds
+  MAX_LENGTH: 512
+};
+
+/**
+ * Elo rating settings
+ */
+const RATING_CONFIG = {
+  INITIAL: 1500,
+  K_FACTOR: 24,
+  // New players move faster until their rating settles
+  PROVISIONAL_K_FACTOR: 40,
+  PROVISIONAL_GAMES: 10,
+  // Rating difference at which the stronger player is expected to score 10:1
+  SCALE: 400
+};
+
+/**
+ * Leaderboard API paging and filters
+ */
+const LEADERBOARD_CONFIG = {
+  PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+  DEFAULT_MIN_GAMES: 1,
+  MAX_MIN_GAMES: 1000,
+  // Time windows (seconds); 'all' = no limit
+  WINDOWS: {
+    day: 24 * 60 * 60,
+    week: 7 * 24 * 60 * 60,
+    month: 30 * 24 * 60 * 60,
+    all: null
   }
 };
 
+/**
+ * Match history API paging
+ */
+const MATCH_HISTORY_CONFIG = {
+  PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100
+};
+
+/**
+ * Importing games (notation or JSON export)
+ */
+const IMPORT_CONFIG = {
+  MAX_BODY_SIZE: '256kb',
+  MAX_ERRORS: 50 // Stop reporting after this many problems
+};
+
+/**
+ * Socket.IO room for clients watching the public lobby list
+ */
+const PUBLIC_LOBBIES_ROOM = 'public-lobbies';
+
 /**
  * Game phases enum
  */
 const GamePhase = {
   WAITING: 'waiting',
+  DRAFT: 'draft',
+  CONSTRUCT: 'construct',
   PREVIEW: 'preview',
   SEQUENCE: 'sequence',
   ROUND_START: 'round_start',
   SWAP: 'swap',
   REVEAL: 'reveal',
+  TIEBREAK: 'tiebreak', // Sudden death: players pick one card each, then REVEAL
   GAME_OVER: 'game_over',
   PAUSED: 'paused'
 };
 
+/**
+ * How players get their hands
+ * RANDOM      - Each player is dealt from a private full deck
+ * DRAFT       - Players pick alternately from a shared pool of both decks
+ * CONSTRUCTED - Each player secretly chooses a hand from a full deck
+ */
+const DealMode = {
+  RANDOM: 'random',
+  DRAFT: 'draft',
+  CONSTRUCTED: 'constructed'
+};
+
+/**
+ * How much of the opponent's hand the preview shows
+ * (drafted hands are public either way, so a draft has no preview)
+ * FULL    - The whole hand
+ * PARTIAL - Part of it, see PartialPreview
+ * BLIND   - Nothing; constructed hands then skip the preview
+ */
+const PreviewVisibility = {
+  FULL: 'full',
+  PARTIAL: 'partial',
+  BLIND: 'blind'
+};
+
+/**
+ * What a partial preview shows
+ * COUNTS - How many cards of each type, but not the cards
+ * CARDS  - settings.revealedCards random cards face up
+ */
+const PartialPreview = {
+  COUNTS: 'counts',
+  CARDS: 'cards'
+};
+
+/**
+ * Sudden death after a drawn game: one card per round until a round is won
+ * OFF      - A drawn game stays drawn
+ * FRESH    - Each player gets a fresh random hand of GAME_CONFIG.TIEBREAK_HAND_SIZE
+ * LEFTOVER - Each player plays the cards of their full deck that weren't in
+ *            their hand (a fresh hand once those run out)
+ */
+const Tiebreak = {
+  OFF: 'off',
+  FRESH: 'fresh',
+  LEFTOVER: 'leftover'
+};
+
+/**
+ * Special cards a lobby can add to the deck (see server/game/specialCards.js)
+ * JOKER  - Draws with every card
+ * MIRROR - Reflects the opponent's card and beats it
+ * DOUBLE - A card of a regular type that scores 2 points when it wins
+ * SHIELD - A card of a regular type that turns its loss into a draw
+ */
+const SpecialCard = {
+  JOKER: 'joker',
+  MIRROR: 'mirror',
+  DOUBLE: 'double',
+  SHIELD: 'shield'
+};
+
+/**
+ * How won rounds turn into points (see server/game/scoring.js)
+ * CLASSIC     - The card points (1, or 2 for a winning Double)
+ * STREAK      - Each win in a row is worth one point more than the last
+ * LATE_ROUNDS - Round N is worth N times the card points
+ * FIRST_TO    - Classic points; the game ends once someone has settings.scoringTarget
+ */
+const Scoring = {
+  CLASSIC: 'classic',
+  STREAK: 'streak',
+  LATE_ROUNDS: 'lateRounds',
+  FIRST_TO: 'firstTo'
+};
+
+/**
+ * Round modifiers a lobby can put in its pool (settings.roundModifiers);
+ * with a non-empty pool every regular round draws one as it starts
+ * (see server/game/roundModifiers.js)
+ * REVERSED      - The card that would lose wins
+ * WILD          - A card type drawn with the modifier beats every other type
+ * DOUBLE_POINTS - The round is worth twice the points
+ * NO_SWAPS      - Nobody may swap this round
+ */
+const RoundModifier = {
+  REVERSED: 'reversed',
+  WILD: 'wild',
+  DOUBLE_POINTS: 'doublePoints',
+  NO_SWAPS: 'noSwaps'
+};
+
 /**
  * Lobby ID character set (excludes ambiguous characters like 0/O, 1/I/L)
  */
@@ -64,7 +347,24 @@ const PLAYER_NAME = {
 
 module.exports = {
   GAME_CONFIG,
+  DEFAULT_GAME_SETTINGS,
+  GAME_SETTINGS_LIMITS,
+  BOT_CONFIG,
+  MATCHMAKING_CONFIG,
+  PUBLIC_LOBBIES_ROOM,
+  SESSION_TOKEN_CONFIG,
+  MATCH_HISTORY_CONFIG,
+  IMPORT_CONFIG,
+  RATING_CONFIG,
+  LEADERBOARD_CONFIG,
   GamePhase,
+  DealMode,
+  PreviewVisibility,
+  PartialPreview,
+  Tiebreak,
+  SpecialCard,
+  Scoring,
+  RoundModifier,
   LOBBY_ID_CHARS,
   LOBBY_ID_LENGTH,
   PLAYER_NAME
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { Deck } = require('./Deck');
+
+/**
+ * Provably fair dealing
+ * Before each deal the server commits to a random server seed by publishing
+ * its SHA-256 hash, then every player contributes a seed of their own. Both
+ * hands are dealt from a deterministic stream derived from all the seeds,
+ * and the server seed is revealed at gameEnd, so clients can check the
+ * commitment and re-deal the hands themselves (client/js/fairness.js).
+ *
+ * Algorithm (the client implementation must match):
+ *   dealSeed  = sha256hex(serverSeed + ':' + seed of player 1 + ':' + seed of player 2)
+ *   block i   = sha256(dealSeed + ':' + i), read as eight big-endian uint32
+ *   nextInt(n) skips values >= 2^32 - (2^32 mod n), then returns value mod n
+ *   each hand = first cardsPerPlayer cards of the rule set's full deck
+ *               (special cards appended, see Deck.createFullDeck) after
+ *               Fisher-Yates (i from last down to 1, j = nextInt(i + 1));
+ *               player 1's hand first, both from the same stream
+ *   draft mode: the pool (one full deck per player, see Deck.createPool) is
+ *               shuffled the same way, then the first picker is nextInt(players)
+ *   tiebreak:   deal k of a mini-hand (k counts every tiebreak hand dealt,
+ *               from 1) is dealt the same way from its own stream, seeded
+ *               with dealSeed + ':tiebreak:' + k
+ */
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * SHA-256 of a string as hex
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Pick a new secret server seed
+ * @returns {Object} { serverSeed, commitment } - commitment is sha256(serverSeed)
+ */
+function createServerSeed() {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  return { serverSeed, commitment: sha256(serverSeed) };
+}
+
+/**
+ * Mix the server seed with the players' seeds
+ * @param {string} serverSeed - Secret server seed
+ * @param {Array<string>} clientSeeds - Players' seeds in session order ('' if none was sent)
+ * @returns {string} Seed of the deal stream
+ */
+function combineSeeds(serverSeed, clientSeeds) {
+  return sha256([serverSeed, ...clientSeeds].join(':'));
+}
+
+/**
+ * Deterministic random integers from a seed
+ */
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+    this.block = 0;
+    this.buffer = null;
+    this.offset = 0;
+  }
+
+  /**
+   * Next 32 bits of the stream
+   */
+  nextUint32() {
+    if (!this.buffer || this.offset >= this.buffer.length) {
+      this.buffer = crypto.createHash('sha256').update(`${this.seed}:${this.block++}`).digest();
+      this.offset = 0;
+    }
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Uniform integer in [0, max)
+   */
+  nextInt(max) {
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value;
+    do {
+      value = this.nextUint32();
+    } while (value >= limit);
+    return value % max;
+  }
+}
+
+/**
+ * Deal every player's hand from a deal seed
+ * @param {string} dealSeed - Result of combineSeeds
+ * @param {Object} settings - Game settings (cardsPerPlayer, ruleSet, specialCards)
+ * @param {number} count - Number of players
+ * @returns {Array<Array>} Hands in session order
+ */
+function dealHands(dealSeed, settings, count) {
+  const random = new SeededRandom(dealSeed);
+  const randomInt = (max) => random.nextInt(max);
+  return Array.from({ length: count }, () => Deck.deal(settings.cardsPerPlayer, settings.ruleSet, settings.specialCards, randomInt));
+}
+
+/**
+ * Lay out a draft pool from a deal seed
+ * @param {string} dealSeed - Result of combineSeeds
+ * @param {Object} settings - Game settings (ruleSet, specialCards)
+ * @param {number} count - Number of players
+ * @returns {Object} { pool, firstPicker } - firstPicker is an index into the players
+ */
+function dealDraftPool(dealSeed, settings, count) {
+  const random = new SeededRandom(dealSeed);
+  const pool = Deck.shuffle(Deck.createPool(settings.ruleSet, count, settings.specialCards), (max) => random.nextInt(max));
+  return { pool, firstPicker: random.nextInt(count) };
+}
+
+/**
+ * Deal a tiebreak mini-hand from a deal seed
+ * @param {string} dealSeed - Result of combineSeeds
+ * @param {Object} settings - Game settings (ruleSet, specialCards)
+ * @param {number} count - Number of cards
+ * @param {number} deal - Tiebreak deal number (1-based)
+ * @returns {Array} Cards
+ */
+function dealTiebreakHand(dealSeed, settings, count, deal) {
+  const random = new SeededRandom(`${dealSeed}:tiebreak:${deal}`);
+  return Deck.deal(count, settings.ruleSet, settings.specialCards, (max) => random.nextInt(max));
+}
+
+module.exports = {
+  sha256,
+  createServerSeed,
+  combineSeeds,
+  SeededRandom,
+  dealHands,
+  dealDraftPool,
+  dealTiebreakHand
+};
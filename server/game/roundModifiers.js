@@ -0,0 +1,96 @@
+const { RoundModifier } = require('./constants');
+const { getTypeInfo } = require('./ruleSets');
+
+/**
+ * Round modifiers
+ * A lobby may put modifiers in a pool (settings.roundModifiers); each
+ * regular round then draws one as it starts and announces it in roundStart,
+ * before the swap phase. Sudden-death rounds never have one.
+ *
+ * Modifier shape: { id, type } - id is the RoundModifier value, type the
+ * card type that is wild (WILD only, null otherwise).
+ *
+ * Where they apply:
+ *   NO_SWAPS      - Player.canSwap
+ *   WILD          - rules.resolveCards, step 3: the wild type beats every other type
+ *   REVERSED      - rules.resolveCards, right after step 3: winner and loser trade places
+ *   DOUBLE_POINTS - rules.resolveCards, last: the card points are doubled
+ *
+ * Notation writes a modifier as its ID, plus ':' and the type for WILD
+ * (e.g. 'wild:rock').
+ */
+
+const ROUND_MODIFIERS = {
+  [RoundModifier.REVERSED]: { label: 'Реверс', icon: '🔄', description: 'побеждает карта, которая проиграла бы' },
+  [RoundModifier.WILD]: { label: 'Дикая карта', icon: '🌟', description: 'один тип карт бьёт все остальные' },
+  [RoundModifier.DOUBLE_POINTS]: { label: 'Двойные очки', icon: '💰', description: 'раунд стоит вдвое больше очков' },
+  [RoundModifier.NO_SWAPS]: { label: 'Без свапов', icon: '🚫', description: 'в этом раунде менять карты нельзя' }
+};
+
+/**
+ * Check whether a value is a round modifier ID
+ */
+function isRoundModifier(id) {
+  return Object.prototype.hasOwnProperty.call(ROUND_MODIFIERS, id);
+}
+
+/**
+ * Draw the modifier of a round from the lobby's pool
+ * @param {Object} settings - Game settings (roundModifiers, ruleSet)
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {Object|null} { id, type } or null when the pool is empty
+ */
+function drawModifier(settings, random = Math.random) {
+  const pool = settings.roundModifiers || [];
+  if (pool.length === 0) return null;
+
+  const id = pool[Math.floor(random() * pool.length)];
+  if (id !== RoundModifier.WILD) {
+    return { id, type: null };
+  }
+  const { types } = settings.ruleSet;
+  return { id, type: types[Math.floor(random() * types.length)].type };
+}
+
+/**
+ * Check whether a modifier is active
+ * @param {Object|null} modifier - Round modifier
+ * @param {string} id - RoundModifier value
+ */
+function hasModifier(modifier, id) {
+  return Boolean(modifier) && modifier.id === id;
+}
+
+/**
+ * Notation token of a modifier
+ * @param {Object} modifier - { id, type }
+ * @returns {string} Token such as 'reversed' or 'wild:rock'
+ */
+function modifierToken(modifier) {
+  return modifier.id === RoundModifier.WILD ? `${modifier.id}:${modifier.type}` : modifier.id;
+}
+
+/**
+ * Build a modifier from a notation token, checked against the lobby's pool
+ * @param {string} token - Result of modifierToken
+ * @param {Object} settings - Game settings (roundModifiers, ruleSet)
+ * @returns {Object|null} { id, type } or null if the lobby can't draw it
+ */
+function parseModifierToken(token, settings) {
+  const [id, type, ...rest] = String(token).split(':');
+  if (rest.length > 0 || !isRoundModifier(id) || !(settings.roundModifiers || []).includes(id)) return null;
+
+  if (id !== RoundModifier.WILD) {
+    return type === undefined ? { id, type: null } : null;
+  }
+  return getTypeInfo(settings.ruleSet, type) ? { id, type } : null;
+}
+
+module.exports = {
+  ROUND_MODIFIERS,
+  isRoundModifier,
+  drawModifier,
+  hasModifier,
+  modifierToken,
+  parseModifierToken
+};
@@ -0,0 +1,145 @@
+/**
+ * Rule set definitions
+ * A rule set describes the card types in play and which type beats which.
+ * Deck, rules and the client all render from this data instead of
+ * hardcoding Rock/Paper/Scissors.
+ *
+ * Shape:
+ *   id           - Unique identifier
+ *   name         - Display name
+ *   cardsPerType - Copies of each type in the full deck
+ *   types        - [{ type, color, label, accusative, icon }]
+ *   beats        - { winnerType: { loserType: verb } }
+ *
+ * Explanations are built as `${winner.label} ${verb} ${loser.accusative}`.
+ */
+
+/**
+ * Card colors the client knows how to render
+ */
+const CARD_COLORS = ['red', 'green', 'blue', 'yellow', 'purple', 'orange', 'teal'];
+
+const CLASSIC = {
+  id: 'classic',
+  name: 'Камень-Ножницы-Бумага',
+  cardsPerType: 3,
+  types: [
+    { type: 'rock', color: 'red', label: 'Камень', accusative: 'Камень', icon: '🪨' },
+    { type: 'scissors', color: 'green', label: 'Ножницы', accusative: 'Ножницы', icon: '✂️' },
+    { type: 'paper', color: 'blue', label: 'Бумага', accusative: 'Бумагу', icon: '📄' }
+  ],
+  beats: {
+    rock: { scissors: 'бьёт' },
+    scissors: { paper: 'режут' },
+    paper: { rock: 'покрывает' }
+  }
+};
+
+const RPSLS = {
+  id: 'rpsls',
+  name: 'Камень-Ножницы-Бумага-Ящерица-Спок',
+  cardsPerType: 2,
+  types: [
+    { type: 'rock', color: 'red', label: 'Камень', accusative: 'Камень', icon: '🪨' },
+    { type: 'scissors', color: 'green', label: 'Ножницы', accusative: 'Ножницы', icon: '✂️' },
+    { type: 'paper', color: 'blue', label: 'Бумага', accusative: 'Бумагу', icon: '📄' },
+    { type: 'lizard', color: 'yellow', label: 'Ящерица', accusative: 'Ящерицу', icon: '🦎' },
+    { type: 'spock', color: 'purple', label: 'Спок', accusative: 'Спока', icon: '🖖' }
+  ],
+  beats: {
+    rock: { scissors: 'бьёт', lizard: 'давит' },
+    scissors: { paper: 'режут', lizard: 'обезглавливают' },
+    paper: { rock: 'покрывает', spock: 'опровергает' },
+    lizard: { spock: 'отравляет', paper: 'съедает' },
+    spock: { scissors: 'ломает', rock: 'испаряет' }
+  }
+};
+
+/**
+ * Built-in rule sets by ID
+ */
+const RULE_SETS = {
+  [CLASSIC.id]: CLASSIC,
+  [RPSLS.id]: RPSLS
+};
+
+const DEFAULT_RULE_SET_ID = CLASSIC.id;
+
+/**
+ * Check that a rule set's beats graph is balanced:
+ * every pair of distinct types has exactly one winner, and every type
+ * beats (and loses to) exactly (n - 1) / 2 other types
+ * @param {Object} ruleSet - Rule set definition
+ * @returns {boolean} True if the graph is balanced
+ */
+function isBalanced(ruleSet) {
+  const types = ruleSet.types.map(t => t.type);
+  const n = types.length;
+  if (n < 3 || n % 2 === 0) return false;
+
+  const typeSet = new Set(types);
+  if (typeSet.size !== n) return false;
+
+  const wins = new Map(types.map(t => [t, 0]));
+  const losses = new Map(types.map(t => [t, 0]));
+
+  for (const [winner, losers] of Object.entries(ruleSet.beats)) {
+    if (!typeSet.has(winner)) return false;
+    for (const loser of Object.keys(losers)) {
+      if (!typeSet.has(loser) || loser === winner) return false;
+      // Both directions would make the pair ambiguous
+      const reverse = ruleSet.beats[loser];
+      if (reverse && Object.prototype.hasOwnProperty.call(reverse, winner)) return false;
+      wins.set(winner, wins.get(winner) + 1);
+      losses.set(loser, losses.get(loser) + 1);
+    }
+  }
+
+  const expected = (n - 1) / 2;
+  return types.every(t => wins.get(t) === expected && losses.get(t) === expected);
+}
+
+/**
+ * Get a built-in rule set by ID
+ * @param {string} id - Rule set ID
+ * @returns {Object|null} Rule set definition or null
+ */
+function getRuleSet(id) {
+  return Object.prototype.hasOwnProperty.call(RULE_SETS, id) ? RULE_SETS[id] : null;
+}
+
+/**
+ * Get the type definition for a card type
+ * @param {Object} ruleSet - Rule set definition
+ * @param {string} type - Card type
+ * @returns {Object|null} Type definition or null
+ */
+function getTypeInfo(ruleSet, type) {
+  return ruleSet.types.find(t => t.type === type) || null;
+}
+
+/**
+ * Get the number of cards in a rule set's full deck
+ * @param {Object} ruleSet - Rule set definition
+ * @returns {number} Deck size
+ */
+function getDeckSize(ruleSet) {
+  return ruleSet.types.length * ruleSet.cardsPerType;
+}
+
+// Built-ins must always be playable
+Object.values(RULE_SETS).forEach(ruleSet => {
+  if (!isBalanced(ruleSet)) {
+    throw new Error(`Built-in rule set ${ruleSet.id} is not balanced`);
+  }
+});
+
+module.exports = {
+  CARD_COLORS,
+  RULE_SETS,
+  DEFAULT_RULE_SET_ID,
+  isBalanced,
+  getRuleSet,
+  getTypeInfo,
+  getDeckSize
+};
@@ -1,59 +1,137 @@
-const { CardType } = require('./Deck');
+const { RULE_SETS, DEFAULT_RULE_SET_ID, getTypeInfo } = require('./ruleSets');
+const { SpecialCard, RoundModifier } = require('./constants');
+const { SPECIAL_CARDS, getCardInfo } = require('./specialCards');
+const { ROUND_MODIFIERS, hasModifier } = require('./roundModifiers');
+const { isDecided, formatPoints } = require('./scoring');
 
 /**
  * Determine the winner of a round
  * @param {object} card1 - First player's card
  * @param {object} card2 - Second player's card
+ * @param {object} ruleSet - Rule set definition (defaults to classic)
+ * @param {object} [modifier] - Round modifier (see roundModifiers.js)
  * @returns {number} 1 if player1 wins, 2 if player2 wins, 0 if draw
  */
-function determineWinner(card1, card2) {
-  if (card1.type === card2.type) {
-    return 0; // Draw
+function determineWinner(card1, card2, ruleSet = RULE_SETS[DEFAULT_RULE_SET_ID], modifier = null) {
+  return resolveCards(card1, card2, ruleSet, modifier).result;
+}
+
+/**
+ * Play two cards against each other, special card effects and the round
+ * modifier included (in the order described in specialCards.js and
+ * roundModifiers.js)
+ * @param {object} card1 - First player's card
+ * @param {object} card2 - Second player's card
+ * @param {object} ruleSet - Rule set definition (defaults to classic)
+ * @param {object} [modifier] - Round modifier
+ * @returns {object} { result, points, explanation } - result as determineWinner,
+ *   points scored by the winner (0 for a draw)
+ */
+function resolveCards(card1, card2, ruleSet = RULE_SETS[DEFAULT_RULE_SET_ID], modifier = null) {
+  const draw = (explanation) => ({ result: 0, points: 0, explanation });
+  const [first, second] = [card1, card2];
+  
+  // 1. Joker
+  if (first.type === SpecialCard.JOKER || second.type === SpecialCard.JOKER) {
+    return draw('Джокер — ничья');
   }
   
-  // Rock beats Scissors
-  // Scissors beats Paper
-  // Paper beats Rock
-  const wins = {
-    [CardType.ROCK]: CardType.SCISSORS,
-    [CardType.SCISSORS]: CardType.PAPER,
-    [CardType.PAPER]: CardType.ROCK
-  };
+  // 2. Mirror reflects the opponent's card and beats it
+  if (first.type === SpecialCard.MIRROR && second.type === SpecialCard.MIRROR) {
+    return draw('Два Зеркала — ничья');
+  }
+  let mirror = 0;
+  if (first.type === SpecialCard.MIRROR) mirror = 1;
+  if (second.type === SpecialCard.MIRROR) mirror = 2;
   
-  if (wins[card1.type] === card2.type) {
-    return 1; // Player 1 wins
+  // 3. The rule set, where a wild type beats every other type
+  if (!mirror && first.type === second.type) {
+    return draw('Ничья');
+  }
+  const wild = hasModifier(modifier, RoundModifier.WILD) ? modifier.type : null;
+  let result;
+  let explanation;
+  if (mirror) {
+    result = mirror;
+    const reflected = getCardInfo(ruleSet, (result === 1 ? second : first).type);
+    explanation = `${SPECIAL_CARDS[SpecialCard.MIRROR].label} отражает и бьёт ${reflected ? reflected.accusative : ''}`;
+  } else if (wild && (first.type === wild || second.type === wild)) {
+    result = first.type === wild ? 1 : 2;
+    const beaten = getCardInfo(ruleSet, (result === 1 ? second : first).type);
+    explanation = `${getCardInfo(ruleSet, wild).label} — дикая карта и бьёт ${beaten ? beaten.accusative : ''}`;
+  } else {
+    const firstBeats = ruleSet.beats[first.type] || {};
+    result = Object.prototype.hasOwnProperty.call(firstBeats, second.type) ? 1 : 2;
+    explanation = result === 1
+      ? getWinExplanation(first.type, second.type, ruleSet)
+      : getWinExplanation(second.type, first.type, ruleSet);
   }
   
-  return 2; // Player 2 wins
+  // Reversed round: the card that would lose wins
+  if (hasModifier(modifier, RoundModifier.REVERSED)) {
+    result = 3 - result;
+    const reversedWinner = getCardInfo(ruleSet, (result === 1 ? first : second).type);
+    explanation = `${explanation}, но ${ROUND_MODIFIERS[RoundModifier.REVERSED].label} — побеждает ${reversedWinner ? reversedWinner.label : ''}`;
+  }
+  const [winner, loser] = result === 1 ? [first, second] : [second, first];
+  
+  // 4. Shield
+  if (loser.special === SpecialCard.SHIELD) {
+    return draw(`${explanation}, но ${SPECIAL_CARDS[SpecialCard.SHIELD].label} спасает — ничья`);
+  }
+  
+  // 5. Double
+  let points = 1;
+  if (winner.special === SpecialCard.DOUBLE) {
+    points = 2;
+    explanation = `${explanation}. ${SPECIAL_CARDS[SpecialCard.DOUBLE].label} карта — 2 очка`;
+  }
+  
+  // Double points round
+  if (hasModifier(modifier, RoundModifier.DOUBLE_POINTS)) {
+    points *= 2;
+    explanation = `${explanation}. ${ROUND_MODIFIERS[RoundModifier.DOUBLE_POINTS].label} — ${formatPoints(points)}`;
+  }
+  return { result, points, explanation };
 }
 
 /**
  * Get the name of what beats what
+ * @param {string} winnerType - Winning card type
+ * @param {string} loserType - Losing card type
+ * @param {object} ruleSet - Rule set definition (defaults to classic)
+ * @returns {string} Explanation such as "Камень бьёт Ножницы"
  */
-function getWinExplanation(winnerType, loserType) {
-  const explanations = {
-    [`${CardType.ROCK}-${CardType.SCISSORS}`]: 'Камень бьёт Ножницы',
-    [`${CardType.SCISSORS}-${CardType.PAPER}`]: 'Ножницы режут Бумагу',
-    [`${CardType.PAPER}-${CardType.ROCK}`]: 'Бумага покрывает Камень'
-  };
+function getWinExplanation(winnerType, loserType, ruleSet = RULE_SETS[DEFAULT_RULE_SET_ID]) {
+  const verb = ruleSet.beats[winnerType] && ruleSet.beats[winnerType][loserType];
+  const winner = getTypeInfo(ruleSet, winnerType);
+  const loser = getTypeInfo(ruleSet, loserType);
   
-  return explanations[`${winnerType}-${loserType}`] || '';
+  if (!verb || !winner || !loser) return '';
+  
+  return `${winner.label} ${verb} ${loser.accusative}`;
 }
 
 /**
  * Determine the final game winner
+ * Scores are points of the lobby's scoring strategy (see scoring.js)
  * @param {object} player1 - First player
  * @param {object} player2 - Second player
- * @returns {object} Result object with winner info
+ * @param {object} [settings] - Game settings
+ * @returns {object} Result object with winner info; reachedTarget is true
+ *   when the scores decided the game before its last round ('firstTo' scoring)
  */
-function determineGameWinner(player1, player2) {
+function determineGameWinner(player1, player2, settings = null) {
+  const reachedTarget = Boolean(settings) && isDecided(settings, [player1.score, player2.score]);
+  
   if (player1.score > player2.score) {
     return {
       winner: player1.id,
       winnerName: player1.name,
       loserName: player2.name,
       score: `${player1.score}:${player2.score}`,
-      isDraw: false
+      isDraw: false,
+      reachedTarget
     };
   } else if (player2.score > player1.score) {
     return {
@@ -61,7 +139,8 @@ function determineGameWinner(player1, player2) {
       winnerName: player2.name,
       loserName: player1.name,
       score: `${player2.score}:${player1.score}`,
-      isDraw: false
+      isDraw: false,
+      reachedTarget
     };
   } else {
     return {
@@ -69,13 +148,15 @@ function determineGameWinner(player1, player2) {
       winnerName: null,
       loserName: null,
       score: `${player1.score}:${player2.score}`,
-      isDraw: true
+      isDraw: true,
+      reachedTarget
     };
   }
 }
 
 module.exports = {
   determineWinner,
+  resolveCards,
   getWinExplanation,
   determineGameWinner
 };
@@ -0,0 +1,118 @@
+const { Scoring } = require('./constants');
+
+/**
+ * Scoring strategies
+ * A lobby chooses how a won round turns into points (settings.scoring).
+ * Every strategy starts from the points the cards give: 1, or 2 for a
+ * winning Double (see rules.resolveCards). A drawn round scores nothing
+ * and breaks a winning streak.
+ *
+ * Shape:
+ *   name               - Display name
+ *   score(context)     - { points, reason } for a won round; context is
+ *                        { round, basePoints, streak, settings } where round
+ *                        is 1-based and streak counts this win
+ *   isDecided(scores, settings) - True once the game can end before its last round
+ */
+
+/**
+ * "1 очко", "2 очка", "5 очков"
+ */
+function formatPoints(points) {
+  const mod10 = points % 10;
+  const mod100 = points % 100;
+  if (mod10 === 1 && mod100 !== 11) return `${points} очко`;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${points} очка`;
+  return `${points} очков`;
+}
+
+const SCORING_STRATEGIES = {
+  [Scoring.CLASSIC]: {
+    name: 'Классика',
+    score: ({ basePoints }) => ({ points: basePoints, reason: `Победа в раунде — ${formatPoints(basePoints)}` }),
+    isDecided: () => false
+  },
+
+  [Scoring.STREAK]: {
+    name: 'Серии',
+    score: ({ basePoints, streak }) => {
+      const points = basePoints + streak - 1;
+      return {
+        points,
+        reason: streak > 1
+          ? `${streak}-я победа подряд — ${formatPoints(points)}`
+          : `Победа в раунде — ${formatPoints(points)}`
+      };
+    },
+    isDecided: () => false
+  },
+
+  [Scoring.LATE_ROUNDS]: {
+    name: 'Поздние раунды дороже',
+    score: ({ basePoints, round }) => {
+      const points = basePoints * round;
+      return {
+        points,
+        reason: basePoints > 1
+          ? `Раунд ${round}: ${basePoints} × ${round} = ${formatPoints(points)}`
+          : `Раунд ${round} стоит ${formatPoints(points)}`
+      };
+    },
+    isDecided: () => false
+  },
+
+  [Scoring.FIRST_TO]: {
+    name: 'До N очков',
+    score: ({ basePoints, settings }) => ({
+      points: basePoints,
+      reason: `Победа в раунде — ${formatPoints(basePoints)} (игра до ${settings.scoringTarget})`
+    }),
+    isDecided: (scores, settings) => scores.some(score => score >= settings.scoringTarget)
+  }
+};
+
+/**
+ * Strategy for game settings (classic for records made before scoring was configurable)
+ * @param {Object} settings - Game settings
+ * @returns {Object} Strategy
+ */
+function getScoring(settings) {
+  return SCORING_STRATEGIES[settings.scoring] || SCORING_STRATEGIES[Scoring.CLASSIC];
+}
+
+/**
+ * Points for a round
+ * @param {Object} settings - Game settings (scoring, scoringTarget)
+ * @param {Object} round - { round, winner, basePoints } - winner is a player ID, null for a draw
+ * @param {Array} history - Earlier rounds ({ winner }), oldest first
+ * @returns {Object} { points, reason } - points the winner scores (0 for a draw)
+ */
+function scoreRound(settings, { round, winner, basePoints }, history) {
+  if (!winner) {
+    return { points: 0, reason: 'Ничья — очков нет' };
+  }
+
+  let streak = 1;
+  for (let i = history.length - 1; i >= 0 && history[i].winner === winner; i--) {
+    streak++;
+  }
+  return getScoring(settings).score({ round, basePoints, streak, settings });
+}
+
+/**
+ * Check whether the scores already decide the game before its last round
+ * @param {Object} settings - Game settings
+ * @param {Array<number>} scores - Both players' scores
+ * @returns {boolean}
+ */
+function isDecided(settings, scores) {
+  return getScoring(settings).isDecided(scores, settings);
+}
+
+module.exports = {
+  SCORING_STRATEGIES,
+  formatPoints,
+  getScoring,
+  scoreRound,
+  isDecided
+};
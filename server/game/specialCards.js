@@ -0,0 +1,142 @@
+const { SpecialCard } = require('./constants');
+const { getTypeInfo } = require('./ruleSets');
+
+/**
+ * Special card definitions
+ * A lobby may mix special cards into the full deck (settings.specialCards:
+ * copies of each per deck). Joker and Mirror are card types of their own;
+ * Double and Shield are cards of a regular type that carry an effect, their
+ * types taken from the rule set in turn.
+ *
+ * Card shape: { id, type, color, index, special } - special is the
+ * SpecialCard value and is missing on regular cards.
+ *
+ * A round resolves the effects in this order (see rules.resolveCards):
+ *   1. Joker draws with every card
+ *   2. Mirror reflects the opponent's card and beats it (two Mirrors draw)
+ *   3. The rule set decides
+ *   4. The loser's Shield turns the loss into a draw
+ *   5. The winner's Double scores 2 points
+ *
+ * Notation writes a card as its type, plus '+' and the effect for Double
+ * and Shield (e.g. 'rock+shield').
+ */
+
+const SPECIAL_COLOR = 'special';
+
+const SPECIAL_CARDS = {
+  [SpecialCard.JOKER]: {
+    label: 'Джокер',
+    accusative: 'Джокера',
+    icon: '🃏',
+    ownType: true,
+    description: 'ничья с любой картой'
+  },
+  [SpecialCard.MIRROR]: {
+    label: 'Зеркало',
+    accusative: 'Зеркало',
+    icon: '🪞',
+    ownType: true,
+    description: 'отражает карту соперника и бьёт её'
+  },
+  [SpecialCard.DOUBLE]: {
+    label: 'Двойная',
+    icon: '✖2',
+    ownType: false,
+    description: 'победа приносит 2 очка'
+  },
+  [SpecialCard.SHIELD]: {
+    label: 'Щит',
+    icon: '🛡️',
+    ownType: false,
+    description: 'поражение превращается в ничью'
+  }
+};
+
+/**
+ * Check whether a value is a special card ID
+ */
+function isSpecial(special) {
+  return Object.prototype.hasOwnProperty.call(SPECIAL_CARDS, special);
+}
+
+/**
+ * Create one special card (without an ID)
+ * @param {Object} ruleSet - Rule set definition
+ * @param {string} special - SpecialCard value
+ * @param {number} index - Copy number; picks the regular type of Double and Shield
+ * @returns {Object} { type, color, index, special }
+ */
+function createSpecialCard(ruleSet, special, index) {
+  if (SPECIAL_CARDS[special].ownType) {
+    return { type: special, color: SPECIAL_COLOR, index, special };
+  }
+  const base = ruleSet.types[index % ruleSet.types.length];
+  return { type: base.type, color: base.color, index, special };
+}
+
+/**
+ * Get the display info for a card type, special types included
+ * @param {Object} ruleSet - Rule set definition
+ * @param {string} type - Card type
+ * @returns {Object|null} { type, color, label, accusative, icon } or null
+ */
+function getCardInfo(ruleSet, type) {
+  const info = getTypeInfo(ruleSet, type);
+  if (info) return info;
+
+  const special = isSpecial(type) && SPECIAL_CARDS[type].ownType ? SPECIAL_CARDS[type] : null;
+  return special
+    ? { type, color: SPECIAL_COLOR, label: special.label, accusative: special.accusative, icon: special.icon }
+    : null;
+}
+
+/**
+ * Total number of special cards in one full deck
+ * @param {Object} specialCards - settings.specialCards
+ */
+function countSpecialCards(specialCards = {}) {
+  return Object.keys(SPECIAL_CARDS).reduce((sum, special) => sum + (specialCards[special] || 0), 0);
+}
+
+/**
+ * Notation token of a card: its type, plus the effect of Double and Shield
+ * Cards with the same token are interchangeable
+ * @param {Object} card - Card
+ * @returns {string} Token such as 'rock', 'joker' or 'rock+shield'
+ */
+function cardToken(card) {
+  return card.special && card.special !== card.type ? `${card.type}+${card.special}` : card.type;
+}
+
+/**
+ * Build a card (without an ID) from a notation token
+ * @param {string} token - Result of cardToken
+ * @param {Object} ruleSet - Rule set definition
+ * @returns {Object|null} { type, color, special } or null if the token is unknown
+ */
+function parseCardToken(token, ruleSet) {
+  const [type, special, ...rest] = String(token).split('+');
+  if (rest.length > 0) return null;
+
+  if (special === undefined) {
+    const info = getCardInfo(ruleSet, type);
+    if (!info) return null;
+    return info.color === SPECIAL_COLOR ? { type, color: SPECIAL_COLOR, special: type } : { type, color: info.color };
+  }
+
+  const info = getTypeInfo(ruleSet, type);
+  if (!info || !isSpecial(special) || SPECIAL_CARDS[special].ownType) return null;
+  return { type, color: info.color, special };
+}
+
+module.exports = {
+  SPECIAL_CARDS,
+  SPECIAL_COLOR,
+  isSpecial,
+  createSpecialCard,
+  getCardInfo,
+  countSpecialCards,
+  cardToken,
+  parseCardToken
+};
@@ -3,6 +3,10 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const LobbyManager = require('./lobby/LobbyManager');
+const FileMatchStore = require('./storage/FileMatchStore');
+const RatingService = require('./rating/RatingService');
+const IdentityTokenManager = require('./lobby/IdentityTokenManager');
+const { createApiRouter } = require('./api/router');
 
 const app = express();
 const server = http.createServer(app);
@@ -14,6 +18,8 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+const MATCH_STORE_PATH = process.env.MATCH_STORE_PATH || path.join(__dirname, '../data/matches.jsonl');
+const IDENTITY_KEY_PATH = process.env.IDENTITY_KEY_PATH || path.join(__dirname, '../data/identity.key');
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
@@ -23,8 +29,24 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
+// Finished games are kept on disk between restarts
+const matchStore = new FileMatchStore(MATCH_STORE_PATH);
+
+// Ratings are rebuilt from the stored games
+const ratings = new RatingService();
+matchStore.all().then(matches => ratings.replay(matches));
+
+// Player IDs are issued by the server and proven with a signed token;
+// the key is kept on disk so identities (and their ratings) survive restarts
+const identityTokens = new IdentityTokenManager(
+  process.env.IDENTITY_TOKEN_SECRET || IdentityTokenManager.loadSecret(IDENTITY_KEY_PATH)
+);
+
 // Initialize lobby manager
-const lobbyManager = new LobbyManager(io);
+const lobbyManager = new LobbyManager(io, { matchStore, ratings, identityTokens });
+
+// REST API: public lobbies, match history, ratings
+app.use('/api', createApiRouter({ lobbyManager, matchStore, ratings }));
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -35,9 +57,57 @@ io.on('connection', (socket) => {
     lobbyManager.createLobby(socket, playerName);
   });
   
+  // Create a single-player lobby against a bot
+  socket.on('createBotLobby', (data) => {
+    lobbyManager.createBotLobby(socket, data);
+  });
+  
+  // Quick match: join the matchmaking queue
+  socket.on('findMatch', (data) => {
+    lobbyManager.handleFindMatch(socket, data);
+  });
+  
+  // Quick match: leave the matchmaking queue
+  socket.on('cancelMatch', () => {
+    lobbyManager.handleCancelMatch(socket);
+  });
+  
+  // Public lobby list: receive the current list and live updates
+  socket.on('subscribePublicLobbies', () => {
+    lobbyManager.subscribePublicLobbies(socket);
+  });
+  
+  socket.on('unsubscribePublicLobbies', () => {
+    lobbyManager.unsubscribePublicLobbies(socket);
+  });
+  
+  // Watch a lobby's game as a spectator
+  socket.on('spectateLobby', ({ lobbyId } = {}) => {
+    lobbyManager.spectateLobby(socket, lobbyId);
+  });
+  
+  socket.on('stopSpectating', () => {
+    lobbyManager.stopSpectating(socket);
+  });
+  
   // Join an existing lobby
-  socket.on('joinLobby', ({ lobbyId, playerName, playerId }) => {
-    lobbyManager.joinLobby(socket, lobbyId, playerName, playerId);
+  socket.on('joinLobby', ({ lobbyId, playerName, playerId, sessionToken, identityToken }) => {
+    lobbyManager.joinLobby(socket, lobbyId, playerName, playerId, sessionToken, identityToken);
+  });
+  
+  // Player contributes a seed to the deal
+  socket.on('clientSeed', (data) => {
+    lobbyManager.handleClientSeed(socket, data);
+  });
+  
+  // Player takes a card in the draft
+  socket.on('draftPick', (data) => {
+    lobbyManager.handleDraftPick(socket, data);
+  });
+  
+  // Player locks in a constructed hand
+  socket.on('constructHand', (data) => {
+    lobbyManager.handleConstructHand(socket, data);
   });
   
   // Player is ready after preview
@@ -45,7 +115,7 @@ io.on('connection', (socket) => {
     lobbyManager.handlePreviewReady(socket);
   });
 
-  // Player sets their card sequence
+  // Player sets their card sequence (array of card IDs)
   socket.on('setSequence', (sequence) => {
     lobbyManager.handleSetSequence(socket, sequence);
   });
@@ -60,6 +130,11 @@ io.on('connection', (socket) => {
     lobbyManager.handleSkipSwap(socket);
   });
   
+  // Player picks a card in a sudden-death round
+  socket.on('tiebreakPick', (data) => {
+    lobbyManager.handleTiebreakPick(socket, data);
+  });
+  
   // Player continues to next round
   socket.on('continueRound', () => {
     lobbyManager.handleContinueRound(socket);
@@ -70,7 +145,7 @@ io.on('connection', (socket) => {
     lobbyManager.handleLeaveLobby(socket);
   });
   
-  // Player clicks "Play Again" after game ends
+  // Player votes for a rematch after game ends
   socket.on('playAgain', () => {
     lobbyManager.handlePlayAgain(socket);
   });
@@ -82,8 +157,8 @@ io.on('connection', (socket) => {
   });
   
   // Handle reconnection
-  socket.on('reconnect', ({ lobbyId, playerId }) => {
-    lobbyManager.handleReconnect(socket, lobbyId, playerId);
+  socket.on('reconnect', ({ lobbyId, playerId, sessionToken }) => {
+    lobbyManager.handleReconnect(socket, lobbyId, playerId, sessionToken);
   });
 });
 
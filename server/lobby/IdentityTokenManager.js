@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * IdentityTokenManager - Issues and checks HMAC-signed identity tokens
+ * Ratings, history and stats are keyed by a persistent playerId, and that ID
+ * is public (match records and the history API show it). So the server picks
+ * every new player's ID itself and hands out a token signed over it;
+ * creating, joining and quick match only accept an ID that comes with its
+ * token. Without one the player gets a fresh ID.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload: { playerId, iat }
+ *
+ * Identity tokens don't expire, so the key must survive restarts: it comes
+ * from IDENTITY_TOKEN_SECRET or from a key file created on first start.
+ */
+class IdentityTokenManager {
+  /**
+   * @param {string} [secret] - HMAC key; a random one is generated if omitted
+   *   (every identity is then lost on restart)
+   */
+  constructor(secret = process.env.IDENTITY_TOKEN_SECRET) {
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Read the signing key from a file, creating it on first start
+   * @param {string} filePath - Key file path
+   * @returns {string} Key
+   */
+  static loadSecret(filePath) {
+    if (fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath, 'utf8').trim();
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, secret, { mode: 0o600 });
+    console.log(`Created identity key at ${filePath}`);
+    return secret;
+  }
+
+  /**
+   * Issue a token for a player ID
+   * @param {string} playerId - Server-issued player ID
+   * @returns {string} Signed token
+   */
+  issue(playerId) {
+    const payload = { playerId, iat: Date.now() };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * Player ID a token was issued for
+   * @param {*} token - Token from the client
+   * @returns {string|null} Player ID, or null if the token is missing or not genuine
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+    
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+    
+    const expected = Buffer.from(this.sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+      return payload && typeof payload.playerId === 'string' ? payload.playerId : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Identity of a player entering a lobby or the queue
+   * @param {*} token - Identity token from the client
+   * @returns {Object} { playerId, identityToken } - the token's own identity,
+   *   or a new one if the token is missing or not genuine
+   */
+  resolve(token) {
+    const playerId = this.verify(token);
+    if (playerId) {
+      return { playerId, identityToken: token };
+    }
+    
+    const newPlayerId = uuidv4();
+    return { playerId: newPlayerId, identityToken: this.issue(newPlayerId) };
+  }
+
+  /**
+   * HMAC signature of a token body
+   */
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+module.exports = IdentityTokenManager;
@@ -1,16 +1,41 @@
 const { v4: uuidv4 } = require('uuid');
 const GameSession = require('../game/GameSession');
+const GameNotifier = require('../game/GameNotifier');
 const Player = require('../game/Player');
 const ReconnectManager = require('./ReconnectManager');
+const MatchmakingQueue = require('./MatchmakingQueue');
+const SessionTokenManager = require('./SessionTokenManager');
+const IdentityTokenManager = require('./IdentityTokenManager');
+const BotController = require('../bot/BotController');
+const MemoryMatchStore = require('../storage/MemoryMatchStore');
+const RatingService = require('../rating/RatingService');
 const InputValidator = require('../utils/InputValidator');
-const { GAME_CONFIG, GamePhase, LOBBY_ID_CHARS, LOBBY_ID_LENGTH } = require('../game/constants');
+const { GAME_CONFIG, BOT_CONFIG, PUBLIC_LOBBIES_ROOM, GamePhase, LOBBY_ID_CHARS, LOBBY_ID_LENGTH } = require('../game/constants');
 
 class LobbyManager {
-  constructor(io) {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} [options]
+   * @param {Object} [options.matchStore] - Where finished games are kept (see MemoryMatchStore)
+   * @param {RatingService} [options.ratings] - Player ratings, updated as games are recorded
+   * @param {IdentityTokenManager} [options.identityTokens] - Issues and checks persistent player IDs
+   */
+  constructor(io, {
+    matchStore = new MemoryMatchStore(),
+    ratings = new RatingService(),
+    identityTokens = new IdentityTokenManager()
+  } = {}) {
     this.io = io;
+    this.matchStore = matchStore;
+    this.ratings = ratings;
+    this.identityTokens = identityTokens;
     this.lobbies = new Map(); // lobbyId -> Lobby
     this.playerToLobby = new Map(); // socketId -> lobbyId
     this.reconnectManager = new ReconnectManager();
+    this.matchmaking = new MatchmakingQueue();
+    this.sessionTokens = new SessionTokenManager();
+    this.publicListed = new Set(); // lobbyIds currently shown in the public list
+    this.spectatorToLobby = new Map(); // socketId -> lobbyId for spectators
   }
 
   // ==================== Lobby Validation ====================
@@ -22,9 +47,11 @@ class LobbyManager {
     const lobby = this.lobbies.get(lobbyId);
     if (!lobby) return null;
     
+    // A finished game stays around while a rematch is on offer
+    // or the next game of a series is coming up
     const shouldCleanup = 
       lobby.players.length === 0 || 
-      (lobby.session && lobby.session.isCompleted());
+      (lobby.session && lobby.session.isCompleted() && !lobby.rematch && !this.isSeriesPending(lobby));
     
     if (shouldCleanup) {
       this.cleanupLobby(lobbyId);
@@ -52,22 +79,50 @@ class LobbyManager {
 
   // ==================== Lobby Creation/Joining ====================
 
+  /**
+   * Build a lobby record
+   * @param {Array} players - Initial players
+   * @param {Object} settings - Validated game settings
+   * @param {Object} [extra] - Additional lobby fields
+   */
+  buildLobby(players, settings, extra = {}) {
+    return {
+      players,
+      session: null,
+      settings,
+      autopilots: new Map(), // playerId -> { timeout, controller, roundsBefore }
+      expiredReconnects: new Set(), // Player IDs whose reconnect window ran out while autopilot played on
+      rematch: null, // { votes, expiresAt, timeout } while a rematch is on offer
+      series: null, // Best-of-N progress, see createSeries
+      headToHead: { games: 0, draws: 0, wins: {} },
+      isPublic: false, // Listed in the lobby browser while waiting for an opponent
+      spectators: new Set(), // Spectator socket IDs
+      createdAt: Date.now(),
+      allowedPlayerIds: new Set(players.map(p => p.id)),
+      ...extra
+    };
+  }
+
   /**
    * Create a new lobby
    */
   createLobby(socket, data) {
-    const { playerName, playerId: clientPlayerId } = InputValidator.createLobbyData(data);
+    // Entering a lobby any other way leaves the quick match queue
+    // and stops spectating
+    this.handleCancelMatch(socket);
+    this.stopSpectating(socket);
+    
+    const { playerName, identityToken: clientIdentityToken, settings, isPublic } = InputValidator.createLobbyData(data);
+    if (!settings) {
+      socket.emit('error', { message: 'Invalid game settings' });
+      return;
+    }
     
     const lobbyId = this.generateLobbyId();
-    const playerId = clientPlayerId || uuidv4();
-    const player = new Player(playerId, socket.id, playerName);
+    const { playerId, identityToken } = this.identityTokens.resolve(clientIdentityToken);
+    const player = new Player(playerId, socket.id, playerName, settings);
     
-    this.lobbies.set(lobbyId, {
-      players: [player],
-      session: null,
-      createdAt: Date.now(),
-      allowedPlayerIds: new Set([playerId])
-    });
+    this.lobbies.set(lobbyId, this.buildLobby([player], settings, { isPublic }));
     
     this.playerToLobby.set(socket.id, lobbyId);
     socket.join(lobbyId);
@@ -75,18 +130,165 @@ class LobbyManager {
     socket.emit('lobbyCreated', {
       lobbyId,
       playerId,
-      playerName: player.name
+      playerName: player.name,
+      settings,
+      isPublic,
+      sessionToken: this.sessionTokens.issue(playerId, lobbyId),
+      identityToken
+    });
+    
+    console.log(`${isPublic ? 'Public lobby' : 'Lobby'} ${lobbyId} created by ${player.name} (${playerId})`);
+    this.updatePublicListing(lobbyId);
+  }
+
+  /**
+   * Create a single-player lobby against a server-side bot and start the game
+   */
+  createBotLobby(socket, data) {
+    // Entering a lobby any other way leaves the quick match queue
+    // and stops spectating
+    this.handleCancelMatch(socket);
+    this.stopSpectating(socket);
+    
+    const { playerName, identityToken: clientIdentityToken, settings } = InputValidator.createLobbyData(data);
+    if (!settings) {
+      socket.emit('error', { message: 'Invalid game settings' });
+      return;
+    }
+    
+    const difficulty = InputValidator.botDifficulty(data && data.difficulty);
+    
+    const lobbyId = this.generateLobbyId();
+    const { playerId, identityToken } = this.identityTokens.resolve(clientIdentityToken);
+    const player = new Player(playerId, socket.id, playerName, settings);
+    const bot = BotController.createPlayer(settings, difficulty);
+    
+    this.lobbies.set(lobbyId, this.buildLobby([player, bot], settings, {
+      botDifficulty: difficulty,
+      bots: []
+    }));
+    
+    this.playerToLobby.set(socket.id, lobbyId);
+    socket.join(lobbyId);
+    
+    socket.emit('lobbyJoined', {
+      lobbyId,
+      playerId,
+      playerName: player.name,
+      opponentName: bot.name,
+      playerRating: this.ratings.getDisplayRating(player),
+      opponentRating: null,
+      settings,
+      vsBot: true,
+      sessionToken: this.sessionTokens.issue(playerId, lobbyId),
+      identityToken
+    });
+    
+    console.log(`Bot lobby ${lobbyId} created by ${player.name} (${playerId}), difficulty ${difficulty}`);
+    this.startGame(lobbyId);
+  }
+
+  // ==================== Quick Match ====================
+
+  /**
+   * Put a player in the matchmaking queue and pair them if possible
+   */
+  handleFindMatch(socket, data) {
+    if (this.playerToLobby.has(socket.id)) {
+      socket.emit('error', { message: 'Already in a lobby' });
+      return;
+    }
+    
+    const { playerName, identityToken, settings } = InputValidator.createLobbyData(data);
+    if (!settings) {
+      socket.emit('error', { message: 'Invalid game settings' });
+      return;
+    }
+    
+    this.stopSpectating(socket);
+    
+    const entry = this.matchmaking.add(socket, {
+      ...this.identityTokens.resolve(identityToken),
+      playerName,
+      settings,
+      strictSettings: Boolean(data && data.strictSettings)
     });
     
-    console.log(`Lobby ${lobbyId} created by ${player.name} (${playerId})`);
+    console.log(`${playerName} (${entry.playerId}) is looking for a match`);
+    
+    const match = this.matchmaking.takeMatch(entry);
+    if (match) {
+      this.createMatchLobby(match);
+    }
+    
+    this.sendQueueStatus();
+  }
+
+  /**
+   * Take a player out of the matchmaking queue
+   */
+  handleCancelMatch(socket) {
+    if (!this.matchmaking.remove(socket.id)) return;
+    
+    socket.emit('matchCancelled');
+    this.sendQueueStatus();
+  }
+
+  /**
+   * Send position and estimated wait to everyone in the queue
+   */
+  sendQueueStatus() {
+    this.matchmaking.entries.forEach(entry => {
+      entry.socket.emit('matchQueueUpdate', this.matchmaking.getStatus(entry));
+    });
+  }
+
+  /**
+   * Create a lobby for a matched pair and start the game
+   */
+  createMatchLobby({ first, second, settings }) {
+    const lobbyId = this.generateLobbyId();
+    const entries = [first, second];
+    const players = entries.map(e => new Player(e.playerId, e.socket.id, e.playerName, settings));
+    
+    this.lobbies.set(lobbyId, this.buildLobby(players, settings));
+    
+    entries.forEach((entry, index) => {
+      const player = players[index];
+      const opponent = players[1 - index];
+      
+      this.playerToLobby.set(entry.socket.id, lobbyId);
+      entry.socket.join(lobbyId);
+      
+      entry.socket.emit('lobbyJoined', {
+        lobbyId,
+        playerId: player.id,
+        playerName: player.name,
+        opponentName: opponent.name,
+        playerRating: this.ratings.getDisplayRating(player),
+        opponentRating: this.ratings.getDisplayRating(opponent),
+        settings,
+        matched: true,
+        sessionToken: this.sessionTokens.issue(player.id, lobbyId),
+        identityToken: entry.identityToken
+      });
+    });
+    
+    console.log(`Matched ${players[0].name} and ${players[1].name} in lobby ${lobbyId}`);
+    this.startGame(lobbyId);
   }
 
   /**
    * Join an existing lobby
    */
-  joinLobby(socket, lobbyId, playerName, clientPlayerId = null) {
+  joinLobby(socket, lobbyId, playerName, clientPlayerId = null, sessionToken = null, identityToken = null) {
+    // Entering a lobby any other way leaves the quick match queue
+    // and stops spectating
+    this.handleCancelMatch(socket);
+    this.stopSpectating(socket);
+    
     // Validate input
-    const validatedData = InputValidator.joinLobbyData(lobbyId, playerName, clientPlayerId);
+    const validatedData = InputValidator.joinLobbyData(lobbyId, playerName, clientPlayerId, sessionToken, identityToken);
     if (!validatedData) {
       socket.emit('error', { message: 'Invalid lobby ID format' });
       return;
@@ -110,13 +312,23 @@ class LobbyManager {
   /**
    * Try to rejoin lobby as existing player
    */
-  tryRejoinLobby(socket, lobby, { lobbyId, playerId }) {
+  tryRejoinLobby(socket, lobby, { lobbyId, playerId, sessionToken }) {
     const existingPlayer = lobby.players.find(p => p.id === playerId);
     if (!existingPlayer) return false;
     
+    // The seat is taken; only the holder of its session token may return to it
+    if (!this.sessionTokens.verify(sessionToken, playerId, lobbyId)) {
+      socket.emit('error', { message: 'Invalid session token' });
+      console.log(`Rejected rejoin to lobby ${lobbyId} as ${playerId}: invalid session token`);
+      return true;
+    }
+    
     // Clear any pending reconnect timeout for this player
     this.reconnectManager.clear(existingPlayer.id);
     
+    // Take control back from autopilot (before the socket ID changes)
+    const autopilotSummary = this.stopAutopilot(lobby, existingPlayer);
+    
     // Update socket connection
     existingPlayer.markConnected(socket.id);
     this.playerToLobby.set(socket.id, lobbyId);
@@ -128,24 +340,47 @@ class LobbyManager {
       lobbyId,
       playerId: existingPlayer.id,
       playerName: existingPlayer.name,
-      opponentName: opponent ? opponent.name : null
+      opponentName: opponent ? opponent.name : null,
+      playerRating: this.ratings.getDisplayRating(existingPlayer),
+      opponentRating: this.ratings.getDisplayRating(opponent),
+      settings: lobby.settings,
+      sessionToken: this.sessionTokens.issue(existingPlayer.id, lobbyId)
     });
     
     console.log(`${existingPlayer.name} rejoined lobby ${lobbyId}`);
     
     // Handle active game session
     if (lobby.session) {
+      // Back between games of a series - the next game starts once everyone is here
+      if (lobby.session.isCompleted() && this.isSeriesPending(lobby)) {
+        socket.emit('seriesState', this.getSeriesState(lobby));
+        if (opponent && !opponent.disconnected) {
+          this.io.to(opponent.socketId).emit('opponentReconnected');
+        }
+        return true;
+      }
+      
       if (lobby.session.isCompleted()) {
         socket.emit('error', { message: 'Game has ended' });
+        if (lobby.rematch) {
+          this.declineRematch(lobby, existingPlayer);
+        }
         this.cleanupLobby(lobbyId);
         return true;
       }
       
       socket.emit('reconnected', lobby.session.getStateForPlayer(existingPlayer.id));
+      if (lobby.series) {
+        socket.emit('seriesState', this.getSeriesState(lobby));
+      }
+      if (autopilotSummary) {
+        socket.emit('autopilotSummary', autopilotSummary);
+      }
       
       if (opponent && !opponent.disconnected) {
         lobby.session.resume();
         this.io.to(opponent.socketId).emit('opponentReconnected');
+        this.sendSpectatorState(lobbyId, lobby);
       } else if (opponent && opponent.disconnected) {
         socket.emit('opponentDisconnected', {
           reconnectTimeout: this.reconnectManager.getRemainingTime(opponent.id)
@@ -159,7 +394,7 @@ class LobbyManager {
   /**
    * Handle new player joining lobby
    */
-  handleNewPlayerJoin(socket, lobby, { lobbyId, playerName, playerId: clientPlayerId }) {
+  handleNewPlayerJoin(socket, lobby, { lobbyId, playerName, identityToken: clientIdentityToken }) {
     // Check lobby capacity
     if (lobby.players.length >= GAME_CONFIG.MAX_PLAYERS) {
       socket.emit('error', { message: 'Lobby is full' });
@@ -174,7 +409,13 @@ class LobbyManager {
     // Clean up disconnected first player if needed
     this.cleanupDisconnectedFirstPlayer(lobby, lobbyId);
     
-    const playerId = clientPlayerId || uuidv4();
+    const { playerId, identityToken } = this.identityTokens.resolve(clientIdentityToken);
+    
+    // The same identity can't take both seats
+    if (lobby.players.some(p => p.id === playerId)) {
+      socket.emit('error', { message: 'Already in this lobby' });
+      return;
+    }
     
     // Security: only original players can rejoin in-progress games
     if (lobby.session && lobby.allowedPlayerIds && !lobby.allowedPlayerIds.has(playerId)) {
@@ -182,13 +423,15 @@ class LobbyManager {
       return;
     }
     
-    const player = new Player(playerId, socket.id, playerName);
+    const player = new Player(playerId, socket.id, playerName, lobby.settings);
     lobby.players.push(player);
     
     if (lobby.allowedPlayerIds) {
       lobby.allowedPlayerIds.add(playerId);
     }
     
+    this.updatePublicListing(lobbyId);
+    
     this.playerToLobby.set(socket.id, lobbyId);
     socket.join(lobbyId);
     
@@ -197,7 +440,11 @@ class LobbyManager {
       socket.emit('lobbyCreated', {
         lobbyId,
         playerId,
-        playerName: player.name
+        playerName: player.name,
+        settings: lobby.settings,
+        isPublic: lobby.isPublic,
+        sessionToken: this.sessionTokens.issue(playerId, lobbyId),
+        identityToken
       });
       console.log(`${player.name} is now waiting alone in lobby ${lobbyId}`);
       return;
@@ -210,11 +457,18 @@ class LobbyManager {
       lobbyId,
       playerId,
       playerName: player.name,
-      opponentName: firstPlayer.name
+      opponentName: firstPlayer.name,
+      playerRating: this.ratings.getDisplayRating(player),
+      opponentRating: this.ratings.getDisplayRating(firstPlayer),
+      settings: lobby.settings,
+      sessionToken: this.sessionTokens.issue(playerId, lobbyId),
+      identityToken
     });
     
     this.io.to(firstPlayer.socketId).emit('playerJoined', {
-      opponentName: player.name
+      opponentName: player.name,
+      playerRating: this.ratings.getDisplayRating(firstPlayer),
+      opponentRating: this.ratings.getDisplayRating(player)
     });
     
     console.log(`${player.name} joined lobby ${lobbyId} (${playerId})`);
@@ -253,10 +507,33 @@ class LobbyManager {
       return;
     }
     
-    const session = new GameSession(lobby.players, this.io, lobbyId);
+    if (lobby.settings.seriesLength > 1) {
+      if (!lobby.series) {
+        lobby.series = this.createSeries(lobby.settings.seriesLength);
+      }
+      lobby.series.gameNumber++;
+      this.io.to(lobbyId).emit('seriesState', this.getSeriesState(lobby));
+    }
+    
+    const session = new GameSession(lobby.players, this.io, lobbyId, lobby.settings, {
+      onGameEnd: (outcome) => this.handleGameEnd(lobbyId, outcome)
+    });
     lobby.session = session;
+    
+    // Bots must be listening before the first event (cardsPreview) goes out
+    lobby.bots = lobby.players
+      .filter(player => player.isBot)
+      .map(player => new BotController(player, session, lobby.botDifficulty));
+    
     session.start();
     
+    if (lobby.series) {
+      GameNotifier.emitToSpectators(this.io, lobbyId, 'seriesState', this.getSeriesState(lobby));
+    }
+    if (lobby.spectators.size > 0) {
+      this.sendSpectatorCount(lobbyId, lobby);
+    }
+    
     console.log(`Game started in lobby ${lobbyId}`);
   }
 
@@ -265,6 +542,7 @@ class LobbyManager {
    */
   findDisconnectedPlayers(lobby) {
     return lobby.players.filter(player => {
+      if (player.isBot) return false;
       const socket = this.io.sockets.sockets.get(player.socketId);
       return !socket || !socket.connected;
     });
@@ -286,6 +564,8 @@ class LobbyManager {
         message: 'Соперник отключился до начала игры'
       });
     }
+    
+    this.updatePublicListing(lobbyId);
   }
 
   // ==================== Game Event Handlers ====================
@@ -294,14 +574,64 @@ class LobbyManager {
     const ctx = this.getValidatedContext(socket);
     if (!ctx || !ctx.lobby.session) return;
     
+    const tamperedCard = InputValidator.findTamperedCard(sequence, ctx.player.hand);
+    if (tamperedCard) {
+      console.log(
+        `Suspected cheat attempt: ${ctx.player.name} (${ctx.player.id}) in lobby ${ctx.lobbyId} ` +
+        `sent modified card ${JSON.stringify(tamperedCard)}`
+      );
+      socket.emit('error', { message: 'Invalid card sequence' });
+      return;
+    }
+    
     // Validate sequence before passing to game session
-    const validSequence = InputValidator.sequence(sequence, ctx.player.hand);
-    if (!validSequence) {
+    const cardIds = InputValidator.sequence(sequence, ctx.player.hand);
+    if (!cardIds) {
       socket.emit('error', { message: 'Invalid card sequence' });
       return;
     }
     
-    ctx.lobby.session.setPlayerSequence(ctx.player.id, validSequence);
+    ctx.lobby.session.setPlayerSequence(ctx.player.id, cardIds);
+  }
+
+  handleClientSeed(socket, data) {
+    const ctx = this.getValidatedContext(socket);
+    if (!ctx || !ctx.lobby.session) return;
+    
+    const seed = InputValidator.clientSeed(data && data.seed);
+    if (!seed) {
+      socket.emit('error', { message: 'Invalid client seed' });
+      return;
+    }
+    
+    ctx.lobby.session.handleClientSeed(ctx.player.id, seed);
+  }
+
+  handleDraftPick(socket, data) {
+    const ctx = this.getValidatedContext(socket);
+    if (!ctx || !ctx.lobby.session || !ctx.lobby.session.draft) return;
+    
+    const cardId = InputValidator.draftPick(data && data.cardId, ctx.lobby.session.draft.pool);
+    if (!cardId) {
+      socket.emit('error', { message: 'Invalid draft pick' });
+      return;
+    }
+    
+    ctx.lobby.session.handleDraftPick(ctx.player.id, cardId);
+  }
+
+  handleConstructHand(socket, data) {
+    const ctx = this.getValidatedContext(socket);
+    if (!ctx || !ctx.lobby.session || !ctx.lobby.session.construct) return;
+    
+    const { session } = ctx.lobby;
+    const cardIds = InputValidator.constructedHand(data && data.cardIds, session.construct.deck, session.settings);
+    if (!cardIds) {
+      socket.emit('error', { message: 'Invalid hand' });
+      return;
+    }
+    
+    session.handleConstructHand(ctx.player.id, cardIds);
   }
 
   handlePreviewReady(socket) {
@@ -319,7 +649,7 @@ class LobbyManager {
     const validPositions = InputValidator.swapPositions(
       positions,
       ctx.lobby.session.currentRound,
-      GAME_CONFIG.CARDS_PER_PLAYER
+      ctx.lobby.settings.cardsPerPlayer
     );
     
     if (!validPositions) {
@@ -337,6 +667,20 @@ class LobbyManager {
     ctx.lobby.session.handleSkipSwap(ctx.player.id);
   }
 
+  handleTiebreakPick(socket, data) {
+    const ctx = this.getValidatedContext(socket);
+    if (!ctx || !ctx.lobby.session || !ctx.lobby.session.tiebreak) return;
+    
+    const { session } = ctx.lobby;
+    const cardId = InputValidator.tiebreakPick(data && data.cardId, session.tiebreak.hands[ctx.player.id]);
+    if (!cardId) {
+      socket.emit('error', { message: 'Invalid tiebreak pick' });
+      return;
+    }
+    
+    session.handleTiebreakPick(ctx.player.id, cardId);
+  }
+
   handleContinueRound(socket) {
     const ctx = this.getValidatedContext(socket);
     if (!ctx || !ctx.lobby.session) return;
@@ -375,11 +719,13 @@ class LobbyManager {
   removePlayerFromLobby(lobby, lobbyId, player, socket) {
     lobby.players = lobby.players.filter(p => p.id !== player.id);
     this.playerToLobby.delete(socket.id);
+    this.sessionTokens.revoke(lobbyId, player.id);
     socket.leave(lobbyId);
     
     console.log(`Player ${player.name} left lobby ${lobbyId}`);
     
-    if (lobby.players.length === 0) {
+    // Nobody left to play (bots don't keep a lobby alive)
+    if (lobby.players.every(p => p.isBot)) {
       this.cleanupLobby(lobbyId);
       return;
     }
@@ -388,6 +734,15 @@ class LobbyManager {
       this.handlePlayerLeftDuringGame(lobby, lobbyId, player);
     } else if (!lobby.session) {
       this.cleanupLobby(lobbyId);
+    } else {
+      // Leaving after the game counts as declining the rematch
+      // (or abandoning the rest of the series)
+      if (lobby.rematch) {
+        this.declineRematch(lobby, player);
+      } else if (this.isSeriesPending(lobby)) {
+        this.abortSeries(lobby, player);
+      }
+      this.cleanupLobby(lobbyId);
     }
   }
 
@@ -398,13 +753,16 @@ class LobbyManager {
     const otherPlayer = lobby.players[0];
     
     if (otherPlayer && !otherPlayer.disconnected) {
-      lobby.session.endGameByDisconnect(otherPlayer.id);
+      lobby.session.endGameByDisconnect(otherPlayer.id, 'leave');
       this.cleanupLobby(lobbyId);
     } else {
-      lobby.session.completed = true;
-      if (lobby.session.timer) {
-        lobby.session.timer.clear();
-      }
+      lobby.session.abort('leave', otherPlayer ? otherPlayer.id : null);
+      
+      // Nobody is left to notify, but the game still goes into the history
+      this.recordMatch(lobby.session, {
+        reason: 'leave',
+        result: { winner: otherPlayer ? otherPlayer.id : null }
+      });
       
       if (otherPlayer) {
         this.reconnectManager.clear(otherPlayer.id);
@@ -413,14 +771,39 @@ class LobbyManager {
     }
   }
 
+  /**
+   * Handle player voting for a rematch after the game
+   */
   handlePlayAgain(socket) {
-    this.handleLeaveLobby(socket);
+    const ctx = this.getValidatedContext(socket);
+    if (!ctx) return;
+    
+    const { lobby, lobbyId, player } = ctx;
+    if (!lobby.rematch) {
+      socket.emit('error', { message: 'No rematch on offer' });
+      return;
+    }
+    
+    lobby.rematch.votes.add(player.id);
+    console.log(`${player.name} voted for a rematch in lobby ${lobbyId}`);
+    
+    if (lobby.players.every(p => lobby.rematch.votes.has(p.id))) {
+      this.startRematch(lobby, lobbyId);
+    } else {
+      this.sendRematchState(lobby, lobbyId);
+    }
   }
 
   /**
    * Handle player disconnection
    */
   handleDisconnect(socket) {
+    if (this.matchmaking.remove(socket.id)) {
+      this.sendQueueStatus();
+    }
+    
+    this.stopSpectating(socket);
+    
     const lobbyId = this.playerToLobby.get(socket.id);
     if (!lobbyId) return;
     
@@ -442,6 +825,18 @@ class LobbyManager {
       return;
     }
     
+    // Between games of a series - the player may still come back
+    if (lobby.session.isCompleted() && this.isSeriesPending(lobby)) {
+      this.handleDisconnectBetweenGames(lobby, lobbyId, player, socket);
+      return;
+    }
+    
+    // Game over (rematch on offer) - nothing to reconnect to
+    if (lobby.session.isCompleted()) {
+      this.removePlayerFromLobby(lobby, lobbyId, player, socket);
+      return;
+    }
+    
     // Handle disconnect during game
     this.handleDisconnectDuringGame(lobby, lobbyId, player, socket);
   }
@@ -452,14 +847,44 @@ class LobbyManager {
   handleDisconnectBeforeGame(lobby, lobbyId, player, socket) {
     lobby.players = lobby.players.filter(p => p.id !== player.id);
     this.playerToLobby.delete(socket.id);
+    this.sessionTokens.revoke(lobbyId, player.id);
     
     if (lobby.players.length === 0) {
       this.cleanupLobby(lobbyId);
+    } else {
+      this.updatePublicListing(lobbyId);
     }
     
     console.log(`Player ${player.name} left lobby ${lobbyId} (game not started)`);
   }
 
+  /**
+   * Handle disconnect while waiting for the next game of a series
+   */
+  handleDisconnectBetweenGames(lobby, lobbyId, player, socket) {
+    player.markDisconnected();
+    this.playerToLobby.delete(socket.id);
+    
+    if (lobby.players.every(p => p.disconnected)) {
+      this.cleanupLobby(lobbyId);
+      return;
+    }
+    
+    const timeoutMs = lobby.settings.timers.reconnect * 1000;
+    this.reconnectManager.trackSilent(
+      player.id,
+      lobbyId,
+      (playerId) => this.handleReconnectTimeout(playerId, lobbyId),
+      timeoutMs
+    );
+    
+    lobby.players
+      .filter(p => p.id !== player.id)
+      .forEach(p => this.io.to(p.socketId).emit('opponentDisconnected', { reconnectTimeout: timeoutMs / 1000 }));
+    
+    console.log(`Player ${player.name} disconnected between series games in lobby ${lobbyId}`);
+  }
+
   /**
    * Handle disconnect during active game
    */
@@ -488,8 +913,11 @@ class LobbyManager {
     this.reconnectManager.trackSilent(
       player.id,
       lobbyId,
-      (playerId) => this.handleReconnectTimeout(playerId, lobbyId)
+      (playerId) => this.handleReconnectTimeout(playerId, lobbyId),
+      lobby.settings.timers.reconnect * 1000
     );
+    
+    this.scheduleAutopilot(lobby, lobbyId, player);
   }
 
   /**
@@ -507,18 +935,23 @@ class LobbyManager {
       (playerId) => this.handleReconnectTimeout(playerId, lobbyId),
       otherPlayer && !otherPlayer.disconnected
         ? (remaining) => this.io.to(otherPlayer.socketId).emit('opponentDisconnected', { reconnectTimeout: remaining })
-        : null
+        : null,
+      lobby.settings.timers.reconnect * 1000
     );
     
     lobby.session.pause();
+    this.scheduleAutopilot(lobby, lobbyId, player);
+    this.sendSpectatorState(lobbyId, lobby);
     
     console.log(`Player ${player.name} disconnected from lobby ${lobbyId}`);
     
     // Both players disconnected - cleanup
     if (lobby.players.every(p => p.disconnected)) {
       console.log(`Both players disconnected in lobby ${lobbyId}, cleaning up`);
-      lobby.session.completed = true;
-      lobby.session.clearTimer();
+      lobby.session.abort('disconnect');
+      
+      // Nobody stayed to win: the game goes into the history as a draw
+      this.recordMatch(lobby.session, { reason: 'disconnect', result: { winner: null, isDraw: true } });
       this.cleanupLobby(lobbyId);
     }
   }
@@ -528,7 +961,7 @@ class LobbyManager {
   /**
    * Handle player reconnection
    */
-  handleReconnect(socket, lobbyId, playerId) {
+  handleReconnect(socket, lobbyId, playerId, sessionToken) {
     // Validate inputs
     const validLobbyId = InputValidator.lobbyId(lobbyId);
     const validPlayerId = InputValidator.playerId(playerId);
@@ -538,6 +971,11 @@ class LobbyManager {
       return;
     }
     
+    if (!this.sessionTokens.verify(InputValidator.sessionToken(sessionToken), validPlayerId, validLobbyId)) {
+      socket.emit('error', { message: 'Invalid session token' });
+      return;
+    }
+    
     if (!this.reconnectManager.isValidReconnect(validPlayerId, validLobbyId)) {
       socket.emit('error', { message: 'Invalid reconnection attempt' });
       return;
@@ -573,6 +1011,10 @@ class LobbyManager {
    */
   completeReconnection(socket, lobby, lobbyId, player, otherPlayer) {
     this.reconnectManager.clear(player.id);
+    lobby.expiredReconnects.delete(player.id);
+    
+    // Take control back from autopilot (before the socket ID changes)
+    const autopilotSummary = this.stopAutopilot(lobby, player);
     
     player.markConnected(socket.id);
     this.playerToLobby.set(socket.id, lobbyId);
@@ -580,10 +1022,17 @@ class LobbyManager {
     
     if (lobby.session) {
       socket.emit('reconnected', lobby.session.getStateForPlayer(player.id));
+      if (lobby.series) {
+        socket.emit('seriesState', this.getSeriesState(lobby));
+      }
+      if (autopilotSummary) {
+        socket.emit('autopilotSummary', autopilotSummary);
+      }
       
       if (!otherPlayer.disconnected) {
         lobby.session.resume();
         this.io.to(otherPlayer.socketId).emit('opponentReconnected');
+        this.sendSpectatorState(lobbyId, lobby);
       } else {
         socket.emit('opponentDisconnected', {
           reconnectTimeout: this.reconnectManager.getRemainingTime(otherPlayer.id)
@@ -604,11 +1053,21 @@ class LobbyManager {
     const player = lobby.players.find(p => p.id === playerId);
     if (!player) return;
     
-    if (lobby.session) {
+    // Autopilot keeps playing to the end. Tracking is left in place (cleared
+    // with the lobby) so the player can still reconnect
+    if (player.autopilot && lobby.session && !lobby.session.isCompleted()) {
+      lobby.expiredReconnects.add(player.id);
+      console.log(`Player ${player.name} reconnection window expired in lobby ${lobbyId}, autopilot continues`);
+      return;
+    }
+    
+    if (lobby.session && !lobby.session.isCompleted()) {
       const otherPlayer = lobby.players.find(p => p.id !== playerId);
       if (otherPlayer) {
         lobby.session.endGameByDisconnect(otherPlayer.id);
       }
+    } else if (this.isSeriesPending(lobby)) {
+      this.abortSeries(lobby, player);
     }
     
     this.reconnectManager.clear(playerId);
@@ -617,6 +1076,346 @@ class LobbyManager {
     console.log(`Player ${player.name} reconnection timeout in lobby ${lobbyId}`);
   }
 
+  // ==================== Rematch ====================
+
+  /**
+   * Game over - update the head-to-head tally, advance the series and offer a rematch
+   */
+  handleGameEnd(lobbyId, { reason, result, roundHistory }) {
+    const lobby = this.lobbies.get(lobbyId);
+    if (!lobby) return;
+    
+    this.recordMatch(lobby.session, { reason, result });
+    if (reason !== 'normal') return;
+    
+    const { headToHead } = lobby;
+    headToHead.games++;
+    if (result.isDraw) {
+      headToHead.draws++;
+    } else {
+      headToHead.wins[result.winner] = (headToHead.wins[result.winner] || 0) + 1;
+    }
+    
+    if (lobby.series) {
+      this.recordSeriesGame(lobby, result, roundHistory);
+      
+      if (!this.isSeriesOver(lobby.series)) {
+        this.io.to(lobbyId).emit('seriesGameEnd', {
+          ...this.getSeriesState(lobby),
+          nextGameIn: GAME_CONFIG.TIMERS.SERIES_NEXT_GAME
+        });
+        this.scheduleNextSeriesGame(lobby, lobbyId);
+        return;
+      }
+      
+      this.sendSeriesEnd(lobby, lobbyId);
+    }
+    
+    // Both players must be around to agree
+    if (lobby.players.length !== GAME_CONFIG.MAX_PLAYERS || lobby.players.some(p => p.disconnected)) return;
+    
+    const timeoutMs = GAME_CONFIG.TIMERS.REMATCH * 1000;
+    lobby.rematch = {
+      // Bots are always up for another game
+      votes: new Set(lobby.players.filter(p => p.isBot).map(p => p.id)),
+      expiresAt: Date.now() + timeoutMs,
+      timeout: setTimeout(() => this.expireRematch(lobbyId), timeoutMs)
+    };
+    
+    this.sendRematchState(lobby, lobbyId);
+  }
+
+  /**
+   * Send votes, time left and the head-to-head tally to the lobby
+   */
+  sendRematchState(lobby, lobbyId) {
+    this.io.to(lobbyId).emit('rematchState', {
+      votes: [...lobby.rematch.votes],
+      expiresIn: Math.max(0, Math.ceil((lobby.rematch.expiresAt - Date.now()) / 1000)),
+      headToHead: lobby.headToHead
+    });
+  }
+
+  /**
+   * Everyone agreed - start a fresh game with the same players
+   */
+  startRematch(lobby, lobbyId) {
+    clearTimeout(lobby.rematch.timeout);
+    lobby.rematch = null;
+    lobby.session = null;
+    lobby.series = null; // A rematch starts a new series
+    lobby.players.forEach(player => player.resetForNewGame());
+    
+    this.io.to(lobbyId).emit('rematchStart', { headToHead: lobby.headToHead });
+    console.log(`Rematch starting in lobby ${lobbyId}`);
+    
+    this.startGame(lobbyId);
+  }
+
+  /**
+   * Rematch offer ran out - close the lobby
+   */
+  expireRematch(lobbyId) {
+    const lobby = this.lobbies.get(lobbyId);
+    if (!lobby || !lobby.rematch) return;
+    
+    lobby.rematch.timeout = null;
+    this.io.to(lobbyId).emit('rematchExpired', { message: 'Время на реванш истекло' });
+    this.cleanupLobby(lobbyId);
+  }
+
+  /**
+   * Tell the remaining player their rematch offer is off
+   */
+  declineRematch(lobby, leavingPlayer) {
+    lobby.players
+      .filter(p => p.id !== leavingPlayer.id)
+      .forEach(p => {
+        this.io.to(p.socketId).emit('rematchDeclined', { message: 'Соперник отказался от реванша' });
+      });
+  }
+
+  // ==================== Match History ====================
+
+  /**
+   * Save a finished game to the match store and update ratings
+   * @param {GameSession} session - Finished session
+   * @param {Object} outcome - { reason, result }
+   */
+  recordMatch(session, { reason, result }) {
+    const match = { id: uuidv4(), ...session.getMatchRecord(reason, result) };
+    match.rated = this.ratings.isRated(match);
+    match.ratingChanges = this.ratings.applyMatch(match);
+    
+    if (match.ratingChanges) {
+      this.io.to(session.lobbyId).emit('ratingUpdate', { changes: match.ratingChanges });
+    }
+    this.io.to(session.lobbyId).emit('matchRecorded', { matchId: match.id });
+    
+    this.matchStore.save(match).catch(error => {
+      console.log(`Failed to save match ${match.id}: ${error.message}`);
+    });
+    
+    console.log(`Match ${match.id} recorded (${reason}) for lobby ${session.lobbyId}`);
+    return match;
+  }
+
+  // ==================== Series ====================
+
+  /**
+   * Create best-of-N series state
+   * @param {number} length - Maximum number of games (odd)
+   */
+  createSeries(length) {
+    return {
+      length,
+      winsNeeded: Math.floor(length / 2) + 1,
+      gameNumber: 0,
+      wins: {}, // playerId -> games won
+      draws: 0,
+      games: [], // { gameNumber, winner, isDraw, scores, roundHistory }
+      nextGameTimeout: null
+    };
+  }
+
+  /**
+   * Check if the lobby is waiting to start the next game of a series
+   */
+  isSeriesPending(lobby) {
+    return Boolean(lobby.series && lobby.series.nextGameTimeout);
+  }
+
+  /**
+   * Series progress as sent to clients
+   */
+  getSeriesState(lobby) {
+    const { series } = lobby;
+    return {
+      gameNumber: series.gameNumber,
+      seriesLength: series.length,
+      winsNeeded: series.winsNeeded,
+      wins: series.wins,
+      draws: series.draws
+    };
+  }
+
+  /**
+   * Add a finished game to the series score
+   */
+  recordSeriesGame(lobby, result, roundHistory) {
+    const { series } = lobby;
+    
+    if (result.isDraw) {
+      series.draws++;
+    } else {
+      series.wins[result.winner] = (series.wins[result.winner] || 0) + 1;
+    }
+    
+    series.games.push({
+      gameNumber: series.gameNumber,
+      winner: result.winner,
+      isDraw: result.isDraw,
+      scores: Object.fromEntries(lobby.players.map(p => [p.id, p.score])),
+      roundHistory
+    });
+  }
+
+  /**
+   * A series ends when someone reaches the majority of wins, or after
+   * N games if drawn games kept anyone from getting there
+   */
+  isSeriesOver(series) {
+    return Object.values(series.wins).some(w => w >= series.winsNeeded) ||
+      series.games.length >= series.length;
+  }
+
+  /**
+   * Send the series result with every game's round history
+   */
+  sendSeriesEnd(lobby, lobbyId) {
+    const { series } = lobby;
+    const [first, second] = lobby.players.map(p => ({ id: p.id, wins: series.wins[p.id] || 0 }));
+    
+    let winner = null;
+    if (first.wins > second.wins) {
+      winner = first.id;
+    } else if (second.wins > first.wins) {
+      winner = second.id;
+    }
+    
+    this.io.to(lobbyId).emit('seriesEnd', {
+      ...this.getSeriesState(lobby),
+      winner,
+      isDraw: winner === null,
+      games: series.games
+    });
+    
+    console.log(`Series finished in lobby ${lobbyId} after ${series.games.length} games`);
+  }
+
+  /**
+   * Start the next series game after a short break
+   */
+  scheduleNextSeriesGame(lobby, lobbyId) {
+    lobby.series.nextGameTimeout = setTimeout(
+      () => this.startNextSeriesGame(lobbyId),
+      GAME_CONFIG.TIMERS.SERIES_NEXT_GAME * 1000
+    );
+  }
+
+  /**
+   * Start the next series game once both players are connected
+   */
+  startNextSeriesGame(lobbyId) {
+    const lobby = this.lobbies.get(lobbyId);
+    if (!lobby || !lobby.series) return;
+    
+    // A player whose window ran out during the last game (autopilot finished it) isn't coming back
+    const expired = lobby.players.find(p => p.disconnected && lobby.expiredReconnects.has(p.id));
+    if (expired) {
+      lobby.series.nextGameTimeout = null;
+      this.abortSeries(lobby, expired);
+      this.cleanupLobby(lobbyId);
+      console.log(`Series in lobby ${lobbyId} aborted: ${expired.name} did not reconnect`);
+      return;
+    }
+    
+    // Keep waiting while someone is away - their reconnect window still applies
+    if (lobby.players.some(p => p.disconnected)) {
+      this.scheduleNextSeriesGame(lobby, lobbyId);
+      return;
+    }
+    
+    lobby.series.nextGameTimeout = null;
+    lobby.session = null;
+    lobby.players.forEach(player => player.resetForNewGame());
+    
+    this.startGame(lobbyId);
+  }
+
+  /**
+   * Tell the remaining player the series won't continue
+   */
+  abortSeries(lobby, leavingPlayer) {
+    lobby.players
+      .filter(p => p.id !== leavingPlayer.id)
+      .forEach(p => {
+        this.io.to(p.socketId).emit('seriesAborted', { message: 'Соперник покинул серию' });
+      });
+  }
+
+  // ==================== Autopilot ====================
+
+  /**
+   * Let a bot play for a disconnected player once the grace period passes
+   * (lobby policy; only when a connected human is waiting on the other side)
+   */
+  scheduleAutopilot(lobby, lobbyId, player) {
+    if (!lobby.settings.autopilot) return;
+    
+    const opponent = lobby.players.find(p => p.id !== player.id);
+    if (!opponent || opponent.isBot || opponent.disconnected) return;
+    
+    this.stopAutopilot(lobby, player);
+    lobby.autopilots.set(player.id, {
+      timeout: setTimeout(
+        () => this.startAutopilot(lobbyId, player.id),
+        lobby.settings.timers.autopilot * 1000
+      ),
+      controller: null,
+      roundsBefore: 0
+    });
+  }
+
+  /**
+   * Grace period over - hand the player's turns to a bot and unpause
+   */
+  startAutopilot(lobbyId, playerId) {
+    const lobby = this.lobbies.get(lobbyId);
+    if (!lobby || !lobby.session || lobby.session.isCompleted()) return;
+    
+    const entry = lobby.autopilots.get(playerId);
+    const player = lobby.players.find(p => p.id === playerId);
+    const opponent = lobby.players.find(p => p.id !== playerId);
+    if (!entry || !player || !player.disconnected || !opponent || opponent.disconnected) return;
+    
+    entry.timeout = null;
+    entry.roundsBefore = lobby.session.roundHistory.length;
+    entry.controller = new BotController(player, lobby.session, BOT_CONFIG.AUTOPILOT_DIFFICULTY);
+    player.autopilot = true;
+    
+    entry.controller.takeOver();
+    lobby.session.resume();
+    this.sendSpectatorState(lobbyId, lobby);
+    
+    this.io.to(opponent.socketId).emit('opponentAutopilot', { opponentName: player.name });
+    
+    console.log(`Autopilot took over for ${player.name} in lobby ${lobbyId}`);
+  }
+
+  /**
+   * Cancel pending or running autopilot for a player
+   * @returns {Object|null} Summary of what the autopilot did, or null if it never started
+   */
+  stopAutopilot(lobby, player) {
+    const entry = lobby.autopilots && lobby.autopilots.get(player.id);
+    if (!entry) return null;
+    
+    lobby.autopilots.delete(player.id);
+    if (entry.timeout) {
+      clearTimeout(entry.timeout);
+    }
+    if (!entry.controller) return null;
+    
+    entry.controller.dispose();
+    player.autopilot = false;
+    
+    return {
+      actions: entry.controller.actions,
+      rounds: lobby.session ? lobby.session.roundHistory.slice(entry.roundsBefore) : []
+    };
+  }
+
   // ==================== Cleanup ====================
 
   /**
@@ -630,15 +1429,176 @@ class LobbyManager {
       lobby.session.clearTimer();
     }
     
+    if (lobby.bots) {
+      lobby.bots.forEach(bot => bot.dispose());
+    }
+    
+    if (lobby.rematch && lobby.rematch.timeout) {
+      clearTimeout(lobby.rematch.timeout);
+    }
+    
+    if (lobby.series && lobby.series.nextGameTimeout) {
+      clearTimeout(lobby.series.nextGameTimeout);
+    }
+    
     lobby.players.forEach(player => {
+      this.stopAutopilot(lobby, player);
       this.playerToLobby.delete(player.socketId);
       this.reconnectManager.clear(player.id);
     });
     
+    // Spectators stay on their screen (e.g. the final score) but are detached
+    GameNotifier.emitToSpectators(this.io, lobbyId, 'lobbyClosed', {});
+    this.io.in(GameNotifier.getSpectatorRoom(lobbyId)).socketsLeave(GameNotifier.getSpectatorRoom(lobbyId));
+    lobby.spectators.forEach(socketId => this.spectatorToLobby.delete(socketId));
+    
     this.lobbies.delete(lobbyId);
+    this.sessionTokens.revokeLobby(lobbyId);
+    this.updatePublicListing(lobbyId);
     console.log(`Lobby ${lobbyId} cleaned up`);
   }
 
+  // ==================== Spectators ====================
+
+  /**
+   * Watch a lobby's game without playing in it
+   */
+  spectateLobby(socket, lobbyId) {
+    if (this.playerToLobby.has(socket.id)) {
+      socket.emit('error', { message: 'Already in a lobby' });
+      return;
+    }
+    
+    const validLobbyId = InputValidator.lobbyId(lobbyId);
+    if (!validLobbyId) {
+      socket.emit('error', { message: 'Invalid lobby ID format' });
+      return;
+    }
+    
+    const lobby = this.validateLobby(validLobbyId);
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+    
+    this.stopSpectating(socket);
+    
+    lobby.spectators.add(socket.id);
+    this.spectatorToLobby.set(socket.id, validLobbyId);
+    socket.join(GameNotifier.getSpectatorRoom(validLobbyId));
+    
+    socket.emit('spectating', {
+      lobbyId: validLobbyId,
+      playerNames: lobby.players.map(p => p.name),
+      state: lobby.session ? lobby.session.getSpectatorState() : null,
+      series: lobby.series ? this.getSeriesState(lobby) : null
+    });
+    
+    console.log(`Spectator ${socket.id} is watching lobby ${validLobbyId}`);
+    this.sendSpectatorCount(validLobbyId, lobby);
+  }
+
+  /**
+   * Stop watching a lobby (no-op if the socket isn't a spectator)
+   */
+  stopSpectating(socket) {
+    const lobbyId = this.spectatorToLobby.get(socket.id);
+    if (!lobbyId) return;
+    
+    this.spectatorToLobby.delete(socket.id);
+    socket.leave(GameNotifier.getSpectatorRoom(lobbyId));
+    
+    const lobby = this.lobbies.get(lobbyId);
+    if (!lobby) return;
+    
+    lobby.spectators.delete(socket.id);
+    this.sendSpectatorCount(lobbyId, lobby);
+  }
+
+  /**
+   * Tell players and spectators how many people are watching
+   */
+  sendSpectatorCount(lobbyId, lobby) {
+    const data = { count: lobby.spectators.size };
+    this.io.to(lobbyId).emit('spectatorCount', data);
+    GameNotifier.emitToSpectators(this.io, lobbyId, 'spectatorCount', data);
+  }
+
+  /**
+   * Refresh spectators' view after a pause, resume or autopilot change
+   */
+  sendSpectatorState(lobbyId, lobby) {
+    if (!lobby.session || lobby.spectators.size === 0) return;
+    lobby.session.notifier.sendSpectatorState(lobby.session.getSpectatorState());
+  }
+
+  // ==================== Public Lobbies ====================
+
+  /**
+   * A lobby is listed while it is public and its host is waiting for an opponent
+   * @param {Object} lobby - Lobby record (may be undefined)
+   * @returns {boolean} True if the lobby belongs in the public list
+   */
+  isPubliclyListed(lobby) {
+    return Boolean(lobby && lobby.isPublic && !lobby.session && lobby.players.length === 1);
+  }
+
+  /**
+   * Public list entry for a lobby
+   */
+  getPublicLobbyInfo(lobbyId, lobby) {
+    return {
+      lobbyId,
+      hostName: lobby.players[0].name,
+      createdAt: lobby.createdAt,
+      age: Math.floor((Date.now() - lobby.createdAt) / 1000),
+      settings: lobby.settings
+    };
+  }
+
+  /**
+   * All public lobbies waiting for an opponent, newest first
+   * @returns {Array} Public list entries
+   */
+  getPublicLobbies() {
+    return Array.from(this.lobbies.entries())
+      .filter(([, lobby]) => this.isPubliclyListed(lobby))
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+      .map(([lobbyId, lobby]) => this.getPublicLobbyInfo(lobbyId, lobby));
+  }
+
+  /**
+   * Push a lobby's current listing state to subscribers.
+   * Called whenever a lobby is created, filled, started or cleaned up;
+   * 'publicLobbyAdded' also refreshes an entry that is already listed.
+   * @param {string} lobbyId - Lobby ID
+   */
+  updatePublicListing(lobbyId) {
+    const lobby = this.lobbies.get(lobbyId);
+    
+    if (this.isPubliclyListed(lobby)) {
+      this.publicListed.add(lobbyId);
+      this.io.to(PUBLIC_LOBBIES_ROOM).emit('publicLobbyAdded', this.getPublicLobbyInfo(lobbyId, lobby));
+    } else if (this.publicListed.delete(lobbyId)) {
+      this.io.to(PUBLIC_LOBBIES_ROOM).emit('publicLobbyRemoved', { lobbyId });
+    }
+  }
+
+  /**
+   * Start sending public list updates to a socket
+   */
+  subscribePublicLobbies(socket) {
+    socket.join(PUBLIC_LOBBIES_ROOM);
+    socket.emit('publicLobbies', { lobbies: this.getPublicLobbies() });
+  }
+
+  /**
+   * Stop sending public list updates to a socket
+   */
+  unsubscribePublicLobbies(socket) {
+    socket.leave(PUBLIC_LOBBIES_ROOM);
+  }
+
   // ==================== Utilities ====================
 
   /**
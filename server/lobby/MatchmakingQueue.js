@@ -0,0 +1,131 @@
+const { MATCHMAKING_CONFIG } = require('../game/constants');
+
+/**
+ * MatchmakingQueue - Holds players looking for a random opponent ("Quick match")
+ * Pairing is first-come-first-served among compatible entries; LobbyManager
+ * turns a pair into a lobby and starts the game.
+ */
+class MatchmakingQueue {
+  constructor() {
+    this.entries = []; // QueueEntry objects in join order
+    this.recentWaits = []; // Seconds waited by recently matched players
+  }
+
+  /**
+   * Add a player to the queue (replaces an existing entry for the same socket)
+   * @param {Object} socket - Player's socket
+   * @param {Object} data - { playerId, identityToken, playerName, settings, strictSettings }
+   * @returns {Object} QueueEntry
+   */
+  add(socket, { playerId, identityToken, playerName, settings, strictSettings }) {
+    this.remove(socket.id);
+
+    const entry = {
+      socket,
+      playerId,
+      identityToken,
+      playerName,
+      settings,
+      // Validated settings are built in a fixed key order, so equal
+      // settings serialize identically
+      settingsKey: JSON.stringify(settings),
+      strictSettings,
+      joinedAt: Date.now()
+    };
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove a player from the queue
+   * @param {string} socketId - Player's socket ID
+   * @returns {boolean} True if the player was queued
+   */
+  remove(socketId) {
+    const index = this.entries.findIndex(e => e.socket.id === socketId);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Check if a socket is queued
+   * @param {string} socketId - Player's socket ID
+   * @returns {boolean} True if queued
+   */
+  has(socketId) {
+    return this.entries.some(e => e.socket.id === socketId);
+  }
+
+  /**
+   * Two entries can play each other if their settings match, or if at least
+   * one of them accepts any settings
+   */
+  isCompatible(a, b) {
+    if (a.playerId === b.playerId) return false;
+    return a.settingsKey === b.settingsKey || !a.strictSettings || !b.strictSettings;
+  }
+
+  /**
+   * Find the longest-waiting compatible opponent for an entry and take both
+   * out of the queue
+   * @param {Object} entry - QueueEntry looking for an opponent
+   * @returns {Object|null} { first, second, settings } or null if nobody fits
+   */
+  takeMatch(entry) {
+    const opponent = this.entries.find(e => e !== entry && this.isCompatible(entry, e));
+    if (!opponent) return null;
+
+    this.entries = this.entries.filter(e => e !== entry && e !== opponent);
+
+    const now = Date.now();
+    [entry, opponent].forEach(e => this.recordWait((now - e.joinedAt) / 1000));
+
+    // A strict player's settings win; otherwise the longer-waiting player's
+    let settings = opponent.settings;
+    if (entry.strictSettings && !opponent.strictSettings) {
+      settings = entry.settings;
+    }
+
+    return { first: opponent, second: entry, settings };
+  }
+
+  /**
+   * Remember how long a matched player waited
+   * @param {number} seconds - Wait time
+   */
+  recordWait(seconds) {
+    this.recentWaits.push(seconds);
+    if (this.recentWaits.length > MATCHMAKING_CONFIG.WAIT_SAMPLE_SIZE) {
+      this.recentWaits.shift();
+    }
+  }
+
+  /**
+   * Estimated wait based on recent matches
+   * @returns {number|null} Seconds, or null if there is no data yet
+   */
+  getEstimatedWait() {
+    if (this.recentWaits.length === 0) return null;
+    const total = this.recentWaits.reduce((sum, s) => sum + s, 0);
+    return Math.ceil(total / this.recentWaits.length);
+  }
+
+  /**
+   * Queue status for one entry
+   * @param {Object} entry - QueueEntry
+   * @returns {Object} { position, queueSize, estimatedWait, waited }
+   */
+  getStatus(entry) {
+    return {
+      position: this.entries.indexOf(entry) + 1,
+      queueSize: this.entries.length,
+      estimatedWait: this.getEstimatedWait(),
+      waited: Math.floor((Date.now() - entry.joinedAt) / 1000)
+    };
+  }
+}
+
+module.exports = MatchmakingQueue;
@@ -17,9 +17,10 @@ class ReconnectManager {
    * @param {string} lobbyId - Lobby ID
    * @param {Function} onTimeout - Callback when reconnect timeout expires
    * @param {Function} onNotify - Callback to notify opponent (called after delay)
+   * @param {number} [timeoutMs] - Lobby-specific reconnect window
    * @returns {Object} DisconnectInfo object
    */
-  track(playerId, lobbyId, onTimeout, onNotify = null) {
+  track(playerId, lobbyId, onTimeout, onNotify = null, timeoutMs = this.timeoutMs) {
     // Clear any existing tracking
     this.clear(playerId);
 
@@ -27,11 +28,12 @@ class ReconnectManager {
     
     const timeout = setTimeout(() => {
       onTimeout(playerId, lobbyId);
-    }, this.timeoutMs);
+    }, timeoutMs);
 
     const info = {
       lobbyId,
       timeout,
+      timeoutMs,
       notifyTimeout: null,
       disconnectedAt
     };
@@ -57,8 +59,9 @@ class ReconnectManager {
    * @param {string} playerId - Player's ID
    * @param {string} lobbyId - Lobby ID
    * @param {Function} onTimeout - Callback when reconnect timeout expires
+   * @param {number} [timeoutMs] - Lobby-specific reconnect window
    */
-  trackSilent(playerId, lobbyId, onTimeout) {
+  trackSilent(playerId, lobbyId, onTimeout, timeoutMs = this.timeoutMs) {
     // Clear any existing tracking
     this.clear(playerId);
 
@@ -66,11 +69,12 @@ class ReconnectManager {
     
     const timeout = setTimeout(() => {
       onTimeout(playerId, lobbyId);
-    }, this.timeoutMs);
+    }, timeoutMs);
 
     const info = {
       lobbyId,
       timeout,
+      timeoutMs,
       notifyTimeout: null,
       disconnectedAt
     };
@@ -106,7 +110,7 @@ class ReconnectManager {
     if (!info || !info.disconnectedAt) return 0;
     
     const elapsed = Date.now() - info.disconnectedAt;
-    return Math.max(0, Math.ceil((this.timeoutMs - elapsed) / 1000));
+    return Math.max(0, Math.ceil((info.timeoutMs - elapsed) / 1000));
   }
 
   /**
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { SESSION_TOKEN_CONFIG } = require('../game/constants');
+
+/**
+ * SessionTokenManager - Issues and checks HMAC-signed session tokens
+ * A token proves that its holder was given a seat (playerId) in a lobby.
+ * Rejoin and reconnect require it, so knowing a playerId and a lobby code
+ * is no longer enough to take over someone else's seat.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload: { playerId, lobbyId, exp, jti }
+ *
+ * Only the latest token per seat is accepted, and all of a lobby's tokens
+ * are revoked when the lobby is cleaned up.
+ */
+class SessionTokenManager {
+  /**
+   * @param {string} [secret] - HMAC key; a random one is generated if omitted
+   *   (tokens then stop working after a restart, as do the in-memory lobbies)
+   */
+  constructor(secret = process.env.SESSION_TOKEN_SECRET) {
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.active = new Map(); // lobbyId -> Map(playerId -> jti)
+  }
+
+  /**
+   * Issue a token for a seat, replacing any earlier one
+   * @param {string} playerId - Player ID
+   * @param {string} lobbyId - Lobby ID
+   * @returns {string} Signed token
+   */
+  issue(playerId, lobbyId) {
+    const payload = {
+      playerId,
+      lobbyId,
+      exp: Date.now() + SESSION_TOKEN_CONFIG.TTL * 1000,
+      jti: crypto.randomBytes(12).toString('hex')
+    };
+    
+    if (!this.active.has(lobbyId)) {
+      this.active.set(lobbyId, new Map());
+    }
+    this.active.get(lobbyId).set(playerId, payload.jti);
+    
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * Check a token against the seat it should belong to
+   * @param {*} token - Token from the client
+   * @param {string} playerId - Expected player ID
+   * @param {string} lobbyId - Expected lobby ID
+   * @returns {boolean} True if the token is genuine, current and for this seat
+   */
+  verify(token, playerId, lobbyId) {
+    if (typeof token !== 'string') return false;
+    
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return false;
+    
+    const expected = Buffer.from(this.sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+    
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch (e) {
+      return false;
+    }
+    
+    if (!payload || payload.playerId !== playerId || payload.lobbyId !== lobbyId) return false;
+    if (typeof payload.exp !== 'number' || payload.exp < Date.now()) return false;
+    
+    const seats = this.active.get(lobbyId);
+    return Boolean(seats && seats.get(playerId) === payload.jti);
+  }
+
+  /**
+   * Revoke a single seat's token (player left the lobby)
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} playerId - Player ID
+   */
+  revoke(lobbyId, playerId) {
+    const seats = this.active.get(lobbyId);
+    if (!seats) return;
+    
+    seats.delete(playerId);
+    if (seats.size === 0) {
+      this.active.delete(lobbyId);
+    }
+  }
+
+  /**
+   * Revoke every token issued for a lobby
+   * @param {string} lobbyId - Lobby ID
+   */
+  revokeLobby(lobbyId) {
+    this.active.delete(lobbyId);
+  }
+
+  /**
+   * HMAC signature of a token body
+   */
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+module.exports = SessionTokenManager;
@@ -0,0 +1,387 @@
+const { resolveCards } = require('../game/rules');
+const { scoreRound, isDecided } = require('../game/scoring');
+const { getRuleSet } = require('../game/ruleSets');
+const { Deck } = require('../game/Deck');
+const { cardToken, parseCardToken } = require('../game/specialCards');
+const { hasModifier, modifierToken, parseModifierToken } = require('../game/roundModifiers');
+const InputValidator = require('../utils/InputValidator');
+const { IMPORT_CONFIG, Tiebreak, RoundModifier } = require('../game/constants');
+const { parseNotation } = require('./notation');
+
+/**
+ * Game import
+ * Turns notation or a JSON export back into a match record the replay
+ * viewer can show. Nothing in the input is trusted: the game is played
+ * again from the starting sequences and swaps, every round through
+ * rules.resolveCards and the lobby's scoring strategy, and each claim (card, score, result) that doesn't
+ * match is reported with its line (notation) or round (JSON). Tiebreak
+ * rounds after a level game are taken as written: their side hands aren't
+ * part of the record, so only that the cards exist in the deck can be checked.
+ *
+ * Draft (common form of both inputs, indexed by player order):
+ *   players     - [name, name]
+ *   ids         - [id, id] or null to generate
+ *   settings    - Raw settings for InputValidator.gameSettings
+ *   sequences   - [[token, ...], [token, ...]] before the first swap (specialCards.cardToken)
+ *   rounds      - [{ line, number, cards: [token, token], swaps: [[{ pos1, pos2 }], [...]], scores: [a, b], modifier, winner }]
+ *                 with modifier a roundModifiers.modifierToken or null, and winner the claimed
+ *                 round winner: 0, 1, null for a draw, -1 for an unknown player or undefined
+ *                 if the input doesn't record it (notation)
+ *   winnerIndex - 0, 1 or null (used when the game ended early)
+ *   result      - Claimed final score [a, b] or null
+ */
+
+const END_REASONS = ['normal', 'disconnect', 'leave'];
+
+/**
+ * Claimed result of an exported round
+ * @param {Object} round - Round from a JSON match record
+ * @param {Array<string>} ids - Player IDs in order
+ * @returns {number|null|undefined} Winner index, null for a draw,
+ *   -1 for an unknown or contradictory winner, undefined if not recorded
+ */
+function claimedRoundWinner(round, ids) {
+  if (!round || (round.winner === undefined && round.isDraw === undefined)) return undefined;
+  if (round.isDraw === true) return round.winner == null ? null : -1;
+  return ids.indexOf(round.winner);
+}
+
+/**
+ * Read an exported JSON match record into a draft
+ * @param {string} text - JSON text ({ match } as served by the API, or the bare record)
+ * @returns {Object} { draft, errors }
+ */
+function parseJson(text) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    return { draft: null, errors: [{ line: null, message: 'Некорректный JSON' }] };
+  }
+
+  if (record && record.match) {
+    record = record.match;
+  }
+  if (!record || !Array.isArray(record.players) || record.players.length !== 2 ||
+      record.players.some(p => !p || typeof p !== 'object') || !record.settings) {
+    return { draft: null, errors: [{ line: null, message: 'В JSON нет записи игры' }] };
+  }
+
+  const ids = record.players.map(p => p.id);
+  const sequences = record.initialSequences || record.dealtHands || {};
+  const swaps = Array.isArray(record.swaps) ? record.swaps : [];
+  const tokenOf = (card) => (card && typeof card.type === 'string' ? cardToken(card) : undefined);
+  const tokensOf = (cards) => (Array.isArray(cards) ? cards.map(tokenOf) : []);
+  const rawRuleSet = record.settings.ruleSet;
+  const result = record.result || {};
+
+  const draft = {
+    id: record.id,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    endReason: record.endReason,
+    ids,
+    players: record.players.map(p => p.name),
+    settings: {
+      ...record.settings,
+      // Built-in rule sets are referenced by ID (a full definition would be taken as a custom set)
+      ruleSet: rawRuleSet && getRuleSet(rawRuleSet.id) ? rawRuleSet.id : rawRuleSet
+    },
+    sequences: ids.map(id => tokensOf(sequences[id])),
+    sequenceLines: [null, null],
+    rounds: (Array.isArray(record.rounds) ? record.rounds : []).map(round => ({
+      line: null,
+      number: round && round.round,
+      cards: ids.map(id => round && round.cards && tokenOf(round.cards[id])),
+      swaps: ids.map(id => swaps
+        .filter(s => s && s.playerId === id && s.round === (round && round.round))
+        .map(({ pos1, pos2 }) => ({ pos1, pos2 }))),
+      scores: ids.map(id => round && round.scores && round.scores[id]),
+      modifier: round && round.modifier && typeof round.modifier.id === 'string' ? modifierToken(round.modifier) : null,
+      winner: claimedRoundWinner(round, ids)
+    })),
+    winnerIndex: ids.indexOf(result.winner) === -1 ? null : ids.indexOf(result.winner),
+    result: record.players.map(p => p.score),
+    resultLine: null
+  };
+
+  return { draft, errors: [] };
+}
+
+/**
+ * Count the cards of a full deck by token
+ * @returns {Object} token -> copies
+ */
+function countDeck(settings) {
+  const counts = {};
+  Deck.createFullDeck(settings.ruleSet, settings.specialCards).forEach(card => {
+    const token = cardToken(card);
+    counts[token] = (counts[token] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Check a starting sequence against the deck and hand size
+ * @returns {boolean} True if every card is in the deck and none is used more often than the deck has it
+ */
+function isValidSequence(tokens, settings) {
+  if (tokens.length !== settings.cardsPerPlayer) return false;
+
+  const available = countDeck(settings);
+  return tokens.every(token => {
+    if (!available[token]) return false;
+    available[token]--;
+    return true;
+  });
+}
+
+/**
+ * Build a card from a token
+ */
+function createCard(token, id, index, ruleSet) {
+  return { id, ...parseCardToken(token, ruleSet), index };
+}
+
+/**
+ * Play a draft again and build a match record from it
+ * @param {Object} draft - Parsed game
+ * @param {Array} errors - Problems found so far; mismatches are appended
+ * @returns {Object|null} Match record, or null if the game can't be played at all
+ */
+function replayDraft(draft, errors) {
+  const report = (line, message) => errors.push({ line: line || null, message });
+
+  const settings = InputValidator.gameSettings({ ...draft.settings, rated: false });
+  if (!settings) {
+    report(null, 'Недопустимые настройки игры (правила, число раундов, карт или свапов)');
+    return null;
+  }
+
+  const names = draft.players.map((name, index) => InputValidator.playerName(name, `Player ${index + 1}`));
+  const ids = (draft.ids || []).map(id => InputValidator.playerId(id));
+  if (ids.length !== 2 || ids.includes(null) || ids[0] === ids[1]) {
+    ids.splice(0, ids.length, 'player1', 'player2');
+  }
+
+  for (let i = 0; i < 2; i++) {
+    if (!isValidSequence(draft.sequences[i], settings)) {
+      report(draft.sequenceLines[i], `Расстановка игрока ${names[i]} не подходит к правилам и числу карт`);
+      return null;
+    }
+  }
+
+  // Cards get fresh IDs; only their tokens matter
+  const sequences = draft.sequences.map((tokens, i) => tokens.map((token, index) =>
+    createCard(token, `${ids[i]}-${index}`, index, settings.ruleSet)));
+  const deck = countDeck(settings);
+  const initial = {};
+  ids.forEach((id, i) => {
+    initial[id] = [...sequences[i]];
+  });
+
+  const scores = [0, 0];
+  const swapsUsed = [0, 0];
+  const swapLog = [];
+  const rounds = [];
+  const events = [
+    { type: 'deal', at: 0, hands: initial },
+    ...ids.map(id => ({ type: 'sequenceSet', at: 0, playerId: id, sequence: [...initial[id]], auto: false }))
+  ];
+
+  for (let index = 0; index < draft.rounds.length; index++) {
+    const claimed = draft.rounds[index];
+    const number = index + 1;
+
+    const tiebreak = number > settings.totalRounds;
+    if (isDecided(settings, scores)) {
+      report(claimed.line, `Лишний раунд: игра уже решена при счёте ${scores[0]}-${scores[1]}`);
+      break;
+    }
+    if (tiebreak && settings.tiebreak === Tiebreak.OFF) {
+      report(claimed.line, `Лишний раунд: в игре только ${settings.totalRounds}`);
+      break;
+    }
+    if (tiebreak && scores[0] !== scores[1]) {
+      report(claimed.line, `Лишний раунд: тай-брейк играют только при равном счёте, а он ${scores[0]}-${scores[1]}`);
+      break;
+    }
+    if (claimed.number !== number) {
+      report(claimed.line, `Раунд ${number} записан под номером ${claimed.number}`);
+    }
+
+    // Regular rounds draw from the modifier pool; tiebreak rounds never have one
+    let modifier = null;
+    if (tiebreak && claimed.modifier) {
+      report(claimed.line, `Раунд ${number}: в тай-брейке модификаторов не бывает`);
+    } else if (claimed.modifier) {
+      modifier = parseModifierToken(claimed.modifier, settings);
+      if (!modifier) {
+        report(claimed.line, `Раунд ${number}: модификатора ${claimed.modifier} нет в пуле лобби`);
+      }
+    } else if (!tiebreak && settings.roundModifiers.length > 0) {
+      report(claimed.line, `Раунд ${number}: не записан модификатор раунда`);
+    }
+
+    if (tiebreak) {
+      events.push({ type: 'tiebreakStart', at: 0, round: number });
+    } else {
+      events.push({ type: 'roundStart', at: 0, round: number, modifier });
+    }
+
+    for (let i = 0; i < 2 && !tiebreak; i++) {
+      const swaps = claimed.swaps[i] || [];
+      if (swaps.length > 0 && hasModifier(modifier, RoundModifier.NO_SWAPS)) {
+        report(claimed.line, `Раунд ${number}: у ${names[i]} свап в раунде без свапов`);
+        continue;
+      }
+      if (swaps.length > settings.maxSwapsPerRound) {
+        report(claimed.line, `Раунд ${number}: у ${names[i]} больше ${settings.maxSwapsPerRound} свап(ов) за раунд`);
+      }
+
+      swaps.forEach(({ pos1, pos2 }) => {
+        const sequence = sequences[i];
+        const valid = Number.isInteger(pos1) && Number.isInteger(pos2) &&
+          Math.abs(pos1 - pos2) === 1 &&
+          Math.min(pos1, pos2) >= number - 1 &&
+          Math.max(pos1, pos2) < sequence.length;
+        if (!valid) {
+          report(claimed.line, `Раунд ${number}: недопустимый свап ${pos1 + 1}-${pos2 + 1} у ${names[i]}`);
+          return;
+        }
+        if (swapsUsed[i] >= settings.maxSwapsPerGame) {
+          report(claimed.line, `Раунд ${number}: у ${names[i]} больше ${settings.maxSwapsPerGame} свап(ов) за игру`);
+          return;
+        }
+
+        [sequence[pos1], sequence[pos2]] = [sequence[pos2], sequence[pos1]];
+        swapsUsed[i]++;
+        swapLog.push({ playerId: ids[i], round: number, pos1, pos2 });
+        events.push({ type: 'swap', at: 0, playerId: ids[i], round: number, pos1, pos2 });
+      });
+    }
+
+    let played;
+    if (tiebreak) {
+      if (claimed.swaps.some(swaps => swaps && swaps.length > 0)) {
+        report(claimed.line, `Раунд ${number}: в тай-брейке свапов не бывает`);
+      }
+      const unknown = claimed.cards.findIndex(token => !deck[token]);
+      if (unknown !== -1) {
+        report(claimed.line, `Раунд ${number}: у ${names[unknown]} карта ${claimed.cards[unknown]}, которой нет в колоде`);
+        break;
+      }
+      played = claimed.cards.map((token, i) => createCard(token, `${ids[i]}-tb${number}`, 0, settings.ruleSet));
+    } else {
+      played = sequences.map(sequence => sequence[number - 1]);
+      played.forEach((card, i) => {
+        if (claimed.cards[i] !== cardToken(card)) {
+          report(claimed.line, `Раунд ${number}: у ${names[i]} по расстановке ${cardToken(card)}, а записано ${claimed.cards[i]}`);
+        }
+      });
+    }
+
+    const { result: outcome, points: cardPoints, explanation } = resolveCards(played[0], played[1], settings.ruleSet, modifier);
+    const winner = outcome === 0 ? null : ids[outcome - 1];
+    const { points, reason } = scoreRound(settings, { round: number, winner, basePoints: cardPoints }, rounds);
+    if (winner) {
+      scores[outcome - 1] += points;
+    }
+
+    const roundWinnerIndex = outcome === 0 ? null : outcome - 1;
+    if (claimed.winner !== undefined && claimed.winner !== roundWinnerIndex) {
+      const describe = (index) => (index === null ? 'ничья' : `победа ${names[index]}`);
+      const recorded = claimed.winner === -1 ? 'неизвестный победитель' : describe(claimed.winner);
+      report(claimed.line, `Раунд ${number}: записан результат «${recorded}», а по картам «${describe(roundWinnerIndex)}»`);
+    }
+
+    if (claimed.scores[0] !== scores[0] || claimed.scores[1] !== scores[1]) {
+      report(claimed.line, `Раунд ${number}: записан счёт ${claimed.scores[0]}-${claimed.scores[1]}, а по картам ${scores[0]}-${scores[1]}`);
+    }
+
+    const round = {
+      round: number,
+      cards: { [ids[0]]: played[0], [ids[1]]: played[1] },
+      winner,
+      isDraw: outcome === 0,
+      tiebreak,
+      modifier,
+      explanation,
+      points,
+      pointsReason: reason,
+      scores: { [ids[0]]: scores[0], [ids[1]]: scores[1] }
+    };
+    rounds.push(round);
+    events.push({ type: 'reveal', at: 0, round: number, cards: round.cards, winner, isDraw: round.isDraw, tiebreak, points, scores: round.scores });
+  }
+
+  const endReason = END_REASONS.includes(draft.endReason) ? draft.endReason : 'normal';
+  if (endReason === 'normal' && rounds.length < settings.totalRounds && !isDecided(settings, scores)) {
+    report(null, `Игра отмечена как доигранная, но сыграно ${rounds.length} раунд(ов) из ${settings.totalRounds}`);
+  } else if (endReason === 'normal' && settings.tiebreak !== Tiebreak.OFF && scores[0] === scores[1]) {
+    report(null, `Игра отмечена как доигранная вничью ${scores[0]}-${scores[1]}, но по правилам лобби ничью разыгрывают в тай-брейке`);
+  }
+  if (draft.result && (draft.result[0] !== scores[0] || draft.result[1] !== scores[1])) {
+    report(draft.resultLine, `Записан итог ${draft.result[0]}-${draft.result[1]}, а по картам ${scores[0]}-${scores[1]}`);
+  }
+
+  // A finished game is decided by the cards; an early end by who stayed
+  let winner = null;
+  if (endReason !== 'normal') {
+    winner = draft.winnerIndex === null ? null : ids[draft.winnerIndex];
+  } else if (scores[0] !== scores[1]) {
+    winner = scores[0] > scores[1] ? ids[0] : ids[1];
+  }
+
+  const finalScores = { [ids[0]]: scores[0], [ids[1]]: scores[1] };
+  events.push({ type: 'end', at: 0, reason: endReason, winner, isDraw: !winner, scores: finalScores });
+
+  const finalSequences = {};
+  ids.forEach((id, i) => {
+    finalSequences[id] = sequences[i];
+  });
+
+  const startedAt = Number.isFinite(draft.startedAt) ? draft.startedAt : null;
+  const endedAt = Number.isFinite(draft.endedAt) ? draft.endedAt : startedAt;
+
+  return {
+    id: typeof draft.id === 'string' && /^[\w-]{1,64}$/.test(draft.id) ? draft.id : null,
+    imported: true,
+    lobbyId: null,
+    startedAt,
+    endedAt,
+    endReason,
+    players: ids.map((id, i) => ({ id, name: names[i], isBot: false, score: scores[i] })),
+    settings,
+    dealtHands: initial,
+    initialSequences: initial,
+    finalSequences,
+    swaps: swapLog,
+    timeouts: {},
+    rounds,
+    events,
+    result: {
+      winner,
+      isDraw: !winner,
+      score: `${scores[0]}:${scores[1]}`
+    },
+    rated: false,
+    ratingChanges: null
+  };
+}
+
+/**
+ * Import a game from notation or a JSON export
+ * @param {string} text - Notation or JSON text
+ * @returns {Object} { match, errors } - match is null if the text can't be played;
+ *   errors are { line, message } with line null when it doesn't apply
+ */
+function importMatch(text) {
+  const trimmed = text.trim();
+  const { draft, errors } = trimmed.startsWith('{') ? parseJson(trimmed) : parseNotation(trimmed);
+  const match = draft ? replayDraft(draft, errors) : null;
+
+  return { match, errors: errors.slice(0, IMPORT_CONFIG.MAX_ERRORS) };
+}
+
+module.exports = { importMatch };
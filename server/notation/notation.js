@@ -0,0 +1,257 @@
+/**
+ * Match notation
+ * A compact, human-readable text form of a finished game. Tags come first
+ * (PGN style), then one line per round:
+ *
+ *   [Player1 "Анна"]
+ *   [Player2 "Борис"]
+ *   [RuleSet "classic"]
+ *   [Sequence1 "rock paper scissors"]
+ *   ...
+ *   1. rock paper{2-3} 0-1
+ *
+ * A round line holds the round number, each player's card with the swaps
+ * they made that round as {pos1-pos2} (1-based positions in the full
+ * sequence) and the score after the round. Sequence tags are the orders
+ * before the first swap. Cards are written as specialCards.cardToken does
+ * ('rock', 'joker', 'rock+double'); the Specials tag lists how many of each
+ * special card the deck held, e.g. "joker:1 shield:2" ('-' for none). The
+ * Scoring tag names the scoring strategy (ScoringTarget is its target for
+ * 'firstTo'); the scores on round lines are its points. The Modifiers tag
+ * lists the round modifier pool ('-' for none); a round that drew one ends
+ * with its token, e.g. "3. rock paper 1-1 @wild:rock" (see
+ * roundModifiers.modifierToken). Rounds numbered past the Rounds tag are sudden-death
+ * tiebreak rounds (cards from a side hand, never swaps). Lines starting with
+ * ';' are comments.
+ */
+
+const { DEFAULT_GAME_SETTINGS, SpecialCard } = require('../game/constants');
+const { cardToken } = require('../game/specialCards');
+const { modifierToken } = require('../game/roundModifiers');
+
+const TAG_PATTERN = /^\[([A-Za-z0-9]+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const ROUND_PATTERN = /^(\d+)\.\s+(\S+)\s+(\S+)\s+(\d+)-(\d+)(?:\s+@(\S+))?$/;
+const CELL_PATTERN = /^([a-z]{1,16}(?:\+[a-z]{1,16})?)((?:\{\d+-\d+\})*)$/;
+const SPECIAL_PATTERN = /^([a-z]+):(\d+)$/;
+const SWAP_PATTERN = /\{(\d+)-(\d+)\}/g;
+
+const REQUIRED_TAGS = ['Player1', 'Player2', 'RuleSet', 'Rounds', 'Sequence1', 'Sequence2'];
+
+/**
+ * Quote a tag value
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Undo quote()
+ */
+function unquote(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Write the special card counts of a deck, e.g. "joker:1 shield:2"
+ */
+function formatSpecials(specialCards = {}) {
+  const entries = Object.values(SpecialCard)
+    .filter(special => specialCards[special] > 0)
+    .map(special => `${special}:${specialCards[special]}`);
+  return entries.length > 0 ? entries.join(' ') : '-';
+}
+
+/**
+ * Undo formatSpecials()
+ * @returns {Object|null|undefined} Counts, null if malformed, undefined without the tag
+ */
+function parseSpecials(value) {
+  if (value === undefined) return undefined;
+  if (value === '-') return {};
+
+  const counts = {};
+  for (const entry of value.split(/\s+/).filter(Boolean)) {
+    const match = SPECIAL_PATTERN.exec(entry);
+    if (!match || !Object.values(SpecialCard).includes(match[1])) return null;
+    counts[match[1]] = Number(match[2]);
+  }
+  return counts;
+}
+
+/**
+ * Undo the Modifiers tag ('-' for an empty pool)
+ * @returns {Array<string>|undefined} Modifier IDs (unchecked), undefined without the tag
+ */
+function parseModifiers(value) {
+  if (value === undefined) return undefined;
+  return value === '-' ? [] : value.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Write a stored match as notation
+ * @param {Object} match - Match record (see GameSession.getMatchRecord)
+ * @returns {string} Notation text
+ */
+function formatNotation(match) {
+  const [first, second] = match.players;
+  const { settings } = match;
+  const sequences = match.initialSequences || match.dealtHands;
+  const tokens = (cards) => (cards || []).map(cardToken).join(' ');
+
+  let winner = '-';
+  if (match.result.winner) {
+    winner = match.result.winner === first.id ? '1' : '2';
+  }
+
+  const tags = [
+    ['Id', match.id],
+    ['Date', new Date(match.startedAt || match.endedAt).toISOString()],
+    ['RuleSet', settings.ruleSet.id],
+    ['Rounds', settings.totalRounds],
+    ['Cards', settings.cardsPerPlayer],
+    ['SwapsPerGame', settings.maxSwapsPerGame],
+    ['SwapsPerRound', settings.maxSwapsPerRound],
+    ['Tiebreak', settings.tiebreak || 'off'],
+    ['Specials', formatSpecials(settings.specialCards)],
+    ['Scoring', settings.scoring || 'classic'],
+    ['ScoringTarget', settings.scoringTarget || DEFAULT_GAME_SETTINGS.scoringTarget],
+    ['Modifiers', (settings.roundModifiers || []).join(' ') || '-'],
+    ['Player1', first.name],
+    ['Player2', second.name],
+    ['Sequence1', tokens(sequences[first.id])],
+    ['Sequence2', tokens(sequences[second.id])],
+    ['End', match.endReason],
+    ['Winner', winner],
+    ['Result', `${first.score}-${second.score}`]
+  ];
+
+  const cell = (round, player) => {
+    const swaps = match.swaps
+      .filter(s => s.playerId === player.id && s.round === round.round)
+      .map(s => `{${s.pos1 + 1}-${s.pos2 + 1}}`);
+    return cardToken(round.cards[player.id]) + swaps.join('');
+  };
+
+  const lines = tags.map(([name, value]) => `[${name} ${quote(value)}]`);
+  lines.push('');
+  match.rounds.forEach(round => {
+    const modifier = round.modifier ? ` @${modifierToken(round.modifier)}` : '';
+    lines.push(`${round.round}. ${cell(round, first)} ${cell(round, second)} ${round.scores[first.id]}-${round.scores[second.id]}${modifier}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse "a-b" into two integers
+ * @returns {Array<number>|null}
+ */
+function parseScore(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value || '');
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+/**
+ * Parse one player's cell of a round line, e.g. "paper{2-3}"
+ * @returns {Object|null} { card, swaps: [{ pos1, pos2 }] } - card token, 0-based positions
+ */
+function parseCell(cell) {
+  const match = CELL_PATTERN.exec(cell);
+  if (!match) return null;
+
+  const swaps = [];
+  for (const [, a, b] of match[2].matchAll(SWAP_PATTERN)) {
+    swaps.push({ pos1: Number(a) - 1, pos2: Number(b) - 1 });
+  }
+  return { card: match[1], swaps };
+}
+
+/**
+ * Read notation into an unchecked game draft (see importMatch)
+ * @param {string} text - Notation text
+ * @returns {Object} { draft, errors } - draft is null if the text is unusable
+ */
+function parseNotation(text) {
+  const errors = [];
+  const tags = {};
+  const tagLines = {};
+  const rounds = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = raw.trim();
+    if (!content || content.startsWith(';')) return;
+
+    const tag = TAG_PATTERN.exec(content);
+    if (tag) {
+      tags[tag[1]] = unquote(tag[2]);
+      tagLines[tag[1]] = line;
+      return;
+    }
+
+    const round = ROUND_PATTERN.exec(content);
+    const cells = round ? [parseCell(round[2]), parseCell(round[3])] : [];
+    if (!round || cells.includes(null)) {
+      errors.push({ line, message: 'Не удалось разобрать строку' });
+      return;
+    }
+
+    rounds.push({
+      line,
+      number: Number(round[1]),
+      cards: cells.map(c => c.card),
+      swaps: cells.map(c => c.swaps),
+      scores: [Number(round[4]), Number(round[5])],
+      modifier: round[6] || null
+    });
+  });
+
+  const missing = REQUIRED_TAGS.filter(name => tags[name] === undefined);
+  if (missing.length > 0) {
+    errors.push({ line: null, message: `Нет обязательных тегов: ${missing.join(', ')}` });
+    return { draft: null, errors };
+  }
+
+  // Missing optional tags fall back to defaults; malformed ones fail validation
+  const toInt = (value) => {
+    if (value === undefined) return undefined;
+    return /^\d+$/.test(value) ? Number(value) : NaN;
+  };
+  const sequences = [tags.Sequence1, tags.Sequence2].map(value => value.split(/\s+/).filter(Boolean));
+
+  let winnerIndex = null;
+  if (tags.Winner === '1' || tags.Winner === '2') {
+    winnerIndex = Number(tags.Winner) - 1;
+  }
+
+  const draft = {
+    id: tags.Id || null,
+    startedAt: Date.parse(tags.Date) || null,
+    endedAt: null,
+    endReason: tags.End || 'normal',
+    ids: null,
+    players: [tags.Player1, tags.Player2],
+    settings: {
+      ruleSet: tags.RuleSet,
+      totalRounds: toInt(tags.Rounds),
+      cardsPerPlayer: toInt(tags.Cards) !== undefined ? toInt(tags.Cards) : sequences[0].length,
+      maxSwapsPerGame: toInt(tags.SwapsPerGame),
+      maxSwapsPerRound: toInt(tags.SwapsPerRound),
+      tiebreak: tags.Tiebreak,
+      specialCards: parseSpecials(tags.Specials),
+      scoring: tags.Scoring,
+      scoringTarget: toInt(tags.ScoringTarget),
+      roundModifiers: parseModifiers(tags.Modifiers)
+    },
+    sequences,
+    sequenceLines: [tagLines.Sequence1, tagLines.Sequence2],
+    rounds,
+    winnerIndex,
+    result: parseScore(tags.Result),
+    resultLine: tagLines.Result || null
+  };
+
+  return { draft, errors };
+}
+
+module.exports = { formatNotation, parseNotation };
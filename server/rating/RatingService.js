@@ -0,0 +1,146 @@
+const { RATING_CONFIG } = require('../game/constants');
+
+/**
+ * RatingService - Elo ratings of persistent player IDs
+ * Ratings are not stored separately: they are rebuilt from the match history
+ * at startup (replay) and updated as each game is recorded, so the history
+ * stays the single source of truth.
+ */
+class RatingService {
+  constructor() {
+    this.players = new Map(); // playerId -> { rating, games, wins, losses, draws, updatedAt }
+  }
+
+  /**
+   * Rebuild ratings from stored matches
+   * @param {Array} matches - Match records, oldest first
+   */
+  replay(matches) {
+    this.players.clear();
+    matches.forEach(match => this.applyMatch(match));
+  }
+
+  /**
+   * Get a player's rating entry (defaults for unknown players)
+   * @param {string} playerId - Persistent player ID
+   * @returns {Object} { playerId, rating, games, wins, losses, draws, provisional }
+   */
+  get(playerId) {
+    const entry = this.players.get(playerId) || this.createEntry();
+    return {
+      playerId,
+      rating: Math.round(entry.rating),
+      games: entry.games,
+      wins: entry.wins,
+      losses: entry.losses,
+      draws: entry.draws,
+      provisional: entry.games < RATING_CONFIG.PROVISIONAL_GAMES,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  /**
+   * Rating entries of every player with at least one rated game
+   * @returns {Array} Entries as returned by get()
+   */
+  getAll() {
+    return [...this.players.keys()].map(playerId => this.get(playerId));
+  }
+
+  /**
+   * Rounded rating shown next to a player's name (null for bots)
+   * @param {Object} player - Player
+   * @returns {number|null} Rating
+   */
+  getDisplayRating(player) {
+    if (!player || player.isBot) return null;
+    return this.get(player.id).rating;
+  }
+
+  /**
+   * Only games between two different humans with rating enabled count
+   * @param {Object} match - Match record
+   * @returns {boolean} True if the game affects ratings
+   */
+  isRated(match) {
+    const [first, second] = match.players;
+    return match.settings.rated !== false &&
+      match.players.length === 2 &&
+      match.players.every(p => !p.isBot) &&
+      first.id !== second.id;
+  }
+
+  /**
+   * Update both players' ratings for a finished game
+   * A draw scores half a point each; in a game ended by a disconnect or by
+   * leaving, the player who stayed wins (a draw if both dropped)
+   * @param {Object} match - Match record
+   * @returns {Object|null} playerId -> { before, after, delta }, or null if unrated
+   */
+  applyMatch(match) {
+    if (!this.isRated(match)) return null;
+    
+    const [first, second] = match.players.map(p => this.getOrCreate(p.id));
+    const [firstId, secondId] = match.players.map(p => p.id);
+    
+    let firstScore = 0.5;
+    if (!match.result.isDraw) {
+      firstScore = match.result.winner === firstId ? 1 : 0;
+    }
+    
+    // Expected score of the first player
+    const expected = 1 / (1 + Math.pow(10, (second.rating - first.rating) / RATING_CONFIG.SCALE));
+    const firstDelta = this.getKFactor(first) * (firstScore - expected);
+    const secondDelta = this.getKFactor(second) * (expected - firstScore);
+    
+    return {
+      [firstId]: this.update(first, firstDelta, firstScore, match.endedAt),
+      [secondId]: this.update(second, secondDelta, 1 - firstScore, match.endedAt)
+    };
+  }
+
+  /**
+   * Apply a rating change and count the result
+   * @returns {Object} { before, after, delta } rounded for display
+   */
+  update(entry, delta, score, timestamp) {
+    const before = Math.round(entry.rating);
+    entry.rating += delta;
+    entry.games++;
+    if (score === 1) entry.wins++;
+    else if (score === 0) entry.losses++;
+    else entry.draws++;
+    entry.updatedAt = timestamp;
+    
+    const after = Math.round(entry.rating);
+    return { before, after, delta: after - before };
+  }
+
+  /**
+   * K-factor for a player (higher while provisional)
+   */
+  getKFactor(entry) {
+    return entry.games < RATING_CONFIG.PROVISIONAL_GAMES
+      ? RATING_CONFIG.PROVISIONAL_K_FACTOR
+      : RATING_CONFIG.K_FACTOR;
+  }
+
+  /**
+   * Get or create a mutable rating entry
+   */
+  getOrCreate(playerId) {
+    if (!this.players.has(playerId)) {
+      this.players.set(playerId, this.createEntry());
+    }
+    return this.players.get(playerId);
+  }
+
+  /**
+   * Fresh entry for a player without rated games
+   */
+  createEntry() {
+    return { rating: RATING_CONFIG.INITIAL, games: 0, wins: 0, losses: 0, draws: 0, updatedAt: null };
+  }
+}
+
+module.exports = RatingService;
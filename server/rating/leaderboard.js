@@ -0,0 +1,87 @@
+const RatingService = require('./RatingService');
+
+/**
+ * Leaderboard
+ * Ratings within a filter (rule set, time window) are computed by replaying
+ * only the matching rated games, so e.g. the weekly board starts everyone
+ * from the initial rating at the beginning of the window.
+ */
+
+/**
+ * Check if a stored game passes the leaderboard filters
+ * (whether it was rated at all is up to RatingService)
+ * @param {Object} match - Match record
+ * @param {Object} filters - { ruleSet, since }
+ */
+function matchesFilters(match, { ruleSet, since }) {
+  if (ruleSet && match.settings.ruleSet.id !== ruleSet) return false;
+  if (since && match.endedAt < since) return false;
+  return true;
+}
+
+/**
+ * Current streak from a player's results, newest last
+ * @param {Array<string>} results - 'W', 'L' or 'D' per game
+ * @returns {Object|null} { type, count } or null without games
+ */
+function getStreak(results) {
+  if (results.length === 0) return null;
+
+  const type = results[results.length - 1];
+  let count = 0;
+  for (let i = results.length - 1; i >= 0 && results[i] === type; i--) {
+    count++;
+  }
+  return { type, count };
+}
+
+/**
+ * Build the ranked leaderboard
+ * Rows leave out player IDs: the board is public, so the requesting player's
+ * own row is only marked with isCurrentUser.
+ * @param {Array} matches - Match records, oldest first
+ * @param {Object} filters - { ruleSet, since, minGames, currentPlayerId }
+ * @returns {Array} Rows { rank, name, rating, games, wins, losses, draws, streak, isCurrentUser }, best first
+ */
+function buildLeaderboard(matches, { ruleSet = null, since = null, minGames = 1, currentPlayerId = null } = {}) {
+  const ratings = new RatingService();
+  const names = new Map(); // playerId -> latest name
+  const results = new Map(); // playerId -> ['W' | 'L' | 'D']
+
+  matches
+    .filter(match => matchesFilters(match, { ruleSet, since }))
+    .forEach(match => {
+      if (!ratings.applyMatch(match)) return;
+
+      match.players.forEach(player => {
+        names.set(player.id, player.name);
+        if (!results.has(player.id)) results.set(player.id, []);
+
+        let result = 'D';
+        if (!match.result.isDraw) {
+          result = match.result.winner === player.id ? 'W' : 'L';
+        }
+        results.get(player.id).push(result);
+      });
+    });
+
+  return ratings.getAll()
+    .filter(entry => entry.games >= minGames)
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins || a.playerId.localeCompare(b.playerId))
+    .map((entry, index) => ({
+      rank: index + 1,
+      name: names.get(entry.playerId),
+      rating: entry.rating,
+      games: entry.games,
+      wins: entry.wins,
+      losses: entry.losses,
+      draws: entry.draws,
+      streak: getStreak(results.get(entry.playerId)),
+      isCurrentUser: entry.playerId === currentPlayerId
+    }));
+}
+
+module.exports = {
+  buildLeaderboard,
+  getStreak
+};
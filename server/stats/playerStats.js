@@ -0,0 +1,213 @@
+const { determineWinner } = require('../game/rules');
+const { getCardInfo } = require('../game/specialCards');
+
+/**
+ * Player statistics
+ * Everything here is derived from stored match records (see
+ * GameSession.getMatchRecord), so it covers every finished game the store
+ * still holds, rated or not.
+ */
+
+const TIMEOUT_PHASES = ['draft', 'construct', 'preview', 'sequence', 'swap', 'tiebreak', 'continue'];
+
+/**
+ * Score of one card against another from the first card's side
+ * @param {Object|null} [modifier] - Modifier of the round (see roundModifiers.js)
+ * @returns {number} 1 win, 0 draw, -1 loss
+ */
+function cardOutcome(card, opponentCard, ruleSet, modifier = null) {
+  const result = determineWinner(card, opponentCard, ruleSet, modifier);
+  if (result === 1) return 1;
+  if (result === 2) return -1;
+  return 0;
+}
+
+/**
+ * Apply a list of swaps to a copy of a sequence
+ * @param {Array} sequence - Cards in play order
+ * @param {Array} swaps - { pos1, pos2 } with positions in the full sequence
+ */
+function applySwaps(sequence, swaps) {
+  const result = [...sequence];
+  swaps.forEach(({ pos1, pos2 }) => {
+    [result[pos1], result[pos2]] = [result[pos2], result[pos1]];
+  });
+  return result;
+}
+
+/**
+ * Rounds won minus rounds lost by a sequence against the cards the
+ * opponent actually played, under each round's modifier
+ */
+function sequenceScore(sequence, opponentCards, ruleSet, modifiers) {
+  return opponentCards.reduce((sum, opponentCard, index) => {
+    return sequence[index] ? sum + cardOutcome(sequence[index], opponentCard, ruleSet, modifiers[index]) : sum;
+  }, 0);
+}
+
+/**
+ * Judge each of a player's swaps by undoing only that swap and replaying
+ * the rounds that were played (the opponent's cards stay as they were)
+ * @returns {Array<number>} Net rounds gained per swap (negative = it hurt)
+ */
+function evaluateSwaps(match, playerId, opponentId) {
+  const initial = match.initialSequences && match.initialSequences[playerId];
+  const swaps = match.swaps.filter(s => s.playerId === playerId);
+  if (!initial || swaps.length === 0) return [];
+
+  // Tiebreak cards come from a side hand, not from the swapped sequence
+  const ruleSet = match.settings.ruleSet;
+  const sequenceRounds = match.rounds.filter(r => !r.tiebreak);
+  const opponentCards = sequenceRounds.map(r => r.cards[opponentId]);
+  const modifiers = sequenceRounds.map(r => r.modifier || null);
+  const actual = sequenceScore(applySwaps(initial, swaps), opponentCards, ruleSet, modifiers);
+
+  return swaps.map((swap, index) => {
+    const withoutSwap = applySwaps(initial, swaps.filter((s, i) => i !== index));
+    return actual - sequenceScore(withoutSwap, opponentCards, ruleSet, modifiers);
+  });
+}
+
+/**
+ * Opponent key for head-to-head records; bot IDs are per game, so bots
+ * are grouped by name (difficulty)
+ */
+function opponentKey(opponent) {
+  return opponent.isBot ? `bot:${opponent.name}` : opponent.id;
+}
+
+/**
+ * Game result from a player's side
+ * @returns {string} 'win', 'loss' or 'draw'
+ */
+function gameResult(match, playerId) {
+  if (match.result.isDraw) return 'draw';
+  return match.result.winner === playerId ? 'win' : 'loss';
+}
+
+/**
+ * Build a player's statistics
+ * @param {Array} matches - The player's match records (any order)
+ * @param {string} playerId - Persistent player ID
+ * @returns {Object} { playerId, name, totals, cardTypes, slots, swaps, timeouts, opponents }
+ */
+function buildPlayerStats(matches, playerId) {
+  const totals = { games: 0, wins: 0, losses: 0, draws: 0 };
+  const cardTypes = new Map(); // type -> { type, label, icon, color, played, wins, losses, draws }
+  const slots = new Map(); // type -> counts per slot
+  const swaps = { total: 0, helped: 0, hurt: 0, neutral: 0, netRounds: 0 };
+  const timeouts = { games: 0, totals: { draft: 0, construct: 0, preview: 0, sequence: 0, swap: 0, tiebreak: 0, continue: 0 } };
+  const opponents = new Map(); // opponentKey -> record
+  let slotCount = 0;
+  let name = null;
+  let lastPlayedAt = -Infinity;
+
+  const typeEntry = (card, ruleSet) => {
+    if (!cardTypes.has(card.type)) {
+      const info = getCardInfo(ruleSet, card.type) || { label: card.type, icon: '?', color: 'none' };
+      cardTypes.set(card.type, {
+        type: card.type,
+        label: info.label,
+        icon: info.icon,
+        color: info.color,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0
+      });
+    }
+    return cardTypes.get(card.type);
+  };
+
+  matches.forEach(match => {
+    const me = match.players.find(p => p.id === playerId);
+    const opponent = match.players.find(p => p !== me);
+    if (!me || !opponent) return;
+
+    const ruleSet = match.settings.ruleSet;
+    const result = gameResult(match, playerId);
+    const resultKey = { win: 'wins', loss: 'losses', draw: 'draws' }[result];
+
+    totals.games++;
+    totals[resultKey]++;
+    if (match.endedAt > lastPlayedAt) {
+      lastPlayedAt = match.endedAt;
+      name = me.name;
+    }
+
+    // Round outcomes by the card this player played
+    match.rounds.forEach(round => {
+      const entry = typeEntry(round.cards[playerId], ruleSet);
+      entry.played++;
+      if (round.isDraw) entry.draws++;
+      else if (round.winner === playerId) entry.wins++;
+      else entry.losses++;
+    });
+
+    // Where each card type was placed when the sequence was set
+    const placed = (match.initialSequences && match.initialSequences[playerId]) ||
+      match.rounds.filter(r => !r.tiebreak).map(r => r.cards[playerId]);
+    placed.forEach((card, slot) => {
+      typeEntry(card, ruleSet);
+      if (!slots.has(card.type)) slots.set(card.type, []);
+      const counts = slots.get(card.type);
+      counts[slot] = (counts[slot] || 0) + 1;
+      slotCount = Math.max(slotCount, slot + 1);
+    });
+
+    evaluateSwaps(match, playerId, opponent.id).forEach(gain => {
+      swaps.total++;
+      swaps.netRounds += gain;
+      if (gain > 0) swaps.helped++;
+      else if (gain < 0) swaps.hurt++;
+      else swaps.neutral++;
+    });
+
+    // Older records don't have timeout counts
+    if (match.timeouts) {
+      timeouts.games++;
+      const mine = match.timeouts[playerId] || {};
+      TIMEOUT_PHASES.forEach(phase => {
+        timeouts.totals[phase] += mine[phase] || 0;
+      });
+    }
+
+    const key = opponentKey(opponent);
+    if (!opponents.has(key)) {
+      opponents.set(key, { playerId: opponent.isBot ? null : opponent.id, name: opponent.name, isBot: opponent.isBot, games: 0, wins: 0, losses: 0, draws: 0 });
+    }
+    const record = opponents.get(key);
+    record.games++;
+    record[resultKey]++;
+  });
+
+  const averages = {};
+  TIMEOUT_PHASES.forEach(phase => {
+    averages[phase] = timeouts.games > 0 ? timeouts.totals[phase] / timeouts.games : 0;
+  });
+
+  return {
+    playerId,
+    name,
+    totals,
+    cardTypes: [...cardTypes.values()].map(entry => ({
+      ...entry,
+      winRate: entry.played > 0 ? entry.wins / entry.played : null
+    })),
+    slots: {
+      count: slotCount,
+      byType: [...slots.entries()].map(([type, counts]) => ({
+        type,
+        counts: Array.from({ length: slotCount }, (v, slot) => counts[slot] || 0)
+      }))
+    },
+    swaps,
+    timeouts: { games: timeouts.games, perGame: averages },
+    opponents: [...opponents.values()].sort((a, b) => b.games - a.games)
+  };
+}
+
+module.exports = {
+  buildPlayerStats,
+  evaluateSwaps
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryMatchStore = require('./MemoryMatchStore');
+
+/**
+ * FileMatchStore - Default match store: one JSON record per line in a local
+ * file, loaded into memory at startup. Appends are queued so records are
+ * written in the order games finish.
+ */
+class FileMatchStore extends MemoryMatchStore {
+  /**
+   * @param {string} filePath - Path of the JSON Lines file (created if missing)
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read existing records; a damaged line is skipped rather than
+   * taking the whole history down
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+    
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, lineIndex) => {
+      if (!line.trim()) return;
+      try {
+        this.index(JSON.parse(line));
+      } catch (e) {
+        console.log(`Skipping unreadable match record at ${this.filePath}:${lineIndex + 1}`);
+      }
+    });
+    
+    console.log(`Loaded ${this.matches.length} matches from ${this.filePath}`);
+  }
+
+  /**
+   * Store a finished game and append it to the file
+   * @param {Object} match - Match record
+   * @returns {Promise<void>} Rejects if the record couldn't be written
+   */
+  async save(match) {
+    this.index(match);
+    
+    const line = `${JSON.stringify(match)}\n`;
+    const write = this.writeQueue.then(() => fs.promises.appendFile(this.filePath, line));
+    
+    // The caller handles a failed write; the queue carries on with the next one
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = FileMatchStore;
@@ -0,0 +1,77 @@
+/**
+ * MemoryMatchStore - Keeps finished games in memory
+ *
+ * Match store interface (any object with these methods can be passed to
+ * LobbyManager as `matchStore`):
+ *   save(match)                          -> Promise<void>, rejects if the match couldn't be stored
+ *   get(id)                              -> Promise<Object|null>
+ *   findByPlayer(playerId, { limit, offset }) -> Promise<{ matches, total }>, newest first
+ *   all()                                -> Promise<Array>, oldest first
+ *
+ * Match records are built by GameSession.getMatchRecord.
+ */
+class MemoryMatchStore {
+  constructor() {
+    this.matches = []; // In save order (oldest first)
+    this.byId = new Map(); // id -> match
+    this.byPlayer = new Map(); // playerId -> [match] in save order
+  }
+
+  /**
+   * Store a finished game
+   * @param {Object} match - Match record
+   */
+  async save(match) {
+    this.index(match);
+  }
+
+  /**
+   * Get a match by ID
+   * @param {string} id - Match ID
+   * @returns {Promise<Object|null>} Match record or null
+   */
+  async get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Get a player's matches, newest first
+   * @param {string} playerId - Persistent player ID
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Promise<Object>} { matches, total }
+   */
+  async findByPlayer(playerId, { limit = 20, offset = 0 } = {}) {
+    const matches = this.byPlayer.get(playerId) || [];
+    const newestFirst = [...matches].reverse();
+    return {
+      matches: newestFirst.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Get every stored match, oldest first
+   * @returns {Promise<Array>} Match records
+   */
+  async all() {
+    return [...this.matches];
+  }
+
+  /**
+   * Add a match to the in-memory indexes
+   * @param {Object} match - Match record
+   */
+  index(match) {
+    this.matches.push(match);
+    this.byId.set(match.id, match);
+    
+    match.players.forEach(player => {
+      if (!this.byPlayer.has(player.id)) {
+        this.byPlayer.set(player.id, []);
+      }
+      this.byPlayer.get(player.id).push(match);
+    });
+  }
+}
+
+module.exports = MemoryMatchStore;
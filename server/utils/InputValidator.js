@@ -1,3 +1,20 @@
+const {
+  DEFAULT_GAME_SETTINGS,
+  GAME_SETTINGS_LIMITS,
+  BOT_CONFIG,
+  SESSION_TOKEN_CONFIG,
+  LEADERBOARD_CONFIG,
+  DealMode,
+  PreviewVisibility,
+  PartialPreview,
+  Tiebreak,
+  SpecialCard,
+  Scoring
+} = require('../game/constants');
+const { CARD_COLORS, getRuleSet, isBalanced, getDeckSize } = require('../game/ruleSets');
+const { isSpecial } = require('../game/specialCards');
+const { isRoundModifier } = require('../game/roundModifiers');
+
 /**
  * Input validation utilities for sanitizing and validating client data
  */
@@ -22,28 +39,25 @@ class InputValidator {
 
   /**
    * Validate card sequence from client
-   * @param {*} sequence - Raw sequence input from client
+   * The client sends card IDs only; the server rebuilds the cards from the
+   * player's hand, so nothing about a card (type, color) can come from the client.
+   * @param {*} sequence - Raw sequence input from client (array of card IDs)
    * @param {Array} expectedCards - Cards the player should have
-   * @returns {Array|null} Valid sequence or null if invalid
+   * @returns {Array<string>|null} Card IDs in order, or null if invalid
    */
   static sequence(sequence, expectedCards) {
     if (!Array.isArray(sequence)) return null;
     if (!Array.isArray(expectedCards) || expectedCards.length === 0) return null;
     
-    // Filter out null/undefined values and validate card structure
-    const validSequence = sequence.filter(card => 
-      card !== null && 
-      card !== undefined && 
-      typeof card === 'object' &&
-      typeof card.id === 'string'
-    );
+    // Every entry must be a card ID
+    if (!sequence.every(id => typeof id === 'string')) return null;
     
     // Must have same number of cards
-    if (validSequence.length !== expectedCards.length) return null;
+    if (sequence.length !== expectedCards.length) return null;
     
     // Build sets of card IDs
     const expectedIds = new Set(expectedCards.map(c => c.id));
-    const sequenceIds = new Set(validSequence.map(c => c.id));
+    const sequenceIds = new Set(sequence);
     
     // Must have same cards (no duplicates, no foreign cards)
     if (expectedIds.size !== sequenceIds.size) return null;
@@ -52,7 +66,78 @@ class InputValidator {
       if (!sequenceIds.has(id)) return null;
     }
     
-    return validSequence;
+    return sequence;
+  }
+
+  /**
+   * Find a card object in a sequence payload that claims to be one of the
+   * player's cards but carries fields that differ from the server's card
+   * (e.g. { id: 'rock-0', type: 'paper' }). Such payloads come from modified
+   * clients; the current client only sends IDs.
+   * @param {*} sequence - Raw sequence input from client
+   * @param {Array} expectedCards - Cards the player should have
+   * @returns {Object|null} First tampered entry, or null if there is none
+   */
+  static findTamperedCard(sequence, expectedCards) {
+    if (!Array.isArray(sequence) || !Array.isArray(expectedCards)) return null;
+    
+    const cardsById = new Map(expectedCards.map(c => [c.id, c]));
+    
+    return sequence.find(entry => {
+      if (entry === null || typeof entry !== 'object') return false;
+      
+      const card = cardsById.get(entry.id);
+      if (!card) return false;
+      
+      return Object.keys(entry).some(key => entry[key] !== card[key]);
+    }) || null;
+  }
+
+  /**
+   * Validate a draft pick from client
+   * @param {*} cardId - Raw card ID
+   * @param {Array} pool - Cards still in the draft pool
+   * @returns {string|null} Card ID or null if it isn't in the pool
+   */
+  static draftPick(cardId, pool) {
+    if (typeof cardId !== 'string' || !Array.isArray(pool)) return null;
+    return pool.some(card => card.id === cardId) ? cardId : null;
+  }
+
+  /**
+   * Validate a constructed hand from client
+   * @param {*} cardIds - Raw card IDs
+   * @param {Array} deck - Full deck the hand is chosen from
+   * @param {Object} settings - Game settings (cardsPerPlayer, minCardsPerType, ruleSet)
+   * @returns {Array<string>|null} Card IDs or null if the hand breaks the rules
+   */
+  static constructedHand(cardIds, deck, settings) {
+    if (!Array.isArray(cardIds) || !Array.isArray(deck)) return null;
+    if (cardIds.length !== settings.cardsPerPlayer) return null;
+    if (new Set(cardIds).size !== cardIds.length) return null;
+    
+    const cardsById = new Map(deck.map(card => [card.id, card]));
+    if (!cardIds.every(id => typeof id === 'string' && cardsById.has(id))) return null;
+    
+    const counts = new Map();
+    cardIds.forEach(id => {
+      const { type } = cardsById.get(id);
+      counts.set(type, (counts.get(type) || 0) + 1);
+    });
+    const balanced = settings.ruleSet.types.every(({ type }) => (counts.get(type) || 0) >= settings.minCardsPerType);
+    
+    return balanced ? cardIds : null;
+  }
+
+  /**
+   * Validate a sudden-death pick from client
+   * @param {*} cardId - Raw card ID
+   * @param {Array} hand - Player's sudden-death hand
+   * @returns {string|null} Card ID or null if it isn't in the hand
+   */
+  static tiebreakPick(cardId, hand) {
+    if (typeof cardId !== 'string' || !Array.isArray(hand)) return null;
+    return hand.some(card => card.id === cardId) ? cardId : null;
   }
 
   /**
@@ -123,49 +208,352 @@ class InputValidator {
     return trimmed;
   }
 
+  /**
+   * Validate a player's contribution to the deal seed
+   * @param {*} seed - Raw seed from client
+   * @returns {string|null} Seed or null if missing/malformed
+   */
+  static clientSeed(seed) {
+    if (typeof seed !== 'string') return null;
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(seed)) return null;
+    return seed;
+  }
+
+  /**
+   * Parse limit/offset query parameters
+   * @param {Object} query - Raw query string values
+   * @param {Object} limits - { PAGE_SIZE, MAX_PAGE_SIZE }
+   * @returns {Object} { limit, offset } clamped to sane values
+   */
+  static pagination(query, limits) {
+    const limit = parseInt(query.limit, 10);
+    const offset = parseInt(query.offset, 10);
+    
+    return {
+      limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, limits.MAX_PAGE_SIZE) : limits.PAGE_SIZE,
+      offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+    };
+  }
+
+  /**
+   * Parse leaderboard filters from the query string
+   * @param {Object} query - Raw query string values
+   * @returns {Object|null} { ruleSet, window, minGames } or null if a filter is invalid
+   */
+  static leaderboardFilters(query) {
+    let ruleSet = null;
+    if (query.ruleSet !== undefined && query.ruleSet !== '') {
+      if (typeof query.ruleSet !== 'string' || !/^[a-z0-9_-]+$/i.test(query.ruleSet)) return null;
+      if (query.ruleSet.length > GAME_SETTINGS_LIMITS.ruleSet.idLength) return null;
+      ruleSet = query.ruleSet;
+    }
+    
+    const window = query.window === undefined ? 'all' : query.window;
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_CONFIG.WINDOWS, window)) return null;
+    
+    let minGames = LEADERBOARD_CONFIG.DEFAULT_MIN_GAMES;
+    if (query.minGames !== undefined) {
+      minGames = Number(query.minGames);
+      if (!this.integerInRange(minGames, { min: 1, max: LEADERBOARD_CONFIG.MAX_MIN_GAMES })) return null;
+    }
+    
+    return { ruleSet, window, minGames };
+  }
+
+  /**
+   * Validate an integer setting against inclusive bounds
+   * @param {*} value - Raw value from client
+   * @param {Object} limits - { min, max }
+   * @returns {boolean} True if value is an integer within bounds
+   */
+  static integerInRange(value, limits) {
+    return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+  }
+
+  /**
+   * Sanitize a short display string (labels, verbs, names)
+   * @param {*} value - Raw string from client
+   * @param {number} maxLength - Maximum length
+   * @returns {string|null} Sanitized string or null if empty/invalid
+   */
+  static displayText(value, maxLength) {
+    if (typeof value !== 'string') return null;
+    const safe = value.trim().slice(0, maxLength).replace(/[<>\"\'&]/g, '');
+    return safe || null;
+  }
+
+  /**
+   * Validate a rule set choice from client
+   * Accepts a built-in rule set ID or a custom definition whose beats graph
+   * must be balanced (see ruleSets.isBalanced)
+   * @param {*} ruleSet - Rule set ID or definition object
+   * @returns {Object|null} Rule set definition or null if invalid
+   */
+  static ruleSet(ruleSet) {
+    if (typeof ruleSet === 'string') {
+      return getRuleSet(ruleSet.trim());
+    }
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) return null;
+    
+    const limits = GAME_SETTINGS_LIMITS.ruleSet;
+    
+    if (typeof ruleSet.id !== 'string' || !/^[a-z0-9_-]+$/i.test(ruleSet.id) ||
+        ruleSet.id.length > limits.idLength) {
+      return null;
+    }
+    // Custom sets must not impersonate a built-in
+    if (getRuleSet(ruleSet.id)) return null;
+    
+    const name = this.displayText(ruleSet.name, limits.nameLength);
+    if (!name) return null;
+    if (!this.integerInRange(ruleSet.cardsPerType, limits.cardsPerType)) return null;
+    if (!Array.isArray(ruleSet.types) || ruleSet.types.length > limits.maxTypes) return null;
+    
+    const types = [];
+    for (const raw of ruleSet.types) {
+      if (!raw || typeof raw !== 'object') return null;
+      if (typeof raw.type !== 'string' || !/^[a-z]{1,16}$/.test(raw.type)) return null;
+      // Special card names are reserved (see specialCards.js)
+      if (isSpecial(raw.type)) return null;
+      if (!CARD_COLORS.includes(raw.color)) return null;
+      
+      const label = this.displayText(raw.label, limits.labelLength);
+      const accusative = this.displayText(raw.accusative || raw.label, limits.labelLength);
+      const icon = this.displayText(raw.icon, limits.iconLength);
+      if (!label || !accusative || !icon) return null;
+      
+      types.push({ type: raw.type, color: raw.color, label, accusative, icon });
+    }
+    
+    if (!ruleSet.beats || typeof ruleSet.beats !== 'object' || Array.isArray(ruleSet.beats)) return null;
+    
+    const knownTypes = new Set(types.map(t => t.type));
+    const beats = {};
+    for (const [winner, losers] of Object.entries(ruleSet.beats)) {
+      if (!knownTypes.has(winner)) return null;
+      if (!losers || typeof losers !== 'object' || Array.isArray(losers)) return null;
+      
+      beats[winner] = {};
+      for (const [loser, verb] of Object.entries(losers)) {
+        if (!knownTypes.has(loser)) return null;
+        const safeVerb = this.displayText(verb, limits.verbLength);
+        if (!safeVerb) return null;
+        beats[winner][loser] = safeVerb;
+      }
+    }
+    
+    const result = {
+      id: ruleSet.id,
+      name,
+      cardsPerType: ruleSet.cardsPerType,
+      types,
+      beats
+    };
+    
+    return isBalanced(result) ? result : null;
+  }
+
+  /**
+   * Validate per-lobby game settings from client
+   * Omitted fields fall back to DEFAULT_GAME_SETTINGS
+   * @param {*} settings - Raw settings object (or undefined for defaults)
+   * @returns {Object|null} Complete settings object or null if any value is out of bounds
+   */
+  static gameSettings(settings) {
+    if (settings === undefined || settings === null) {
+      return {
+        ...DEFAULT_GAME_SETTINGS,
+        specialCards: { ...DEFAULT_GAME_SETTINGS.specialCards },
+        roundModifiers: [...DEFAULT_GAME_SETTINGS.roundModifiers],
+        timers: { ...DEFAULT_GAME_SETTINGS.timers }
+      };
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) return null;
+    
+    const rawTimers = settings.timers === undefined ? {} : settings.timers;
+    if (!rawTimers || typeof rawTimers !== 'object' || Array.isArray(rawTimers)) return null;
+    
+    const result = {};
+    const timers = {};
+    
+    for (const key of ['totalRounds', 'cardsPerPlayer', 'maxSwapsPerGame', 'maxSwapsPerRound', 'minCardsPerType', 'revealedCards', 'scoringTarget']) {
+      const value = settings[key] === undefined ? DEFAULT_GAME_SETTINGS[key] : settings[key];
+      if (!this.integerInRange(value, GAME_SETTINGS_LIMITS[key])) return null;
+      result[key] = value;
+    }
+    
+    const ruleSet = settings.ruleSet === undefined
+      ? DEFAULT_GAME_SETTINGS.ruleSet
+      : this.ruleSet(settings.ruleSet);
+    if (!ruleSet) return null;
+    result.ruleSet = ruleSet;
+    
+    const dealMode = settings.dealMode === undefined ? DEFAULT_GAME_SETTINGS.dealMode : settings.dealMode;
+    if (!Object.values(DealMode).includes(dealMode)) return null;
+    result.dealMode = dealMode;
+    
+    const previewVisibility = settings.previewVisibility === undefined
+      ? DEFAULT_GAME_SETTINGS.previewVisibility
+      : settings.previewVisibility;
+    if (!Object.values(PreviewVisibility).includes(previewVisibility)) return null;
+    result.previewVisibility = previewVisibility;
+    
+    const partialPreview = settings.partialPreview === undefined ? DEFAULT_GAME_SETTINGS.partialPreview : settings.partialPreview;
+    if (!Object.values(PartialPreview).includes(partialPreview)) return null;
+    result.partialPreview = partialPreview;
+    
+    const tiebreak = settings.tiebreak === undefined ? DEFAULT_GAME_SETTINGS.tiebreak : settings.tiebreak;
+    if (!Object.values(Tiebreak).includes(tiebreak)) return null;
+    result.tiebreak = tiebreak;
+    
+    const rawSpecialCards = settings.specialCards === undefined ? {} : settings.specialCards;
+    if (!rawSpecialCards || typeof rawSpecialCards !== 'object' || Array.isArray(rawSpecialCards)) return null;
+    result.specialCards = {};
+    for (const special of Object.values(SpecialCard)) {
+      const value = rawSpecialCards[special] === undefined ? DEFAULT_GAME_SETTINGS.specialCards[special] : rawSpecialCards[special];
+      if (!this.integerInRange(value, GAME_SETTINGS_LIMITS.specialCards)) return null;
+      result.specialCards[special] = value;
+    }
+    
+    const scoring = settings.scoring === undefined ? DEFAULT_GAME_SETTINGS.scoring : settings.scoring;
+    if (!Object.values(Scoring).includes(scoring)) return null;
+    result.scoring = scoring;
+    
+    // Modifier pool: distinct modifier IDs, empty for plain rounds
+    const roundModifiers = settings.roundModifiers === undefined ? DEFAULT_GAME_SETTINGS.roundModifiers : settings.roundModifiers;
+    if (!Array.isArray(roundModifiers) || !roundModifiers.every(id => isRoundModifier(id))) return null;
+    if (new Set(roundModifiers).size !== roundModifiers.length) return null;
+    result.roundModifiers = [...roundModifiers];
+    
+    const seriesLength = settings.seriesLength === undefined ? DEFAULT_GAME_SETTINGS.seriesLength : settings.seriesLength;
+    if (!GAME_SETTINGS_LIMITS.seriesLengths.includes(seriesLength)) return null;
+    result.seriesLength = seriesLength;
+    
+    const autopilot = settings.autopilot === undefined ? DEFAULT_GAME_SETTINGS.autopilot : settings.autopilot;
+    if (typeof autopilot !== 'boolean') return null;
+    result.autopilot = autopilot;
+    
+    const rated = settings.rated === undefined ? DEFAULT_GAME_SETTINGS.rated : settings.rated;
+    if (typeof rated !== 'boolean') return null;
+    result.rated = rated;
+    
+    for (const key of Object.keys(DEFAULT_GAME_SETTINGS.timers)) {
+      const value = rawTimers[key] === undefined ? DEFAULT_GAME_SETTINGS.timers[key] : rawTimers[key];
+      if (!this.integerInRange(value, GAME_SETTINGS_LIMITS.timers[key])) return null;
+      timers[key] = value;
+    }
+    result.timers = timers;
+    
+    // Every round plays one card from the sequence
+    if (result.totalRounds > result.cardsPerPlayer) return null;
+    
+    // Hand is dealt from the rule set's full deck
+    if (result.cardsPerPlayer > getDeckSize(result.ruleSet)) return null;
+    
+    // A constructed hand must have room for the required cards of every type
+    if (result.minCardsPerType > result.ruleSet.cardsPerType) return null;
+    if (result.minCardsPerType * result.ruleSet.types.length > result.cardsPerPlayer) return null;
+    
+    // First-to scoring must be able to reach its target within the regular rounds
+    if (result.scoring === Scoring.FIRST_TO && result.scoringTarget > result.totalRounds) return null;
+    
+    // A partial preview can't show more cards than the hand has
+    if (result.revealedCards > result.cardsPerPlayer) return null;
+    
+    // Autopilot must step in before the reconnect window forfeits the game
+    if (result.autopilot && result.timers.autopilot >= result.timers.reconnect) return null;
+    
+    // Per-round limit can't exceed the per-game budget (unless swaps are disabled)
+    if (result.maxSwapsPerGame > 0 && result.maxSwapsPerRound > result.maxSwapsPerGame) return null;
+    
+    return result;
+  }
+
   /**
    * Parse createLobby data from client
    * @param {*} data - Raw data (can be string or object)
-   * @returns {Object} Parsed data with playerName and optional playerId
+   * @returns {Object} Parsed data with playerName, optional identityToken,
+   *   settings (null if the client sent invalid settings) and isPublic
    */
   static createLobbyData(data) {
     if (typeof data === 'string') {
       return {
         playerName: this.playerName(data, 'Player 1'),
-        playerId: null
+        identityToken: null,
+        settings: this.gameSettings(undefined),
+        isPublic: false
       };
     }
     
     if (typeof data === 'object' && data !== null) {
       return {
         playerName: this.playerName(data.playerName, 'Player 1'),
-        playerId: data.playerId ? this.playerId(data.playerId) : null
+        identityToken: this.identityToken(data.identityToken),
+        settings: this.gameSettings(data.settings),
+        isPublic: data.isPublic === true
       };
     }
     
     return {
       playerName: 'Player 1',
-      playerId: null
+      identityToken: null,
+      settings: this.gameSettings(undefined),
+      isPublic: false
     };
   }
 
+  /**
+   * Validate bot difficulty
+   * @param {*} difficulty - Raw difficulty from client
+   * @returns {string} Known difficulty (default if missing or unknown)
+   */
+  static botDifficulty(difficulty) {
+    return BOT_CONFIG.DIFFICULTIES.includes(difficulty) ? difficulty : BOT_CONFIG.DEFAULT_DIFFICULTY;
+  }
+
   /**
    * Parse joinLobby data from client
    * @param {*} lobbyId - Lobby ID
    * @param {*} playerName - Player name
    * @param {*} playerId - Optional player ID for reconnection
+   * @param {*} sessionToken - Session token proving the seat (needed to rejoin)
+   * @param {*} identityToken - Identity token proving the player ID (for a new seat)
    * @returns {Object|null} Parsed data or null if lobbyId is invalid
    */
-  static joinLobbyData(lobbyId, playerName, playerId) {
+  static joinLobbyData(lobbyId, playerName, playerId, sessionToken, identityToken) {
     const validLobbyId = this.lobbyId(lobbyId);
     if (!validLobbyId) return null;
     
     return {
       lobbyId: validLobbyId,
       playerName: this.playerName(playerName, 'Player 2'),
-      playerId: playerId ? this.playerId(playerId) : null
+      playerId: playerId ? this.playerId(playerId) : null,
+      sessionToken: this.sessionToken(sessionToken),
+      identityToken: this.identityToken(identityToken)
     };
   }
+
+  /**
+   * Validate session token shape (the signature is checked by SessionTokenManager)
+   * @param {*} token - Raw token from client
+   * @returns {string|null} Token or null if missing/malformed
+   */
+  static sessionToken(token) {
+    if (typeof token !== 'string') return null;
+    if (token.length === 0 || token.length > SESSION_TOKEN_CONFIG.MAX_LENGTH) return null;
+    if (!/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(token)) return null;
+    return token;
+  }
+
+  /**
+   * Validate identity token shape (the signature is checked by IdentityTokenManager)
+   * @param {*} token - Raw token from client
+   * @returns {string|null} Token or null if missing/malformed
+   */
+  static identityToken(token) {
+    // Same format as a session token
+    return this.sessionToken(token);
+  }
 }
 
 module.exports = InputValidator;